@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+// marslink.js — Headless command line for the Marslink simulation pipeline.
+//
+//   marslink run --preset foo.json --date 2030-01-01 [options]
+//   marslink failures --preset foo.json --sat-failure 5 --trials 50 [options]
+//   marslink uncertainty --preset foo.json --dist economics.launch-cost-slider=triangular:10,20,40
+//   marslink series --preset foo.json --from 2030-01-01 --step 7 --format csv
+//   marslink conjunction --preset foo.json --date 2030-01-01 --exclusion 2,5,10
+//   marslink demand --preset foo.json --demand traffic.json --from 2030-01-01 --to 2030-06-01
+//   marslink propagate --preset foo.json --date 2030-01-01 --years 10 --format csv
+//   marslink phasing --preset foo.json --from 2030-01-01 --to 2031-01-01 --format csv
+//   marslink validate-flow [--preset foo.json] --cases 50
+//
+// Loads a preset in the "section.slider" format SimUi saves (or an archive entry /
+// "Copy results JSON" array / exported preset file), runs the full worker pipeline in-process and prints a
+// JSON result on stdout. Pipeline diagnostics go to stderr so stdout stays parseable.
+
+import { readFileSync } from "node:fs";
+import { normalizePreset, runHeadless, runFailureStudy, runUncertaintyStudy, runTimeSeries, runConjunctionStudy, runDemandStudy, runPropagationStudy, runPhasingStudy, runFlowValidation, RELAY_FAMILIES } from "../scripts/simHeadless.js?v=4.42";
+import { seriesToCsv, seriesToJson, SERIES_DEFAULT_SPAN_DAYS, SERIES_DEFAULT_STEP_DAYS } from "../scripts/simSeries.js?v=4.42";
+import { formatPresetReport } from "../scripts/simPresetFile.js?v=4.42";
+import { slidersData } from "../scripts/slidersData.js?v=4.42";
+import { parseDistributionList, uncertaintyToCsv } from "../scripts/simUncertainty.js?v=4.42";
+import { parseEphemeris, mergeEphemeris, setActiveEphemeris } from "../scripts/simEphemeris.js?v=4.42";
+import { propagationToCsv } from "../scripts/simPropagator.js?v=4.42";
+import { phasingToCsv, PHASING_DEFAULT_SPAN_DAYS, PHASING_DEFAULT_STEP_DAYS } from "../scripts/simPhasing.js?v=4.42";
+
+const USAGE = `Usage: marslink <command> --preset <file.json> [options]
+
+Commands:
+  run                 Size + solve one preset at one date
+  failures            Degraded-constellation Monte-Carlo (random satellite/terminal loss)
+  uncertainty         Monte-Carlo over input distributions: P10/P50/P90 cost and flow
+  series              Per-date flow / latency / cost series over a date range
+  conjunction         Outage window around the next solar conjunction after --date
+  demand              Serve a traffic demand profile: delivered volume, backlog, deadlines
+  propagate           n-body propagation of sampled relays per ring: along-track drift and
+                      the station-keeping ΔV actually needed to hold their slots
+  phasing             Radial link churn per ring pair: relative drift, re-pairs and laser
+                      re-acquisitions per year against the geometric minimum
+  validate-flow       Cross-check every max-flow solver: invariants + agreement on maxFlow
+                      (exit 1 on any violation or disagreement)
+
+Options:
+  --preset <file>     Preset / archive JSON (internal slider positions)
+  --name <name>       Entry to use when the file holds several presets
+  --date <iso>        Simulation date (default: now)
+  --set <key=value>   Override one slider, e.g. --set relay_type.ringcount=12 (repeatable)
+  --calctime <sec>    Max-flow time budget in seconds (default: 20)
+  --no-flow           Skip max-flow; cost on the routed relay capacity instead
+  --ephemeris <file>  Planet ephemeris table (Horizons vectors, CSV or JSON) replacing the
+                      analytic orbital elements where it covers the date (repeatable)
+  --compact           Print single-line JSON
+  -h, --help          Show this help
+
+failures options:
+  --trials <n>              Failure draws per family (default: 20)
+  --sat-failure <pct>       Per-satellite failure probability, 0-100 (default: 0)
+  --terminal-failure <pct>  Per-laser-terminal failure probability, 0-100 (default: 0)
+  --seed <n>                Seed of the first draw; trial i uses seed + i (default: 1)
+  --families <list>         Comma list of ${Object.keys(RELAY_FAMILIES).join(", ")}, or "all"
+                            (default: the preset's relay family)
+  --repair                  Also patch the intact topology in place (no rebuild) and
+                            compare its max-flow and run time with the rebuild's
+
+uncertainty options:
+  --dist <key=spec>         Distribution for one slider, in user-facing units (repeatable):
+                            uniform:min,max | triangular:min,mode,max | lognormal:median,sigma
+                            e.g. --dist economics.launch-cost-slider=triangular:10,20,40
+  --trials <n>              Draws (default: 200). Only economics inputs: one pipeline run,
+                            re-priced per draw; any other input: one full run per draw
+  --seed <n>                Seed of the draw sequence (default: 1)
+  --format <json|csv>       json: bands + every draw; csv: one row per draw (default: json)
+
+series options:
+  --from <iso>              First date, also the sizing date (default: --date, else now)
+  --to <iso>                Last date (default: --from + ${SERIES_DEFAULT_SPAN_DAYS} days, one synodic period)
+  --step <days>             Sampling step in days (default: ${SERIES_DEFAULT_STEP_DAYS})
+  --format <json|csv>       Output format (default: json)
+
+conjunction options:
+  --exclusion <list>        Comma list of solar exclusion angles in degrees
+                            (default: the preset's simulation.solarExclusionDeg)
+  --window <days>           Scan half-width around the conjunction (default: 60)
+  --step <days>             Sampling step in days (default: 2)
+  --blackout-pct <pct>      A date is out when flow is <= this % of the window-edge
+                            flow (default: 1)
+  --families <list>         As for failures
+
+demand options:
+  --demand <file>           Demand profile JSON (rates per direction, bulk transfers with
+                            deadlines, downlinkShare) — see scripts/simDemand.js
+  --from / --to / --step    Date range and sampling step, as for series
+
+propagate options:
+  --years <n>               Horizon in years (default: the preset's sk-years)
+  --step-hours <h>          Integration step in hours (default: 12)
+  --sats-per-ring <n>       Satellites propagated per ring, evenly spread (default: 6)
+  --format <json|csv>       json: per-ring figures + drift series; csv: one row per ring
+
+phasing options:
+  --from / --to             Date range (default: --date, + ${PHASING_DEFAULT_SPAN_DAYS} days)
+  --step <days>             Sampling step in days (default: ${PHASING_DEFAULT_STEP_DAYS}); re-pairs faster than
+                            the step are missed, so keep it under the rings' slot-pass time
+  --format <json|csv>       json: per-pair report; csv: one row per ring pair
+
+validate-flow options:
+  --cases <n>               Seeded random graphs and ring-chain topologies (default: 50
+                            of each); case i uses --seed + i
+  --preset / --families     Optional: also the real topology of each family at --date`;
+
+const VALUE_OPTS = {
+  "--preset": "preset",
+  "--name": "name",
+  "--date": "date",
+  "--calctime": "calctime",
+  "--trials": "trials",
+  "--sat-failure": "satFailure",
+  "--terminal-failure": "terminalFailure",
+  "--seed": "seed",
+  "--families": "families",
+  "--from": "from",
+  "--to": "to",
+  "--step": "step",
+  "--format": "format",
+  "--exclusion": "exclusion",
+  "--window": "window",
+  "--blackout-pct": "blackoutPct",
+  "--demand": "demand",
+  "--cases": "cases",
+  "--years": "years",
+  "--step-hours": "stepHours",
+  "--sats-per-ring": "satsPerRing",
+};
+
+function parseArgs(argv) {
+  const opts = { command: null, set: [], dist: [], ephemeris: [], calctime: "20", trials: null, satFailure: "0", terminalFailure: "0", seed: "1", step: null, format: "json", window: "60", blackoutPct: "1", cases: "50", years: null, stepHours: "12", satsPerRing: "6", flow: true, repair: false, compact: false, help: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === "-h" || arg === "--help") opts.help = true;
+    else if (VALUE_OPTS[arg]) opts[VALUE_OPTS[arg]] = next();
+    else if (arg === "--set") opts.set.push(next());
+    else if (arg === "--dist") opts.dist.push(next());
+    else if (arg === "--ephemeris") opts.ephemeris.push(next());
+    else if (arg === "--no-flow") opts.flow = false;
+    else if (arg === "--repair") opts.repair = true;
+    else if (arg === "--compact") opts.compact = true;
+    else if (!arg.startsWith("-") && !opts.command) opts.command = arg;
+    else throw new Error(`Unknown argument: ${arg}`);
+  }
+  return opts;
+}
+
+/** Parse a numeric option, throwing a usage error unless it satisfies `ok`. */
+function num(opts, key, flag, ok) {
+  const v = parseFloat(opts[key]);
+  if (!Number.isFinite(v) || !ok(v)) throw new Error(`Invalid ${flag}: ${opts[key]}`);
+  return v;
+}
+
+function parseFamilies(list) {
+  if (!list) return null;
+  if (list === "all") return Object.values(RELAY_FAMILIES);
+  return list.split(",").map((s) => {
+    const key = s.trim();
+    if (RELAY_FAMILIES[key]) return RELAY_FAMILIES[key];
+    if (Object.values(RELAY_FAMILIES).includes(key)) return key;
+    throw new Error(`Unknown relay family: ${key}`);
+  });
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (opts.help || !opts.command) {
+    console.error(USAGE);
+    return opts.help ? 0 : 2;
+  }
+  if (!["run", "failures", "uncertainty", "series", "conjunction", "demand", "propagate", "phasing", "validate-flow"].includes(opts.command)) {
+    console.error(`Unknown command: ${opts.command}\n\n${USAGE}`);
+    return 2;
+  }
+  if (!opts.preset && opts.command !== "validate-flow") {
+    console.error(`--preset is required\n\n${USAGE}`);
+    return 2;
+  }
+
+  let calctime, trials, satFailurePct, terminalFailurePct, seed, families, stepDays, halfWindowDays, blackoutPct, exclusionDegs, cases, uncertainInputs, years, stepHours, satsPerRing;
+  try {
+    calctime = num(opts, "calctime", "--calctime", (v) => v > 0);
+    if (opts.trials == null) opts.trials = opts.command === "uncertainty" ? "200" : "20";
+    trials = num(opts, "trials", "--trials", (v) => v >= 1 && Number.isInteger(v));
+    satFailurePct = num(opts, "satFailure", "--sat-failure", (v) => v >= 0 && v <= 100);
+    terminalFailurePct = num(opts, "terminalFailure", "--terminal-failure", (v) => v >= 0 && v <= 100);
+    seed = num(opts, "seed", "--seed", Number.isInteger);
+    families = parseFamilies(opts.families);
+    if (opts.step == null) opts.step = String(opts.command === "conjunction" ? 2 : opts.command === "phasing" ? PHASING_DEFAULT_STEP_DAYS : SERIES_DEFAULT_STEP_DAYS);
+    stepDays = num(opts, "step", "--step", (v) => v > 0);
+    halfWindowDays = num(opts, "window", "--window", (v) => v > 0);
+    blackoutPct = num(opts, "blackoutPct", "--blackout-pct", (v) => v >= 0 && v <= 100);
+    cases = num(opts, "cases", "--cases", (v) => v >= 0 && Number.isInteger(v));
+    years = opts.years == null ? null : num(opts, "years", "--years", (v) => v > 0 && v <= 100);
+    stepHours = num(opts, "stepHours", "--step-hours", (v) => v > 0 && v <= 240);
+    satsPerRing = num(opts, "satsPerRing", "--sats-per-ring", (v) => v >= 1 && Number.isInteger(v));
+    exclusionDegs = opts.exclusion
+      ? opts.exclusion.split(",").map((x) => num({ x }, "x", "--exclusion", (v) => v >= 0 && v < 90))
+      : null;
+    if (opts.format !== "json" && opts.format !== "csv") throw new Error(`Invalid --format: ${opts.format}`);
+    uncertainInputs = parseDistributionList(opts.dist.join("\n"), slidersData);
+    if (opts.command === "uncertainty" && !uncertainInputs.length) throw new Error("uncertainty needs at least one --dist");
+  } catch (err) {
+    console.error(err.message);
+    return 2;
+  }
+
+  const simDate = opts.date ? new Date(opts.date) : new Date();
+  if (isNaN(simDate.getTime())) {
+    console.error(`Invalid --date: ${opts.date}`);
+    return 2;
+  }
+  const from = opts.from ? new Date(opts.from) : simDate;
+  const spanDays = opts.command === "phasing" ? PHASING_DEFAULT_SPAN_DAYS : SERIES_DEFAULT_SPAN_DAYS;
+  const to = opts.to ? new Date(opts.to) : new Date(from.getTime() + spanDays * 86400000);
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || to < from) {
+    console.error(`Invalid series range: ${opts.from ?? from.toISOString()} .. ${opts.to ?? to.toISOString()}`);
+    return 2;
+  }
+
+  let preset = null;
+  try {
+    if (opts.preset) preset = normalizePreset(JSON.parse(readFileSync(opts.preset, "utf8")), opts.name);
+  } catch (err) {
+    console.error(`Cannot load preset ${opts.preset}: ${err.message}`);
+    return 1;
+  }
+  const ephemerisTables = [];
+  for (const file of opts.ephemeris) {
+    try {
+      ephemerisTables.push(parseEphemeris(readFileSync(file, "utf8"), file));
+    } catch (err) {
+      console.error(`Cannot load ephemeris ${file}: ${err.message}`);
+      return 1;
+    }
+  }
+  if (ephemerisTables.length) setActiveEphemeris(mergeEphemeris(...ephemerisTables));
+  // Old presets are migrated on load; say what changed and what had to be left out.
+  const presetReport = preset ? formatPresetReport([preset]) : "";
+  if (presetReport) console.error(`[preset] ${opts.preset}\n${presetReport}`);
+  for (const kv of preset ? opts.set : []) {
+    const eq = kv.indexOf("=");
+    if (eq <= 0) {
+      console.error(`--set expects key=value, got "${kv}"`);
+      return 2;
+    }
+    preset.sliders = { ...preset.sliders, [kv.slice(0, eq)]: kv.slice(eq + 1) };
+  }
+
+  // The pipeline logs progress with console.log/info/debug — keep it off stdout.
+  const print = console.log;
+  console.log = console.info = console.debug = console.error;
+  const common = { preset, simDate: simDate.toISOString(), computeFlow: opts.flow, flowCalctimeMs: calctime * 1000 };
+  if (opts.command === "validate-flow") {
+    const result = runFlowValidation({
+      ...common,
+      families,
+      randomCases: cases,
+      ringCases: cases,
+      seed,
+      onCase: (label, c) => console.error(`[validate-flow] ${label}: ${c.ok ? "ok" : "FAIL"} maxFlow ${c.referenceFlow ?? "-"}${c.underReports.length ? " (topology-aware under-reports)" : ""}`),
+    });
+    print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return result.ok ? 0 : 1;
+  }
+  if (opts.command === "demand") {
+    if (!opts.demand) {
+      console.error(`--demand is required\n\n${USAGE}`);
+      return 2;
+    }
+    let result;
+    try {
+      result = runDemandStudy({
+        ...common,
+        demand: JSON.parse(readFileSync(opts.demand, "utf8")),
+        from: from.toISOString(),
+        to: to.toISOString(),
+        stepDays,
+        onStep: (i, n) => console.error(`[demand] ${i}/${n}`),
+      });
+    } catch (err) {
+      console.error(`Demand run failed: ${err.message}`);
+      return 1;
+    }
+    print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (opts.command === "phasing") {
+    const result = runPhasingStudy({
+      ...common,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      stepDays,
+      onStep: (i, n) => { if (i % 10 === 0 || i === n) console.error(`[phasing] ${i}/${n}`); },
+    });
+    if (opts.format === "csv") process.stdout.write(phasingToCsv(result.pairs));
+    else print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (opts.command === "propagate") {
+    let result;
+    try {
+      result = runPropagationStudy({
+        ...common,
+        years,
+        stepHours,
+        satsPerRing,
+        onSatellite: (i, n) => console.error(`[propagate] ${i}/${n}`),
+      });
+    } catch (err) {
+      console.error(`Propagation failed: ${err.message}`);
+      return 1;
+    }
+    if (opts.format === "csv") process.stdout.write(propagationToCsv(result));
+    else print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (opts.command === "conjunction") {
+    let result;
+    try {
+      result = runConjunctionStudy({ ...common, families, exclusionDegs, halfWindowDays, stepDays, blackoutPct });
+    } catch (err) {
+      console.error(err.message);
+      return 1;
+    }
+    print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (opts.command === "uncertainty") {
+    const result = runUncertaintyStudy({
+      ...common,
+      inputs: uncertainInputs,
+      trials,
+      seed,
+      onTrial: (i, n) => { if (i % 50 === 0 || i === n) console.error(`[uncertainty] ${i}/${n}`); },
+    });
+    if (opts.format === "csv") process.stdout.write(uncertaintyToCsv(uncertainInputs, result.rows));
+    else print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+    return 0;
+  }
+  if (opts.command === "series") {
+    const { rows, satellitesCount, totalMs } = runTimeSeries({
+      ...common,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      stepDays,
+      onStep: (row, i, n) => console.error(`[series] ${i + 1}/${n} ${row.simDate.slice(0, 10)} ${row.maxFlowGbps ?? "-"} Gbps`),
+    });
+    if (opts.format === "csv") process.stdout.write(seriesToCsv(rows));
+    else {
+      const out = seriesToJson({ preset: preset.name ?? null, from: from.toISOString(), to: to.toISOString(), stepDays, satellitesCount, totalMs }, rows);
+      print(opts.compact ? JSON.stringify(out) : JSON.stringify(out, null, 2));
+    }
+    return 0;
+  }
+  const result = opts.command === "failures"
+    ? runFailureStudy({ ...common, families, trials, satFailurePct, terminalFailurePct, seed, repair: opts.repair })
+    : runHeadless(common);
+  print(opts.compact ? JSON.stringify(result) : JSON.stringify(result, null, 2));
+  return 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -16,16 +16,17 @@
 // The objective and the parallel evaluation live in the caller: `evaluate` maps a
 // weight vector to a Promise of its score (higher = better). This module is pure
 // search logic with no DOM or worker knowledge, so it stays testable and ownable.
+//
+// Long runs can be checkpointed: onCheckpoint hands out the search state after every
+// batch, and passing it back as `resume` continues the same chain (simCheckpoint.js).
+//
+// Every random draw comes from a seeded mulberry32 stream (makeRng, as in simFleet), so
+// the same seed, settings and evaluator replay a run exactly. The seed is returned with
+// the result, and the checkpoint carries the stream state so a resumed run stays on it.
 
-const MEAN = 50; // weights normalized to this mean (sum = count*MEAN) each step
+import { makeRng } from "./simFleet.js?v=4.42";
 
-/** Standard normal via Box–Muller. */
-function gaussian() {
-  let u = 0, v = 0;
-  while (u === 0) u = Math.random();
-  while (v === 0) v = Math.random();
-  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
-}
+const MEAN = 50; // weights normalized to this mean (sum = count*MEAN) each step
 
 /**
  * Clamp each weight to [lo,100]. The search vector may concatenate several curves
@@ -37,8 +38,8 @@ function normalize(w, lo = 0) {
   return w.map((x) => Math.min(100, Math.max(lo, isFinite(x) ? x : MEAN)));
 }
 
-function perturb(w, sigma, lo = 0) {
-  return normalize(w.map((x) => x + gaussian() * sigma), lo);
+function perturb(rng, w, sigma, lo = 0) {
+  return normalize(w.map((x) => x + rng.gaussian() * sigma), lo);
 }
 
 /** Single-coordinate proposal: jitter exactly one randomly-chosen weight PER segment,
@@ -47,22 +48,22 @@ function perturb(w, sigma, lo = 0) {
  *  `segs` (index ranges) makes one move touch one value per chart, so multi-chart runs
  *  explore every chart each step; default = the whole vector as a single segment (one
  *  value total). */
-function perturbOne(w, sigma, lo = 0, segs = null) {
+function perturbOne(rng, w, sigma, lo = 0, segs = null) {
   const out = w.slice();
   const ranges = segs && segs.length ? segs : [{ start: 0, length: w.length }];
   for (const seg of ranges) {
     if (!(seg.length > 0)) continue;
-    const i = seg.start + ((Math.random() * seg.length) | 0);
-    out[i] += gaussian() * sigma;
+    const i = seg.start + ((rng() * seg.length) | 0);
+    out[i] += rng.gaussian() * sigma;
   }
   return normalize(out, lo);
 }
 
 /** Perturb every weight within the given segments (charts), leaving the rest fixed —
  *  the "all dims" move restricted to one or more charts. */
-function perturbAll(w, sigma, lo, segs) {
+function perturbAll(rng, w, sigma, lo, segs) {
   const out = w.slice();
-  for (const seg of segs) for (let k = 0; k < (seg.length || 0); k++) out[seg.start + k] += gaussian() * sigma;
+  for (const seg of segs) for (let k = 0; k < (seg.length || 0); k++) out[seg.start + k] += rng.gaussian() * sigma;
   return normalize(out, lo);
 }
 
@@ -70,23 +71,28 @@ function perturbAll(w, sigma, lo, segs) {
  *  that point on every chart that has it free (independent jitter per chart). Uses each
  *  segment's `free` x-index list to align the same x across differently-shaped curves;
  *  falls back to positions when `free` is absent. */
-function perturbSameX(w, sigma, lo, segs) {
+function perturbSameX(rng, w, sigma, lo, segs) {
   const out = w.slice();
   const xsOf = (seg) => seg.free || Array.from({ length: seg.length || 0 }, (_, i) => i);
   const xs = new Set();
   for (const seg of segs) for (const x of xsOf(seg)) xs.add(x);
   const xList = [...xs];
   if (!xList.length) return normalize(out, lo);
-  const x = xList[(Math.random() * xList.length) | 0];
+  const x = xList[(rng() * xList.length) | 0];
   for (const seg of segs) {
     const pos = xsOf(seg).indexOf(x);
-    if (pos >= 0) out[seg.start + pos] += gaussian() * sigma;
+    if (pos >= 0) out[seg.start + pos] += rng.gaussian() * sigma;
   }
   return normalize(out, lo);
 }
 
-function randomWeights(lo = 0, n = 10) {
-  return normalize(Array.from({ length: n }, () => lo + Math.random() * (100 - lo)), lo);
+function randomWeights(rng, lo = 0, n = 10) {
+  return normalize(Array.from({ length: n }, () => lo + rng() * (100 - lo)), lo);
+}
+
+/** A fresh 32-bit seed for runs that don't pin one. */
+export function randomSeed() {
+  return (Math.random() * 4294967296) >>> 0;
 }
 
 /**
@@ -123,7 +129,16 @@ function randomWeights(lo = 0, n = 10) {
  *   size — below 1 = smaller, smoother proposals; above 1 = bolder jumps
  * @param {Array<{start:number,length:number}>} [o.segments] index ranges of each chart's
  *   free values; in singleCoord mode one value is jittered per segment (per chart)
- * @returns {Promise<{weights:number[], metrics:object, baseline:object, score:number, baselineScore:number, evals:number, alpha:number}>}
+ * @param {(state:object)=>void} [o.onCheckpoint] called after every batch with a plain,
+ *   structured-cloneable snapshot of the search: { bandCount, phase, evals, generation,
+ *   temperature, baseline, ranges, samples (calibration only), current, currentMetrics,
+ *   best: { weights, metrics }, seed, rngState }. Persist it to resume after a reload.
+ * @param {object} [o.resume] an onCheckpoint snapshot to continue from instead of
+ *   starting over (ignored if its bandCount doesn't match). The baseline is not
+ *   re-evaluated and evals continue from the snapshot, so the budget is shared; the
+ *   snapshot's seed and random-stream state take precedence over `seed`.
+ * @param {number} [o.seed] 32-bit PRNG seed; omitted = a fresh random one (returned)
+ * @returns {Promise<{weights:number[], metrics:object, baseline:object, score:number, baselineScore:number, evals:number, alpha:number, seed:number}>}
  */
 export async function solveBandDistribution({
   initialWeights,
@@ -139,6 +154,9 @@ export async function solveBandDistribution({
   onBatch = () => {},
   stepScale = 1,
   segments = null,
+  onCheckpoint = () => {},
+  resume = null,
+  seed = null,
 }) {
   const lo = Math.min(100, Math.max(0, minValue || 0));
   const a = Math.min(1, Math.max(0, alpha || 0));
@@ -153,30 +171,47 @@ export async function solveBandDistribution({
   // every chart each step; default = the whole vector as a single segment (one value total).
   const segs = segments && segments.length ? segments : [{ start: 0, length: bandCount }];
 
+  const resumed = resume && resume.bandCount === bandCount && Array.isArray(resume.current) ? resume : null;
+  // Checkpoints written before seeding carry no stream state: they continue on a fresh seed.
+  const runSeed = resumed && Number.isFinite(resumed.seed) ? resumed.seed >>> 0
+    : Number.isFinite(seed) ? seed >>> 0 : randomSeed();
+  const rng = makeRng(resumed && Number.isFinite(resumed.rngState) ? resumed.rngState : runSeed);
   let current = normalize((initialWeights && initialWeights.length === bandCount ? initialWeights : new Array(bandCount).fill(MEAN)).slice(), lo);
-  const baseM = await evaluate(current);
-  let evals = 1;
+  let baseM, evals;
+  if (resumed) {
+    current = normalize(resumed.current.slice(), lo);
+    baseM = resumed.baseline;
+    evals = resumed.evals;
+  } else {
+    baseM = await evaluate(current);
+    evals = 1;
+  }
 
   // ── Calibration (blended modes only): sample random layouts to bracket the
   //    achievable capacity/latency ranges, then freeze them so the scalarized
   //    objective is stationary (shifting ranges would break simulated annealing).
   let capMin = baseM.capacity, capMax = baseM.capacity, latMin = baseM.latency, latMax = baseM.latency;
+  if (resumed && resumed.ranges) ({ capMin, capMax, latMin, latMax } = resumed.ranges);
   const observe = (m) => {
     if (!m) return;
     if (isFinite(m.capacity)) { capMin = Math.min(capMin, m.capacity); capMax = Math.max(capMax, m.capacity); }
     if (isFinite(m.latency)) { latMin = Math.min(latMin, m.latency); latMax = Math.max(latMax, m.latency); }
   };
-  const samples = [{ w: current.slice(), m: baseM }];
-  if (!pure) {
+  const samples = resumed && resumed.phase === "calibrating" && Array.isArray(resumed.samples) ? resumed.samples.map((x) => ({ w: x.w.slice(), m: x.m })) : [{ w: current.slice(), m: baseM }];
+  const checkpoint = (phase, extra) => onCheckpoint({
+    bandCount, phase, evals, baseline: baseM, ranges: { capMin, capMax, latMin, latMax }, seed: runSeed, rngState: rng.state(), ...extra,
+  });
+  if (!pure && !(resumed && resumed.phase === "optimizing")) {
     const nCal = Math.min(maxEvals, Math.max(2 * batchSize, Math.round(maxEvals * calibrationFrac)));
     while (evals < nCal && !shouldStop()) {
       const n = Math.min(batchSize, nCal - evals);
       const ws = [];
-      for (let i = 0; i < n; i++) ws.push(randomWeights(lo, bandCount));
+      for (let i = 0; i < n; i++) ws.push(randomWeights(rng, lo, bandCount));
       onBatch(ws);
       const ms = await evalAll(ws);
       evals += n;
       ws.forEach((w, i) => { observe(ms[i]); samples.push({ w, m: ms[i] }); });
+      checkpoint("calibrating", { generation: 0, temperature: 1, samples, current: current.slice(), currentMetrics: baseM, best: null });
       onProgress({ phase: "calibrating", evals, maxEvals, temperature: 1, metrics: baseM, baseline: baseM, score: 0, baselineScore: 0, currentWeights: current.slice() });
     }
   }
@@ -197,6 +232,15 @@ export async function solveBandDistribution({
   for (const s of samples) { const sc = score(s.m); if (sc > bestS) { bestS = sc; bestM = s.m; bestW = s.w.slice(); } }
   current = bestW.slice();
   let curS = bestS, curM = bestM;
+  let generation = 0;
+  if (resumed && resumed.phase === "optimizing") {
+    // Pick the chain up where the checkpoint left it (the ranges are already frozen).
+    current = normalize(resumed.current.slice(), lo);
+    curM = resumed.currentMetrics;
+    curS = score(curM);
+    if (resumed.best) { bestW = resumed.best.weights.slice(); bestM = resumed.best.metrics; bestS = score(bestM); }
+    generation = resumed.generation || 0;
+  }
 
   onProgress({ phase: "optimizing", evals, maxEvals, temperature: 1, metrics: bestM, baseline: baseM, score: bestS, baselineScore, currentWeights: current.slice(), bestWeights: bestW.slice() });
 
@@ -211,17 +255,17 @@ export async function solveBandDistribution({
     // Pick ONE allowed move type at random for this whole generation (so the batch is
     // coherent). Mode → which charts a proposal touches and how many values per chart;
     // for the "1 chart" modes also pick one random chart, shared across the batch.
-    const mode = moveModes[(Math.random() * moveModes.length) | 0] || "all";
+    const mode = moveModes[(rng() * moveModes.length) | 0] || "all";
     const oneChart = mode === "all-1chart" || mode === "single-1chart";
     const allDims = mode === "all" || mode === "all-1chart";
     const sameX = mode === "samex";
-    const genSegs = oneChart ? [segs[(Math.random() * segs.length) | 0]] : segs;
+    const genSegs = oneChart ? [segs[(rng() * segs.length) | 0]] : segs;
     const ws = [];
     for (let i = 0; i < n; i++) {
-      if (i === n - 1 && Math.random() < 0.25 * T) ws.push(randomWeights(lo, bandCount));
-      else if (sameX) ws.push(perturbSameX(current, sigma, lo, segs));
-      else if (allDims) ws.push(oneChart ? perturbAll(current, sigma, lo, genSegs) : perturb(current, sigma, lo));
-      else ws.push(perturbOne(current, sigma, lo, genSegs));
+      if (i === n - 1 && rng() < 0.25 * T) ws.push(randomWeights(rng, lo, bandCount));
+      else if (sameX) ws.push(perturbSameX(rng, current, sigma, lo, segs));
+      else if (allDims) ws.push(oneChart ? perturbAll(rng, current, sigma, lo, genSegs) : perturb(rng, current, sigma, lo));
+      else ws.push(perturbOne(rng, current, sigma, lo, genSegs));
     }
     onBatch(ws);
     const ms = await evalAll(ws);
@@ -235,12 +279,14 @@ export async function solveBandDistribution({
     // same for raw capacity (Mbps), negative latency (s) or the [0,1] blend.
     const accept =
       candS >= curS ||
-      (T > 0 && Math.random() < Math.exp((candS - curS) / (Math.max(1e-9, Math.abs(curS) || 1) * 0.05 * T)));
+      (T > 0 && rng() < Math.exp((candS - curS) / (Math.max(1e-9, Math.abs(curS) || 1) * 0.05 * T)));
     if (accept) { current = candW; curS = candS; curM = candM; }
     if (candS > bestS) { bestS = candS; bestW = candW.slice(); bestM = candM; }
+    generation++;
+    checkpoint("optimizing", { generation, temperature: T, current: current.slice(), currentMetrics: curM, best: { weights: bestW.slice(), metrics: bestM } });
 
     onProgress({ phase: "optimizing", evals, maxEvals, temperature: T, metrics: bestM, baseline: baseM, score: bestS, baselineScore, currentWeights: current.slice(), bestWeights: bestW.slice() });
   }
 
-  return { weights: bestW, metrics: bestM, baseline: baseM, score: bestS, baselineScore, evals, alpha: a };
+  return { weights: bestW, metrics: bestM, baseline: baseM, score: bestS, baselineScore, evals, alpha: a, seed: runSeed };
 }
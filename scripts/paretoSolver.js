@@ -0,0 +1,237 @@
+// paretoSolver.js — NSGA-II multi-objective search over the same inputs as bandSolver.
+//
+// bandSolver collapses capacity and latency into one score, which answers "what is
+// best for this blend" but hides the trade-off itself. Design reviews want the whole
+// trade-off surface: how much capacity another $1B buys, or what a minute of latency
+// costs. This runs NSGA-II (Deb et al. 2002): a population evolves by tournament
+// selection, simulated-binary crossover and polynomial mutation; each generation keeps
+// the best of parents + offspring by non-domination rank, breaking ties by crowding
+// distance so the survivors spread along the front instead of bunching up.
+//
+// Constraints use Deb's constrained domination: a feasible point beats any infeasible
+// one, and between infeasible points the smaller violation wins. A non-finite
+// objective (e.g. a timed-out max-flow) makes the point infeasible.
+//
+// As in bandSolver, the objective and the parallel evaluation live in the caller:
+// `evaluate` maps a decision vector to a Promise of its metrics. No DOM or worker
+// knowledge here.
+
+/**
+ * Does `a` constrained-dominate `b`? Both carry `obj` (all minimized) and `violation`.
+ * @returns {boolean}
+ */
+export function dominates(a, b) {
+  if (a.violation !== b.violation) return a.violation < b.violation;
+  let better = false;
+  for (let i = 0; i < a.obj.length; i++) {
+    if (a.obj[i] > b.obj[i]) return false;
+    if (a.obj[i] < b.obj[i]) better = true;
+  }
+  return better;
+}
+
+/**
+ * Fast non-dominated sort. Sets `rank` on every point.
+ * @param {Array<{obj:number[], violation:number}>} pts
+ * @returns {number[][]} fronts, each a list of indices into pts (front 0 = non-dominated)
+ */
+export function nonDominatedSort(pts) {
+  const dominatedBy = pts.map(() => []); // i → indices i dominates
+  const count = new Int32Array(pts.length); // how many dominate i
+  const fronts = [[]];
+  for (let i = 0; i < pts.length; i++) {
+    for (let j = i + 1; j < pts.length; j++) {
+      if (dominates(pts[i], pts[j])) { dominatedBy[i].push(j); count[j]++; }
+      else if (dominates(pts[j], pts[i])) { dominatedBy[j].push(i); count[i]++; }
+    }
+  }
+  for (let i = 0; i < pts.length; i++) if (count[i] === 0) { pts[i].rank = 0; fronts[0].push(i); }
+  for (let f = 0; fronts[f].length; f++) {
+    const next = [];
+    for (const i of fronts[f]) {
+      for (const j of dominatedBy[i]) {
+        if (--count[j] === 0) { pts[j].rank = f + 1; next.push(j); }
+      }
+    }
+    fronts.push(next);
+  }
+  fronts.pop(); // the trailing empty front
+  return fronts;
+}
+
+/** Set `crowding` on the points of one front: the normalized perimeter of the box to
+ *  each point's neighbours, per objective. Boundary points get Infinity (always kept). */
+function assignCrowding(pts, front) {
+  for (const i of front) pts[i].crowding = 0;
+  if (!front.length) return;
+  const m = pts[front[0]].obj.length;
+  for (let k = 0; k < m; k++) {
+    const sorted = front.slice().sort((a, b) => pts[a].obj[k] - pts[b].obj[k]);
+    const lo = pts[sorted[0]].obj[k], hi = pts[sorted[sorted.length - 1]].obj[k];
+    pts[sorted[0]].crowding = pts[sorted[sorted.length - 1]].crowding = Infinity;
+    const range = hi - lo;
+    if (!(range > 0) || !isFinite(range)) continue;
+    for (let s = 1; s < sorted.length - 1; s++) {
+      pts[sorted[s]].crowding += (pts[sorted[s + 1]].obj[k] - pts[sorted[s - 1]].obj[k]) / range;
+    }
+  }
+}
+
+/** Crowded-comparison operator: lower rank wins, then the less crowded point. */
+function crowdedBetter(a, b) {
+  return a.rank !== b.rank ? a.rank < b.rank : a.crowding > b.crowding;
+}
+
+function clampGene(x, { min, max, integer }) {
+  const v = Math.min(max, Math.max(min, isFinite(x) ? x : (min + max) / 2));
+  return integer ? Math.round(v) : v;
+}
+
+function randomVector(bounds) {
+  return bounds.map((b) => clampGene(b.min + Math.random() * (b.max - b.min), b));
+}
+
+/** Simulated binary crossover (SBX) of two parents; returns two children. */
+function sbx(p1, p2, bounds, etaC, crossoverProb) {
+  const c1 = p1.slice(), c2 = p2.slice();
+  if (Math.random() >= crossoverProb) return [c1, c2];
+  for (let i = 0; i < bounds.length; i++) {
+    if (Math.random() >= 0.5 || Math.abs(p1[i] - p2[i]) < 1e-12) continue;
+    const u = Math.random();
+    const beta = u <= 0.5 ? Math.pow(2 * u, 1 / (etaC + 1)) : Math.pow(1 / (2 * (1 - u)), 1 / (etaC + 1));
+    const mid = (p1[i] + p2[i]) / 2, half = Math.abs(p1[i] - p2[i]) / 2;
+    c1[i] = clampGene(mid - beta * half, bounds[i]);
+    c2[i] = clampGene(mid + beta * half, bounds[i]);
+  }
+  return [c1, c2];
+}
+
+/** Polynomial mutation, each gene with probability 1/n. */
+function mutate(v, bounds, etaM) {
+  const out = v.slice();
+  const p = 1 / Math.max(1, bounds.length);
+  for (let i = 0; i < bounds.length; i++) {
+    if (Math.random() >= p) continue;
+    const { min, max } = bounds[i];
+    const u = Math.random();
+    const delta = u < 0.5 ? Math.pow(2 * u, 1 / (etaM + 1)) - 1 : 1 - Math.pow(2 * (1 - u), 1 / (etaM + 1));
+    // Integer genes need at least a ±1 step or the mutation rounds away.
+    const step = delta * (max - min);
+    out[i] = clampGene(out[i] + (bounds[i].integer && Math.abs(step) < 1 ? Math.sign(delta || 1) : step), bounds[i]);
+  }
+  return out;
+}
+
+/**
+ * Search the Pareto front of `objectives` over a bounded decision vector.
+ *
+ * @param {object}   o
+ * @param {number[]} o.initialVector  seed (the current configuration); evaluated first
+ * @param {Array<{min:number, max:number, integer?:boolean}>} o.bounds  one per gene
+ * @param {Array<{key:string, sense:"min"|"max"}>} o.objectives  metric keys to optimize
+ * @param {(v:number[])=>Promise<object>} o.evaluate  metrics for a vector: every
+ *   objective key, plus an optional `violation` (> 0 = infeasible)
+ * @param {number} [o.populationSize=16]  rounded up to even
+ * @param {number} [o.generations=8]
+ * @param {number} [o.crossoverProb=0.9]
+ * @param {number} [o.etaC=15]  SBX distribution index (higher = children nearer parents)
+ * @param {number} [o.etaM=20]  mutation distribution index
+ * @param {(s:object)=>void} [o.onProgress] after the initial population and every
+ *   generation: { generation, generations, evals, front }
+ * @param {(vs:number[][])=>void} [o.onBatch] each batch of vectors about to be evaluated
+ * @param {()=>boolean} [o.shouldStop]
+ * @returns {Promise<{front: Array<{vector:number[], metrics:object}>, evals:number, generations:number}>}
+ *   `front` = the feasible non-dominated set of EVERY evaluated point, not just the
+ *   last population (the final population can lose a front point to crowding).
+ */
+export async function solveParetoFront({
+  initialVector,
+  bounds,
+  objectives,
+  evaluate,
+  populationSize = 16,
+  generations = 8,
+  crossoverProb = 0.9,
+  etaC = 15,
+  etaM = 20,
+  onProgress = () => {},
+  onBatch = () => {},
+  shouldStop = () => false,
+}) {
+  const N = Math.max(4, Math.ceil(populationSize / 2) * 2);
+  let evals = 0;
+  const archive = []; // every evaluated point
+
+  const toPoint = (vector, metrics) => {
+    const obj = objectives.map(({ key, sense }) => {
+      const v = metrics ? metrics[key] : NaN;
+      return sense === "max" ? -v : v;
+    });
+    let violation = Math.max(0, (metrics && metrics.violation) || 0);
+    if (!metrics || obj.some((v) => !isFinite(v))) violation = Infinity;
+    return { vector, metrics: metrics || {}, obj, violation, rank: 0, crowding: 0 };
+  };
+  const evalBatch = async (vectors) => {
+    onBatch(vectors);
+    const ms = await Promise.all(vectors.map((v) => evaluate(v).catch(() => null)));
+    evals += vectors.length;
+    const pts = vectors.map((v, i) => toPoint(v, ms[i]));
+    archive.push(...pts);
+    return pts;
+  };
+  const currentFront = () => {
+    const feasible = archive.filter((p) => p.violation === 0);
+    const pts = feasible.map((p) => ({ ...p }));
+    if (!pts.length) return [];
+    const [first] = nonDominatedSort(pts);
+    // Identical vectors (integer genes, clamped genes) can be evaluated twice.
+    const seen = new Set();
+    const out = [];
+    for (const i of first) {
+      const sig = pts[i].vector.map((x) => x.toFixed(4)).join(",");
+      if (seen.has(sig)) continue;
+      seen.add(sig);
+      out.push({ vector: pts[i].vector.slice(), metrics: pts[i].metrics });
+    }
+    return out;
+  };
+
+  // Initial population: the seed plus uniform random vectors.
+  const seed = initialVector.map((x, i) => clampGene(x, bounds[i]));
+  const init = [seed];
+  while (init.length < N) init.push(randomVector(bounds));
+  let pop = await evalBatch(init);
+  for (const front of nonDominatedSort(pop)) assignCrowding(pop, front);
+  onProgress({ generation: 0, generations, evals, front: currentFront() });
+
+  let gen = 0;
+  while (gen < generations && !shouldStop()) {
+    // Binary tournament on the crowded-comparison operator.
+    const pick = () => {
+      const a = pop[(Math.random() * pop.length) | 0], b = pop[(Math.random() * pop.length) | 0];
+      return crowdedBetter(a, b) ? a : b;
+    };
+    const children = [];
+    while (children.length < N) {
+      const [c1, c2] = sbx(pick().vector, pick().vector, bounds, etaC, crossoverProb);
+      children.push(mutate(c1, bounds, etaM), mutate(c2, bounds, etaM));
+    }
+    const offspring = await evalBatch(children);
+    gen++;
+
+    // Elitist survival: best N of parents + offspring by rank, then crowding.
+    const merged = pop.concat(offspring);
+    const next = [];
+    for (const front of nonDominatedSort(merged)) {
+      assignCrowding(merged, front);
+      if (next.length + front.length <= N) { for (const i of front) next.push(merged[i]); continue; }
+      front.sort((a, b) => merged[b].crowding - merged[a].crowding);
+      for (const i of front.slice(0, N - next.length)) next.push(merged[i]);
+      break;
+    }
+    pop = next;
+    onProgress({ generation: gen, generations, evals, front: currentFront() });
+  }
+
+  return { front: currentFront(), evals, generations: gen };
+}
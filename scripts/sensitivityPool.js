@@ -6,6 +6,8 @@
 // message and posts back "scenario-result". The pool throttles to one in-flight job
 // per worker and drains a queue as workers free up.
 
+import { shareEphemeris } from "./simEphemeris.js?v=4.42";
+
 export class SensitivityPool {
   /**
    * @param {number} [size] worker count; defaults to ~half the logical cores
@@ -45,6 +47,7 @@ export class SensitivityPool {
       const slot = { worker, busy: false };
       worker.onmessage = (e) => this._onMessage(slot, e.data);
       worker.onerror = (e) => this._onWorkerError(slot, e);
+      shareEphemeris(worker); // the main thread's planet table, ahead of any job
       this.workers.push(slot);
     }
   }
@@ -0,0 +1,120 @@
+// simCheckpoint.js — IndexedDB checkpoints for long runs (sensitivity sweeps and the
+// band optimizer inside them), so a tab reload or crash doesn't lose hours of work.
+//
+// Two object stores:
+//   runs    { id, kind, createdAt, updatedAt, total, completed, ...caller state }
+//           one per run; whatever the caller needs to rebuild the run on resume.
+//   records { runId, key, value, ts }
+//           one per finished unit of work (a sweep scenario) or per in-progress
+//           solver state, keyed by the caller's stable key ("<tech>|<rings>|…").
+//
+// A run's records are dropped with it (deleteRun) once it completes. Every call
+// resolves to null/[] instead of throwing when IndexedDB is unavailable (private
+// browsing, Node): checkpointing is best-effort and never blocks a run.
+
+const DB_NAME = "marslink-checkpoints";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains("runs")) db.createObjectStore("runs", { keyPath: "id" });
+        if (!db.objectStoreNames.contains("records")) {
+          db.createObjectStore("records", { keyPath: ["runId", "key"] }).createIndex("runId", "runId");
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { console.warn("[Checkpoint] IndexedDB unavailable:", req.error?.message); resolve(null); };
+    });
+  }
+  return dbPromise;
+}
+
+/** Run `fn(store…)` in one transaction over `stores`; resolves with fn's request result. */
+async function tx(stores, mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  return new Promise((resolve) => {
+    let result = null;
+    try {
+      const t = db.transaction(stores, mode);
+      const req = fn(...stores.map((s) => t.objectStore(s)));
+      if (req) req.onsuccess = () => { result = req.result; };
+      t.oncomplete = () => resolve(result);
+      t.onerror = t.onabort = () => { console.warn("[Checkpoint] transaction failed:", t.error?.message); resolve(null); };
+    } catch (err) {
+      console.warn("[Checkpoint] transaction failed:", err.message);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Create or update a run record (merged over the stored one).
+ * @param {{ id: string, kind: string }} run
+ */
+export async function saveRun(run) {
+  const prev = await getRun(run.id);
+  const now = new Date().toISOString();
+  const next = { createdAt: now, ...prev, ...run, updatedAt: now };
+  await tx(["runs"], "readwrite", (runs) => runs.put(next));
+  return next;
+}
+
+/** @returns {Promise<Object|null>} */
+export function getRun(id) {
+  return tx(["runs"], "readonly", (runs) => runs.get(id)).then((r) => r || null);
+}
+
+/**
+ * The most recently updated run of `kind`, or null.
+ * @param {string} kind
+ */
+export async function latestRun(kind) {
+  const all = (await tx(["runs"], "readonly", (runs) => runs.getAll())) || [];
+  return all.filter((r) => r.kind === kind).sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1))[0] || null;
+}
+
+/** Delete a run and all of its records. */
+export function deleteRun(id) {
+  return tx(["runs", "records"], "readwrite", (runs, records) => {
+    runs.delete(id);
+    records.delete(IDBKeyRange.bound([id], [id, []]));
+  });
+}
+
+/**
+ * Store (or overwrite) one record of a run.
+ * @param {string} runId
+ * @param {string} key
+ * @param {*} value - Must be structured-cloneable.
+ */
+export function putRecord(runId, key, value) {
+  return tx(["records"], "readwrite", (records) => records.put({ runId, key, value, ts: new Date().toISOString() }));
+}
+
+/** @returns {Promise<*>} The record's value, or null. */
+export function getRecord(runId, key) {
+  return tx(["records"], "readonly", (records) => records.get([runId, key])).then((r) => (r ? r.value : null));
+}
+
+/** @returns {Promise<void>} */
+export function deleteRecord(runId, key) {
+  return tx(["records"], "readwrite", (records) => records.delete([runId, key]));
+}
+
+/**
+ * Every record of a run as a Map key → value.
+ * @param {string} runId
+ * @returns {Promise<Map<string, *>>}
+ */
+export async function getRecords(runId) {
+  const rows = (await tx(["records"], "readonly", (records) => records.index("runId").getAll(runId))) || [];
+  return new Map(rows.map((r) => [r.key, r.value]));
+}
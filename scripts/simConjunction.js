@@ -0,0 +1,117 @@
+// simConjunction.js — Earth–Mars solar conjunction geometry and outage windows.
+//
+// Conjunction is the mirror image of opposition: Earth and Mars on opposite sides of
+// the Sun (heliocentric longitudes 180° apart), the Sun–Earth–Mars angle near zero, and
+// the direct line of sight through the solar exclusion cone. Opposition recurs near
+// EARTH_MARS_CLOSEST_APPROACH_DEG; conjunction dates are found here by root-finding the
+// same heliocentric-longitude phasing, shifted by 180°. Planet positions come from the
+// active ephemeris table where it covers the date (simEphemeris.helioPosition).
+
+import { helioPosition } from "./simEphemeris.js?v=4.42";
+
+const MS_PER_DAY = 86400000;
+const DEG = Math.PI / 180;
+
+/** Wrap an angle (deg) to the signed range (-180, 180]. */
+function wrap180(deg) {
+  return ((deg % 360) + 540) % 360 - 180;
+}
+
+function helioLongitudeDeg(ele, date) {
+  const p = helioPosition(ele, date);
+  return Math.atan2(p.y, p.x) / DEG;
+}
+
+/** Signed phasing error from conjunction (deg): 0 when the longitudes differ by 180°. */
+function conjunctionErrorDeg(earthEle, marsEle, date) {
+  return wrap180(helioLongitudeDeg(marsEle, date) - helioLongitudeDeg(earthEle, date) - 180);
+}
+
+/**
+ * Conjunction dates in [from, to]. Earth laps Mars, so the phasing error falls through
+ * zero at each conjunction: coarse scan for a + → − sign change (skipping the ±180°
+ * wrap, which is opposition), then bisection to ~1 minute.
+ *
+ * @param {Object} earthEle - Earth orbital elements (SimSolarSystem planet entry).
+ * @param {Object} marsEle - Mars orbital elements.
+ * @param {Date} from
+ * @param {Date} to
+ * @param {number} [coarseStepDays=5]
+ * @returns {Date[]}
+ */
+export function findConjunctions(earthEle, marsEle, from, to, coarseStepDays = 5) {
+  const out = [];
+  const end = to.getTime();
+  let tA = from.getTime();
+  let fA = conjunctionErrorDeg(earthEle, marsEle, new Date(tA));
+  while (tA < end) {
+    const tB = Math.min(end, tA + coarseStepDays * MS_PER_DAY);
+    const fB = conjunctionErrorDeg(earthEle, marsEle, new Date(tB));
+    if (fA > 0 && fB <= 0 && fA - fB < 90) {
+      let lo = tA, hi = tB;
+      while (hi - lo > 60000) {
+        const mid = (lo + hi) / 2;
+        if (conjunctionErrorDeg(earthEle, marsEle, new Date(mid)) > 0) lo = mid;
+        else hi = mid;
+      }
+      out.push(new Date(Math.round((lo + hi) / 2)));
+    }
+    tA = tB;
+    fA = fB;
+  }
+  return out;
+}
+
+/**
+ * Sun–Earth–Mars angle (deg): the angle at Earth between the Sun and Mars — Mars's
+ * solar elongation as seen from Earth, ~0° at conjunction.
+ *
+ * @param {{x:number,y:number,z:number}} earthPos - Heliocentric, AU.
+ * @param {{x:number,y:number,z:number}} marsPos
+ * @returns {number}
+ */
+export function sunEarthMarsAngleDeg(earthPos, marsPos) {
+  const sx = -earthPos.x, sy = -earthPos.y, sz = -earthPos.z;
+  const mx = marsPos.x - earthPos.x, my = marsPos.y - earthPos.y, mz = marsPos.z - earthPos.z;
+  const dot = sx * mx + sy * my + sz * mz;
+  const norm = Math.sqrt(sx * sx + sy * sy + sz * sz) * Math.sqrt(mx * mx + my * my + mz * mz);
+  return norm > 0 ? Math.acos(Math.min(1, Math.max(-1, dot / norm))) / DEG : 0;
+}
+
+/**
+ * The blackout around a conjunction: the contiguous run of scan rows at or below
+ * `thresholdGbps` that contains the conjunction (or, when the conjunction row itself
+ * is above threshold, nothing). Rows must be sorted by dayOffset with a uniform step.
+ *
+ * @param {Array<{dayOffset:number, semAngleDeg:number, flowGbps:number|null}>} rows
+ * @param {number} thresholdGbps - A row is "out" when its flow is ≤ this. Null flows
+ *   (solver timeout) are treated as unknown and end the run.
+ * @param {number} stepDays
+ * @returns {{ blackoutDays: number, startOffsetDays: number|null, endOffsetDays: number|null,
+ *             startSemAngleDeg: number|null, endSemAngleDeg: number|null, minFlowGbps: number|null,
+ *             truncated: boolean }}
+ */
+export function blackoutWindow(rows, thresholdGbps, stepDays) {
+  const flows = rows.map((r) => r.flowGbps).filter((v) => v != null);
+  const minFlowGbps = flows.length ? Math.min(...flows) : null;
+  const none = { blackoutDays: 0, startOffsetDays: null, endOffsetDays: null, startSemAngleDeg: null, endSemAngleDeg: null, minFlowGbps, truncated: false };
+  if (!rows.length) return none;
+
+  let centre = 0;
+  for (let i = 1; i < rows.length; i++) if (Math.abs(rows[i].dayOffset) < Math.abs(rows[centre].dayOffset)) centre = i;
+  const out = (r) => r.flowGbps != null && r.flowGbps <= thresholdGbps;
+  if (!out(rows[centre])) return none;
+
+  let first = centre, last = centre;
+  while (first > 0 && out(rows[first - 1])) first--;
+  while (last < rows.length - 1 && out(rows[last + 1])) last++;
+  return {
+    blackoutDays: rows[last].dayOffset - rows[first].dayOffset + stepDays,
+    startOffsetDays: rows[first].dayOffset,
+    endOffsetDays: rows[last].dayOffset,
+    startSemAngleDeg: rows[first].semAngleDeg,
+    endSemAngleDeg: rows[last].semAngleDeg,
+    minFlowGbps,
+    truncated: first === 0 || last === rows.length - 1,
+  };
+}
@@ -12,6 +12,7 @@ export const SIM_CONSTANTS = {
   DEFAULT_BASE_DISTANCE_KM: 3000, // Default base distance for link calculations in km
   DEFAULT_BASE_GBPS: 100, // Default base throughput in Gbps
   DEFAULT_MAX_DISTANCE_AU: 0.5, // Default maximum link range in AU
+  PLANCK_J_S: 6.62607015e-34, // Planck constant in J·s (photon energy for the physical link model)
 
   // Sun physical constants
   SUN_RADIUS_KM: 696350, // Solar radius in km
@@ -0,0 +1,144 @@
+// simCosts.js — Constellation cost roll-up (launch, propellant, hardware, thermal).
+//
+// Pure logic, no DOM: shared by SimMain (live right-panel costs) and the headless
+// runner, so the browser and Node report identical numbers for the same result trees.
+
+/**
+ * Cost parameters read from the "economics" + "satellite" slider groups, in the shape
+ * calculateCosts expects on its context ($M per unit, as the sliders store them).
+ *
+ * @param {Object} uiConfig - { "section.slider": value } (getGroupsConfig output).
+ * @returns {Object}
+ */
+export function costConfigFromUi(uiConfig) {
+  return {
+    costPerLaunch: uiConfig["economics.launch-cost-slider"],
+    costPerSatellite: uiConfig["economics.satellite-cost-slider"],
+    costPerLaserTerminal: uiConfig["economics.laser-terminal-cost-slider"],
+    wrightsLawFactor: (uiConfig["economics.wrights-law-factor"] || 100) / 100,
+    propellantCostsPerKg: {
+      "CH4/O2": uiConfig["economics.fuel-cost-ch4o2"],
+      Argon: uiConfig["economics.fuel-cost-argon"],
+    },
+    solarCostPerKw: uiConfig["economics.solar-cost-per-kw"], // $M per kW (at Earth aphelion; scaled by apoapsis²)
+    radiatorCostPerKw: uiConfig["economics.radiator-cost-per-kw"], // $M per kW (at Earth aphelion; scaled by 1/perihelion²)
+    satellitePowerKw: uiConfig["satellite.satellite-power-kw"],
+  };
+}
+
+/**
+ * Totals the per-orbit result trees (SimMissionValidator output) into the cost summary
+ * shown on the Costs card.
+ *
+ * @param {number} maxFlowGbps - Delivered Earth→Mars capacity; 0/null leaves costPerMbps at Infinity.
+ * @param {Array} resultTrees - SimMissionValidator result trees, one per orbit.
+ * @param {Object} ctx - Cost parameters (see costConfigFromUi) plus the simLinkBudget
+ *                       (per-ring terminal counts) and simSatellites (ring apsides).
+ * @returns {Object}
+ */
+export function calculateCosts(maxFlowGbps, resultTrees, ctx) {
+  let totalSatellitesCount = 0;
+  let totalLaunchCount = 0;
+  let totalLaunchCost = 0;
+  let totalPropellantCost = 0;
+  let totalSatellitesCost = 0;
+  let totalLaserTerminalsCost = 0;
+  let propellantCostBreakdown = {};
+  let propellantMassBreakdown = {};
+
+  let totalDeploymentFlights = 0;
+  let totalTankerFlights = 0;
+  let totalLaserCount = 0;
+
+  for (const orbit of resultTrees) {
+    totalSatellitesCount += orbit.satCount || 0;
+    totalLaserCount += (orbit.satCount || 0) * (ctx.simLinkBudget.getMaxLinksPerRing(orbit.ringName) || 0);
+    const flights = orbit.deploymentFlights_count || 0;
+    const tankersPerFlight = orbit.vehicles ? Object.keys(orbit.vehicles).filter((k) => k.startsWith("Tanker")).length : 0;
+    totalDeploymentFlights += flights;
+    totalTankerFlights += flights * tankersPerFlight;
+    totalLaunchCount += flights * (1 + tankersPerFlight);
+    totalLaunchCost += orbit.launchCost;
+    totalPropellantCost += orbit.propellantCost;
+    totalSatellitesCost += orbit.satellitesCost;
+    totalLaserTerminalsCost += orbit.laserTerminalsCost;
+    if (orbit.propellantCostBreakdown) {
+      for (const [type, cost] of Object.entries(orbit.propellantCostBreakdown)) {
+        if (!propellantCostBreakdown[type]) propellantCostBreakdown[type] = 0;
+        propellantCostBreakdown[type] += cost;
+      }
+    }
+    // Accumulate propellant mass per type
+    if (orbit.vehicles) {
+      for (const vehicle of Object.values(orbit.vehicles)) {
+        const pType = vehicle.propellantType;
+        if (!pType) continue;
+        const massKg =
+          ((vehicle.count ? vehicle.count * vehicle.propellantLoaded_kg : vehicle.propellantLoaded_kg) +
+          (vehicle.count ? vehicle.count * (vehicle.tankerPropellant_kg || 0) : (vehicle.tankerPropellant_kg || 0)))
+          * (orbit.deploymentFlights_count || 1);
+        if (!propellantMassBreakdown[pType]) propellantMassBreakdown[pType] = 0;
+        propellantMassBreakdown[pType] += massKg;
+      }
+    }
+  }
+
+  // Thermal hardware, distance-scaled and launch-independent (apples-to-apples across orbit
+  // families). Solar array is sized for the LOWEST flux (aphelion) → cost ∝ apoapsis²; the
+  // radiator is sized for the HIGHEST flux (perihelion) → cost ∝ 1/perihelion². Both are
+  // normalized to Earth's aphelion (matching solarPanelMassKg). An eccentric ring pays BOTH
+  // extremes at once (big array AND big radiator); a concentric ring, at a single radius, pays
+  // only one — so this charges the eccentric dual-thermal premium as hardware, not via launch.
+  const els = (ctx.simSatellites && ctx.simSatellites.getOrbitalElements && ctx.simSatellites.getOrbitalElements()) || [];
+  const earthApo = (ctx.simSatellites && ctx.simSatellites.apsidesEarth && ctx.simSatellites.apsidesEarth.apoapsis) || 1;
+  const apsisByRing = {};
+  for (const el of els) {
+    if (!el || !el.ringName || !el.apsides) continue;
+    const apoPct = el.apsides.apo_pctEarth > 0 ? el.apsides.apo_pctEarth : 1;
+    const periPct = el.apsides.periapsis > 0 ? el.apsides.periapsis / earthApo : apoPct;
+    apsisByRing[el.ringName] = { apoPct, periPct: Math.max(0.1, periPct) };
+  }
+  const powerKw = ctx.satellitePowerKw || 0;
+  const solarPerKw = (ctx.solarCostPerKw || 0) * 1_000_000;
+  const radPerKw = (ctx.radiatorCostPerKw || 0) * 1_000_000;
+  let totalSolarCost = 0;
+  let totalRadiatorCost = 0;
+  for (const orbit of resultTrees) {
+    const n = orbit.satCount || 0;
+    const ap = apsisByRing[orbit.ringName] || { apoPct: 1, periPct: 1 };
+    totalSolarCost += n * powerKw * solarPerKw * ap.apoPct * ap.apoPct; // array ∝ apoapsis²
+    totalRadiatorCost += (n * powerKw * radPerKw) / (ap.periPct * ap.periPct); // radiator ∝ 1/perihelion²
+  }
+
+  const totalCosts = totalLaunchCost + totalPropellantCost + totalSatellitesCost + totalLaserTerminalsCost + totalSolarCost + totalRadiatorCost;
+
+  // Wright's law savings: difference between no-learning cost (c1 * n) and actual
+  const noLearningLaunch = (ctx.costPerLaunch || 0) * 1_000_000 * totalLaunchCount;
+  const noLearningSat = (ctx.costPerSatellite || 0) * 1_000_000 * totalSatellitesCount;
+  const noLearningLaser = (ctx.costPerLaserTerminal || 0) * 1_000_000 * totalLaserCount;
+  const noLearningTotal = noLearningLaunch + noLearningSat + noLearningLaser + totalPropellantCost + totalSolarCost + totalRadiatorCost;
+  const wrightSavings = noLearningTotal - totalCosts;
+
+  let costPerMbps = Infinity;
+  if (maxFlowGbps) costPerMbps = Math.round(totalCosts / (maxFlowGbps * 1000));
+
+  return {
+    satellitesCount: totalSatellitesCount,
+    launchCount: totalLaunchCount,
+    deploymentFlights: totalDeploymentFlights,
+    tankerFlights: totalTankerFlights,
+    laserCount: totalLaserCount,
+    launchCost: totalLaunchCost,
+    propellantCost: totalPropellantCost,
+    satellitesCost: totalSatellitesCost,
+    laserTerminalsCost: totalLaserTerminalsCost,
+    solarCost: totalSolarCost,
+    radiatorCost: totalRadiatorCost,
+    totalCosts,
+    costPerMbps,
+    propellantCostBreakdown,
+    propellantMassBreakdown,
+    wrightSavings,
+    noLearningTotal,
+  };
+}
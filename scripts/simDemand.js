@@ -0,0 +1,207 @@
+// simDemand.js — Scheduled traffic demand served over the per-date network capacity.
+//
+// Max-flow answers "how much could we move"; this answers "what happens to the
+// traffic we actually have". A demand profile gives a streaming rate per direction
+// over time plus bulk transfers (volume, release, deadline). The per-date Earth↔Mars
+// capacity is split between the directions by the Mars→Earth downlink share, held
+// constant over each sampling step, and each direction serves its pending traffic
+// earliest-deadline-first (a stream's slice of a step is due at the end of that step).
+// Traffic that can't be served stays queued (store-and-forward backlog) and is
+// delivered late rather than dropped.
+//
+// Profile JSON:
+//   {
+//     "earthToMarsGbps": 0.5 | [{ "date": "2030-01-01", "gbps": 0.2 }, ...],
+//     "marsToEarthGbps": 1.0 | [...],
+//     "downlinkShare": 0.6,            // share of capacity for Mars→Earth (default 0.5)
+//     "transfers": [{ "id": "survey", "direction": "mars-to-earth", "volumeTB": 40,
+//                     "release": "2030-02-01", "deadline": "2030-03-01" }, ...]
+//   }
+// Rate arrays are interpolated linearly between dates and held flat past either end.
+
+const GBIT_PER_TB = 8000;
+const SEC_PER_DAY = 86400;
+export const DEMAND_DIRECTIONS = ["earth-to-mars", "mars-to-earth"];
+
+function parseRate(value, key) {
+  if (value == null) return [];
+  if (typeof value === "number") {
+    if (!(value >= 0)) throw new Error(`${key} must be ≥ 0`);
+    return [{ t: -Infinity, gbps: value }];
+  }
+  if (!Array.isArray(value)) throw new Error(`${key} must be a number or an array of { date, gbps }`);
+  return value
+    .map((p, i) => {
+      const t = new Date(p?.date).getTime();
+      if (isNaN(t) || !(p.gbps >= 0)) throw new Error(`${key}[${i}] needs a valid date and gbps ≥ 0`);
+      return { t, gbps: p.gbps };
+    })
+    .sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Validate a demand profile and convert it to the internal form (ms timestamps, Gbit).
+ *
+ * @param {Object} json
+ * @returns {{ rates: Object, downlinkShare: number, transfers: Array }}
+ */
+export function normalizeDemand(json) {
+  if (!json || typeof json !== "object") throw new Error("Demand profile must be a JSON object");
+  const downlinkShare = json.downlinkShare ?? 0.5;
+  if (!(downlinkShare >= 0 && downlinkShare <= 1)) throw new Error("downlinkShare must be between 0 and 1");
+  const transfers = (json.transfers || []).map((tr, i) => {
+    const id = tr.id ?? `transfer-${i + 1}`;
+    if (!DEMAND_DIRECTIONS.includes(tr.direction)) throw new Error(`Transfer ${id}: direction must be one of ${DEMAND_DIRECTIONS.join(", ")}`);
+    const release = new Date(tr.release).getTime();
+    const deadline = new Date(tr.deadline).getTime();
+    if (isNaN(release) || isNaN(deadline) || deadline < release) throw new Error(`Transfer ${id}: needs release ≤ deadline`);
+    if (!(tr.volumeTB > 0)) throw new Error(`Transfer ${id}: volumeTB must be > 0`);
+    return { id, direction: tr.direction, volumeGbit: tr.volumeTB * GBIT_PER_TB, release, deadline };
+  });
+  return {
+    rates: {
+      "earth-to-mars": parseRate(json.earthToMarsGbps, "earthToMarsGbps"),
+      "mars-to-earth": parseRate(json.marsToEarthGbps, "marsToEarthGbps"),
+    },
+    downlinkShare,
+    transfers,
+  };
+}
+
+/** Streaming demand (Gbps) of a parsed rate profile at time t (ms). */
+export function rateAt(points, t) {
+  if (!points.length) return 0;
+  if (t <= points[0].t) return points[0].gbps;
+  const last = points[points.length - 1];
+  if (t >= last.t) return last.gbps;
+  let i = 1;
+  while (points[i].t < t) i++;
+  const a = points[i - 1], b = points[i];
+  return a.gbps + ((b.gbps - a.gbps) * (t - a.t)) / (b.t - a.t);
+}
+
+/**
+ * Serve a demand profile over sampled capacity.
+ *
+ * @param {Array<{ simDate: string, capacityGbps: number|null }>} samples - Sorted, one per
+ *   step; a null capacity (solver timeout) counts as 0 for that step.
+ * @param {Object} demand - normalizeDemand output.
+ * @param {number} stepDays - Each sample holds for [simDate, simDate + stepDays).
+ * @returns {{ rows: Array, directions: Object, transfers: Array, missedDeadlines: number }}
+ *   Volumes in TB, rates in Gbps.
+ */
+export function simulateDemand(samples, demand, stepDays) {
+  const stepMs = stepDays * SEC_PER_DAY * 1000;
+  const stepSec = stepDays * SEC_PER_DAY;
+  const share = { "mars-to-earth": demand.downlinkShare, "earth-to-mars": 1 - demand.downlinkShare };
+  const transfers = demand.transfers.map((tr) => ({ ...tr, remaining: tr.volumeGbit, completedAt: null, queued: false }));
+  // Per direction: queued stream slices { due, remaining } and running totals (Gbit).
+  const state = {};
+  for (const dir of DEMAND_DIRECTIONS) state[dir] = { queue: [], demanded: 0, delivered: 0, streamDemanded: 0 };
+
+  const rows = samples.map((sample) => {
+    const t0 = new Date(sample.simDate).getTime();
+    const t1 = t0 + stepMs;
+    const capacityGbps = sample.capacityGbps || 0;
+    const row = { simDate: sample.simDate, capacityGbps };
+    for (const dir of DEMAND_DIRECTIONS) {
+      const st = state[dir];
+      // Stream demand for this step: average of the rate at both ends.
+      const streamGbit = ((rateAt(demand.rates[dir], t0) + rateAt(demand.rates[dir], t1)) / 2) * stepSec;
+      if (streamGbit > 0) st.queue.push({ due: t1, remaining: streamGbit });
+      st.demanded += streamGbit;
+      st.streamDemanded += streamGbit;
+      for (const tr of transfers) {
+        if (tr.direction !== dir || tr.queued || tr.release >= t1) continue;
+        tr.queued = true;
+        st.demanded += tr.volumeGbit;
+      }
+
+      // Earliest deadline first over stream slices + released, unfinished transfers.
+      const pending = [
+        ...st.queue,
+        ...transfers.filter((tr) => tr.direction === dir && tr.queued && tr.remaining > 0).map((tr) => ({ due: tr.deadline, remaining: tr.remaining, transfer: tr })),
+      ].sort((a, b) => a.due - b.due);
+      const capGbit = capacityGbps * share[dir] * stepSec;
+      let budget = capGbit;
+      for (const item of pending) {
+        if (budget <= 0) break;
+        const served = Math.min(budget, item.remaining);
+        budget -= served;
+        item.remaining -= served;
+        if (item.transfer) {
+          item.transfer.remaining = item.remaining;
+          // Interpolate the completion time within the step from the capacity used so far.
+          if (item.remaining <= 1e-9 && item.transfer.completedAt == null) item.transfer.completedAt = t0 + ((capGbit - budget) / Math.max(capGbit, 1e-12)) * stepMs;
+        }
+      }
+      st.queue = st.queue.filter((q) => q.remaining > 1e-9);
+      const deliveredGbit = capGbit - budget;
+      st.delivered += deliveredGbit;
+      const backlogGbit = st.queue.reduce((s, q) => s + q.remaining, 0)
+        + transfers.filter((tr) => tr.direction === dir && tr.queued).reduce((s, tr) => s + tr.remaining, 0);
+      row[dir] = {
+        capacityGbps: capacityGbps * share[dir],
+        demandGbps: streamGbit / stepSec,
+        deliveredTB: deliveredGbit / GBIT_PER_TB,
+        backlogTB: backlogGbit / GBIT_PER_TB,
+        utilisation: capGbit > 0 ? deliveredGbit / capGbit : null,
+      };
+    }
+    return row;
+  });
+
+  const endMs = samples.length ? new Date(samples[samples.length - 1].simDate).getTime() + stepMs : 0;
+  const transferReport = transfers.map((tr) => {
+    const finished = tr.completedAt != null;
+    // Unfinished with its deadline past the range end: still pending, not (yet) missed.
+    const missed = finished ? tr.completedAt > tr.deadline : tr.deadline < endMs;
+    return {
+      id: tr.id,
+      direction: tr.direction,
+      volumeTB: tr.volumeGbit / GBIT_PER_TB,
+      deliveredTB: (tr.volumeGbit - tr.remaining) / GBIT_PER_TB,
+      release: new Date(tr.release).toISOString(),
+      deadline: new Date(tr.deadline).toISOString(),
+      completedAt: finished ? new Date(tr.completedAt).toISOString() : null,
+      missed,
+      pending: !finished && !missed,
+      lateDays: finished && tr.completedAt > tr.deadline ? (tr.completedAt - tr.deadline) / (SEC_PER_DAY * 1000) : null,
+    };
+  });
+
+  const last = rows[rows.length - 1];
+  const directions = {};
+  for (const dir of DEMAND_DIRECTIONS) {
+    directions[dir] = {
+      share: share[dir],
+      demandedTB: state[dir].demanded / GBIT_PER_TB,
+      streamDemandedTB: state[dir].streamDemanded / GBIT_PER_TB,
+      deliveredTB: state[dir].delivered / GBIT_PER_TB,
+      finalBacklogTB: last ? last[dir].backlogTB : 0,
+      peakBacklogTB: rows.reduce((m, r) => Math.max(m, r[dir].backlogTB), 0),
+    };
+  }
+  return { rows, directions, transfers: transferReport, missedDeadlines: transferReport.filter((t) => t.missed).length };
+}
+
+// simulateDemand row → CSV, one line per sampled date with both directions side by side.
+const DEMAND_ROW_FIELDS = [["capacityGbps", "capacity_gbps"], ["demandGbps", "demand_gbps"], ["deliveredTB", "delivered_tb"], ["backlogTB", "backlog_tb"], ["utilisation", "utilisation"]];
+
+/**
+ * @param {Array<Object>} rows - simulateDemand rows.
+ * @returns {string} CSV with a header line; nulls/non-finite numbers are empty cells.
+ */
+export function demandToCsv(rows) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const prefix = { "earth-to-mars": "e2m", "mars-to-earth": "m2e" };
+  const header = ["date", "capacity_gbps"];
+  for (const dir of DEMAND_DIRECTIONS) header.push(...DEMAND_ROW_FIELDS.map(([, h]) => `${prefix[dir]}_${h}`));
+  const lines = [header.join(",")];
+  for (const row of rows) {
+    const cells = [row.simDate, row.capacityGbps];
+    for (const dir of DEMAND_DIRECTIONS) cells.push(...DEMAND_ROW_FIELDS.map(([k]) => row[dir]?.[k]));
+    lines.push(cells.map(cell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -91,7 +91,9 @@ export class SimDisplay {
    * Creates an instance of SimDisplay (2D).
    *
    * @param {HTMLElement} container - The DOM element to which the canvas will be appended.
-   *                                   Defaults to document.body if not provided.
+   *                                   Defaults to document.body if not provided. The canvas
+   *                                   fills the window on document.body, otherwise the
+   *                                   container (e.g. the archive compare view).
    */
   constructor(container = document.body) {
     this.styles = {
@@ -108,10 +110,10 @@ export class SimDisplay {
     };
 
     // === Create Canvas for 2D rendering ===
+    this.container = container;
     this.canvas = document.createElement("canvas");
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
     container.appendChild(this.canvas);
+    this.onWindowResize();
 
     // Get 2D drawing context
     this.ctx = this.canvas.getContext("2d");
@@ -151,7 +153,8 @@ export class SimDisplay {
     this.touchDistance = 0; // tracks distance between 2 fingers
 
     // === Resize Listener ===
-    window.addEventListener("resize", this.onWindowResize.bind(this), false);
+    this.onWindowResize = this.onWindowResize.bind(this);
+    window.addEventListener("resize", this.onWindowResize, false);
 
     // --- NEW: Setup mouse / touch event listeners ---
     this.setupInteractionEvents();
@@ -162,6 +165,8 @@ export class SimDisplay {
   }
 
   dispose() {
+    this.disposed = true; // stops the animation loop
+    window.removeEventListener("resize", this.onWindowResize, false);
     if (this.canvas) {
       this.canvas.remove(); // Remove the 2D canvas
     }
@@ -485,8 +490,9 @@ export class SimDisplay {
    * Handles window resize events to adjust the canvas size.
    */
   onWindowResize() {
-    this.canvas.width = window.innerWidth;
-    this.canvas.height = window.innerHeight;
+    const fullWindow = this.container === document.body;
+    this.canvas.width = fullWindow ? window.innerWidth : this.container.clientWidth;
+    this.canvas.height = fullWindow ? window.innerHeight : this.container.clientHeight;
   }
 
   /**
@@ -502,6 +508,7 @@ export class SimDisplay {
    * The animation loop for continuously rendering the 2D scene.
    */
   animate() {
+    if (this.disposed) return;
     // Clear the canvas
     this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
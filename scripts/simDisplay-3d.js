@@ -128,6 +128,14 @@ export class SimDisplay {
     this._onWheel = this.onWheel.bind(this);
     this.renderer.domElement.addEventListener("wheel", this._onWheel, { passive: false });
 
+    // Link hover: the drawn link nearest the pointer gets a budget readout. SimMain
+    // sets linkInfoProvider (link → HTML); without it hovering does nothing.
+    this.linkInfoProvider = null;
+    this._onPointerMove = this.onPointerMove.bind(this);
+    this._onPointerLeave = () => this.hideLinkTip();
+    this.renderer.domElement.addEventListener("pointermove", this._onPointerMove);
+    this.renderer.domElement.addEventListener("pointerleave", this._onPointerLeave);
+
     // === Texture Loader ===
     this.textureLoader = new THREE.TextureLoader();
 
@@ -1177,6 +1185,77 @@ export class SimDisplay {
     this.controls.target.add(forward);
   }
 
+  /**
+   * Finds the drawn link nearest the pointer (within 6 px on screen) and shows the
+   * linkInfoProvider readout next to it. Skipped while a mouse button is down so
+   * orbiting stays smooth, and throttled to ~20 picks per second.
+   *
+   * @param {PointerEvent} event - The pointer event.
+   */
+  onPointerMove(event) {
+    if (!this.linkInfoProvider || event.buttons || this.linksColorsType === "None") {
+      this.hideLinkTip();
+      return;
+    }
+    const now = performance.now();
+    if (now - (this._lastPickMs || 0) < 50) return;
+    this._lastPickMs = now;
+
+    const rect = this.renderer.domElement.getBoundingClientRect();
+    const mx = event.clientX - rect.left, my = event.clientY - rect.top;
+    const v = this._pickVec || (this._pickVec = new THREE.Vector3());
+    const toScreen = (p) => {
+      v.set(p.x, p.y, p.z).project(this.camera);
+      if (v.z > 1) return null; // behind the camera
+      return { x: ((v.x + 1) / 2) * rect.width, y: ((1 - v.y) / 2) * rect.height };
+    };
+    const pPos = this.planetPositions || {}, sPos = this.satellitePositions || {};
+    let best = null, bestD2 = 6 * 6;
+    for (const link of this._validLinks || []) {
+      const from = pPos[link.fromId] || sPos[link.fromId];
+      const to = pPos[link.toId] || sPos[link.toId];
+      if (!from || !to) continue;
+      const a = toScreen(from);
+      if (!a) continue;
+      const b = toScreen(to);
+      if (!b) continue;
+      // Squared distance from the pointer to the projected segment.
+      const dx = b.x - a.x, dy = b.y - a.y;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.max(0, Math.min(1, ((mx - a.x) * dx + (my - a.y) * dy) / len2)) : 0;
+      const ex = a.x + t * dx - mx, ey = a.y + t * dy - my;
+      const d2 = ex * ex + ey * ey;
+      if (d2 < bestD2) { bestD2 = d2; best = link; }
+    }
+    if (!best) {
+      this.hideLinkTip();
+      return;
+    }
+    const html = this.linkInfoProvider(best);
+    if (!html) {
+      this.hideLinkTip();
+      return;
+    }
+    if (!this._linkTip) {
+      this._linkTip = document.createElement("div");
+      this._linkTip.className = "link-hover-tip";
+      Object.assign(this._linkTip.style, {
+        position: "fixed", pointerEvents: "none", zIndex: 20, maxWidth: "320px",
+        background: "#1a2030", color: "#b9c0d0", border: "1px solid rgba(255, 255, 255, 0.08)",
+        borderRadius: "6px", padding: "8px 10px", font: "12px/1.45 system-ui, sans-serif",
+      });
+      document.body.appendChild(this._linkTip);
+    }
+    this._linkTip.innerHTML = html;
+    this._linkTip.style.left = `${event.clientX + 14}px`;
+    this._linkTip.style.top = `${event.clientY + 14}px`;
+    this._linkTip.style.display = "block";
+  }
+
+  hideLinkTip() {
+    if (this._linkTip) this._linkTip.style.display = "none";
+  }
+
   /**
    * Sets the link-label mode (null | "latency" | "mbps") and notifies listeners
    * via a window-level CustomEvent so the UI can reflect the active state.
@@ -1220,6 +1299,11 @@ export class SimDisplay {
     if (this._onWheel && this.renderer) {
       this.renderer.domElement.removeEventListener("wheel", this._onWheel);
     }
+    if (this._onPointerMove && this.renderer) {
+      this.renderer.domElement.removeEventListener("pointermove", this._onPointerMove);
+      this.renderer.domElement.removeEventListener("pointerleave", this._onPointerLeave);
+    }
+    if (this._linkTip) this._linkTip.remove();
 
     // Dispose of OrbitControls
     if (this.controls) {
@@ -0,0 +1,340 @@
+// simEphemeris.js — Planet positions from a locally supplied ephemeris table.
+//
+// SimSolarSystem's analytic model (mean Keplerian elements at one epoch, helioCoords)
+// drifts by thousands of km from the real planets within years. A table exported from
+// JPL Horizons (or any SPICE-style tool) replaces it over the range it covers:
+//
+//   Horizons vector table  the raw text of a VECTORS request ($$SOE … $$EOE), CSV
+//                          or not, output units AU-D or KM-S; one body per file,
+//                          named by its "Target body name:" line.
+//   CSV                    header row with body, jd (or date), x, y, z [, vx, vy, vz];
+//                          "# units: km" switches positions to km and velocities to
+//                          km/s (default AU and AU/day, Horizons' two unit sets).
+//   JSON                   { units?, bodies: { Mars: { states: [[jd, x, y, z, vx?, vy?, vz?], …],
+//                          segments: [{ start, end, x: [c0…], y: […], z: […] }, …] } } }
+//                          segments are Chebyshev coefficients over [start, end] (JD),
+//                          f(t) = Σ c_k T_k(t) with t mapped onto [-1, 1] (c0 not halved).
+//
+// Positions are heliocentric, ecliptic J2000 (Horizons: center @10 / 500@10, reference
+// plane "ecliptic"), the frame the analytic elements are given in. Julian days are TDB;
+// dates are converted with a fixed TDB − UTC of 69.184 s (valid since the 2017 leap second).
+//
+// State tables interpolate with a cubic Hermite spline when the rows carry velocities,
+// otherwise with a 4-point Lagrange cubic. Outside a body's range (or for a body the
+// table lacks) every lookup returns null and the caller keeps the analytic position.
+//
+// The active table is module state: set it on the main thread with setActiveEphemeris
+// and hand it to each worker with shareEphemeris (simWorker applies "setEphemeris").
+
+import { SIM_CONSTANTS } from "./simConstants.js?v=4.42";
+import { helioCoords } from "./simOrbits.js?v=4.42";
+
+const TDB_MINUS_UTC_DAYS = 69.184 / 86400;
+const KM_S_TO_AU_DAY = 86400 / SIM_CONSTANTS.AU_IN_KM;
+
+let activeEphemeris = null;
+
+/** The table SimSolarSystem.updatePlanetsPositions reads, or null for the analytic model. */
+export function getActiveEphemeris() {
+  return activeEphemeris;
+}
+
+/** @param {Object|null} ephemeris - parseEphemeris / mergeEphemeris output, or null. */
+export function setActiveEphemeris(ephemeris) {
+  activeEphemeris = ephemeris || null;
+}
+
+/**
+ * Heliocentric position (AU) of a body with orbital elements at `date`: the active
+ * table where it covers that body and date, else the analytic helioCoords — the
+ * positions SimSolarSystem.updatePlanetsPositions uses.
+ * @param {Object} ele - Orbital elements with the body's name (SimSolarSystem planet entry).
+ * @param {Date} date
+ * @returns {{x: number, y: number, z: number}}
+ */
+export function helioPosition(ele, date) {
+  return (activeEphemeris && ephemerisPosition(activeEphemeris, ele.name, date)) || helioCoords(ele, date);
+}
+
+/** Post the active table (null included, so a toggle-off reaches the worker too). */
+export function shareEphemeris(worker) {
+  worker.postMessage({ type: "setEphemeris", ephemeris: activeEphemeris });
+}
+
+/** Julian day (TDB) of a Date. */
+export function julianDayTdb(date) {
+  return SIM_CONSTANTS.JULIAN_DAY_UNIX_EPOCH + date.getTime() / 86400000 + TDB_MINUS_UTC_DAYS;
+}
+
+/** Inverse of julianDayTdb. */
+function dateFromJulianDayTdb(jd) {
+  return new Date((jd - TDB_MINUS_UTC_DAYS - SIM_CONSTANTS.JULIAN_DAY_UNIX_EPOCH) * 86400000);
+}
+
+/** Canonical body name ("MARS", "Mars (499)" → "Mars") so tables match SimSolarSystem names. */
+function bodyName(raw) {
+  const s = String(raw).replace(/\(.*\)/, "").replace(/barycenter/i, "").trim();
+  return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+}
+
+/** "2030-01-01", "A.D. 2030-Jan-01 00:00:00.0000" or a JD number → JD (TDB). */
+function parseEpoch(v) {
+  const n = Number(v);
+  if (Number.isFinite(n)) return n;
+  const s = String(v).replace(/^A\.D\.\s*/, "").replace(/\s*TDB$/, "").trim();
+  const d = new Date(/^\d{4}-[A-Za-z]{3}-/.test(s) ? s.replace(/-/g, " ") + " UTC" : s);
+  if (isNaN(d.getTime())) throw new Error(`Unreadable date "${v}"`);
+  return julianDayTdb(d);
+}
+
+/** Scale factors to AU / AU-per-day for a units label. */
+function unitScale(units) {
+  const u = String(units || "au").toLowerCase();
+  if (u === "km" || u === "km-s") return { pos: 1 / SIM_CONSTANTS.AU_IN_KM, vel: KM_S_TO_AU_DAY };
+  if (u === "au" || u === "au-d") return { pos: 1, vel: 1 };
+  throw new Error(`Unknown units "${units}" (au or km)`);
+}
+
+/** Sort a body's states by JD, check them, and drop exact duplicates. */
+function finishStates(body, states) {
+  states.sort((a, b) => a[0] - b[0]);
+  const out = states.filter((s, i) => i === 0 || s[0] !== states[i - 1][0]);
+  if (out.some((s) => s.some((v) => !Number.isFinite(v)))) throw new Error(`${body}: non-numeric state row`);
+  if (out.length < 2) throw new Error(`${body}: needs at least two states`);
+  return out;
+}
+
+function parseHorizons(text) {
+  const name = /Target body name:\s*([^{\n]+?)\s*(?:\{|\n)/.exec(text);
+  if (!name) throw new Error(`Horizons table without a "Target body name:" line`);
+  const body = bodyName(name[1]);
+  const units = /Output units\s*:\s*(KM-S|AU-D)/i.exec(text);
+  const scale = unitScale(units ? units[1] : "km-s");
+  const block = text.slice(text.indexOf("$$SOE") + 5, text.indexOf("$$EOE"));
+  const states = [];
+  if (/,/.test(block)) {
+    // CSV_FORMAT=YES: JDTDB, Calendar Date (TDB), X, Y, Z, VX, VY, VZ[, LT, RG, RR],
+    for (const line of block.split("\n")) {
+      const c = line.split(",").map((s) => s.trim());
+      if (c.length < 5 || !c[0]) continue;
+      const row = [Number(c[0]), ...c.slice(2, 5).map((v) => Number(v) * scale.pos)];
+      if (c.length >= 8 && c[5] !== "") row.push(...c.slice(5, 8).map((v) => Number(v) * scale.vel));
+      states.push(row);
+    }
+  } else {
+    // Text layout: "2462502.5 = A.D. …" then "X = … Y = … Z = …" and "VX= … VY= … VZ= …".
+    let row = null;
+    for (const line of block.split("\n")) {
+      const jd = /^\s*([\d.]+)\s*=/.exec(line);
+      if (jd) { row = [Number(jd[1])]; states.push(row); continue; }
+      const pos = /^\s*X\s*=\s*(\S+)\s+Y\s*=\s*(\S+)\s+Z\s*=\s*(\S+)/.exec(line);
+      if (pos && row) { row.push(...pos.slice(1).map((v) => Number(v) * scale.pos)); continue; }
+      const vel = /^\s*VX\s*=\s*(\S+)\s+VY\s*=\s*(\S+)\s+VZ\s*=\s*(\S+)/.exec(line);
+      if (vel && row) row.push(...vel.slice(1).map((v) => Number(v) * scale.vel));
+    }
+  }
+  return { bodies: { [body]: { states: finishStates(body, states), segments: [] } } };
+}
+
+function parseCsv(text) {
+  const lines = text.split("\n").map((l) => l.trim()).filter(Boolean);
+  const unitsLine = lines.find((l) => /^#\s*units\s*[:=]/i.test(l));
+  const scale = unitScale(unitsLine ? unitsLine.replace(/^#\s*units\s*[:=]\s*/i, "") : "au");
+  const rows = lines.filter((l) => !l.startsWith("#"));
+  const header = (rows.shift() || "").split(",").map((h) => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const timeCol = col("jd") >= 0 ? col("jd") : col("date");
+  if (col("body") < 0 || timeCol < 0 || ["x", "y", "z"].some((k) => col(k) < 0)) {
+    throw new Error(`CSV header needs body, jd (or date), x, y, z — got "${header.join(",")}"`);
+  }
+  const hasVel = ["vx", "vy", "vz"].every((k) => col(k) >= 0);
+  const byBody = {};
+  rows.forEach((line, i) => {
+    const c = line.split(",").map((s) => s.trim());
+    try {
+      const row = [parseEpoch(c[timeCol]), ...["x", "y", "z"].map((k) => Number(c[col(k)]) * scale.pos)];
+      if (hasVel && c[col("vx")] !== "") row.push(...["vx", "vy", "vz"].map((k) => Number(c[col(k)]) * scale.vel));
+      (byBody[bodyName(c[col("body")])] ||= []).push(row);
+    } catch (err) {
+      throw new Error(`Row ${i + 1}: ${err.message}`);
+    }
+  });
+  const bodies = {};
+  for (const [body, states] of Object.entries(byBody)) bodies[body] = { states: finishStates(body, states), segments: [] };
+  return { bodies };
+}
+
+function parseJson(obj) {
+  const scale = unitScale(obj.units);
+  const bodies = {};
+  for (const [raw, src] of Object.entries(obj.bodies || {})) {
+    const body = bodyName(raw);
+    const states = (src.states || []).map((s) => [parseEpoch(s[0]), ...s.slice(1, 4).map((v) => v * scale.pos), ...s.slice(4, 7).map((v) => v * scale.vel)]);
+    const segments = (src.segments || []).map((s) => {
+      const start = parseEpoch(s.start), end = parseEpoch(s.end);
+      if (!(end > start)) throw new Error(`${body}: segment end must be after start`);
+      const coeffs = ["x", "y", "z"].map((k) => {
+        if (!Array.isArray(s[k]) || !s[k].length || s[k].some((v) => !Number.isFinite(v))) throw new Error(`${body}: segment needs numeric ${k} coefficients`);
+        return s[k].map((v) => v * scale.pos);
+      });
+      return { start, end, x: coeffs[0], y: coeffs[1], z: coeffs[2] };
+    }).sort((a, b) => a.start - b.start);
+    if (!states.length && !segments.length) throw new Error(`${body}: no states or segments`);
+    bodies[body] = { states: states.length ? finishStates(body, states) : [], segments };
+  }
+  if (!Object.keys(bodies).length) throw new Error(`JSON ephemeris without bodies`);
+  return { bodies };
+}
+
+/**
+ * Parse one ephemeris file (format detected from its content).
+ * @param {string} text
+ * @param {string} [source] - File name, kept for the UI / reports.
+ * @returns {{sources: string[], bodies: Object}} Positions in AU, velocities in AU/day, JD (TDB).
+ * @throws {Error} on an unreadable table.
+ */
+export function parseEphemeris(text, source = "") {
+  const s = String(text || "").trim();
+  let eph;
+  if (s.startsWith("{")) eph = parseJson(JSON.parse(s));
+  else if (s.includes("$$SOE")) eph = parseHorizons(s);
+  else eph = parseCsv(s);
+  return { sources: source ? [source] : [], ...eph };
+}
+
+/**
+ * Combine tables (e.g. one Horizons file per planet). A later table's body replaces
+ * an earlier one's.
+ * @param {...Object} tables - parseEphemeris outputs.
+ */
+export function mergeEphemeris(...tables) {
+  const out = { sources: [], bodies: {} };
+  for (const t of tables.filter(Boolean)) {
+    out.sources.push(...t.sources);
+    Object.assign(out.bodies, t.bodies);
+  }
+  return out;
+}
+
+/**
+ * Covered JD range and sample count of every body in the table.
+ * @returns {Array<{body: string, start: Date, end: Date, states: number, segments: number}>}
+ */
+export function ephemerisCoverage(eph) {
+  return Object.entries(eph?.bodies || {}).map(([body, b]) => {
+    const ends = [];
+    if (b.states.length) ends.push(b.states[0][0], b.states[b.states.length - 1][0]);
+    if (b.segments.length) ends.push(b.segments[0].start, b.segments[b.segments.length - 1].end);
+    return {
+      body,
+      start: dateFromJulianDayTdb(Math.min(...ends)),
+      end: dateFromJulianDayTdb(Math.max(...ends)),
+      states: b.states.length,
+      segments: b.segments.length,
+    };
+  });
+}
+
+/** Index of the last element whose key(…) ≤ jd (binary search), or -1. */
+function floorIndex(arr, jd, key) {
+  let lo = 0, hi = arr.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (key(arr[mid]) <= jd) { found = mid; lo = mid + 1; } else hi = mid - 1;
+  }
+  return found;
+}
+
+/** Σ c_k T_k(t) by Clenshaw's recurrence. */
+function chebyshev(c, t) {
+  let b1 = 0, b2 = 0;
+  for (let k = c.length - 1; k >= 1; k--) {
+    const b0 = 2 * t * b1 - b2 + c[k];
+    b2 = b1;
+    b1 = b0;
+  }
+  return t * b1 - b2 + c[0];
+}
+
+function fromSegments(segments, jd) {
+  const i = floorIndex(segments, jd, (s) => s.start);
+  const s = segments[i];
+  if (!s || jd > s.end) return null;
+  const t = (2 * (jd - s.start)) / (s.end - s.start) - 1;
+  return { x: chebyshev(s.x, t), y: chebyshev(s.y, t), z: chebyshev(s.z, t) };
+}
+
+function fromStates(states, jd) {
+  const n = states.length;
+  if (!n || jd < states[0][0] || jd > states[n - 1][0]) return null;
+  const i = Math.min(floorIndex(states, jd, (s) => s[0]), n - 2);
+  const a = states[i], b = states[i + 1];
+  const h = b[0] - a[0];
+  const out = [0, 0, 0];
+  if (a.length >= 7 && b.length >= 7) {
+    // Cubic Hermite on positions and velocities at both ends.
+    const u = (jd - a[0]) / h, u2 = u * u, u3 = u2 * u;
+    const h00 = 2 * u3 - 3 * u2 + 1, h10 = u3 - 2 * u2 + u, h01 = -2 * u3 + 3 * u2, h11 = u3 - u2;
+    for (let k = 0; k < 3; k++) out[k] = h00 * a[1 + k] + h10 * h * a[4 + k] + h01 * b[1 + k] + h11 * h * b[4 + k];
+  } else {
+    // Lagrange cubic through the 4 surrounding states (shifted inward at the ends),
+    // or linear when the table only has two.
+    const first = Math.max(0, Math.min(i - 1, n - 4));
+    const pts = states.slice(first, first + Math.min(4, n));
+    for (let j = 0; j < pts.length; j++) {
+      let w = 1;
+      for (let m = 0; m < pts.length; m++) if (m !== j) w *= (jd - pts[m][0]) / (pts[j][0] - pts[m][0]);
+      for (let k = 0; k < 3; k++) out[k] += w * pts[j][1 + k];
+    }
+  }
+  return { x: out[0], y: out[1], z: out[2] };
+}
+
+/**
+ * Heliocentric position of `body` at `date` from the table.
+ * @param {Object} eph - parseEphemeris / mergeEphemeris output.
+ * @param {string} body - SimSolarSystem planet name.
+ * @param {Date} date
+ * @returns {{x: number, y: number, z: number}|null} AU; null when the table doesn't cover it.
+ */
+export function ephemerisPosition(eph, body, date) {
+  const b = eph?.bodies?.[body];
+  if (!b) return null;
+  const jd = julianDayTdb(date);
+  return (b.segments.length && fromSegments(b.segments, jd)) || fromStates(b.states, jd);
+}
+
+/**
+ * Analytic-model error against the table: the distance between the helioCoords
+ * position and the ephemeris position, sampled evenly over each body's coverage.
+ *
+ * @param {Object} eph
+ * @param {Array<Object>} planets - SimSolarSystem planet entries (orbital elements).
+ * @param {number} [samples=200]
+ * @returns {Array<{body: string, dates: Date[], errorKm: number[], maxKm: number, rmsKm: number}>}
+ *   Only bodies that are both in the table and in `planets`.
+ */
+export function ephemerisErrors(eph, planets, samples = 200) {
+  const out = [];
+  for (const cov of ephemerisCoverage(eph)) {
+    const planet = planets.find((p) => p.name === cov.body);
+    if (!planet) continue;
+    const t0 = cov.start.getTime(), span = cov.end.getTime() - t0;
+    const dates = [], errorKm = [];
+    for (let i = 0; i < samples; i++) {
+      const date = new Date(t0 + (span * i) / Math.max(1, samples - 1));
+      const e = ephemerisPosition(eph, cov.body, date);
+      if (!e) continue;
+      const a = helioCoords(planet, date);
+      dates.push(date);
+      errorKm.push(Math.hypot(a.x - e.x, a.y - e.y, a.z - e.z) * SIM_CONSTANTS.AU_IN_KM);
+    }
+    if (!errorKm.length) continue;
+    out.push({
+      body: cov.body, dates, errorKm,
+      maxKm: Math.max(...errorKm),
+      rmsKm: Math.sqrt(errorKm.reduce((s, v) => s + v * v, 0) / errorKm.length),
+    });
+  }
+  return out;
+}
@@ -0,0 +1,46 @@
+// simFailures.js — Seeded satellite / laser-terminal failure draws.
+//
+// Degraded-constellation mode: before the topology is built, each satellite fails
+// outright with probability satFailurePct, and each laser terminal on a surviving
+// satellite fails independently with probability terminalFailurePct. Failed
+// satellites are removed from the topology input; failed terminals pre-occupy that
+// satellite's port budget, so the builder pairs it as if it carried fewer terminals.
+//
+// Draws are seeded (mulberry32, as in simFleet) and walk the satellites in array
+// order, so the same seed + constellation always fails the same hardware — the live
+// view stays stable across windows and a Monte-Carlo trial can be replayed by seed.
+
+import { makeRng } from "./simFleet.js?v=4.42";
+
+/**
+ * @param {Array} satellites - Satellites with { name, ringName }.
+ * @param {Object} opts
+ * @param {number} [opts.satFailurePct=0] - Per-satellite failure probability, 0–100.
+ * @param {number} [opts.terminalFailurePct=0] - Per-terminal failure probability, 0–100.
+ * @param {number} [opts.seed=1]
+ * @param {(ringName: string) => number} opts.portsFor - Terminal count for a ring.
+ * @returns {{ failedSats: Set<string>, failedTerminals: Map<string, number>, failedTerminalCount: number }}
+ */
+export function drawFailures(satellites, { satFailurePct = 0, terminalFailurePct = 0, seed = 1, portsFor }) {
+  const rng = makeRng(seed);
+  const pSat = Math.min(1, Math.max(0, satFailurePct / 100));
+  const pTerm = Math.min(1, Math.max(0, terminalFailurePct / 100));
+  const failedSats = new Set();
+  const failedTerminals = new Map();
+  let failedTerminalCount = 0;
+  for (const sat of satellites) {
+    if (pSat > 0 && rng() < pSat) {
+      failedSats.add(sat.name);
+      continue;
+    }
+    if (pTerm <= 0) continue;
+    const ports = portsFor(sat.ringName) || 0;
+    let n = 0;
+    for (let i = 0; i < ports; i++) if (rng() < pTerm) n++;
+    if (n > 0) {
+      failedTerminals.set(sat.name, n);
+      failedTerminalCount += n;
+    }
+  }
+  return { failedSats, failedTerminals, failedTerminalCount };
+}
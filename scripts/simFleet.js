@@ -39,6 +39,8 @@ export function makeRng(seed = 1) {
     while (v === 0) v = next();
     return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
   };
+  // The whole generator state; makeRng(next.state()) continues the same stream.
+  next.state = () => s >>> 0;
   return next;
 }
 
@@ -8,9 +8,11 @@
  * @param {import("./interface.js").MaxFlowInput} input
  * @returns {import("./interface.js").MaxFlowResult | null}
  */
-export function edmondsKarp({ graph, capacities, source, sink, perfStart, calctimeMs }) {
-  const flows = {}; // Edge flows
+export function edmondsKarp({ graph, capacities, source, sink, perfStart, calctimeMs, initialFlows }) {
+  // Edge flows; a warm start (warmStart.js) begins from a feasible flow and its value.
+  const flows = initialFlows ? { ...initialFlows } : {};
   let maxFlow = 0;
+  if (initialFlows) for (const v of new Set(graph[source])) maxFlow += flows[`${source}_${v}`] || 0;
 
   while (true) {
     if (performance.now() - perfStart > calctimeMs) return null;
@@ -14,10 +14,14 @@
 //  * @typedef {Object} MaxFlowInput
 //  * @property {Object<number, number[]>} graph       - Adjacency list: graph[nodeId] = [neighborIds...]
 //  * @property {Object<string, number>}   capacities  - Edge capacities: capacities["${u}_${v}"] = number
+//  * @property {Object<string, number>}   [latencies] - Edge latencies (s), same keys; used by min-cost-latency
 //  * @property {number}                   source      - Source node ID (typically Earth = 0)
 //  * @property {number}                   sink        - Sink node ID (typically Mars = 1)
 //  * @property {number}                   perfStart   - performance.now() at start (for timeout)
 //  * @property {number}                   calctimeMs  - Maximum allowed compute time in ms
+//  * @property {Object<string, number>}   [initialFlows] - Feasible flow to start from (warm
+//  *                                        start, see warmStart.js); only algorithms in
+//  *                                        WARM_START_ALGORITHMS read it
 //  */
 //
 // /**
@@ -51,11 +55,15 @@
 //  5. Edge key format:   "${u}_${v}" where u, v are numeric node IDs.
 //                        Missing entries in flows dict are treated as 0.
 //
+//  validate.js checks all of these on real results and cross-checks every
+//  registered algorithm's maxFlow: `marslink validate-flow`.
+//
 // ============================================================
 
 import { edmondsKarp } from "./edmondsKarp.js?v=4.42";
 import { pushRelabel } from "./pushRelabel.js?v=4.42";
 import { topologyAware } from "./topologyAware.js?v=4.42";
+import { minCostFlow } from "./minCostFlow.js?v=4.42";
 
 /** Registry of available max-flow algorithms. */
 export const FLOW_ALGORITHMS = {
@@ -64,7 +72,24 @@ export const FLOW_ALGORITHMS = {
   // Specialized for the CONCENTRIC relay families (ring_adapt_): exploits their
   // radial ring chains. Returns 0 for eccentric families — pick a general solver there.
   "concentric-topology-aware": topologyAware,
+  // Max flow of minimum total latency — the latency histogram then shows shortest-
+  // paths-first routing instead of an arbitrary decomposition. A few times slower than
+  // push-relabel: a max flow first, then cost scaling.
+  "min-cost-latency": minCostFlow,
 };
 
+/**
+ * Algorithms that accept `initialFlows` and augment it instead of starting from zero.
+ * The repaired flow (warmStart.js) usually already carries nearly all of the new max
+ * flow. edmonds-karp is left with a handful of augmentations; push-relabel only
+ * saturates the source capacity the carried flow left unused, so its discharge loop
+ * shrinks several-fold (on simplified graphs the repair itself costs about as much).
+ * Both reach the same max flow warm or cold. concentric-topology-aware is left out: its
+ * greedy only fills what a carried-over flow leaves on its enumerated routes, so warm
+ * it can report far less than cold (2–4× less on degraded constellations) and runs
+ * slower. min-cost-latency is left out because a warm flow isn't min-cost.
+ */
+export const WARM_START_ALGORITHMS = new Set(["edmonds-karp", "push-relabel"]);
+
 /** The algorithm used when none is explicitly specified. */
 export const DEFAULT_ALGORITHM = "concentric-topology-aware";
@@ -0,0 +1,347 @@
+// minCostFlow.js — Min-cost max-flow with link latency as the edge cost.
+// Implements the MaxFlow algorithm interface defined in interface.js.
+//
+// Every other solver returns *a* max flow: which of the many optimal flows comes
+// out depends on the search order, so the latency histogram reflects an arbitrary
+// decomposition (long detours included). This one returns the max flow with the
+// minimum total Σ |flow| · latency — the routing a real network would run, which
+// fills the shortest paths first and only spills onto slower ones when they are full.
+//
+// Two stages. A Dinic max flow fixes the flow value, then cost scaling (Goldberg–
+// Tarjan) reroutes it at that value: each refine(ε) saturates every residual arc
+// with negative reduced cost and pushes the resulting excesses back to balance over
+// arcs with negative reduced cost, relabelling (lowering node prices) where stuck.
+// ε shrinks by ALPHA per phase until no residual cycle can be cheaper than
+// −CYCLE_SLACK s, i.e. the flow is min-cost up to that rounding. Successive
+// shortest paths would need one Dijkstra per distinct route latency — thousands on a
+// full constellation, well past the solver time budget.
+//
+// Each direction of a link is its own arc (cost = its latency ≥ 0), so sending u→v
+// while v→u flow exists is never cheaper than cancelling it; the reported flow is
+// the net of the two.
+//
+// Needs `latencies` (same "${u}_${v}" keys as capacities). getNetworkData skips
+// simplifyNetwork for this solver: merging parallel chains keeps only one chain's
+// latency, which would make the costs wrong. Series chains are contracted here
+// instead — every run of degree-2 nodes becomes one link (capacity = min, latency =
+// sum) while parallel chains stay separate.
+
+const EPS = 1e-12;
+const ALPHA = 8; // ε divisor per refine phase
+const CYCLE_SLACK = 1e-3; // seconds; route latencies are ~1e2–1e4 s
+
+/**
+ * @param {import("./interface.js").MaxFlowInput} input
+ * @returns {import("./interface.js").MaxFlowResult | null}
+ */
+export function minCostFlow({ graph, capacities, latencies, source, sink, perfStart, calctimeMs }) {
+  if (!latencies) throw new Error("min-cost-latency needs the latencies dictionary");
+  const nodeKeys = Object.keys(graph);
+  if (nodeKeys.length === 0) return { maxFlow: 0, flows: {} };
+
+  // --- Series contraction ---
+  // Kept nodes: source, sink and every node not of degree 2 (or linked one-way).
+  // From each kept node, walk every incident chain of degree-2 nodes to the next
+  // kept node; chains are recorded once (their edges are marked as walked).
+  let maxId = 0;
+  for (const k of nodeKeys) if (+k + 1 > maxId) maxId = +k + 1;
+  const nbrs = new Array(maxId);
+  for (const k of nodeKeys) {
+    const u = +k;
+    const vs = [];
+    for (const v of graph[u]) if (v !== u && graph[v] && !vs.includes(v)) vs.push(v);
+    nbrs[u] = vs;
+  }
+  const idx = new Int32Array(maxId).fill(-1); // node id → compact index (kept nodes only)
+  const ids = [];
+  for (const k of nodeKeys) {
+    const u = +k;
+    const vs = nbrs[u];
+    const series = vs.length === 2 && vs.every((v) => nbrs[v].includes(u));
+    if (u === source || u === sink || !series) {
+      idx[u] = ids.length;
+      ids.push(u);
+    }
+  }
+  const V = ids.length;
+  const s = idx[source], t = idx[sink];
+  if (!(s >= 0 && t >= 0)) return { maxFlow: 0, flows: {} };
+
+  // Chain c is link 2c (first → last node) and link 2c + 1 (last → first).
+  const chains = []; // chain c → physical node ids, kept end to kept end
+  const linkFrom = [], linkTo = [], linkCap = [], linkLat = [];
+  const walked = new Set();
+  for (const u of ids) {
+    for (const first of nbrs[u]) {
+      if (walked.has(`${u}_${first}`)) continue;
+      const nodes = [u, first];
+      while (idx[nodes[nodes.length - 1]] < 0) {
+        const [p, q] = nbrs[nodes[nodes.length - 1]];
+        nodes.push(p === nodes[nodes.length - 2] ? q : p);
+      }
+      let capF = Infinity, capB = Infinity, latF = 0, latB = 0;
+      for (let i = 1; i < nodes.length; i++) {
+        const a = nodes[i - 1], b = nodes[i];
+        walked.add(`${a}_${b}`).add(`${b}_${a}`);
+        capF = Math.min(capF, capacities[`${a}_${b}`] || 0);
+        capB = Math.min(capB, capacities[`${b}_${a}`] || 0);
+        latF += latencies[`${a}_${b}`] || 0;
+        latB += latencies[`${b}_${a}`] || 0;
+      }
+      const w = nodes[nodes.length - 1];
+      if (w === u) continue; // a loop back to u carries no flow
+      chains.push(nodes);
+      linkFrom.push(idx[u], idx[w]);
+      linkTo.push(idx[w], idx[u]);
+      linkCap.push(capF, capB);
+      linkLat.push(latF, latB);
+    }
+  }
+
+  // --- CSR residual arcs: link l is arc 2l (cap, +lat) and its reverse 2l + 1 (0, −lat) ---
+  // x[a] = −x[rev[a]]; residual(a) = cap[a] − x[a].
+  const A = 2 * linkTo.length;
+  const arcFrom = (a) => (a & 1 ? linkTo : linkFrom)[a >> 1];
+  const head = new Int32Array(V + 1);
+  for (let a = 0; a < A; a++) head[arcFrom(a) + 1]++;
+  for (let u = 0; u < V; u++) head[u + 1] += head[u];
+  const to = new Int32Array(A);
+  const from = new Int32Array(A);
+  const cap = new Float64Array(A);
+  const cost = new Float64Array(A);
+  const rev = new Int32Array(A);
+  // Renumber arcs so each node's arcs are contiguous.
+  const renum = new Int32Array(A);
+  const fill = head.slice(0, V);
+  for (let a = 0; a < A; a++) {
+    const i = fill[arcFrom(a)]++;
+    const l = a >> 1;
+    renum[a] = i;
+    from[i] = arcFrom(a);
+    to[i] = a & 1 ? linkFrom[l] : linkTo[l];
+    cap[i] = a & 1 ? 0 : linkCap[l];
+    cost[i] = a & 1 ? -linkLat[l] : linkLat[l];
+  }
+  for (let a = 0; a < A; a++) rev[renum[a]] = renum[a ^ 1];
+  const x = new Float64Array(A);
+  const residual = (a) => cap[a] - x[a];
+  const push = (a, f) => {
+    x[a] += f;
+    x[rev[a]] -= f;
+  };
+
+  let steps = 0;
+  const outOfTime = () => ++steps % 4096 === 0 && performance.now() - perfStart > calctimeMs;
+
+  // --- Max flow (Dinic: BFS levels, then a current-arc blocking flow) ---
+  const level = new Int32Array(V);
+  const queue = new Int32Array(V);
+  const iter = new Int32Array(V);
+  const pathArcs = new Int32Array(V);
+  const bfs = () => {
+    level.fill(-1);
+    level[s] = 0;
+    queue[0] = s;
+    for (let qh = 0, qt = 1; qh < qt; qh++) {
+      const u = queue[qh];
+      for (let a = head[u]; a < head[u + 1]; a++) {
+        if (residual(a) > EPS && level[to[a]] < 0) {
+          level[to[a]] = level[u] + 1;
+          queue[qt++] = to[a];
+        }
+      }
+    }
+    return level[t] >= 0;
+  };
+  let maxFlow = 0;
+  while (bfs()) {
+    if (performance.now() - perfStart > calctimeMs) return null;
+    iter.set(head.subarray(0, V));
+    let depth = 0;
+    let u = s;
+    while (true) {
+      if (outOfTime()) return null;
+      if (u === t) {
+        let f = Infinity;
+        for (let i = 0; i < depth; i++) f = Math.min(f, residual(pathArcs[i]));
+        for (let i = 0; i < depth; i++) push(pathArcs[i], f);
+        maxFlow += f;
+        // Restart from the source; saturated arcs fail the residual test and are skipped.
+        depth = 0;
+        u = s;
+        continue;
+      }
+      let advanced = false;
+      for (; iter[u] < head[u + 1]; iter[u]++) {
+        const a = iter[u];
+        if (residual(a) > EPS && level[to[a]] === level[u] + 1) {
+          pathArcs[depth++] = a;
+          u = to[a];
+          advanced = true;
+          break;
+        }
+      }
+      if (advanced) continue;
+      // Dead end: retreat and skip the arc that led here.
+      if (u === s) break;
+      u = from[pathArcs[--depth]];
+      iter[u]++;
+    }
+  }
+
+  // --- Cost scaling at the fixed flow value ---
+  // ε-optimal: every residual arc has reduced cost c + price[from] − price[to] ≥ −ε.
+  // Prices start at 0, which any flow satisfies for ε = max |cost|.
+  const price = new Float64Array(V);
+  const excess = new Float64Array(V);
+  const inQueue = new Uint8Array(V);
+  const reduced = (a) => cost[a] + price[from[a]] - price[to[a]];
+
+  // Price update (Goldberg's CS2 heuristic): d(v) = residual distance from v to the
+  // nearest deficit, an arc counting floor(reduced / ε) + 1; then price[v] −= ε·d(v).
+  // Keeps the flow ε-optimal and makes every shortest path to a deficit admissible,
+  // which saves most of the one-step relabels. Distances are small integers, so
+  // Dial's buckets replace a heap. Capping them at V, and stopping once every excess
+  // is settled (the rest get the current distance), still leaves a valid update.
+  const dist = new Int32Array(V);
+  const done = new Uint8Array(V);
+  const bucketHead = new Int32Array(V);
+  const bucketNext = new Int32Array(V);
+  const bucketPrev = new Int32Array(V);
+  const bucketInsert = (v, d) => {
+    dist[v] = d;
+    bucketPrev[v] = -1;
+    bucketNext[v] = bucketHead[d];
+    if (bucketHead[d] >= 0) bucketPrev[bucketHead[d]] = v;
+    bucketHead[d] = v;
+  };
+  const bucketRemove = (v) => {
+    if (bucketPrev[v] >= 0) bucketNext[bucketPrev[v]] = bucketNext[v];
+    else bucketHead[dist[v]] = bucketNext[v];
+    if (bucketNext[v] >= 0) bucketPrev[bucketNext[v]] = bucketPrev[v];
+  };
+  const priceUpdate = (eps) => {
+    dist.fill(V); // V = not reached
+    done.fill(0);
+    bucketHead.fill(-1);
+    let pending = 0;
+    for (let u = 0; u < V; u++) {
+      if (excess[u] < -EPS) bucketInsert(u, 0);
+      else if (excess[u] > EPS) pending++;
+    }
+    let d = 0;
+    for (; d < V && pending > 0; d++) {
+      while (bucketHead[d] >= 0) {
+        const w = bucketHead[d];
+        bucketRemove(w);
+        done[w] = 1;
+        if (excess[w] > EPS && --pending === 0) break;
+        for (let b = head[w]; b < head[w + 1]; b++) {
+          const a = rev[b]; // v → w
+          const v = to[b];
+          if (done[v] || residual(a) <= EPS) continue;
+          const nd = d + Math.max(0, Math.floor(reduced(a) / eps) + 1);
+          if (nd < dist[v]) {
+            if (dist[v] < V) bucketRemove(v);
+            bucketInsert(v, nd);
+          }
+        }
+      }
+      if (pending === 0) break;
+    }
+    for (let u = 0; u < V; u++) {
+      price[u] -= eps * (done[u] ? dist[u] : d);
+      iter[u] = head[u];
+    }
+  };
+
+  const refine = (eps) => {
+    // Saturating every negative arc makes the flow 0-optimal but unbalanced.
+    for (let a = 0; a < A; a++) {
+      const r = residual(a);
+      if (r > EPS && reduced(a) < 0) {
+        push(a, r);
+        excess[from[a]] -= r;
+        excess[to[a]] += r;
+      }
+    }
+    priceUpdate(eps);
+    // FIFO discharge of every node with excess; deficits absorb it. Another price
+    // update after every V relabels.
+    let relabels = 0;
+    let qh = 0, qLen = 0;
+    for (let u = 0; u < V; u++) {
+      if (excess[u] > EPS) {
+        queue[(qh + qLen++) % V] = u;
+        inQueue[u] = 1;
+      }
+    }
+    while (qLen > 0) {
+      const u = queue[qh];
+      qh = (qh + 1) % V;
+      qLen--;
+      inQueue[u] = 0;
+      while (excess[u] > EPS) {
+        if (outOfTime()) return false;
+        if (iter[u] === head[u + 1]) {
+          // Relabel: lower the price just enough to make the cheapest residual arc
+          // admissible (reduced cost −ε) while every other one stays ≥ −ε.
+          let best = -Infinity;
+          for (let a = head[u]; a < head[u + 1]; a++) {
+            if (residual(a) > EPS) best = Math.max(best, price[to[a]] - cost[a]);
+          }
+          // No residual arc out. Flow x into u leaves its reverse arc at least x of
+          // residual, so the excess here is at most EPS per arc: rounding, dropped.
+          // More would break conservation and the reported flow.
+          if (best === -Infinity) {
+            if (excess[u] > (head[u + 1] - head[u]) * EPS) {
+              throw new Error(`min-cost-latency: stranded excess ${excess[u]} at node ${ids[u]}`);
+            }
+            excess[u] = 0;
+            break;
+          }
+          price[u] = best - eps;
+          iter[u] = head[u];
+          if (++relabels % V === 0) priceUpdate(eps);
+          continue;
+        }
+        const a = iter[u];
+        const r = residual(a);
+        if (r > EPS && reduced(a) < 0) {
+          const v = to[a];
+          const f = Math.min(excess[u], r);
+          push(a, f);
+          excess[u] -= f;
+          excess[v] += f;
+          if (excess[v] > EPS && !inQueue[v]) {
+            queue[(qh + qLen++) % V] = v;
+            inQueue[v] = 1;
+          }
+          if (f < r) break;
+        }
+        iter[u]++;
+      }
+    }
+    return true;
+  };
+  let maxCost = 0;
+  for (let a = 0; a < A; a++) maxCost = Math.max(maxCost, Math.abs(cost[a]));
+  const epsMin = CYCLE_SLACK / (V + 1);
+  for (let eps = maxCost; eps > epsMin; ) {
+    eps = Math.max(eps / ALPHA, epsMin);
+    if (!refine(eps)) return null;
+  }
+
+  // Expand each chain's net flow onto its physical edges.
+  const flows = {};
+  for (let c = 0; c < chains.length; c++) {
+    const net = x[renum[4 * c]] - x[renum[4 * c + 2]];
+    if (net === 0) continue;
+    const nodes = chains[c];
+    for (let i = 1; i < nodes.length; i++) {
+      flows[`${nodes[i - 1]}_${nodes[i]}`] = net;
+      flows[`${nodes[i]}_${nodes[i - 1]}`] = -net;
+    }
+  }
+  return { maxFlow, flows };
+}
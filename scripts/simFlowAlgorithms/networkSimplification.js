@@ -95,6 +95,29 @@ export function simplifyNetwork(graph, capacities, latencies, source, sink, simp
   }
 }
 
+/**
+ * Maps flows on the physical edges onto the simplified graph — the inverse of
+ * desimplifyNetwork, used to carry a warm-start flow across simplification. Replays
+ * the merges in order; a removed node passes on only the flow its two edges agree on
+ * (same direction, the smaller magnitude), so a non-conserving input just loses the
+ * mismatch — repairFlow makes the result feasible afterwards.
+ *
+ * @param {Object} flows - Signed flow per physical edge; rewritten in place.
+ * @param {Array} simplificationStack - As filled by simplifyNetwork (not consumed).
+ */
+export function simplifyFlows(flows, simplificationStack) {
+  for (const { removedNode: b, u, v, u_v_key, v_u_key } of simplificationStack) {
+    const inFlow = flows[`${u}_${b}`] || 0;
+    const outFlow = flows[`${b}_${v}`] || 0;
+    const through = inFlow > 0 && outFlow > 0 ? Math.min(inFlow, outFlow) : inFlow < 0 && outFlow < 0 ? Math.max(inFlow, outFlow) : 0;
+    for (const key of [`${u}_${b}`, `${b}_${u}`, `${b}_${v}`, `${v}_${b}`]) delete flows[key];
+    if (through !== 0) {
+      flows[u_v_key] = (flows[u_v_key] || 0) + through;
+      flows[v_u_key] = (flows[v_u_key] || 0) - through;
+    }
+  }
+}
+
 /**
  * Restores the graph topology and maps flows from virtual edges back to physical edges.
  * @param {Object} graph - Adjacency list of the graph.
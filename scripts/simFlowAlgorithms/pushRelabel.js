@@ -19,7 +19,7 @@ const EPS = 1e-12;
  * @param {import("./interface.js").MaxFlowInput} input
  * @returns {import("./interface.js").MaxFlowResult | null}
  */
-export function pushRelabel({ graph, capacities, source, sink, perfStart, calctimeMs }) {
+export function pushRelabel({ graph, capacities, source, sink, perfStart, calctimeMs, initialFlows }) {
   // --- Live node ID discovery ---
   // After simplifyNetwork, graph keys are sparse. Use max ID for typed-array
   // sizing so deleted IDs are implicitly skipped (they're not in any graph[u]).
@@ -191,12 +191,28 @@ export function pushRelabel({ graph, capacities, source, sink, perfStart, calcti
 
   // --- INITIALIZATION ---
 
+  // Warm start (warmStart.js): begin from a feasible flow. Every internal node is
+  // balanced, so only the sink starts with excess — the flow value carried over.
+  if (initialFlows) {
+    for (const key in initialFlows) {
+      const f = initialFlows[key];
+      if (!(f > EPS)) continue;
+      const [u, v] = key.split("_").map(Number);
+      flows[key] = f;
+      flows[`${v}_${u}`] = -f;
+      if (v === sink) excess[sink] += f;
+      else if (u === sink) excess[sink] -= f;
+    }
+  }
+
   // Initial heights via global relabel (BFS from sink)
   globalRelabel();
   height[source] = N;
 
   // Saturate source outgoing edges. Source has "infinite" excess so we can
-  // push full capacity on every outgoing edge.
+  // push the full residual capacity on every outgoing edge (all of it when
+  // cold; a warm start only adds what the carried-over flow left unused).
+  // Residual, not capacity: a neighbor listed twice must not be pushed twice.
   const sourceNeighbors = graph[source];
   if (sourceNeighbors) {
     // Set source excess high so push() doesn't run it negative past the
@@ -204,8 +220,8 @@ export function pushRelabel({ graph, capacities, source, sink, perfStart, calcti
     excess[source] = Infinity;
     for (let i = 0; i < sourceNeighbors.length; i++) {
       const v = sourceNeighbors[i];
-      const cap = capacities[`${source}_${v}`] || 0;
-      if (cap > EPS) push(source, v, cap);
+      const r = residual(source, v);
+      if (r > EPS) push(source, v, r);
     }
     excess[source] = 0;
   }
@@ -246,59 +262,77 @@ export function pushRelabel({ graph, capacities, source, sink, perfStart, calcti
   //
   // Path decomposition rebuilds `flows` from scratch by repeatedly finding
   // source→sink paths in the positive-flow subgraph and accumulating them.
-  // Cycles disappear (no path can use a cycle without entering sink) and
-  // stuck flow is naturally excluded. The result: `flows[u_v]` contains
-  // exactly the flow that travels source→sink through that edge.
+  // Cycles are cancelled when the walk meets one and stuck flow is naturally
+  // excluded. The result: `flows[u_v]` contains exactly the flow that travels
+  // source→sink through that edge.
+  //
+  // The walk is a DFS with a current-arc pointer per node (as in Dinic's
+  // blocking flow): an arc is only skipped once it carries no flow, and a node
+  // with no outgoing flow left is a dead end for good, so the whole
+  // decomposition costs O(V·E) rather than one BFS over the graph per path.
+  // Flows are read once into per-node arrays (duplicate neighbor entries share
+  // one slot) and written back at the end.
   const pathDecomposition = () => {
-    const newFlows = {};
-    while (true) {
-      // BFS source → sink using only edges where flows[u_v] > EPS
-      const parents = new Map();
-      parents.set(source, -1);
-      const bfsQueue = [source];
-      let bfsHead = 0;
-      let found = false;
-      while (bfsHead < bfsQueue.length) {
-        const u = bfsQueue[bfsHead++];
-        if (u === sink) { found = true; break; }
-        const neighbors = graph[u];
-        if (!neighbors) continue;
-        for (let j = 0; j < neighbors.length; j++) {
-          const v = neighbors[j];
-          if (parents.has(v)) continue;
-          if ((flows[`${u}_${v}`] || 0) > EPS) {
-            parents.set(v, u);
-            bfsQueue.push(v);
-          }
+    const nbrs = new Array(V), rest = new Array(V), kept = new Array(V);
+    for (let i = 0; i < N; i++) {
+      const u = liveNodes[i];
+      nbrs[u] = [...new Set(graph[u])];
+      rest[u] = Float64Array.from(nbrs[u], (v) => Math.max(0, flows[`${u}_${v}`] || 0));
+      kept[u] = new Float64Array(nbrs[u].length);
+    }
+    const arc = new Int32Array(V); // stack[k]'s current arc leads to stack[k + 1]
+    const onStack = new Uint8Array(V);
+    const stack = [source];
+    onStack[source] = 1;
+    while (stack.length > 0) {
+      const u = stack[stack.length - 1];
+      if (u === sink) {
+        // Found a source→sink path: move its bottleneck flow into `kept`.
+        let pathFlow = Infinity;
+        for (let k = 0; k < stack.length - 1; k++) pathFlow = Math.min(pathFlow, rest[stack[k]][arc[stack[k]]]);
+        for (let k = 0; k < stack.length - 1; k++) {
+          rest[stack[k]][arc[stack[k]]] -= pathFlow;
+          kept[stack[k]][arc[stack[k]]] += pathFlow;
         }
+        for (let k = 1; k < stack.length; k++) onStack[stack[k]] = 0;
+        stack.length = 1;
+        continue;
       }
-      if (!found) break;
-      // Find min flow along the path
-      let pathFlow = Infinity;
-      let s = sink;
-      while (s !== source) {
-        const prev = parents.get(s);
-        const f = flows[`${prev}_${s}`] || 0;
-        if (f < pathFlow) pathFlow = f;
-        s = prev;
+      const vs = nbrs[u];
+      while (arc[u] < vs.length && !(rest[u][arc[u]] > EPS)) arc[u]++;
+      if (arc[u] === vs.length) {
+        // Dead end (stuck flow): never revisit it.
+        stack.pop();
+        onStack[u] = 0;
+        if (stack.length > 0) arc[stack[stack.length - 1]]++;
+        continue;
       }
-      if (pathFlow <= EPS) break;
-      // Subtract pathFlow from old flows; accumulate into newFlows
-      s = sink;
-      while (s !== source) {
-        const prev = parents.get(s);
-        const fwd = `${prev}_${s}`;
-        const rev = `${s}_${prev}`;
-        flows[fwd] -= pathFlow;
-        flows[rev] += pathFlow;
-        newFlows[fwd] = (newFlows[fwd] || 0) + pathFlow;
-        newFlows[rev] = (newFlows[rev] || 0) - pathFlow;
-        s = prev;
+      const v = vs[arc[u]];
+      if (!onStack[v]) {
+        stack.push(v);
+        onStack[v] = 1;
+        continue;
       }
+      // Flow cycle v → ... → u → v: cancel it and resume at v.
+      const start = stack.lastIndexOf(v);
+      let cycleFlow = Infinity;
+      for (let k = start; k < stack.length; k++) cycleFlow = Math.min(cycleFlow, rest[stack[k]][arc[stack[k]]]);
+      for (let k = start; k < stack.length; k++) rest[stack[k]][arc[stack[k]]] -= cycleFlow;
+      for (let k = start + 1; k < stack.length; k++) onStack[stack[k]] = 0;
+      stack.length = start + 1;
     }
     // Replace flows with the decomposed version (cycles removed)
     for (const key in flows) delete flows[key];
-    for (const key in newFlows) flows[key] = newFlows[key];
+    for (let i = 0; i < N; i++) {
+      const u = liveNodes[i];
+      for (let j = 0; j < nbrs[u].length; j++) {
+        const f = kept[u][j];
+        if (f > 0) {
+          flows[`${u}_${nbrs[u][j]}`] = f;
+          flows[`${nbrs[u][j]}_${u}`] = -f;
+        }
+      }
+    }
   };
   pathDecomposition();
 
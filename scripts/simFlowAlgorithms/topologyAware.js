@@ -169,6 +169,8 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
     if (!link) return null;
     return {
       kind: "edge",
+      from: fromName,
+      to: toName,
       key: `${fromId}_${toId}`,
       revKey: `${toId}_${fromId}`,
       latency: link.latencySeconds,
@@ -182,6 +184,19 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
     latency: segment.latency,
   });
 
+  // A failed ring sat leaves a gap in its chain, and collapseChain drops the segment
+  // across it, so walking the segment lists by index can jump the gap. Only paths
+  // that are one connected walk from Earth to Mars may carry flow.
+  const isWalk = (items) => {
+    let at = "Earth";
+    for (const item of items) {
+      const from = item.kind === "edge" ? item.from : item.direction === "fwd" ? item.segment.from : item.segment.to;
+      if (from !== at) return false;
+      at = item.kind === "edge" ? item.to : item.direction === "fwd" ? item.segment.to : item.segment.from;
+    }
+    return at === "Mars";
+  };
+
   const earthSegsOn = (side) => (side === "positive" ? earthSegsPos : earthSegsNeg);
   const earthSegsByToOn = (side) => (side === "positive" ? earthSegsPosByTo : earthSegsNegByTo);
   const marsSegsOn = (side) => (side === "positive" ? marsSegsPos : marsSegsNeg);
@@ -352,6 +367,7 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
   const paths = [];
 
   for (const route of routes) {
+    if (performance.now() - perfStart > calctimeMs) return null;
     const earthEntrySat = earthRingEntryForAdapted.get(route.origin);
     const marsExitSat = marsRingExitForAdapted.get(route.destination);
     if (!earthEntrySat || !marsExitSat) continue;
@@ -391,6 +407,7 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
         const mars = buildMarsSide(marsExitSat, naturalMSide, mSide);
         if (!mars) continue;
         const items = earth.items.concat(middleItems, mars.items);
+        if (!isWalk(items)) continue;
         const latency = earth.latency + middleLatency + mars.latency;
         paths.push({ items, latency });
       }
@@ -413,6 +430,11 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
   let opsSinceTimeoutCheck = 0;
 
   for (const path of paths) {
+    if (++opsSinceTimeoutCheck >= 64) {
+      if (performance.now() - perfStart > calctimeMs) return null;
+      opsSinceTimeoutCheck = 0;
+    }
+
     // Find min residual along the path
     let available = Infinity;
     for (const item of path.items) {
@@ -443,11 +465,6 @@ export function topologyAware({ graph, capacities, source, sink, perfStart, calc
       }
     }
     maxFlow += available;
-
-    if (++opsSinceTimeoutCheck >= 64) {
-      if (performance.now() - perfStart > calctimeMs) return null;
-      opsSinceTimeoutCheck = 0;
-    }
   }
 
   // --- Step 9: Propagate segment netFlow to physical edges ---
@@ -0,0 +1,245 @@
+// validate.js — Cross-validation of the registered max-flow algorithms.
+//
+// interface.js lists the invariants every solver must keep (antisymmetry, flow
+// conservation, capacity feasibility, timeout, edge-key format); this module checks
+// them on actual results and runs every FLOW_ALGORITHMS entry on the same input so
+// their maxFlow values can be compared. Driven by `marslink validate-flow` over
+// seeded random graphs and ring-chain topologies plus real topologies built from a
+// preset (simHeadless.js), and by test/flowSolvers.test.js.
+//
+// concentric-topology-aware is a heuristic over the concentric ring chains, not a
+// general solver: it only runs on inputs that carry `topology`, and reporting LESS
+// than push-relabel there is flagged as an under-report rather than a disagreement.
+
+import { FLOW_ALGORITHMS } from "./interface.js?v=4.42";
+import { TopologyBuilder } from "../simTopology.js?v=4.42";
+
+export const REFERENCE_ALGORITHM = "push-relabel";
+const TOPOLOGY_ALGORITHMS = new Set(["concentric-topology-aware"]);
+const KEY_RE = /^\d+_\d+$/;
+// Solvers check the clock every N operations (invariant 4), so a small input can
+// finish before the first check even with an expired budget. Ignoring the budget
+// only counts as a violation when the run went on longer than this — wide enough for
+// a loaded single-core CI runner; the real topologies take seconds per solve.
+const TIMEOUT_SLACK_MS = 1000;
+
+/**
+ * Check one solver result against the interface.js invariants.
+ *
+ * @param {import("./interface.js").MaxFlowInput} input
+ * @param {import("./interface.js").MaxFlowResult} result
+ * @param {number} [tolerance=1e-6] - Relative to the largest capacity.
+ * @returns {Array<{ invariant: string, detail: string }>} Empty when all hold.
+ */
+export function checkFlowInvariants({ graph, capacities, source, sink }, result, tolerance = 1e-6) {
+  const violations = [];
+  const add = (invariant, detail) => {
+    // Cap the list so a badly broken solver doesn't produce a megabyte of output.
+    if (violations.length < 20) violations.push({ invariant, detail });
+  };
+  const { flows, maxFlow } = result;
+  let capScale = 0;
+  for (const k in capacities) if (capacities[k] > capScale) capScale = capacities[k];
+  const eps = tolerance * Math.max(1, capScale);
+
+  for (const key in flows) {
+    if (!KEY_RE.test(key)) {
+      add("edge-key", `malformed key "${key}"`);
+      continue;
+    }
+    const [u, v] = key.split("_");
+    if (!graph[u] || !graph[u].includes(+v)) add("edge-key", `flow on ${key}, which is not an edge`);
+    const f = flows[key] || 0;
+    const back = flows[`${v}_${u}`] || 0;
+    if (Math.abs(f + back) > eps) add("antisymmetry", `${key} = ${f} but ${v}_${u} = ${back}`);
+    if (f > (capacities[key] || 0) + eps) add("capacity", `${key} carries ${f} > ${capacities[key] || 0}`);
+  }
+
+  let sourceOut = 0;
+  for (const k in graph) {
+    const u = +k;
+    let net = 0;
+    for (const v of new Set(graph[u])) net += flows[`${u}_${v}`] || 0;
+    if (u === source) sourceOut = net;
+    else if (u !== sink && Math.abs(net) > eps) add("conservation", `node ${u} has net outflow ${net}`);
+  }
+  if (Math.abs(sourceOut - maxFlow) > eps) add("max-flow value", `maxFlow ${maxFlow} but net source outflow ${sourceOut}`);
+  return violations;
+}
+
+/**
+ * Seeded random undirected graph in the getNetworkData layout: symmetric capacities
+ * and latencies, source 0 and sink 1. A few zero-capacity and parallel-listed edges
+ * are mixed in, since the real builder produces both.
+ *
+ * @param {() => number} rng - Uniform [0, 1) generator (makeRng).
+ * @param {{ nodes?: number, edgesPerNode?: number, maxCapacity?: number }} [opts]
+ * @returns {import("./interface.js").MaxFlowInput & { latencies: Object }}
+ */
+export function randomFlowGraph(rng, { nodes = 40, edgesPerNode = 3, maxCapacity = 10 } = {}) {
+  const graph = {}, capacities = {}, latencies = {};
+  for (let i = 0; i < nodes; i++) graph[i] = [];
+  const edges = Math.round(nodes * edgesPerNode);
+  for (let e = 0; e < edges; e++) {
+    const u = Math.floor(rng() * nodes), v = Math.floor(rng() * nodes);
+    if (u === v) continue;
+    const key = `${u}_${v}`;
+    if (key in capacities) {
+      // Re-listing an existing neighbour mirrors a duplicate adjacency entry.
+      if (rng() < 0.1) { graph[u].push(v); graph[v].push(u); }
+      continue;
+    }
+    const cap = rng() < 0.05 ? 0 : rng() * maxCapacity;
+    const lat = 60 + rng() * 1200;
+    graph[u].push(v);
+    graph[v].push(u);
+    capacities[key] = capacities[`${v}_${u}`] = cap;
+    latencies[key] = latencies[`${v}_${u}`] = lat;
+  }
+  return { graph, capacities, latencies, source: 0, sink: 1 };
+}
+
+/**
+ * Seeded concentric ring-chain topology in the SimNetwork.buildFlowGraph layout, with
+ * the topologyInfo TopologyBuilder.captureTopologyInfo derives from it, so
+ * concentric-topology-aware can run without a preset. The Earth and Mars rings are
+ * two half-chains out of the planet, joined at their tips unless `closed` is false;
+ * each route is a radial chain of ring_adapt_ sats from a random Earth-ring sat to a
+ * random Mars-ring sat. `crossLinks` links neighbouring routes: paths a general
+ * solver can use but topology-aware doesn't know, so it may under-report there.
+ * `failed` ring sats are lost as in degraded-constellation mode: still nodes, but
+ * without links and left out of their ring, so the chains have gaps.
+ *
+ * @param {() => number} rng - Uniform [0, 1) generator (makeRng).
+ * @param {{ ringSats?: number, routes?: number, hops?: number, closed?: boolean, crossLinks?: number, failed?: number, maxCapacity?: number }} [opts]
+ *   ringSats per half-chain, hops = sats per route.
+ * @returns {import("./interface.js").MaxFlowInput & { latencies: Object, topology: Object, nodeIds: Map<string, number> }}
+ */
+export function ringChainFlowGraph(rng, { ringSats = 6, routes = 4, hops = 3, closed = true, crossLinks = 0, failed = 0, maxCapacity = 10 } = {}) {
+  const links = [];
+  const linked = new Set();
+  const link = (fromId, toId) => {
+    if (linked.has(`${fromId}_${toId}`) || linked.has(`${toId}_${fromId}`)) return;
+    linked.add(`${fromId}_${toId}`);
+    links.push({ fromId, toId, gbpsCapacity: rng() * maxCapacity, latencySeconds: 60 + rng() * 1200 });
+  };
+  const rings = {};
+  for (const [ringName, planet] of [["ring_earth", "Earth"], ["ring_mars", "Mars"]]) {
+    rings[ringName] = [];
+    for (const side of ["-", "--"]) {
+      for (let i = 0; i < ringSats; i++) {
+        rings[ringName].push({ name: `${ringName}${side}${i}` });
+        link(i === 0 ? planet : `${ringName}${side}${i - 1}`, `${ringName}${side}${i}`);
+      }
+    }
+    if (closed) link(`${ringName}-${ringSats - 1}`, `${ringName}--${ringSats - 1}`);
+  }
+  const pick = (sats) => sats[Math.floor(rng() * sats.length)].name;
+  const adapted = [];
+  const routeList = [];
+  for (let r = 0; r < routes; r++) {
+    const path = [];
+    for (let j = 0; j < hops; j++) {
+      path.push(`ring_adapt_${r}-${j}`);
+      adapted.push({ name: path[j] });
+      if (j > 0) link(path[j - 1], path[j]);
+    }
+    link(pick(rings.ring_earth), path[0]);
+    link(path[hops - 1], pick(rings.ring_mars));
+    routeList.push({ origin: path[0], destination: path[hops - 1], path });
+  }
+  for (let c = 0; c < crossLinks && routes > 1; c++) {
+    const r = Math.floor(rng() * (routes - 1)), j = Math.floor(rng() * hops);
+    link(`ring_adapt_${r}-${j}`, `ring_adapt_${r + 1}-${j}`);
+  }
+  const ringSatList = [...rings.ring_earth, ...rings.ring_mars];
+  const lost = new Set();
+  while (lost.size < Math.min(failed, ringSatList.length)) lost.add(pick(ringSatList));
+  const liveLinks = links.filter((l) => !lost.has(l.fromId) && !lost.has(l.toId));
+  const liveRings = {};
+  for (const ringName in rings) liveRings[ringName] = rings[ringName].filter((sat) => !lost.has(sat.name));
+
+  const builder = new TopologyBuilder(null, null);
+  builder.routeSummary = { routes: routeList };
+  const topology = builder.captureTopologyInfo(liveRings, liveLinks);
+
+  const nodeIds = new Map([["Earth", 0], ["Mars", 1]]);
+  for (const sat of [...ringSatList, ...adapted]) nodeIds.set(sat.name, nodeIds.size);
+  const graph = {}, capacities = {}, latencies = {};
+  for (const id of nodeIds.values()) graph[id] = [];
+  for (const { fromId, toId, gbpsCapacity, latencySeconds } of liveLinks) {
+    const u = nodeIds.get(fromId), v = nodeIds.get(toId);
+    graph[u].push(v);
+    graph[v].push(u);
+    capacities[`${u}_${v}`] = capacities[`${v}_${u}`] = gbpsCapacity;
+    latencies[`${u}_${v}`] = latencies[`${v}_${u}`] = latencySeconds;
+  }
+  return { graph, capacities, latencies, source: 0, sink: 1, topology, nodeIds };
+}
+
+function cloneInput(input) {
+  const graph = {};
+  for (const k in input.graph) graph[k] = input.graph[k].slice();
+  return { ...input, graph, capacities: { ...input.capacities }, latencies: input.latencies ? { ...input.latencies } : undefined };
+}
+
+/**
+ * Run every registered algorithm (or `algorithms`) on copies of one input, check the
+ * invariants on each result, and compare maxFlow against REFERENCE_ALGORITHM.
+ *
+ * @param {Object} input - MaxFlowInput fields (graph, capacities, latencies, source,
+ *   sink) plus optional `topology` / `nodeIds` for concentric-topology-aware.
+ * @param {Object} [opts]
+ * @param {string[]} [opts.algorithms] - Default: all of FLOW_ALGORITHMS.
+ * @param {number} [opts.calctimeMs=20000]
+ * @param {number} [opts.tolerance=1e-6] - Relative maxFlow agreement tolerance.
+ * @param {boolean} [opts.checkTimeout=true] - Also re-run each solver with an already
+ *   expired budget: it must return null unless it finishes within TIMEOUT_SLACK_MS.
+ * @returns {{ results: Object, referenceFlow: number|null, disagreements: string[],
+ *             underReports: Array<{ algorithm: string, maxFlow: number, referenceFlow: number }>,
+ *             violations: number, ok: boolean }}
+ */
+export function crossValidate(input, { algorithms = Object.keys(FLOW_ALGORITHMS), calctimeMs = 20000, tolerance = 1e-6, checkTimeout = true } = {}) {
+  const results = {};
+  for (const name of algorithms) {
+    if (TOPOLOGY_ALGORITHMS.has(name) && !input.topology) continue;
+    const algo = FLOW_ALGORITHMS[name];
+    if (!algo) throw new Error(`Unknown max-flow algorithm: ${name}`);
+    const run = cloneInput(input);
+    const t0 = performance.now();
+    let result;
+    try {
+      result = algo({ ...run, perfStart: t0, calctimeMs });
+    } catch (err) {
+      results[name] = { maxFlow: null, ms: Math.round(performance.now() - t0), error: err.message, violations: [] };
+      continue;
+    }
+    const ms = Math.round(performance.now() - t0);
+    if (result === null) {
+      results[name] = { maxFlow: null, ms, error: "timed out", violations: [] };
+      continue;
+    }
+    const violations = checkFlowInvariants(input, result, tolerance);
+    if (checkTimeout) {
+      const tExpired = performance.now();
+      const expired = algo({ ...cloneInput(input), perfStart: tExpired - 1, calctimeMs: 0 });
+      const took = performance.now() - tExpired;
+      if (expired !== null && took > TIMEOUT_SLACK_MS) violations.push({ invariant: "timeout", detail: `ran ${Math.round(took)} ms past an expired budget` });
+    }
+    results[name] = { maxFlow: result.maxFlow, ms, error: null, violations };
+  }
+
+  const referenceFlow = results[REFERENCE_ALGORITHM]?.maxFlow ?? null;
+  const disagreements = [];
+  const underReports = [];
+  if (referenceFlow != null) {
+    const eps = tolerance * Math.max(1, referenceFlow);
+    for (const [name, r] of Object.entries(results)) {
+      if (r.maxFlow == null || Math.abs(r.maxFlow - referenceFlow) <= eps) continue;
+      if (TOPOLOGY_ALGORITHMS.has(name) && r.maxFlow < referenceFlow) underReports.push({ algorithm: name, maxFlow: r.maxFlow, referenceFlow });
+      else disagreements.push(name);
+    }
+  }
+  const violations = Object.values(results).reduce((n, r) => n + r.violations.length + (r.error && r.error !== "timed out" ? 1 : 0), 0);
+  return { results, referenceFlow, disagreements, underReports, violations, ok: violations === 0 && disagreements.length === 0 };
+}
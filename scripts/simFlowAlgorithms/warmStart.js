@@ -0,0 +1,232 @@
+// warmStart.js — Repair a previous flow assignment into a feasible starting flow.
+//
+// Consecutive sim dates move link capacities only slightly and keep most links, so
+// the previous date's flow is a good head start for the next solve. It can't be used
+// as is: links came and went (the planet links re-pair as Earth and Mars move along
+// their rings) and capacities shrank. repairFlow fixes it push-relabel style:
+//
+//   1. Clamp: keep the old flow on every edge that still exists, capped at the new
+//      capacity. Conservation now fails at a few nodes — some hold excess (more in
+//      than out), some a deficit.
+//   2. Reroute: fill each deficit over the residual graph from the source or from a
+//      node with excess, then drain remaining excess to the sink — the same moves a
+//      push-relabel discharge makes, applied only where the old flow broke.
+//   3. Cancel: whatever can't be rerouted is removed along the old flow (a deficit's
+//      downstream flow, an excess's upstream flow), which always terminates at the
+//      sink/source or another unbalanced node.
+//
+// The result satisfies every interface.js invariant (a valid flow, not a preflow),
+// so a WARM_START_ALGORITHMS solver only has to augment the remainder.
+
+const EPS = 1e-12;
+
+/**
+ * @param {Object<number, number[]>} graph
+ * @param {Object<string, number>} capacities
+ * @param {number} source
+ * @param {number} sink
+ * @param {Object<string, number>} previousFlows - Signed flows keyed "${u}_${v}" in this
+ *   graph's node IDs; entries for missing edges are ignored.
+ * @returns {{ flows: Object<string, number>, value: number }} Feasible flow and its value.
+ */
+export function repairFlow(graph, capacities, source, sink, previousFlows) {
+  // Adjacency with per-edge capacity, flow and the index of the reverse edge in flat
+  // arrays: the reroute below walks the graph many times, and string-keyed lookups
+  // would dominate. `flows` is only materialized at the end.
+  let V = 0;
+  const live = [];
+  for (const k in graph) {
+    live.push(+k);
+    if (+k + 1 > V) V = +k + 1;
+  }
+  const nbrs = new Array(V), cap = new Array(V), flow = new Array(V), rev = new Array(V);
+  for (const u of live) {
+    const vs = [];
+    for (const v of graph[u]) if (v !== u && !vs.includes(v)) vs.push(v);
+    nbrs[u] = vs;
+    cap[u] = Float64Array.from(vs, (v) => capacities[`${u}_${v}`] || 0);
+    flow[u] = new Float64Array(vs.length);
+  }
+  for (const u of live) rev[u] = Int32Array.from(nbrs[u], (v) => (nbrs[v] ? nbrs[v].indexOf(u) : -1));
+  const balance = new Float64Array(V); // inflow − outflow
+  const move = (u, i, f) => {
+    flow[u][i] += f;
+    flow[nbrs[u][i]][rev[u][i]] -= f;
+  };
+
+  // --- 1. CLAMP ---
+  for (const key in previousFlows) {
+    const f = previousFlows[key];
+    if (!(f > EPS) || !(key in capacities)) continue;
+    const sep = key.indexOf("_");
+    const u = +key.slice(0, sep), v = +key.slice(sep + 1);
+    if (!nbrs[u] || !nbrs[v]) continue;
+    const i = nbrs[u].indexOf(v);
+    if (i < 0 || rev[u][i] < 0) continue;
+    const kept = Math.min(f, cap[u][i], cap[v][rev[u][i]]);
+    if (kept <= EPS) continue;
+    move(u, i, kept);
+    balance[u] -= kept;
+    balance[v] += kept;
+  }
+  const unbalanced = (sign) => live.filter((u) => u !== source && u !== sink && sign * balance[u] > EPS);
+  const excessOf = (u) => (u === source ? Infinity : Math.max(0, balance[u]));
+  const deficitOf = (u) => (u === sink ? Infinity : Math.max(0, -balance[u]));
+  const residualAt = (u, i) => (rev[u][i] < 0 ? 0 : cap[u][i] - flow[u][i]);
+
+  const seen = new Int32Array(V);
+  const queue = new Int32Array(V);
+  let stamp = 0;
+
+  // --- 2. REROUTE ---
+  // Dinic-style phases: one BFS levels the residual graph from every supply node,
+  // then a current-arc DFS moves flow along level-increasing edges to any demand
+  // node — so a phase serves many broken paths for one pass over the graph instead
+  // of one BFS per path (a date step can leave hundreds of nodes unbalanced).
+  const level = new Int32Array(V);
+  const arc = new Int32Array(V);
+  const reroute = (starts, supplyOf, demandOf) => {
+    while (true) {
+      stamp++;
+      let tail = 0, reached = false, limit = Infinity;
+      for (const s of starts) {
+        if (!(supplyOf(s) > EPS)) continue;
+        seen[s] = stamp;
+        level[s] = 0;
+        arc[s] = 0;
+        queue[tail++] = s;
+      }
+      for (let head = 0; head < tail; head++) {
+        const u = queue[head];
+        if (level[u] > 0 && demandOf(u) > EPS) {
+          reached = true;
+          limit = level[u]; // no path of this phase is longer than the nearest demand
+        }
+        if (level[u] >= limit) continue;
+        const vs = nbrs[u];
+        for (let i = 0; i < vs.length; i++) {
+          const v = vs[i];
+          if (seen[v] === stamp || !(residualAt(u, i) > EPS)) continue;
+          seen[v] = stamp;
+          level[v] = level[u] + 1;
+          arc[v] = 0;
+          queue[tail++] = v;
+        }
+      }
+      if (!reached) return;
+      let moved = false;
+      for (const s of starts) {
+        if (seen[s] !== stamp) continue;
+        const path = [s];
+        while (path.length > 0 && supplyOf(s) > EPS) {
+          const u = path[path.length - 1];
+          if (path.length > 1 && demandOf(u) > EPS) {
+            let f = Math.min(supplyOf(s), demandOf(u));
+            for (let k = 0; k < path.length - 1; k++) f = Math.min(f, residualAt(path[k], arc[path[k]]));
+            for (let k = 0; k < path.length - 1; k++) move(path[k], arc[path[k]], f);
+            balance[s] -= f;
+            balance[u] += f;
+            moved = true;
+            path.length = 1;
+            continue;
+          }
+          const vs = nbrs[u];
+          while (arc[u] < vs.length) {
+            const v = vs[arc[u]];
+            if (seen[v] === stamp && level[v] === level[u] + 1 && residualAt(u, arc[u]) > EPS) break;
+            arc[u]++;
+          }
+          if (arc[u] < vs.length) {
+            path.push(vs[arc[u]]);
+          } else {
+            level[u] = -1; // dead end for the rest of this phase
+            path.pop();
+            if (path.length > 0) arc[path[path.length - 1]]++;
+          }
+        }
+      }
+      if (!moved) return;
+    }
+  };
+  // Deficits first, fed from the source or from excess nodes (pairs up broken halves),
+  // then what excess is left drains to the sink.
+  reroute([source, ...unbalanced(1)], excessOf, (u) => (u === sink ? 0 : deficitOf(u)));
+  reroute(unbalanced(1), excessOf, (u) => (u === sink ? Infinity : 0));
+
+  // --- 3. CANCEL ---
+  // A deficit node still has more flow out than in: follow that flow forward and
+  // remove it up to the sink or an excess node. Mirror for excess nodes.
+  const parent = new Int32Array(V);
+  const parentArc = new Int32Array(V);
+  /**
+   * BFS from `start` to the first node accepted by `isTarget`, over edges whose
+   * `room(u, i)` (i = index into nbrs[u]) is positive. Returns the path as
+   * { nodes: [start, ..., target], arcs } with arcs[k] the index of nodes[k + 1]
+   * in nbrs[nodes[k]], or null.
+   */
+  const findPath = (start, isTarget, room) => {
+    stamp++;
+    let tail = 0;
+    seen[start] = stamp;
+    parent[start] = -1;
+    queue[tail++] = start;
+    for (let head = 0; head < tail; head++) {
+      const u = queue[head];
+      const vs = nbrs[u];
+      for (let i = 0; i < vs.length; i++) {
+        const v = vs[i];
+        if (seen[v] === stamp || !(room(u, i) > EPS)) continue;
+        seen[v] = stamp;
+        parent[v] = u;
+        parentArc[v] = i;
+        if (isTarget(v)) {
+          const nodes = [v], arcs = [];
+          for (let w = v; parent[w] !== -1; w = parent[w]) {
+            nodes.push(parent[w]);
+            arcs.push(parentArc[w]);
+          }
+          return { nodes: nodes.reverse(), arcs: arcs.reverse() };
+        }
+        queue[tail++] = v;
+      }
+    }
+    return null;
+  };
+  const carriesAt = (u, i) => flow[u][i];
+  const carriesInto = (u, i) => -flow[u][i]; // flow nbrs[u][i] → u
+  const smallest = ({ nodes, arcs }, room) => {
+    let f = Infinity;
+    for (let k = 0; k < arcs.length; k++) f = Math.min(f, room(nodes[k], arcs[k]));
+    return f;
+  };
+  for (const d of unbalanced(-1)) {
+    while (deficitOf(d) > EPS) {
+      const path = findPath(d, (v) => v === sink || excessOf(v) > EPS, carriesAt);
+      if (!path) break;
+      const end = path.nodes[path.nodes.length - 1];
+      const f = Math.min(deficitOf(d), end === sink ? Infinity : excessOf(end), smallest(path, carriesAt));
+      for (let k = 0; k < path.arcs.length; k++) move(path.nodes[k], path.arcs[k], -f);
+      balance[d] += f;
+      balance[end] -= f;
+    }
+  }
+  for (const e of unbalanced(1)) {
+    while (excessOf(e) > EPS) {
+      const path = findPath(e, (v) => v === source || deficitOf(v) > EPS, carriesInto);
+      if (!path) break;
+      const end = path.nodes[path.nodes.length - 1];
+      const f = Math.min(excessOf(e), end === source ? Infinity : deficitOf(end), smallest(path, carriesInto));
+      for (let k = 0; k < path.arcs.length; k++) move(path.nodes[k], path.arcs[k], f);
+      balance[e] -= f;
+      balance[end] += f;
+    }
+  }
+
+  const flows = {};
+  for (const u of live) {
+    for (let i = 0; i < nbrs[u].length; i++) if (flow[u][i] !== 0) flows[`${u}_${nbrs[u][i]}`] = flow[u][i];
+  }
+  let value = 0;
+  for (let i = 0; i < (nbrs[source] || []).length; i++) value += flow[source][i];
+  return { flows, value };
+}
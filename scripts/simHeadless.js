@@ -0,0 +1,514 @@
+// simHeadless.js — Run the simWorker scenario pipeline without a browser.
+//
+// Turns a saved slider snapshot (a SimUi preset, an archive entry, or a bare
+// { "section.slider": value } map — all store INTERNAL slider positions) into the
+// same uiConfig the UI would send to the worker, runs runScenario in-process, and
+// costs the result with the worker's own sim state. Pure logic, no DOM — used by
+// bin/marslink.js so studies can be scripted and configs regression-tested in CI.
+
+import { slidersData } from "./slidersData.js?v=4.42";
+import { SimUi } from "./simUi.js?v=4.42";
+import { getState, runScenario, runFailureTrials, runConjunctionScan, runDemandModel, runPropagation, runPhasingScan } from "./simWorker.js?v=4.42";
+import { calculateCosts, costConfigFromUi } from "./simCosts.js?v=4.42";
+import { seriesDates } from "./simSeries.js?v=4.42";
+import { findConjunctions } from "./simConjunction.js?v=4.42";
+import { SYNODIC_PERIOD_DAYS } from "./simTransfer.js?v=4.42";
+import { makeRng } from "./simFleet.js?v=4.42";
+import { crossValidate, randomFlowGraph, ringChainFlowGraph } from "./simFlowAlgorithms/validate.js?v=4.42";
+import { readPresetFile } from "./simPresetFile.js?v=4.42";
+import { drawSamples, needsPipeline, applySample, trialMetrics, summarizeTrials } from "./simUncertainty.js?v=4.42";
+
+// Sections that affect the constellation, costs & performance: what the archive and
+// share links capture and rebuild from. "display" is pure visualization and never
+// reaches the worker.
+export const BUILD_CATS = [
+  "economics", "simulation", "laser_technology", "ring_mars", "relay_type", "circular_rings", "eccentric_rings",
+  "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_schedule", "launch_vehicle", "satellite",
+];
+
+// Short CLI names for the relay families (relay_type.selected labels).
+export const RELAY_FAMILIES = {
+  adapted: "Contoured concentric",
+  "adapted-eccentric": "Contoured eccentric",
+  circular: "Circular",
+  eccentric: "Eccentric",
+};
+
+/**
+ * Normalize any saved-config shape into { name, sliders, curves }, migrated to the
+ * current preset schema (simPresetFile.js):
+ *   - { format: "marslink-preset", presets: [...] } (exported preset file)
+ *   - { "section.slider": value, ... }            (SimUi.setupPresets snapshot)
+ *   - { presetName: { "section.slider": ... } }   (the whole marslinkPresets store)
+ *   - { name, config: { sliders, curves }, ... }  (archive entry)
+ *   - [archiveEntry, ...]                         ("Copy results JSON" output)
+ *
+ * @param {*} json - Parsed preset file.
+ * @param {string} [name] - Entry/preset to pick from a multi-entry file (default: the first).
+ * @returns {{ name: string|null, sliders: Object, curves: Object, migrated: Array, unapplied: Array }}
+ *   migrated / unapplied: that entry's readPresetFile report.
+ */
+export function normalizePreset(json, name = null) {
+  const { entries, report } = readPresetFile(json, { curveKeys: SimUi.ADAPTED_CURVES.map(([k]) => k) });
+  const i = name != null ? entries.findIndex((e) => e.name === name) : 0;
+  if (i < 0) throw new Error(`No preset named "${name}"`);
+  const { sliders, curves } = entries[i].config;
+  return { name: entries[i].name ?? name, sliders, curves, migrated: report[i].migrated, unapplied: report[i].unapplied };
+}
+
+/** Clamp + sort an anchor curve, falling back to `dflt` (flat level or anchor array). */
+function normalizeCurve(a, dflt) {
+  if (!Array.isArray(a) || a.length < 2) a = Array.isArray(dflt) ? dflt : [{ x: 0, y: dflt }, { x: 1, y: dflt }];
+  return a
+    .map((p) => ({ x: Math.min(1, Math.max(0, +p.x || 0)), y: Math.min(100, Math.max(0, +p.y || 0)) }))
+    .sort((p, q) => p.x - q.x);
+}
+
+/**
+ * Build the worker uiConfig from a slider snapshot. Mirrors SimUi.getGroupsConfig
+ * exactly: unsaved sliders take their slidersData default, quadratic/pow10 positions
+ * map to their user-facing value (pow2 stays a raw exponent), and the adapted-ring
+ * curves ride along.
+ *
+ * @param {Object} [sliders] - { "section.slider": internalValue }
+ * @param {Object} [curves] - { curveKey: [{x, y}, ...] }
+ * @returns {Object} uiConfig
+ */
+export function uiConfigFromSnapshot(sliders = {}, curves = {}) {
+  const config = {};
+  for (const categoryKey of BUILD_CATS) {
+    const group = slidersData[categoryKey];
+    if (!group) continue;
+    for (const [sliderKey, sliderData] of Object.entries(group)) {
+      if (sliderData.type === "header" || sliderData.type === "computed") continue;
+      const fullId = `${categoryKey}.${sliderKey}`;
+      const value = sliders[fullId] !== undefined ? sliders[fullId] : sliderData.value;
+      if (sliderData.type === "radio" || typeof sliderData.value === "string" || typeof sliderData.value === "boolean") {
+        config[fullId] = value;
+      } else {
+        const num = parseFloat(value);
+        let configVal = isNaN(num) ? sliderData.value : num;
+        if (sliderData.scale === "quadratic") configVal = Math.round(configVal * configVal);
+        else if (sliderData.scale === "pow10") configVal = Math.round(Math.pow(10, configVal));
+        config[fullId] = configVal;
+      }
+    }
+  }
+  for (const [k, dflt] of SimUi.ADAPTED_CURVES) config[k] = normalizeCurve(curves[k], dflt);
+  return config;
+}
+
+/**
+ * Run one preset end-to-end (ring sizing → topology → max-flow → latencies → costs)
+ * at `simDate` and return a JSON-serializable summary.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.simDate - ISO date.
+ * @param {boolean} [opts.computeFlow=true] - false skips max-flow (flow falls back to the routed relay capacity).
+ * @param {number} [opts.flowCalctimeMs=20000] - Max-flow time budget (longTermRun's).
+ * @returns {Object}
+ */
+export function runHeadless({ preset, simDate, computeFlow = true, flowCalctimeMs = 20000 }) {
+  const uiConfig = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const res = runScenario({ requestId: 0, scenarioId: 0, uiConfig, simDate, flowCalctimeMs, computeFlow });
+  const { simLinkBudget, simSatellites } = getState();
+
+  const rs = res.routeSummary;
+  const ld = res.latencyData;
+  // Same fallback as the sensitivity sweep: a skipped solve is costed on the routed
+  // relay capacity, which the relay-first sizing makes equivalent.
+  const flowSkipped = res.maxFlowGbps == null;
+  const costedGbps = flowSkipped ? (rs?.totalThroughput || 0) / 1000 : res.maxFlowGbps;
+  const costs = calculateCosts(costedGbps, res.resultTreesData || [], { ...costConfigFromUi(uiConfig), simLinkBudget, simSatellites });
+  const finite = (v) => (Number.isFinite(v) ? v : null);
+
+  return {
+    preset: preset.name ?? null,
+    simDate: new Date(simDate).toISOString(),
+    relayType: uiConfig["relay_type.selected"],
+    ringCount: uiConfig["relay_type.ringcount"],
+    satellitesCount: res.satellitesCount,
+    maxFlowGbps: res.maxFlowGbps,
+    // Bidirectional mode (simulation.return-traffic-share > 0): per-direction share of maxFlowGbps.
+    directions: res.directions ?? null,
+    flowError: res.flowError,
+    relayThroughputGbps: rs ? (rs.totalThroughput || 0) / 1000 : null,
+    routeCount: rs?.routeCount ?? null,
+    latencySeconds: {
+      best: ld?.bestLatency ?? rs?.minLatency ?? null,
+      median: ld?.medianLatency ?? null,
+      average: ld?.averageLatency ?? null,
+      routeMin: rs?.minLatency ?? null,
+      routeAvg: rs?.avgLatency ?? null,
+      routeMax: rs?.maxLatency ?? null,
+    },
+    costs: {
+      totalCosts: costs.totalCosts,
+      costPerMbps: finite(costs.costPerMbps),
+      launchCount: costs.launchCount,
+      deploymentFlights: costs.deploymentFlights,
+      tankerFlights: costs.tankerFlights,
+      laserCount: costs.laserCount,
+      launchCost: costs.launchCost,
+      propellantCost: costs.propellantCost,
+      satellitesCost: costs.satellitesCost,
+      laserTerminalsCost: costs.laserTerminalsCost,
+      solarCost: costs.solarCost,
+      radiatorCost: costs.radiatorCost,
+      wrightSavings: costs.wrightSavings,
+    },
+    failures: res.failures,
+    sizedConfig: res.sizedConfig,
+    iterations: res.iterations,
+    totalMs: res.totalMs,
+  };
+}
+
+/**
+ * Degraded-constellation Monte-Carlo over one or more relay families: the preset is
+ * run once per family (relay_type.selected swapped, everything else unchanged) through
+ * runFailureTrials, so each family degrades under the same failure probabilities and
+ * the same seed sequence.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.simDate - ISO date.
+ * @param {string[]} [opts.families] - relay_type.selected labels (default: the preset's own).
+ * @param {number} [opts.trials=20]
+ * @param {number} [opts.satFailurePct=0]
+ * @param {number} [opts.terminalFailurePct=0]
+ * @param {number} [opts.seed=1]
+ * @param {boolean} [opts.computeFlow=true]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {boolean} [opts.repair=false] - Also compare incremental repair vs full rebuild.
+ * @returns {Object} { simDate, trials, ..., families: { [label]: runFailureTrials result } }
+ */
+export function runFailureStudy({ preset, simDate, families = null, trials = 20, satFailurePct = 0, terminalFailurePct = 0, seed = 1, computeFlow = true, flowCalctimeMs = 20000, repair = false }) {
+  const base = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const labels = families && families.length ? families : [base["relay_type.selected"]];
+  const out = {};
+  for (const label of labels) {
+    const uiConfig = { ...base, "relay_type.selected": label };
+    const { type, requestId, ...result } = runFailureTrials({
+      requestId: 0, uiConfig, simDate, trials, satFailurePct, terminalFailurePct, seed, flowCalctimeMs, computeFlow, repair,
+    });
+    out[label] = result;
+  }
+  return {
+    preset: preset.name ?? null,
+    simDate: new Date(simDate).toISOString(),
+    trials,
+    satFailurePct,
+    terminalFailurePct,
+    seed,
+    families: out,
+  };
+}
+
+/**
+ * Monte-Carlo uncertainty propagation (simUncertainty.js): `trials` seeded draws of
+ * the input distributions, each run and costed, summarized as P10/P50/P90 bands.
+ * With only economics inputs the preset is run once and each trial re-priced;
+ * otherwise every trial is a full runScenario at `simDate`.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.simDate - ISO date.
+ * @param {Array<{fullId: string, dist: Object}>} opts.inputs - parseDistributionList output.
+ * @param {number} [opts.trials=200]
+ * @param {number} [opts.seed=1]
+ * @param {boolean} [opts.computeFlow=true]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {(i: number, n: number) => void} [opts.onTrial] - Progress callback.
+ * @returns {Object} { preset, simDate, trials, seed, mode, inputs, baseline, summary, rows }
+ */
+export function runUncertaintyStudy({ preset, simDate, inputs, trials = 200, seed = 1, computeFlow = true, flowCalctimeMs = 20000, onTrial = null }) {
+  const t0 = performance.now();
+  const base = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const pipeline = needsPipeline(inputs);
+  const run = (uiConfig) => runScenario({ requestId: 0, scenarioId: 0, uiConfig, simDate, flowCalctimeMs, computeFlow });
+  const baseRes = run(base);
+  const baseline = trialMetrics(baseRes, base, getState());
+  const rows = drawSamples(inputs, trials, seed).map((sample, i) => {
+    const cfg = applySample(slidersData, base, sample);
+    const metrics = pipeline ? trialMetrics(run(cfg), cfg, getState()) : trialMetrics(baseRes, cfg, getState(), true);
+    if (onTrial) onTrial(i + 1, trials);
+    return { trial: i, sample, ...metrics };
+  });
+  return {
+    preset: preset.name ?? null,
+    simDate: new Date(simDate).toISOString(),
+    trials,
+    seed,
+    mode: pipeline ? "pipeline" : "costs",
+    inputs: inputs.map(({ fullId, unit, dist }) => ({ fullId, unit, dist })),
+    baseline,
+    summary: summarizeTrials(rows),
+    rows,
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * Per-date series over [from, to] (SimMain.longTermRun's rows, for scripted runs):
+ * the constellation is sized once at `from` through runScenario, then topology, flow
+ * and latencies are recomputed at every sampled date with the constellation fixed —
+ * what flies for a whole synodic cycle, solar conjunction included.
+ *
+ * With computeFlow off, maxFlowGbps stays null and latency / cost per Mbps come from
+ * the routed relay capacity instead (as in runHeadless).
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.from - ISO start date (also the sizing date).
+ * @param {string} opts.to - ISO end date (inclusive).
+ * @param {number} [opts.stepDays=7] - Sampling step.
+ * @param {boolean} [opts.computeFlow=true]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {(row: Object, index: number, total: number) => void} [opts.onStep] - Progress callback.
+ * @returns {{ rows: Object[], satellitesCount: number, totalMs: number }}
+ */
+export function runTimeSeries({ preset, from, to, stepDays = 7, computeFlow = true, flowCalctimeMs = 20000, onStep = null }) {
+  const t0 = performance.now();
+  const uiConfig = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const sized = runScenario({ requestId: 0, scenarioId: 0, uiConfig, simDate: from, flowCalctimeMs, computeFlow: false });
+  const { simLinkBudget, simSolarSystem, simSatellites, simNetwork } = getState();
+  const costCtx = { ...costConfigFromUi(uiConfig), simLinkBudget, simSatellites };
+  const trees = sized.resultTreesData || [];
+  const minutes = (sec) => (sec != null && Number.isFinite(sec) ? Math.round((sec / 60) * 10) / 10 : null);
+
+  const dates = seriesDates(from, to, stepDays);
+  const rows = [];
+  for (const date of dates) {
+    const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+    const satellites = simSatellites.updateSatellitesPositions(date);
+    const links = simNetwork.getPossibleLinks(planets, satellites);
+    const rs = simNetwork.routeSummary;
+    let maxFlowGbps = null, latency = { best: rs?.minLatency, avg: rs?.avgLatency, max: rs?.maxLatency };
+    let costedGbps = rs ? (rs.totalThroughput || 0) / 1000 : 0;
+    if (computeFlow) {
+      const nd = simNetwork.getNetworkData(planets, satellites, links, flowCalctimeMs);
+      costedGbps = 0;
+      latency = {};
+      if (!nd.error) {
+        maxFlowGbps = costedGbps = nd.maxFlowGbps || 0;
+        const ld = simNetwork.calculateLatencies(nd);
+        latency = { best: ld?.bestLatency, avg: ld?.averageLatency, max: ld?.maxLatency };
+      }
+    }
+    const costs = calculateCosts(costedGbps, trees, costCtx);
+    const row = {
+      simDate: date.toISOString(),
+      possibleLinksCount: links.length,
+      maxFlowGbps,
+      bestLatencyMinutes: minutes(latency.best),
+      avgLatencyMinutes: minutes(latency.avg),
+      maxLatencyMinutes: minutes(latency.max),
+      costPerMbps: Number.isFinite(costs.costPerMbps) ? costs.costPerMbps : null,
+      solarBlindedCandidatePairs: simNetwork.solarBlindedCount ?? null,
+      pointingConeRejected: simNetwork.pointingRejected?.cone ?? null,
+      pointingRateRejected: simNetwork.pointingRejected?.rate ?? null,
+    };
+    rows.push(row);
+    if (onStep) onStep(row, rows.length - 1, dates.length);
+  }
+  return { rows, satellitesCount: sized.satellitesCount, totalMs: Math.round(performance.now() - t0) };
+}
+
+/**
+ * Solar-conjunction outage study: finds the first Earth–Mars conjunction on or after
+ * `simDate` and runs runConjunctionScan for every relay family × exclusion angle, so
+ * the blackout length can be compared across configurations. `blackouts` flattens
+ * the per-scan windows into one table.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.simDate - ISO date to search forward from.
+ * @param {string[]} [opts.families] - relay_type.selected labels (default: the preset's own).
+ * @param {number[]} [opts.exclusionDegs] - Solar exclusion angles (default: the preset's).
+ * @param {number} [opts.halfWindowDays=60]
+ * @param {number} [opts.stepDays=2]
+ * @param {number} [opts.blackoutPct=1]
+ * @param {boolean} [opts.computeFlow=true]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @returns {Object}
+ */
+export function runConjunctionStudy({ preset, simDate, families = null, exclusionDegs = null, halfWindowDays = 60, stepDays = 2, blackoutPct = 1, computeFlow = true, flowCalctimeMs = 20000 }) {
+  const base = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const { simSolarSystem } = getState();
+  const planets = simSolarSystem.getSolarSystemData().planets;
+  const earth = planets.find((p) => p.name === "Earth");
+  const mars = planets.find((p) => p.name === "Mars");
+  const from = new Date(simDate);
+  const [conjunction] = findConjunctions(earth, mars, from, new Date(from.getTime() + Math.ceil(SYNODIC_PERIOD_DAYS + 30) * 86400000));
+  if (!conjunction) throw new Error(`No conjunction found after ${from.toISOString()}`);
+
+  const labels = families && families.length ? families : [base["relay_type.selected"]];
+  const out = {};
+  const blackouts = [];
+  for (const label of labels) {
+    const uiConfig = { ...base, "relay_type.selected": label };
+    const { type, requestId, ...result } = runConjunctionScan({
+      requestId: 0, uiConfig, conjunctionDate: conjunction.toISOString(), halfWindowDays, stepDays, exclusionDegs, blackoutPct, computeFlow, flowCalctimeMs,
+    });
+    out[label] = result;
+    for (const scan of result.scans) {
+      blackouts.push({ family: label, solarExclusionDeg: scan.solarExclusionDeg, referenceGbps: scan.referenceGbps, ...scan.blackout });
+    }
+  }
+  return {
+    preset: preset.name ?? null,
+    conjunctionDate: conjunction.toISOString(),
+    halfWindowDays,
+    stepDays,
+    blackoutPct,
+    blackouts,
+    families: out,
+  };
+}
+
+/**
+ * Serve a traffic demand profile (see simDemand.js) over one preset's per-date
+ * capacity from `from` to `to` — runDemandModel with the preset's uiConfig.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {Object} opts.demand - Demand profile JSON.
+ * @param {string} opts.from - ISO start date (also the sizing date).
+ * @param {string} opts.to - ISO end date (inclusive).
+ * @param {number} [opts.stepDays=1]
+ * @param {boolean} [opts.computeFlow=true]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {(done: number, total: number) => void} [opts.onStep]
+ * @returns {Object}
+ */
+export function runDemandStudy({ preset, demand, from, to, stepDays = 1, computeFlow = true, flowCalctimeMs = 20000, onStep = null }) {
+  const uiConfig = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const { type, requestId, ...result } = runDemandModel({ requestId: 0, uiConfig, demand, from, to, stepDays, computeFlow, flowCalctimeMs }, onStep);
+  return { preset: preset.name ?? null, relayType: uiConfig["relay_type.selected"], ...result };
+}
+
+/**
+ * Integrate sampled relays of every ring under Sun + Earth + Mars + Jupiter gravity
+ * with station keeping (simPropagator.js) — runPropagation with the preset's uiConfig.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.simDate - ISO start date (also the sizing date).
+ * @param {number} [opts.years] - Horizon; default the preset's station-keeping lifetime.
+ * @param {number} [opts.stepHours=12]
+ * @param {number} [opts.satsPerRing=6]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {(done: number, total: number) => void} [opts.onSatellite]
+ * @returns {Object}
+ */
+export function runPropagationStudy({ preset, simDate, years = null, stepHours = 12, satsPerRing = 6, flowCalctimeMs = 20000, onSatellite = null }) {
+  const uiConfig = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const { type, requestId, ...result } = runPropagation({ requestId: 0, uiConfig, simDate, years, stepHours, satsPerRing, flowCalctimeMs }, onSatellite);
+  return { preset: preset.name ?? null, relayType: uiConfig["relay_type.selected"], ...result };
+}
+
+/**
+ * Radial link churn per ring pair (simPhasing.js) from `from` to `to` — runPhasingScan
+ * with the preset's uiConfig.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} opts.preset - normalizePreset output.
+ * @param {string} opts.from - ISO start date (also the sizing date).
+ * @param {string} opts.to - ISO end date (inclusive).
+ * @param {number} [opts.stepDays=1]
+ * @param {number} [opts.flowCalctimeMs=20000]
+ * @param {(done: number, total: number) => void} [opts.onStep]
+ * @returns {Object}
+ */
+export function runPhasingStudy({ preset, from, to, stepDays = 1, flowCalctimeMs = 20000, onStep = null }) {
+  const uiConfig = uiConfigFromSnapshot(preset.sliders, preset.curves);
+  const { type, requestId, ...result } = runPhasingScan({ requestId: 0, uiConfig, from, to, stepDays, flowCalctimeMs }, onStep);
+  return { preset: preset.name ?? null, relayType: uiConfig["relay_type.selected"], ...result };
+}
+
+/**
+ * Flow-solver cross-validation: every registered max-flow algorithm on the same
+ * inputs, with the interface.js invariants checked on each result (validate.js).
+ * Runs `randomCases` seeded random graphs of growing size and `ringCases` seeded
+ * concentric ring-chain topologies (concentric-topology-aware runs on those too),
+ * then — when a preset is given — the real topology of each relay family at
+ * `simDate` (sized as runScenario would); on the concentric family
+ * concentric-topology-aware also runs. Its under-reports are flagged.
+ *
+ * @param {Object} opts
+ * @param {{ sliders: Object, curves: Object }} [opts.preset] - normalizePreset output; omit for random graphs only.
+ * @param {string} [opts.simDate] - ISO date for the real topologies.
+ * @param {string[]} [opts.families] - relay_type.selected labels (default: the preset's own).
+ * @param {number} [opts.randomCases=50]
+ * @param {number} [opts.ringCases=50]
+ * @param {number} [opts.seed=1] - Case i uses seed + i.
+ * @param {number} [opts.flowCalctimeMs=20000] - Per-solver time budget.
+ * @param {(label: string, report: Object) => void} [opts.onCase] - Progress callback.
+ * @returns {{ ok: boolean, cases: Object[], summary: Object }}
+ */
+export function runFlowValidation({ preset = null, simDate, families = null, randomCases = 50, ringCases = 50, seed = 1, flowCalctimeMs = 20000, onCase = null }) {
+  const cases = [];
+  const record = (label, meta, report) => {
+    const entry = { label, ...meta, ...report };
+    cases.push(entry);
+    if (onCase) onCase(label, entry);
+  };
+
+  for (let i = 0; i < randomCases; i++) {
+    const rng = makeRng(seed + i);
+    // Sizes cycle 10 → ~300 nodes so both tiny corner cases and solver-stressing graphs appear.
+    const nodes = 10 + Math.round(rng() * (i % 5 === 4 ? 290 : 60));
+    const input = randomFlowGraph(rng, { nodes, edgesPerNode: 1.2 + rng() * 3 });
+    record(`random-${seed + i}`, { nodes }, crossValidate(input, { calctimeMs: flowCalctimeMs }));
+  }
+
+  for (let i = 0; i < ringCases; i++) {
+    const rng = makeRng(seed + i);
+    // Every other case links neighbouring routes, where topology-aware may under-report;
+    // every third loses ring sats, leaving gaps in the chains.
+    const input = ringChainFlowGraph(rng, {
+      ringSats: 2 + Math.floor(rng() * 12),
+      routes: 1 + Math.floor(rng() * 8),
+      hops: 1 + Math.floor(rng() * 5),
+      closed: rng() < 0.75,
+      crossLinks: i % 2 ? Math.floor(rng() * 6) : 0,
+      failed: i % 3 === 2 ? 1 + Math.floor(rng() * 3) : 0,
+    });
+    record(`ring-${seed + i}`, { nodes: Object.keys(input.graph).length }, crossValidate(input, { calctimeMs: flowCalctimeMs }));
+  }
+
+  if (preset) {
+    const base = uiConfigFromSnapshot(preset.sliders, preset.curves);
+    const labels = families && families.length ? families : [base["relay_type.selected"]];
+    for (const label of labels) {
+      const uiConfig = { ...base, "relay_type.selected": label };
+      runScenario({ requestId: 0, scenarioId: 0, uiConfig, simDate, flowCalctimeMs, computeFlow: false });
+      const { simSolarSystem, simSatellites, simNetwork } = getState();
+      const date = new Date(simDate);
+      const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+      const satellites = simSatellites.updateSatellitesPositions(date);
+      const links = simNetwork.getPossibleLinks(planets, satellites);
+      const input = simNetwork.buildFlowGraph(planets, satellites, links);
+      if (!input) throw new Error(`${label}: Earth or Mars missing from the solar system state`);
+      // concentric-topology-aware returns 0 by design outside the concentric family — only
+      // hand it the topology where its answer is meant to match.
+      const topology = label === RELAY_FAMILIES.adapted ? simNetwork.topologyInfo : null;
+      record(label, { nodes: Object.keys(input.graph).length, links: links.length }, crossValidate({ ...input, topology }, { calctimeMs: flowCalctimeMs }));
+    }
+  }
+
+  const failed = cases.filter((c) => !c.ok);
+  return {
+    ok: failed.length === 0,
+    cases,
+    summary: {
+      cases: cases.length,
+      failed: failed.map((c) => c.label),
+      disagreements: cases.filter((c) => c.disagreements.length).map((c) => ({ label: c.label, algorithms: c.disagreements, referenceFlow: c.referenceFlow })),
+      underReports: cases.flatMap((c) => c.underReports.map((u) => ({ label: c.label, ...u }))),
+      violations: cases.reduce((n, c) => n + c.violations, 0),
+    },
+  };
+}
@@ -2,6 +2,9 @@
 
 import { SIM_CONSTANTS } from "./simConstants.js?v=4.42";
 
+// Ring-family config sections that carry a "link-model" selector.
+const LINK_MODEL_FAMILIES = ["ring_earth", "ring_mars", "circular_rings", "eccentric_rings", "adapted_rings", "adapted_eccentric_rings"];
+
 export class SimLinkBudget {
   constructor() {
     this.baseGbps = SIM_CONSTANTS.DEFAULT_BASE_GBPS;
@@ -57,6 +60,14 @@ export class SimLinkBudget {
     this.solarExclusionDeg = technologyConfig["simulation.solarExclusionDeg"] || 0;
     this.solarExclusionRad = this.solarExclusionDeg * SIM_CONSTANTS.DEG_TO_RAD;
 
+    // Laser terminal pointing limits (TopologyBuilder.violatesPointing): field-of-regard
+    // cone around the velocity or sun axis (90° = unconstrained) and the maximum line-of-
+    // sight rate between link windows (0 = unconstrained).
+    this.pointingReference = technologyConfig["laser_technology.pointing-reference"] === "Sun" ? "sun" : "velocity";
+    this.pointingConeDeg = technologyConfig["laser_technology.pointing-cone-deg"] ?? 90;
+    this.pointingMaxRateDegPerDay = technologyConfig["laser_technology.pointing-max-rate"] || 0;
+    this.pointingStepDays = (technologyConfig["simulation.linkUpdateIntervalHours"] || 24) / 24;
+
     // Max-flow solver, now chosen PER RING TYPE: the concentric families have a fast
     // specialized solver, the eccentric families need a general one. Resolve the active
     // relay family's "<section>.flow-solver" (with a per-family code default so legacy
@@ -94,38 +105,180 @@ export class SimLinkBudget {
     const swapDeg = parseFloat(technologyConfig["simulation.greedy-merge-swap-degrees"]);
     this.greedyMergeSwapDegrees = Number.isFinite(swapDeg) && swapDeg >= 0 ? swapDeg : 3;
 
+    // Degraded-constellation mode (see simFailures.js): seeded random loss of whole
+    // satellites and of individual laser terminals, applied by SimNetwork before the
+    // topology is built. Both 0 = intact constellation.
+    this.satFailurePct = Math.max(0, +technologyConfig["simulation.failed-satellites-slider"] || 0);
+    this.terminalFailurePct = Math.max(0, +technologyConfig["simulation.failed-terminals-slider"] || 0);
+    this.failureSeed = Math.round(+technologyConfig["simulation.failure-seed"] || 1);
+
+    // Max-flow warm start from the previous date's solve (SimNetwork.getNetworkData).
+    this.flowWarmStart = technologyConfig["simulation.flow-warm-start"] === "on";
+
+    // Bidirectional mode: fraction of each link's capacity time-shared to Mars→Earth
+    // (see SimNetwork.getNetworkData). 0 = the original Earth→Mars-only model.
+    this.returnShare = Math.min(0.9, Math.max(0, (+technologyConfig["simulation.return-traffic-share"] || 0) / 100));
+
     // Adapted-eccentric "cross-ring links" toggle: link the nearest sat on each of
     // two rings where their tracks cross in the xy plane, using the spare radial
     // laser. Default on (only affects topologies that actually use eccentric rings).
     this.eccentricCrossRingLinks = technologyConfig["adapted_eccentric_rings.cross-ring-links"] !== "no";
 
+    // Link model, chosen PER RING FAMILY ("<section>.link-model"): "Scaled" keeps the
+    // baseline throughput scaled by 1/d² above; "Physical" derives capacity from the
+    // terminal hardware in laser_technology, one set shared by every family
+    // (physicalBudget). Calls without a family (sizing helpers, the flow-side
+    // consumers) use the active relay family's model.
+    this.relayFamily = relaySection;
+    this.linkModels = {};
+    for (const family of LINK_MODEL_FAMILIES) {
+      this.linkModels[family] = technologyConfig[`${family}.link-model`] === "Physical" ? "physical" : "scaled";
+    }
+    this.physical = {
+      txApertureM: (technologyConfig["laser_technology.tx-aperture-cm"] ?? 22) / 100,
+      rxApertureM: (technologyConfig["laser_technology.rx-aperture-cm"] ?? 22) / 100,
+      txPowerW: technologyConfig["laser_technology.tx-power-w"] ?? 2,
+      wavelengthM: (technologyConfig["laser_technology.wavelength-nm"] ?? 1550) * 1e-9,
+      pointingLossDb: technologyConfig["laser_technology.pointing-loss-db"] ?? 3,
+      detectorEfficiency: (technologyConfig["laser_technology.detector-efficiency-pct"] ?? 50) / 100,
+      photonsPerBit: technologyConfig["laser_technology.photons-per-bit"] ?? 8,
+    };
+
     // Invalidate Gbps cache when tech config changes
     this._gbpsCache = new Map();
+    this._gbpsCachePhysical = new Map();
     // Precompute constant factor: techImprovementFactor * baseGbps * baseDistanceKm²
     this._gbpsFactor = this.techImprovementFactor * this.baseGbps * this.baseDistanceKm * this.baseDistanceKm;
+    // Same constant for the physical model: its uncapped rate at 1 km (Gbps·km²).
+    this._physicalFactor = this.physicalBudget(1).uncappedGbps;
+  }
+
+  /**
+   * Ring-family config section of a ring (same prefixes as getMaxLinksPerRing).
+   * @param {string} [ringName]
+   * @returns {string|null} null for planets and unknown names.
+   */
+  familyOf(ringName) {
+    if (!ringName) return null;
+    if (ringName === "ring_earth" || ringName === "ring_mars") return ringName;
+    if (ringName.startsWith("ring_circ")) return "circular_rings";
+    if (ringName.startsWith("ring_adecc")) return "adapted_eccentric_rings";
+    if (ringName.startsWith("ring_ecce")) return "eccentric_rings";
+    if (ringName.startsWith("ring_adapt")) return "adapted_rings";
+    return null;
+  }
+
+  // Capacity constant (Gbps·km²) of a family's link model.
+  gbpsFactorFor(family = this.relayFamily) {
+    return this.linkModels?.[family] === "physical" ? this._physicalFactor : this._gbpsFactor;
+  }
+
+  /**
+   * Optical link budget from the terminal hardware, before the line-rate cap:
+   *
+   *   Pr = Pt · Gt · Gr · (λ / 4πd)² · Lpoint,  G = (πD / λ)²
+   *   rate = Pr · ηdet / (hc/λ) / photonsPerBit
+   *
+   * @param {number} distanceKm
+   * @returns {Object} txPowerW, txGainDb, rxGainDb, freeSpaceLossDb, pointingLossDb,
+   *   receivedPowerW, receivedDbm, detectedPhotonsPerSec, photonsPerBit, uncappedGbps.
+   */
+  physicalBudget(distanceKm) {
+    const p = this.physical;
+    const d = distanceKm * 1000;
+    const lambda = p.wavelengthM;
+    const gain = (diameterM) => Math.pow((Math.PI * diameterM) / lambda, 2);
+    const db = (ratio) => 10 * Math.log10(ratio);
+    const gt = gain(p.txApertureM), gr = gain(p.rxApertureM);
+    const pathLoss = Math.pow(lambda / (4 * Math.PI * d), 2);
+    const receivedPowerW = p.txPowerW * gt * gr * pathLoss * Math.pow(10, -p.pointingLossDb / 10);
+    const photonJ = (SIM_CONSTANTS.PLANCK_J_S * SIM_CONSTANTS.SPEED_OF_LIGHT_KM_S * 1000) / lambda;
+    const detectedPhotonsPerSec = (receivedPowerW * p.detectorEfficiency) / photonJ;
+    return {
+      txPowerW: p.txPowerW,
+      txGainDb: db(gt),
+      rxGainDb: db(gr),
+      freeSpaceLossDb: db(pathLoss),
+      pointingLossDb: p.pointingLossDb,
+      receivedPowerW,
+      receivedDbm: db(receivedPowerW * 1000),
+      detectedPhotonsPerSec,
+      photonsPerBit: p.photonsPerBit,
+      uncappedGbps: p.photonsPerBit > 0 ? detectedPhotonsPerSec / p.photonsPerBit / 1e9 : 0,
+    };
   }
 
   convertAUtoKM(AU) {
     return AU * this.AU_IN_KM;
   }
 
-  // Function to calculate Gbps capacity based on distance
+  // Function to calculate Gbps capacity based on distance, with the family's link model
   // Bucketed cache: distances rounded to 100km share the same result
-  calculateGbps(distanceKm) {
+  calculateGbps(distanceKm, family = this.relayFamily) {
     if (isNaN(distanceKm) || distanceKm <= 0) return 0;
+    const physical = this.linkModels?.[family] === "physical";
+    const cache = physical ? this._gbpsCachePhysical : this._gbpsCache;
     const bucket = (distanceKm / 100) | 0; // 100km buckets
-    const cached = this._gbpsCache.get(bucket);
+    const cached = cache.get(bucket);
     if (cached !== undefined) return cached;
     // Power-limited capacity (∝ 1/d²), clamped at the terminal line rate.
-    const result = Math.min(this.cTermGbps, this._gbpsFactor / (distanceKm * distanceKm));
-    this._gbpsCache.set(bucket, result);
+    const factor = physical ? this._physicalFactor : this._gbpsFactor;
+    const result = Math.min(this.cTermGbps, factor / (distanceKm * distanceKm));
+    cache.set(bucket, result);
     return result;
   }
 
   // Function to calculate distance based on Gbps capacity
-  calculateKm(gbps) {
+  calculateKm(gbps, family = this.relayFamily) {
     if (gbps <= 0) return Infinity;
-    return Math.round(this.baseDistanceKm * Math.sqrt((this.techImprovementFactor * this.baseGbps) / gbps));
+    return Math.round(Math.sqrt(this.gbpsFactorFor(family) / gbps));
+  }
+
+  /**
+   * Capacity of a link between two rings: each end's family model, the weaker one
+   * wins. A planet end (no ring) takes the other end's family.
+   * @param {number} distanceKm
+   * @param {string} [ringA]
+   * @param {string} [ringB]
+   * @returns {number} Gbps
+   */
+  linkGbps(distanceKm, ringA, ringB) {
+    const fa = this.familyOf(ringA), fb = this.familyOf(ringB);
+    const a = fa || fb || this.relayFamily, b = fb || a;
+    const gbps = this.calculateGbps(distanceKm, a);
+    return a === b ? gbps : Math.min(gbps, this.calculateGbps(distanceKm, b));
+  }
+
+  /**
+   * Per-link budget breakdown (hover readout) for the limiting end of the link.
+   * @param {number} distanceKm
+   * @param {string} [ringA]
+   * @param {string} [ringB]
+   * @returns {Object} family, model ("scaled" | "physical"), distanceKm, gbps,
+   *   uncappedGbps, lineRateGbps, plus baseGbps / baseDistanceKm / improvement
+   *   (scaled) or the physicalBudget terms (physical).
+   */
+  linkBudget(distanceKm, ringA, ringB) {
+    const fa = this.familyOf(ringA), fb = this.familyOf(ringB);
+    const a = fa || fb || this.relayFamily, b = fb || a;
+    const family = this.gbpsFactorFor(b) < this.gbpsFactorFor(a) ? b : a;
+    const model = this.linkModels?.[family] || "scaled";
+    const terms = model === "physical"
+      ? this.physicalBudget(distanceKm)
+      : {
+          baseGbps: this.baseGbps,
+          baseDistanceKm: this.baseDistanceKm,
+          improvement: this.techImprovementFactor,
+          uncappedGbps: this._gbpsFactor / (distanceKm * distanceKm),
+        };
+    return {
+      family,
+      model,
+      distanceKm,
+      ...terms,
+      lineRateGbps: this.cTermGbps,
+      gbps: Math.min(this.cTermGbps, terms.uncappedGbps),
+    };
   }
 
   // Function to calculate latency based on distance
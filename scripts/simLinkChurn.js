@@ -0,0 +1,182 @@
+// simLinkChurn.js — Link churn and handovers between successive link windows.
+//
+// The worker rebuilds the topology from scratch for every window, so nothing records
+// which links survive from one window to the next. SimMain feeds each displayed
+// window's links to a LinkChurnTracker; it diffs them against the previous window and
+// keeps link lifetimes, per-node handovers (a new link at a terminal means a slew and
+// an acquisition there) and the capacity lost while new links acquire. Terminals of
+// different ring families may acquire at different speeds: a new link is dark until
+// its slower end has locked. No DOM here.
+
+/**
+ * Diffs successive windows' links. Only adjacent windows (index ±1) are diffed; a jump
+ * in time starts a new baseline without counting the difference as churn. Call reset()
+ * when the constellation changes.
+ */
+export class LinkChurnTracker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.reacquisitionSec=60] - Terminal re-acquisition delay of
+   *   groups without their own entry in reacquisitionSecByGroup: a new link carries
+   *   nothing for this long after its window starts.
+   * @param {(id: string) => string|null} [options.groupOf] - Node id → terminal group
+   *   (ring family); null for nodes whose terminals don't hold a link back (planets).
+   */
+  constructor({ reacquisitionSec = 60, groupOf = null } = {}) {
+    this.reacquisitionSec = reacquisitionSec;
+    this.reacquisitionSecByGroup = {}; // group → seconds; read at summary time
+    this.groupOf = groupOf;
+    this.reset();
+  }
+
+  reset() {
+    this.current = null; // link key → { fromId, toId, gbps, windows } for the last observed window
+    this.windowIdx = null;
+    this.windows = 0; // observed windows, baselines included
+    this.diffs = 0; // adjacent window pairs diffed
+    this.diffedMs = 0;
+    this.established = 0;
+    this.tornDown = 0;
+    // Established links by the groups of their ends ("groupA|groupB" → { groups, gbps,
+    // count }): the delays are applied at summary time, so a changed delay re-prices
+    // the windows already observed.
+    this.establishedByPair = new Map();
+    this.capacityGbMs = 0; // Σ capacity × window length over diffed windows
+    this.lifetimesMs = [];
+    this.nodes = new Map(); // node id → { handovers, tornDown, pairs: pair key → handovers }
+  }
+
+  _node(id) {
+    if (!this.nodes.has(id)) this.nodes.set(id, { handovers: 0, tornDown: 0, pairs: new Map() });
+    return this.nodes.get(id);
+  }
+
+  /** Acquisition delay (s) of a link between terminals of the two groups: the slower end. */
+  delaySec(groupA, groupB) {
+    const sec = (g) => (g == null ? null : this.reacquisitionSecByGroup[g] ?? this.reacquisitionSec);
+    const a = sec(groupA), b = sec(groupB);
+    return a === null && b === null ? this.reacquisitionSec : Math.max(a ?? 0, b ?? 0);
+  }
+
+  /**
+   * Record one window's links. Re-observing the same window is a no-op.
+   * @param {Array<{fromId: string, toId: string, gbpsCapacity?: number}>} links - possibleLinks of the window.
+   * @param {number} windowIdx
+   * @param {number} windowMs - Window length.
+   * @returns {boolean} true when the window was diffed against its predecessor.
+   */
+  observe(links, windowIdx, windowMs) {
+    if (windowIdx === this.windowIdx) return false;
+    const adjacent = this.current !== null && Math.abs(windowIdx - this.windowIdx) === 1;
+    const next = new Map();
+    for (const link of links) {
+      const key = `${link.fromId}-${link.toId}`;
+      const prev = adjacent ? this.current.get(key) : null;
+      next.set(key, {
+        fromId: link.fromId,
+        toId: link.toId,
+        gbps: link.gbpsCapacity || 0,
+        // Links already up at a baseline have an unknown start: no lifetime for them.
+        windows: prev ? (prev.windows === null ? null : prev.windows + 1) : adjacent ? 1 : null,
+      });
+    }
+
+    if (adjacent) {
+      this.diffs++;
+      this.diffedMs += windowMs;
+      for (const [key, l] of next) {
+        this.capacityGbMs += l.gbps * windowMs;
+        if (this.current.has(key)) continue;
+        this.established++;
+        const groups = [l.fromId, l.toId].map((id) => (this.groupOf ? this.groupOf(id) ?? null : null)).sort();
+        const pairKey = groups.join("|");
+        const pair = this.establishedByPair.get(pairKey) || this.establishedByPair.set(pairKey, { groups, gbps: 0, count: 0 }).get(pairKey);
+        pair.gbps += l.gbps;
+        pair.count++;
+        for (const id of [l.fromId, l.toId]) {
+          const node = this._node(id);
+          node.handovers++;
+          node.pairs.set(pairKey, (node.pairs.get(pairKey) || 0) + 1);
+        }
+      }
+      for (const [key, l] of this.current) {
+        if (next.has(key)) continue;
+        this.tornDown++;
+        if (l.windows !== null) this.lifetimesMs.push(l.windows * windowMs);
+        for (const id of [l.fromId, l.toId]) this._node(id).tornDown++;
+      }
+    }
+
+    this.current = next;
+    this.windowIdx = windowIdx;
+    this.windows++;
+    return adjacent;
+  }
+
+  /**
+   * Lost capacity: every established link is dark for its delaySec (at most one
+   * window) at the start of its first window.
+   * @returns {Object} windows, diffs, diffedHours, linksNow, established, tornDown,
+   *   establishedPerDay, meanLifetimeHours / medianLifetimeHours (completed links only,
+   *   null before any), handoversMean / handoversMax / handoversMaxNode (over nodes
+   *   that hold links), reacquisitionSecMin / reacquisitionSecMax (over the established
+   *   links, null before any), lostGb, lostPct (of the diffed capacity-time).
+   */
+  summary() {
+    const lifetimes = [...this.lifetimesMs].sort((a, b) => a - b);
+    const meanMs = lifetimes.length ? lifetimes.reduce((s, v) => s + v, 0) / lifetimes.length : null;
+    const medianMs = lifetimes.length ? lifetimes[Math.floor(lifetimes.length / 2)] : null;
+
+    const nodeIds = new Set(this.nodes.keys());
+    if (this.current) for (const l of this.current.values()) nodeIds.add(l.fromId).add(l.toId);
+    let total = 0, max = 0, maxNode = null;
+    for (const id of nodeIds) {
+      const h = this.nodes.get(id)?.handovers ?? 0;
+      total += h;
+      if (h > max) { max = h; maxNode = id; }
+    }
+
+    const windowSec = this.diffs ? this.diffedMs / this.diffs / 1000 : 0;
+    let lostGb = 0, minSec = null, maxSec = null;
+    for (const { groups, gbps } of this.establishedByPair.values()) {
+      const sec = this.delaySec(groups[0], groups[1]);
+      lostGb += gbps * Math.min(sec, windowSec);
+      minSec = minSec === null ? sec : Math.min(minSec, sec);
+      maxSec = maxSec === null ? sec : Math.max(maxSec, sec);
+    }
+    const capacityGb = this.capacityGbMs / 1000;
+    return {
+      windows: this.windows,
+      diffs: this.diffs,
+      diffedHours: this.diffedMs / 3_600_000,
+      linksNow: this.current ? this.current.size : 0,
+      established: this.established,
+      tornDown: this.tornDown,
+      establishedPerDay: this.diffedMs > 0 ? (this.established * 86_400_000) / this.diffedMs : null,
+      meanLifetimeHours: meanMs === null ? null : meanMs / 3_600_000,
+      medianLifetimeHours: medianMs === null ? null : medianMs / 3_600_000,
+      handoversMean: nodeIds.size ? total / nodeIds.size : 0,
+      handoversMax: max,
+      handoversMaxNode: maxNode,
+      reacquisitionSecMin: minSec,
+      reacquisitionSecMax: maxSec,
+      lostGb,
+      lostPct: capacityGb > 0 ? (lostGb / capacityGb) * 100 : 0,
+    };
+  }
+
+  /**
+   * @returns {string} CSV, one row per node with at least one link change, most
+   *   handovers first.
+   */
+  toCsv() {
+    const lines = ["node,handovers,links_torn_down,acquisition_downtime_s"];
+    const rows = [...this.nodes].sort((a, b) => b[1].handovers - a[1].handovers || (a[0] < b[0] ? -1 : 1));
+    for (const [id, n] of rows) {
+      let downtime = 0;
+      for (const [pairKey, count] of n.pairs) downtime += count * this.delaySec(...this.establishedByPair.get(pairKey).groups);
+      lines.push([id, n.handovers, n.tornDown, downtime].join(","));
+    }
+    return lines.join("\n") + "\n";
+  }
+}
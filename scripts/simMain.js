@@ -18,6 +18,9 @@ import { SimFlightController } from "./simFlightController.js?v=4.42";
 import { SimProbeController } from "./simProbeController.js?v=4.42";
 import { findDepartureWindows } from "./simTransfer.js?v=4.42";
 import { EARTH_MARS_CLOSEST_APPROACH_DEG } from "./simOrbits.js?v=4.42";
+import { calculateCosts } from "./simCosts.js?v=4.42";
+import { setActiveEphemeris, shareEphemeris } from "./simEphemeris.js?v=4.42";
+import { LinkChurnTracker } from "./simLinkChurn.js?v=4.42";
 
 export class SimMain {
   // Clamp argument to [-1, 1] to prevent NaN from Math.asin domain errors
@@ -74,6 +77,7 @@ export class SimMain {
     this.simWorker.onmessage = (event) => this.handleWorkerMessage(event);
     this.simWorker.onerror = (event) => console.error("[Marslink] Worker error:", event.message);
     this.simWorker.postMessage({ type: "init" });
+    shareEphemeris(this.simWorker);
     this.workerReady = false;
     this.workerBusy = false;
     this.lastRequestId = 0;
@@ -92,8 +96,13 @@ export class SimMain {
     this.WINDOW_DURATION = 1000 * 60 * 60 * 24; // 24h sim time
     this.windowCache = new Map();
     this.configEpoch = 0;
+    this.longTermRuns = 0; // scopes each longTermRun's flow warm start
     this.displayedWindowIdx = null;
     this.previousSimDate = 0; // for detecting time direction
+    // Link churn between successive displayed windows (Link churn card).
+    // Terminals acquire at their ring family's re-acquisition time.
+    this.linkChurn = new LinkChurnTracker({ groupOf: (id) => this.simLinkBudget.familyOf(this._ringOfNode(id)) });
+    this._linkChurnEpoch = null;
     this.simTimePausedForCache = false; // true when waiting for a cache window
 
     // Do not instantiate simDisplay here; it will be set by setDisplayType
@@ -162,10 +171,61 @@ export class SimMain {
     }
     if (typeof this.simDisplay.setGeostationaryOrbits === "function") this.simDisplay.setGeostationaryOrbits(this.geostationaryOrbits);
     if (typeof this.simDisplay.setSatLabelMode === "function") this.simDisplay.setSatLabelMode(this.satLabelMode);
+    if ("linkInfoProvider" in this.simDisplay) this.simDisplay.linkInfoProvider = (link) => this.linkBudgetHtml(link);
 
     this.pendingUpdates.add('links');
   }
 
+  /**
+   * Ring name of a link end (undefined for planets), from the current satellites.
+   * @param {string} id - Node id (satellite or planet name).
+   */
+  _ringOfNode(id) {
+    const sats = this.simSatellites.getSatellites();
+    if (this._ringOfSource !== sats) {
+      this._ringOfSource = sats;
+      this._ringOf = new Map(sats.map((sat) => [sat.name, sat.ringName]));
+    }
+    return this._ringOf.get(id);
+  }
+
+  /**
+   * Hover readout for one link: the link-budget terms of its limiting end
+   * (SimLinkBudget.linkBudget), the resulting capacity and any routed flow.
+   * @param {Object} link - possibleLinks / networkData link.
+   * @returns {string} HTML, or "" when the link has no distance.
+   */
+  linkBudgetHtml(link) {
+    if (!(link.distanceKm > 0)) return "";
+    const b = this.simLinkBudget.linkBudget(link.distanceKm, this._ringOfNode(link.fromId), this._ringOfNode(link.toId));
+    const fmtGbps = (g) => (g >= 1 ? `${g.toFixed(2)} Gbps` : `${(g * 1000).toFixed(g >= 0.01 ? 1 : 3)} Mbps`);
+    const fmtDb = (v) => `${v >= 0 ? "+" : "\u2212"}${Math.abs(v).toFixed(1)} dB`;
+    const row = (label, value) => `<div style="display:flex; justify-content:space-between; gap:12px;"><span>${label}</span><span style="color:#eef1f7">${value}</span></div>`;
+    let html = `<div style="color:#eef1f7; font-weight:600; margin-bottom:2px;">${link.fromId} \u2194 ${link.toId}</div>`;
+    html += `<div style="color:#7c879f; margin-bottom:4px;">${b.family.replace(/_/g, " ")} \u00b7 ${b.model === "physical" ? "physical budget" : "scaled 1/d\u00b2"}</div>`;
+    html += row("Distance", `${Math.round(b.distanceKm).toLocaleString()} km`);
+    if (b.model === "physical") {
+      html += row("Transmit power", `${b.txPowerW} W (${(10 * Math.log10(b.txPowerW * 1000)).toFixed(1)} dBm)`);
+      html += row("Transmit gain", fmtDb(b.txGainDb));
+      html += row("Receive gain", fmtDb(b.rxGainDb));
+      html += row("Free-space loss", fmtDb(b.freeSpaceLossDb));
+      html += row("Pointing loss", fmtDb(-b.pointingLossDb));
+      html += row("Received power", `${b.receivedDbm.toFixed(1)} dBm`);
+      html += row("Detected photons", `${b.detectedPhotonsPerSec.toExponential(2)} /s`);
+      html += row("Photons per bit", b.photonsPerBit);
+    } else {
+      html += row("Baseline", `${b.baseGbps} Gbps @ ${b.baseDistanceKm.toLocaleString()} km`);
+      html += row("Improvement", `\u00d7${b.improvement.toLocaleString()}`);
+      html += row("Distance scaling", `(${b.baseDistanceKm.toLocaleString()} km / d)\u00b2 = ${Math.pow(b.baseDistanceKm / b.distanceKm, 2).toExponential(2)}`);
+    }
+    if (Number.isFinite(b.lineRateGbps)) html += row("Line-rate cap", fmtGbps(b.lineRateGbps));
+    html += `<div style="border-top:1px solid rgba(255, 255, 255, 0.08); margin-top:4px; padding-top:4px;">`;
+    html += row("Capacity", fmtGbps(b.gbps));
+    if (link.gbpsFlow > 0) html += row("Flow", fmtGbps(link.gbpsFlow));
+    html += `</div>`;
+    return html;
+  }
+
   setLinksColors(type) {
     if (type !== this.linksColors) {
       this.pendingUpdates.add('display');
@@ -294,6 +354,82 @@ export class SimMain {
     this.simTime.setTimeAccelerationFactor(timeAccelerationFactor);
   }
 
+  /**
+   * Sets a ring family's laser terminal re-acquisition delay used for the Link churn
+   * card's lost capacity. Applies to the windows already observed too.
+   *
+   * @param {string} family - Ring-family config section (e.g. "adapted_rings").
+   * @param {number} seconds
+   */
+  setReacquisitionSec(family, seconds) {
+    this.linkChurn.reacquisitionSecByGroup[family] = seconds;
+    if (this.ui && this.resultTrees) {
+      this.ui.updateInfoAreaCosts(
+        this.getCostsHtml(this.calculateCosts(this.maxFlowGbps, this.resultTrees), this.lastNetworkData, this.lastLatencyData)
+      );
+    }
+  }
+
+  /**
+   * Feed a displayed window's links to the churn tracker. A new config epoch means a
+   * different constellation, so the statistics start over.
+   * @param {Object} result - Window result (links-ready message or cache entry).
+   */
+  _observeLinkChurn(result) {
+    if (!result.possibleLinks || typeof result.windowIdx !== "number") return;
+    if (result.configEpoch !== this._linkChurnEpoch) {
+      this.linkChurn.reset();
+      this._linkChurnEpoch = result.configEpoch;
+    }
+    this.linkChurn.observe(result.possibleLinks, result.windowIdx, this.WINDOW_DURATION);
+  }
+
+  downloadLinkChurnCsv() {
+    const s = this.linkChurn.summary();
+    this.ui.saveTextFile(this.linkChurn.toCsv(), `marslink-link-churn-${s.diffs}windows.csv`, "text/csv");
+  }
+
+  /**
+   * Link churn card: links established / torn down between successive displayed
+   * windows, their lifetimes, per-node handovers and the capacity lost to acquisition.
+   * @returns {string} HTML
+   */
+  linkChurnMetricHtml() {
+    const s = this.linkChurn.summary();
+    const fmtH = (h) => (h === null ? "\u2014" : h >= 48 ? `${(h / 24).toFixed(1)} d` : `${h.toFixed(1)} h`);
+    const row = (label, value) => `<div class="detail-row"><span class="detail-label">${label}</span><span class="detail-value">${value}</span></div>`;
+    let html = `<div class="metric-card">`;
+    html += `<div class="metric-header">`;
+    html += `<span class="metric-label">Link churn</span>`;
+    if (s.diffs === 0) {
+      html += `<span class="metric-na">\u2014</span>`;
+      html += `</div>`;
+      html += `<div class="metric-sub">Needs two successive link windows</div>`;
+      html += `</div>`;
+      return html;
+    }
+    html += `<span class="metric-value-sm">${s.establishedPerDay.toFixed(1)} /day</span>`;
+    html += `</div>`;
+    html += `<div class="metric-sub">new links · ${s.diffs} window${s.diffs === 1 ? "" : "s"} (${fmtH(s.diffedHours)})</div>`;
+    html += `<div class="metric-toggle" id="churn-toggle">`;
+    html += `<span class="arrow" id="churn-arrow">&#9656;</span><span>Details</span>`;
+    html += `</div>`;
+    html += `<div class="metric-details" id="churn-content" style="display: none;">`;
+    html += row("Links now", s.linksNow.toLocaleString());
+    html += row("Established | torn down", `${s.established.toLocaleString()} | ${s.tornDown.toLocaleString()}`);
+    html += row("Link lifetime mean | p50", `${fmtH(s.meanLifetimeHours)} | ${fmtH(s.medianLifetimeHours)}`);
+    html += row("Handovers per node", `${s.handoversMean.toFixed(1)} avg · ${s.handoversMax} max`);
+    if (s.handoversMaxNode) html += row("Busiest node", s.handoversMaxNode);
+    const delay = s.reacquisitionSecMin === null ? "" : s.reacquisitionSecMin === s.reacquisitionSecMax ? `${s.reacquisitionSecMin} s` : `${s.reacquisitionSecMin}\u2013${s.reacquisitionSecMax} s`;
+    html += row(`Lost to re-acquisition <span style="color:var(--text-3)">${delay}</span>`,
+      `${s.lostGb >= 1000 ? `${(s.lostGb / 1000).toFixed(1)} Tb` : `${s.lostGb.toFixed(0)} Gb`} · ${s.lostPct < 0.01 && s.lostPct > 0 ? "<0.01" : s.lostPct.toFixed(2)}%`);
+    html += `<div class="detail-row" style="border-top: 1px solid var(--border-1); padding-top: 4px; margin-top: 4px;">`;
+    html += `<button class="btn" style="flex:1;" onclick="window.simMain.downloadLinkChurnCsv()">Download CSV</button>`;
+    html += `</div>`;
+    html += `</div></div>`;
+    return html;
+  }
+
   /**
    * Sets the sun size factor for the display.
    *
@@ -337,6 +473,21 @@ export class SimMain {
     }
   }
 
+  /**
+   * Switch planet positions to an ephemeris table (simEphemeris.js), or back to the
+   * analytic elements with null — here, in the live worker and in every pool created
+   * after this. Cached windows were computed with the old positions, so drop them.
+   * @param {Object|null} ephemeris
+   */
+  setEphemeris(ephemeris) {
+    setActiveEphemeris(ephemeris);
+    shareEphemeris(this.simWorker);
+    this.configEpoch++;
+    this.windowCache.clear();
+    this.displayedWindowIdx = null;
+    this.pendingUpdates.add("links");
+  }
+
   setSatellitesConfig(uiConfig) {
     this._lastUiConfig = uiConfig;
     const satellitesConfig = [];
@@ -415,6 +566,7 @@ export class SimMain {
       return `${startMin} - ${endMin} min`;
     });
     const data = latencyData.histogram.map((bin) => bin.totalGbps);
+    const dirs = latencyData.directions; // bidirectional mode: stacked Earth→Mars / Mars→Earth
 
     // Theme colors matching the app's dark UI
     const textMuted = "#7c879f";   // --text-2
@@ -428,14 +580,19 @@ export class SimMain {
       type: "bar",
       data: {
         labels,
-        datasets: [{
-          data,
-          backgroundColor: accentBar,
-          hoverBackgroundColor: accentHover,
-          borderRadius: 2,
-          barPercentage: 0.9,
-          categoryPercentage: 0.85,
-        }],
+        datasets: dirs
+          ? [
+              { label: "Earth\u2192Mars", data: dirs.earthToMars.map((bin) => bin.totalGbps), backgroundColor: "rgba(59,130,246,0.6)", hoverBackgroundColor: "rgba(59,130,246,0.85)", borderRadius: 2, barPercentage: 0.9, categoryPercentage: 0.85 },
+              { label: "Mars\u2192Earth", data: dirs.marsToEarth.map((bin) => bin.totalGbps), backgroundColor: "rgba(224,87,62,0.6)", hoverBackgroundColor: "rgba(224,87,62,0.85)", borderRadius: 2, barPercentage: 0.9, categoryPercentage: 0.85 },
+            ]
+          : [{
+              data,
+              backgroundColor: accentBar,
+              hoverBackgroundColor: accentHover,
+              borderRadius: 2,
+              barPercentage: 0.9,
+              categoryPercentage: 0.85,
+            }],
       },
       options: {
         responsive: true,
@@ -447,6 +604,7 @@ export class SimMain {
             ticks: { color: textDim, font: { size: 9 }, maxRotation: 45, autoSkip: true, maxTicksLimit: 8 },
             grid: { display: false },
             border: { color: gridColor },
+            stacked: !!dirs,
           },
           y: {
             title: { display: true, text: "Gbps", color: textMuted, font: { size: 10 } },
@@ -454,6 +612,7 @@ export class SimMain {
             grid: { color: gridColor },
             border: { display: false },
             beginAtZero: true,
+            stacked: !!dirs,
           },
         },
         plugins: {
@@ -467,9 +626,11 @@ export class SimMain {
             titleFont: { size: 11 },
             bodyFont: { size: 11 },
             padding: 8,
-            callbacks: { label: (ctx) => `${ctx.parsed.y} Gbps` },
+            callbacks: { label: (ctx) => `${dirs ? `${ctx.dataset.label}: ` : ""}${ctx.parsed.y} Gbps` },
           },
-          legend: { display: false },
+          legend: dirs
+            ? { display: true, position: "top", align: "end", labels: { color: textMuted, font: { size: 10 }, boxWidth: 10, boxHeight: 10 } }
+            : { display: false },
         },
       },
     });
@@ -501,110 +662,7 @@ export class SimMain {
   }
 
   calculateCosts(maxFlowGbps, resultTrees) {
-    let totalSatellitesCount = 0;
-    let totalLaunchCount = 0;
-    let totalLaunchCost = 0;
-    let totalPropellantCost = 0;
-    let totalSatellitesCost = 0;
-    let totalLaserTerminalsCost = 0;
-    let propellantCostBreakdown = {};
-    let propellantMassBreakdown = {};
-
-    let totalDeploymentFlights = 0;
-    let totalTankerFlights = 0;
-    let totalLaserCount = 0;
-
-    for (const orbit of resultTrees) {
-      totalSatellitesCount += orbit.satCount || 0;
-      totalLaserCount += (orbit.satCount || 0) * (this.simLinkBudget.getMaxLinksPerRing(orbit.ringName) || 0);
-      const flights = orbit.deploymentFlights_count || 0;
-      const tankersPerFlight = orbit.vehicles ? Object.keys(orbit.vehicles).filter((k) => k.startsWith("Tanker")).length : 0;
-      totalDeploymentFlights += flights;
-      totalTankerFlights += flights * tankersPerFlight;
-      totalLaunchCount += flights * (1 + tankersPerFlight);
-      totalLaunchCost += orbit.launchCost;
-      totalPropellantCost += orbit.propellantCost;
-      totalSatellitesCost += orbit.satellitesCost;
-      totalLaserTerminalsCost += orbit.laserTerminalsCost;
-      if (orbit.propellantCostBreakdown) {
-        for (const [type, cost] of Object.entries(orbit.propellantCostBreakdown)) {
-          if (!propellantCostBreakdown[type]) propellantCostBreakdown[type] = 0;
-          propellantCostBreakdown[type] += cost;
-        }
-      }
-      // Accumulate propellant mass per type
-      if (orbit.vehicles) {
-        for (const vehicle of Object.values(orbit.vehicles)) {
-          const pType = vehicle.propellantType;
-          if (!pType) continue;
-          const massKg =
-            ((vehicle.count ? vehicle.count * vehicle.propellantLoaded_kg : vehicle.propellantLoaded_kg) +
-            (vehicle.count ? vehicle.count * (vehicle.tankerPropellant_kg || 0) : (vehicle.tankerPropellant_kg || 0)))
-            * (orbit.deploymentFlights_count || 1);
-          if (!propellantMassBreakdown[pType]) propellantMassBreakdown[pType] = 0;
-          propellantMassBreakdown[pType] += massKg;
-        }
-      }
-    }
-
-    // Thermal hardware, distance-scaled and launch-independent (apples-to-apples across orbit
-    // families). Solar array is sized for the LOWEST flux (aphelion) → cost ∝ apoapsis²; the
-    // radiator is sized for the HIGHEST flux (perihelion) → cost ∝ 1/perihelion². Both are
-    // normalized to Earth's aphelion (matching solarPanelMassKg). An eccentric ring pays BOTH
-    // extremes at once (big array AND big radiator); a concentric ring, at a single radius, pays
-    // only one — so this charges the eccentric dual-thermal premium as hardware, not via launch.
-    const els = (this.simSatellites && this.simSatellites.getOrbitalElements && this.simSatellites.getOrbitalElements()) || [];
-    const earthApo = (this.simSatellites && this.simSatellites.apsidesEarth && this.simSatellites.apsidesEarth.apoapsis) || 1;
-    const apsisByRing = {};
-    for (const el of els) {
-      if (!el || !el.ringName || !el.apsides) continue;
-      const apoPct = el.apsides.apo_pctEarth > 0 ? el.apsides.apo_pctEarth : 1;
-      const periPct = el.apsides.periapsis > 0 ? el.apsides.periapsis / earthApo : apoPct;
-      apsisByRing[el.ringName] = { apoPct, periPct: Math.max(0.1, periPct) };
-    }
-    const powerKw = this.satellitePowerKw || 0;
-    const solarPerKw = (this.solarCostPerKw || 0) * 1_000_000;
-    const radPerKw = (this.radiatorCostPerKw || 0) * 1_000_000;
-    let totalSolarCost = 0;
-    let totalRadiatorCost = 0;
-    for (const orbit of resultTrees) {
-      const n = orbit.satCount || 0;
-      const ap = apsisByRing[orbit.ringName] || { apoPct: 1, periPct: 1 };
-      totalSolarCost += n * powerKw * solarPerKw * ap.apoPct * ap.apoPct; // array ∝ apoapsis²
-      totalRadiatorCost += (n * powerKw * radPerKw) / (ap.periPct * ap.periPct); // radiator ∝ 1/perihelion²
-    }
-
-    const totalCosts = totalLaunchCost + totalPropellantCost + totalSatellitesCost + totalLaserTerminalsCost + totalSolarCost + totalRadiatorCost;
-
-    // Wright's law savings: difference between no-learning cost (c1 * n) and actual
-    const noLearningLaunch = (this.costPerLaunch || 0) * 1_000_000 * totalLaunchCount;
-    const noLearningSat = (this.costPerSatellite || 0) * 1_000_000 * totalSatellitesCount;
-    const noLearningLaser = (this.costPerLaserTerminal || 0) * 1_000_000 * totalLaserCount;
-    const noLearningTotal = noLearningLaunch + noLearningSat + noLearningLaser + totalPropellantCost + totalSolarCost + totalRadiatorCost;
-    const wrightSavings = noLearningTotal - totalCosts;
-
-    let costPerMbps = Infinity;
-    if (maxFlowGbps) costPerMbps = Math.round(totalCosts / (maxFlowGbps * 1000));
-
-    return {
-      satellitesCount: totalSatellitesCount,
-      launchCount: totalLaunchCount,
-      deploymentFlights: totalDeploymentFlights,
-      tankerFlights: totalTankerFlights,
-      laserCount: totalLaserCount,
-      launchCost: totalLaunchCost,
-      propellantCost: totalPropellantCost,
-      satellitesCost: totalSatellitesCost,
-      laserTerminalsCost: totalLaserTerminalsCost,
-      solarCost: totalSolarCost,
-      radiatorCost: totalRadiatorCost,
-      totalCosts,
-      costPerMbps,
-      propellantCostBreakdown,
-      propellantMassBreakdown,
-      wrightSavings,
-      noLearningTotal,
-    };
+    return calculateCosts(maxFlowGbps, resultTrees, this);
   }
 
   /**
@@ -862,14 +920,23 @@ export class SimMain {
       if (!windows.length) return;
       const start = new Date(windows[0]);
       start.setUTCMonth(start.getUTCMonth() + 3); // ~mid-transit
-      this.simTime.initDate = start;
-      this.simTime.simMsSinceStart = 0;
-      this.simTime.previousRealMs = performance.now();
+      this.setSimDate(start);
     } catch (e) {
       console.warn("[Marslink] initial sim date fallback:", e && e.message);
     }
   }
 
+  /**
+   * Jump the sim clock to `date` (acceleration unchanged). Used by the share-link
+   * restore; the render loop picks up the new window on its next frame.
+   * @param {Date} date
+   */
+  setSimDate(date) {
+    this.simTime.initDate = new Date(date);
+    this.simTime.simMsSinceStart = 0;
+    this.simTime.previousRealMs = performance.now();
+  }
+
   /**
    * Right-panel "Fleet" metric card (spacecraft-flight overlay). Built from the
    * SimFlightController's ledger at the current sim date. Returned as a full
@@ -1380,6 +1447,12 @@ export class SimMain {
       const totalFlights = this.resultTrees.reduce((s, o) => s + (o.deploymentFlights_count || 0), 0);
       html += `<div class="detail-row" style="border-top: 1px solid var(--border-1); padding-top: 4px; margin-top: 4px;"><span class="detail-label">Total laser ports</span><span class="detail-value">${totalLasers.toLocaleString()}</span></div>`;
       html += `<div class="detail-row"><span class="detail-label">Deployment flights</span><span class="detail-value">${totalFlights.toLocaleString()}</span></div>`;
+      // Candidate links the terminal pointing limits ruled out (only when a limit is set).
+      const lb = this.simLinkBudget;
+      if (this.pointingRejected && (lb.pointingConeDeg < 90 || lb.pointingMaxRateDegPerDay > 0)) {
+        const pr = this.pointingRejected;
+        html += `<div class="detail-row"><span class="detail-label">Rejected by pointing</span><span class="detail-value">${pr.cone.toLocaleString()} cone · ${pr.rate.toLocaleString()} rate</span></div>`;
+      }
     }
     html += `</div></div>`;
 
@@ -1512,10 +1585,13 @@ export class SimMain {
       // the relay number alone — a smaller planet-ring/ground link caps the whole path. This keeps
       // the header consistent with the "Bottleneck: …" subline. No relay rings ⇒ no Earth↔Mars path
       // ⇒ zero (a planet ring's own internal capacity is not a usable Earth-to-Mars figure here).
-      const capHeaderValue =
-        relayRingCount === 0 ? fmtMbps(0)
-        : segments.length ? fmtMbps(minOf(segments.map((s) => s.cap)))
-        : rs ? fmtMbps(rs.totalThroughput) : fmtMbps(earthCapTotal);
+      const capHeaderMbps =
+        relayRingCount === 0 ? 0
+        : segments.length ? minOf(segments.map((s) => s.cap))
+        : rs ? rs.totalThroughput : earthCapTotal;
+      const capHeaderValue = fmtMbps(capHeaderMbps);
+      // Bidirectional mode: the end-to-end capacity is time-shared between the directions.
+      const returnShare = this.simLinkBudget.returnShare || 0;
 
       html += `<div class="metric-card">`;
       html += `<div class="metric-header">`;
@@ -1526,6 +1602,9 @@ export class SimMain {
       if (bottleneckLine) subParts.push(bottleneckLine);
       if (techFactor > 1) subParts.push(`Laser tech ${techFactor}x`);
       if (subParts.length) html += `<div class="metric-sub">${subParts.join(" · ")}</div>`;
+      if (returnShare > 0) {
+        html += `<div class="metric-sub">Earth\u2192Mars ${fmtMbps(capHeaderMbps * (1 - returnShare))} · Mars\u2192Earth ${fmtMbps(capHeaderMbps * returnShare)}</div>`;
+      }
 
       // Toggle for capacity diagram
       html += `<div class="metric-toggle" id="capacity-toggle">`;
@@ -1872,6 +1951,10 @@ export class SimMain {
         const adaptedFlowPct = rs && rs.totalThroughput > 0 ? pct(actualFlowMbps, rs.totalThroughput) : "";
 
         html += `<div class="metric-sub">${pct(actualFlowMbps, rs ? rs.totalThroughput : earthCapTotal)} of capacity</div>`;
+        const dirs = networkData?.directions;
+        if (dirs && dirs.returnShare > 0) {
+          html += `<div class="metric-sub">Earth\u2192Mars ${fmtMbps(dirs.earthToMarsGbps * 1000)} · Mars\u2192Earth ${fmtMbps(dirs.marsToEarthGbps * 1000)}</div>`;
+        }
 
         // Toggle for flow diagram (closed \u2192 compact ASCII \u2192 expanded SVG)
         html += `<div class="metric-toggle" id="flow-toggle">`;
@@ -1949,7 +2032,7 @@ export class SimMain {
       const p50 = (latencyData.medianLatency / 60).toFixed(1);
       html += `<span class="metric-value-sm">${best} | ${p50} min</span>`;
       html += `</div>`;
-      html += `<div class="metric-sub">min | p50</div>`;
+      html += `<div class="metric-sub">min | p50${latencyData.directions ? " · same paths both directions" : ""}</div>`;
       html += `<div class="metric-toggle" id="latency-toggle">`;
       html += `<span class="arrow" id="latency-arrow">&#9656;</span><span>Chart</span>`;
       html += `</div>`;
@@ -1969,6 +2052,9 @@ export class SimMain {
     }
     html += `</div>`;
 
+    // ── 5b. LINK CHURN ──
+    html += this.linkChurnMetricHtml();
+
     // \u2500\u2500 6. FLEET LINK (in-transit ship connectivity) \u2014 last card. \u2500\u2500
     html += this.fleetConnectivityHtml();
 
@@ -2202,6 +2288,8 @@ export class SimMain {
     this.updateSatelliteFuel();
     this._maybeAutoRefreshReport();
     if (typeof result.satellitesCount === "number") this.satellitesCount = result.satellitesCount;
+    this.pointingRejected = result.pointingRejected || null;
+    this._observeLinkChurn(result);
 
     if (this.simDisplay) {
       this.simDisplay.updatePossibleLinks(result.possibleLinks || []);
@@ -2273,6 +2361,8 @@ export class SimMain {
         // links-ready path so the user sees the correction without waiting for the flow.
         if (this.ui?.runPlanetSizingStep) this.ui.runPlanetSizingStep();
         if (typeof msg.satellitesCount === "number") this.satellitesCount = msg.satellitesCount;
+        this.pointingRejected = msg.pointingRejected || null;
+        this._observeLinkChurn(msg);
         if (this.simDisplay) {
           this.simDisplay.updatePossibleLinks(msg.possibleLinks || []);
         }
@@ -2749,7 +2839,9 @@ export class SimMain {
   }
 
   // Assuming this is within a class context
-  async longTermRun(dates, { skipDisplay = false, useTimeout = false } = {}) {
+  // onStep(row, index) fires after each sampled date (progress / stop polling);
+  // returning false from it ends the run early with the rows collected so far.
+  async longTermRun(dates, { skipDisplay = false, useTimeout = false, onStep = null } = {}) {
     const data = [];
     const calctimeMs = 20000;
 
@@ -2764,6 +2856,8 @@ export class SimMain {
     const endDate = new Date(dates.to);
 
     let networkData; // Declare networkData outside the loop
+    // This run's dates may warm-start from each other, never from an earlier run's.
+    const warmScope = `longTermRun-${++this.longTermRuns}`;
 
     // Recompute mission profiles + cost trees for THIS constellation. longTermRun
     // is the batch path (sensitivity sweep) and nothing else refreshes these during
@@ -2820,7 +2914,7 @@ export class SimMain {
           const possibleLinks = this.simNetwork.getPossibleLinks(planets, satellites);
 
           // Retrieve network data
-          networkData = this.simNetwork.getNetworkData(planets, satellites, possibleLinks, calctimeMs);
+          networkData = this.simNetwork.getNetworkData(planets, satellites, possibleLinks, calctimeMs, { scope: warmScope, step: data.length });
 
           // Leave simMain state consistent with the just-computed scenario so the
           // sensitivity capture reads fresh values, not the previous scenario's.
@@ -2852,7 +2946,7 @@ export class SimMain {
           const possibleLinksCount = possibleLinks.length;
 
           // Push the collected data into the 'data' array
-          data.push({
+          const row = {
             simDate: simDate.toISOString(), // Format date to ISO string
             possibleLinksCount,
             maxFlowGbps,
@@ -2861,10 +2955,16 @@ export class SimMain {
             maxLatencyMinutes,
             latencyHistogram: latencyData.histogram,
             costPerMbps: costs.costPerMbps,
-          });
+            solarBlindedCandidatePairs: this.simNetwork.solarBlindedCount ?? null,
+            pointingConeRejected: this.simNetwork.pointingRejected?.cone ?? null,
+            pointingRateRejected: this.simNetwork.pointingRejected?.rate ?? null,
+          };
+          data.push(row);
 
-          // Increment the current date by 'stepDays'
-          currentDate.setDate(currentDate.getDate() + dates.stepDays);
+          // Increment the current date by 'stepDays' UTC days, as seriesDates does for
+          // the CLI series (a local-time setDate would shift an hour across DST).
+          currentDate = new Date(currentDate.getTime() + dates.stepDays * 86400000);
+          if (onStep && onStep(row, data.length - 1) === false) currentDate = new Date(endDate.getTime() + 1);
         } catch (error) {
           // Handle any unexpected errors during the simulation step
           console.error("Error during simulation step:", error);
@@ -2908,10 +3008,13 @@ export class SimMain {
       bestLatencyMinutes: { min: null, avg: null, max: null },
       avgLatencyMinutes: { min: null, avg: null, max: null },
       costPerMbps: { min: null, avg: null, max: null },
+      solarBlindedCandidatePairs: { min: null, avg: null, max: null },
+      pointingConeRejected: { min: null, avg: null, max: null },
+      pointingRateRejected: { min: null, avg: null, max: null },
     };
 
     // Define the fields to summarize
-    const fields = ["possibleLinksCount", "maxFlowGbps", "bestLatencyMinutes", "avgLatencyMinutes", "maxLatencyMinutes", "costPerMbps"];
+    const fields = ["possibleLinksCount", "maxFlowGbps", "bestLatencyMinutes", "avgLatencyMinutes", "maxLatencyMinutes", "costPerMbps", "solarBlindedCandidatePairs", "pointingConeRejected", "pointingRateRejected"];
 
     fields.forEach((field) => {
       // Extract non-null values for the current field
@@ -16,3 +16,32 @@ export function maxOf(arr) {
   for (let i = 0; i < arr.length; i++) if (arr[i] > m) m = arr[i];
   return m;
 }
+
+/**
+ * Linear-interpolated quantile (q ∈ [0, 1]) of an ascending-sorted array; null if empty.
+ * Monte-Carlo summaries (P10/P50/P90 bands) read several quantiles off one sort.
+ */
+export function quantileSorted(sorted, q) {
+  if (!sorted.length) return null;
+  const pos = (sorted.length - 1) * Math.min(1, Math.max(0, q));
+  const lo = Math.floor(pos);
+  const hi = Math.min(sorted.length - 1, lo + 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo);
+}
+
+/** { n, mean, min, p10, p50, p90, max } of the finite entries of `values` (nulls skipped). */
+export function distributionSummary(values) {
+  const sorted = values.filter((v) => Number.isFinite(v)).sort((a, b) => a - b);
+  if (!sorted.length) return { n: 0, mean: null, min: null, p10: null, p50: null, p90: null, max: null };
+  let sum = 0;
+  for (let i = 0; i < sorted.length; i++) sum += sorted[i];
+  return {
+    n: sorted.length,
+    mean: sum / sorted.length,
+    min: sorted[0],
+    p10: quantileSorted(sorted, 0.1),
+    p50: quantileSorted(sorted, 0.5),
+    p90: quantileSorted(sorted, 0.9),
+    max: sorted[sorted.length - 1],
+  };
+}
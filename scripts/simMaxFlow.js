@@ -7,18 +7,20 @@
 //
 // All the actual algorithm implementations live in ./simFlowAlgorithms/.
 // Swap algorithms by changing DEFAULT_ALGORITHM in interface.js or by
-// passing { algorithm: "push-relabel" | "edmonds-karp" } to computeMaxFlow().
+// passing { algorithm: "push-relabel" | "edmonds-karp" | "min-cost-latency" } to computeMaxFlow().
 
-import { simplifyNetwork, desimplifyNetwork } from "./simFlowAlgorithms/networkSimplification.js?v=4.42";
+import { simplifyNetwork, desimplifyNetwork, simplifyFlows } from "./simFlowAlgorithms/networkSimplification.js?v=4.42";
 import { calculateLatencies } from "./simFlowAlgorithms/latencies.js?v=4.42";
-import { FLOW_ALGORITHMS, DEFAULT_ALGORITHM } from "./simFlowAlgorithms/interface.js?v=4.42";
+import { FLOW_ALGORITHMS, DEFAULT_ALGORITHM, WARM_START_ALGORITHMS } from "./simFlowAlgorithms/interface.js?v=4.42";
+import { repairFlow } from "./simFlowAlgorithms/warmStart.js?v=4.42";
 import { edmondsKarp } from "./simFlowAlgorithms/edmondsKarp.js?v=4.42";
 import { pushRelabel } from "./simFlowAlgorithms/pushRelabel.js?v=4.42";
 import { topologyAware } from "./simFlowAlgorithms/topologyAware.js?v=4.42";
+import { minCostFlow } from "./simFlowAlgorithms/minCostFlow.js?v=4.42";
 
 // Re-exports for existing callers
-export { simplifyNetwork, desimplifyNetwork, calculateLatencies };
-export { edmondsKarp, pushRelabel, topologyAware };
+export { simplifyNetwork, desimplifyNetwork, simplifyFlows, calculateLatencies };
+export { edmondsKarp, pushRelabel, topologyAware, minCostFlow };
 
 /**
  * Compute max flow using the specified algorithm (or default).
@@ -26,6 +28,7 @@ export { edmondsKarp, pushRelabel, topologyAware };
  * @param {Object} input
  * @param {Object<number, number[]>} input.graph
  * @param {Object<string, number>}   input.capacities
+ * @param {Object<string, number>}   [input.latencies]  - Edge latencies (min-cost-latency uses them as costs).
  * @param {number}                   input.source
  * @param {number}                   input.sink
  * @param {number}                   input.perfStart
@@ -33,11 +36,21 @@ export { edmondsKarp, pushRelabel, topologyAware };
  * @param {string}                   [input.algorithm]  - Key in FLOW_ALGORITHMS. Defaults to DEFAULT_ALGORITHM.
  * @param {Object}                   [input.topology]   - Structured topology info (used by concentric-topology-aware).
  * @param {Map<string,number>}       [input.nodeIds]    - name → node ID map (for concentric-topology-aware).
- * @returns {{ maxFlow: number, flows: Object<string, number> } | null}
+ * @param {Object<string, number>}   [input.previousFlows] - Flow from an earlier solve (same node IDs and
+ *   edge keys as `graph`). Repaired to the new capacities (repairFlow) and used as the
+ *   starting flow by the WARM_START_ALGORITHMS; ignored by the others.
+ * @returns {{ maxFlow: number, flows: Object<string, number>, warmStartGbps?: number } | null}
+ *   warmStartGbps: the part of maxFlow carried over from previousFlows.
  */
-export function computeMaxFlow({ graph, capacities, source, sink, perfStart, calctimeMs, algorithm, topology, nodeIds }) {
+export function computeMaxFlow({ graph, capacities, latencies, source, sink, perfStart, calctimeMs, algorithm, topology, nodeIds, previousFlows }) {
   const name = algorithm || DEFAULT_ALGORITHM;
   const algo = FLOW_ALGORITHMS[name];
   if (!algo) throw new Error(`Unknown max-flow algorithm: ${name}`);
-  return algo({ graph, capacities, source, sink, perfStart, calctimeMs, topology, nodeIds });
+  if (previousFlows && WARM_START_ALGORITHMS.has(name)) {
+    const warm = repairFlow(graph, capacities, source, sink, previousFlows);
+    const result = algo({ graph, capacities, latencies, source, sink, perfStart, calctimeMs, topology, nodeIds, initialFlows: warm.flows });
+    if (result) result.warmStartGbps = warm.value;
+    return result;
+  }
+  return algo({ graph, capacities, latencies, source, sink, perfStart, calctimeMs, topology, nodeIds });
 }
@@ -1,7 +1,29 @@
 // simNetwork.js — Thin orchestrator delegating to simTopology.js and simMaxFlow.js.
 
 import { TopologyBuilder } from "./simTopology.js?v=4.42";
-import { simplifyNetwork, desimplifyNetwork, computeMaxFlow, calculateLatencies } from "./simMaxFlow.js?v=4.42";
+import { simplifyNetwork, desimplifyNetwork, simplifyFlows, computeMaxFlow, calculateLatencies } from "./simMaxFlow.js?v=4.42";
+import { drawFailures } from "./simFailures.js?v=4.42";
+
+/**
+ * Split an Earth→Mars max-flow between the two directions (bidirectional mode).
+ *
+ * Time-split model: every link spends `returnShare` of its time carrying Mars→Earth
+ * traffic, i.e. each direction sees the link capacities scaled by its share. Max-flow
+ * is linear in a uniform capacity scale, and the graph is symmetric (each link has the
+ * same capacity both ways), so the Mars→Earth max-flow on r·c is exactly r times the
+ * Earth→Mars max-flow on c, carried by the same paths reversed — no second solve. With
+ * a single Earth/Mars terminal pair this also matches the two-commodity optimum with
+ * shared link capacity: any Earth→Mars flow reversed is a Mars→Earth flow, so the
+ * directions can only trade capacity, never add to it.
+ *
+ * @param {number} maxFlowGbps - Max-flow with the full link capacities.
+ * @param {number} returnShare - 0..1 share of capacity for Mars→Earth.
+ * @returns {{ returnShare: number, earthToMarsGbps: number, marsToEarthGbps: number }}
+ */
+export function splitDirections(maxFlowGbps, returnShare = 0) {
+  const share = returnShare || 0;
+  return { returnShare: share, earthToMarsGbps: maxFlowGbps * (1 - share), marsToEarthGbps: maxFlowGbps * share };
+}
 
 export class SimNetwork {
   constructor(simLinkBudget, simSatellites) {
@@ -26,24 +48,70 @@ export class SimNetwork {
    *                          }
    */
   getPossibleLinks(planets, satellites) {
-    const links = this.topology.buildTopology(planets, satellites);
+    // Degraded-constellation mode: drop failed satellites and pre-occupy the ports of
+    // failed terminals before pairing. lastFailures reports what this build lost
+    // (counts); lastFailedNames / topology.failedTerminals hold the lost satellites' names
+    // and the failed terminals per satellite for repairLinks.
+    const { satFailurePct = 0, terminalFailurePct = 0, failureSeed = 1 } = this.simLinkBudget;
+    let activeSatellites = satellites;
+    this.topology.failedTerminals = null;
+    this.lastFailures = null;
+    if (satFailurePct > 0 || terminalFailurePct > 0) {
+      const failures = drawFailures(satellites, {
+        satFailurePct,
+        terminalFailurePct,
+        seed: failureSeed,
+        portsFor: (ringName) => this.simLinkBudget.getMaxLinksPerRing(ringName),
+      });
+      activeSatellites = satellites.filter((s) => !failures.failedSats.has(s.name));
+      this.topology.failedTerminals = failures.failedTerminals;
+      this.lastFailures = { failedSatellites: failures.failedSats.size, failedTerminals: failures.failedTerminalCount };
+      this.lastFailedNames = failures.failedSats;
+    } else {
+      this.lastFailedNames = null;
+    }
+    const links = this.topology.buildTopology(planets, activeSatellites);
+    // What a warm start must match (getNetworkData): these links, this failure draw.
+    this.lastPossibleLinks = links;
+    this.failureDraw = `${satFailurePct}|${terminalFailurePct}|${failureSeed}`;
+    this.solarBlindedCount = this.topology.solarBlindedCount;
+    this.pointingRejected = this.topology.pointingRejected;
     this.routeSummary = this.topology.routeSummary;
     this.topologyInfo = this.topology.topologyInfo;
     return links;
   }
 
   /**
-   * Constructs the network graph based on precomputed finalLinks and computes the maximum flow.
+   * Patch finalLinks after losing the named satellites without rebuilding the topology
+   * (TopologyBuilder.repairTopology). Updates routeSummary/topologyInfo like
+   * getPossibleLinks; the returned links feed getNetworkData unchanged.
    *
-   * @param {Array} planets - Array of planet objects (e.g., Earth, Mars) with properties like name and position.
-   * @param {Array} satellites - Array of satellite objects with properties like name, ringName, position, neighbors, and 'a'.
-   * @param {Array} finalLinks - Array of link objects precomputed by getPossibleLinks, each containing fromId, toId, distanceAU, distanceKm, latencySeconds, and gbpsCapacity.
-   * @param {number} calctimeMs - Maximum allowed computation time in ms.
-   * @returns {Object} - An object containing the established links with flow information and the total maximum flow.
+   * @param {Array} planets
+   * @param {Array} satellites - The satellites finalLinks was built from.
+   * @param {Array} finalLinks - Output of getPossibleLinks.
+   * @param {Iterable<string>} failedNames
+   * @param {Map<string, number>|null} [failedTerminals] - Failed terminals per satellite.
+   * @returns {Object} { links, added, removed, orphans, reconnected, unrepaired }
    */
-  getNetworkData(planets, satellites, finalLinks, calctimeMs) {
-    const perfStart = performance.now();
+  repairLinks(planets, satellites, finalLinks, failedNames, failedTerminals = null) {
+    const repair = this.topology.repairTopology(planets, satellites, finalLinks, failedNames, failedTerminals);
+    this.routeSummary = this.topology.routeSummary;
+    this.topologyInfo = this.topology.topologyInfo;
+    return repair;
+  }
 
+  /**
+   * The max-flow input for a set of links: node IDs (Earth = 0, Mars = 1, then the
+   * satellites), adjacency list, and capacity / latency dicts keyed "${u}_${v}" with
+   * both directions set. Shared by getNetworkData and the flow-solver validator.
+   *
+   * @param {Array} planets
+   * @param {Array} satellites
+   * @param {Array} finalLinks - getPossibleLinks output.
+   * @returns {{ graph: Object, capacities: Object, latencies: Object, nodeIds: Map<string, number>, source: number, sink: number } | null}
+   *   null when Earth or Mars is missing.
+   */
+  buildFlowGraph(planets, satellites, finalLinks) {
     // Node ID Assignment
     const nodeIds = new Map(); // Map to store node IDs
     let nodeIdCounter = 0;
@@ -54,7 +122,7 @@ export class SimNetwork {
 
     if (!earth || !mars) {
       console.warn("Earth or Mars position is not available.");
-      return { links: [], maxFlow: 0 };
+      return null;
     }
 
     nodeIds.set("Earth", nodeIdCounter++);
@@ -113,17 +181,57 @@ export class SimNetwork {
       addEdge(fromNodeId, toNodeId, gbpsCapacity, latencySeconds);
     });
 
-    const source = nodeIds.get("Earth");
-    const sink = nodeIds.get("Mars");
+    return { graph, capacities, latencies, nodeIds, source: nodeIds.get("Earth"), sink: nodeIds.get("Mars") };
+  }
+
+  /**
+   * Constructs the network graph based on precomputed finalLinks and computes the maximum flow.
+   *
+   * @param {Array} planets - Array of planet objects (e.g., Earth, Mars) with properties like name and position.
+   * @param {Array} satellites - Array of satellite objects with properties like name, ringName, position, neighbors, and 'a'.
+   * @param {Array} finalLinks - Array of link objects precomputed by getPossibleLinks, each containing fromId, toId, distanceAU, distanceKm, latencySeconds, and gbpsCapacity.
+   * @param {number} calctimeMs - Maximum allowed computation time in ms.
+   * @param {{ scope: string|number, step: number }|null} [warm] - Consecutive-date context
+   *   for the flow warm start. The flow carries over only from a solve with the same
+   *   scope (one constellation: the caller's config identity) at step ± 1, on links
+   *   built by getPossibleLinks with the same failure draw. null = cold solve, and the
+   *   carried flow is dropped.
+   * @returns {Object} - An object containing the established links with flow information and the total maximum flow.
+   */
+  getNetworkData(planets, satellites, finalLinks, calctimeMs, warm = null) {
+    const perfStart = performance.now();
+    const warmKey = warm && finalLinks === this.lastPossibleLinks ? `${warm.scope}|${this.failureDraw}` : null;
+    const carried = this.warm;
+    this.warm = null;
+
+    const flowGraph = this.buildFlowGraph(planets, satellites, finalLinks);
+    if (!flowGraph) return { links: [], maxFlow: 0 };
+    const { graph, capacities, latencies, nodeIds, source, sink } = flowGraph;
 
     const algorithm = this.simLinkBudget.flowAlgorithm;
-    // concentric-topology-aware skips simplification — it needs the original ring chains.
-    const useSimplification = algorithm !== "concentric-topology-aware";
+    // concentric-topology-aware skips simplification — it needs the original ring chains;
+    // so does min-cost-latency, as merged parallel chains keep only one chain's latency.
+    const useSimplification = algorithm !== "concentric-topology-aware" && algorithm !== "min-cost-latency";
+
+    // Warm start: the previous date's link flows (by satellite name, so they survive
+    // the node renumbering between dates), mapped onto this graph's edge keys.
+    let previousFlows = null;
+    if (this.simLinkBudget.flowWarmStart && warmKey !== null && carried?.key === warmKey && Math.abs(warm.step - carried.step) === 1) {
+      previousFlows = {};
+      for (const [pair, f] of carried.flows) {
+        const [fromName, toName] = pair.split("|");
+        const u = nodeIds.get(fromName), v = nodeIds.get(toName);
+        if (u === undefined || v === undefined || !(`${u}_${v}` in capacities)) continue;
+        previousFlows[`${u}_${v}`] = f;
+        previousFlows[`${v}_${u}`] = -f;
+      }
+    }
 
     // --- STEP 1: SIMPLIFY ---
     const simplificationStack = [];
     if (useSimplification) {
       simplifyNetwork(graph, capacities, latencies, source, sink, simplificationStack);
+      if (previousFlows) simplifyFlows(previousFlows, simplificationStack);
     }
 
     // --- STEP 2: RUN MAX FLOW ---
@@ -133,6 +241,7 @@ export class SimNetwork {
     const maxFlowResult = computeMaxFlow({
       graph,
       capacities,
+      latencies,
       source,
       sink,
       perfStart,
@@ -140,6 +249,7 @@ export class SimNetwork {
       algorithm,
       topology: this.topologyInfo,
       nodeIds,
+      previousFlows,
     });
 
     if (maxFlowResult === null) return { links: [], maxFlowGbps: 0, error: "timed out" };
@@ -158,6 +268,7 @@ export class SimNetwork {
 
     // Prepare the Output Links with flow > 0
     const outputLinks = [];
+    const warmFlows = new Map(); // unrounded, for the next date's warm start
 
     finalLinks.forEach((link) => {
       const { fromId, toId, distanceAU, distanceKm, latencySeconds, gbpsCapacity } = link;
@@ -178,6 +289,7 @@ export class SimNetwork {
 
       if (absFlow > 0) {
         const flowDir = netFlow >= 0;
+        warmFlows.set(flowDir ? `${fromId}|${toId}` : `${toId}|${fromId}`, absFlow);
         outputLinks.push({
           fromId: flowDir ? fromId : toId,
           toId: flowDir ? toId : fromId,
@@ -189,9 +301,12 @@ export class SimNetwork {
         });
       }
     });
+    if (warmKey !== null) this.warm = { key: warmKey, step: warm.step, flows: warmFlows };
     return {
       links: outputLinks,
       maxFlowGbps: maxFlowResult.maxFlow,
+      warmStartGbps: maxFlowResult.warmStartGbps ?? null, // flow carried over from the previous solve
+      directions: splitDirections(maxFlowResult.maxFlow, this.simLinkBudget.returnShare),
       graph, // Adjacency list
       capacities, // Edge capacities
       flows, // Flow per edge
@@ -208,6 +323,14 @@ export class SimNetwork {
    * @returns {Object} - An object containing the latency histogram, best latency, and average latency.
    */
   calculateLatencies(networkData, binSize = 60 * 5) {
-    return calculateLatencies(networkData, binSize);
+    const latencyData = calculateLatencies(networkData, binSize);
+    const share = networkData.directions?.returnShare || 0;
+    if (latencyData && share > 0) {
+      // Return traffic rides the same decomposed paths reversed — same latencies,
+      // its share of the Gbps in every bin.
+      const scaled = (f) => latencyData.histogram.map((bin) => ({ ...bin, totalGbps: bin.totalGbps * f }));
+      latencyData.directions = { earthToMars: scaled(1 - share), marsToEarth: scaled(share) };
+    }
+    return latencyData;
   }
 }
@@ -0,0 +1,161 @@
+// simPhasing.js — Relative ring phasing and radial link churn.
+//
+// Adjacent rings have different semi-major axes, so their satellites slip past one
+// another at the difference of their mean motions, and the radial links that
+// interAdaptedRings builds each date have to move to new partners. The worker samples
+// the per-date topology (runPhasingScan); this module reduces the radial links of each
+// ring pair to drift rate, re-pair frequency and laser re-acquisitions per terminal —
+// next to the geometric floor (one re-pair per slot the rings slip), so matcher churn
+// on top of what the geometry forces shows up. No DOM here.
+
+export const PHASING_DEFAULT_SPAN_DAYS = 365;
+export const PHASING_DEFAULT_STEP_DAYS = 1;
+
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Per-ring mean motion and size.
+ * @param {Array<Object>} satellites - SimSatellites satellites (ringName, n in °/day, a in AU).
+ * @returns {Object} ringName → { count, meanMotionDegPerDay, a }
+ */
+export function ringMotions(satellites) {
+  const rings = {};
+  for (const sat of satellites) {
+    if (!sat.ringName) continue;
+    const r = (rings[sat.ringName] ||= { count: 0, meanMotionDegPerDay: 0, a: 0 });
+    r.count++;
+    r.meanMotionDegPerDay += sat.n;
+    r.a += sat.a;
+  }
+  for (const r of Object.values(rings)) {
+    r.meanMotionDegPerDay /= r.count;
+    r.a /= r.count;
+  }
+  return rings;
+}
+
+/**
+ * The satellite-to-satellite links between different rings (planet links and
+ * same-ring lattice links left out).
+ * @param {Array<{fromId: string, toId: string}>} links - getPossibleLinks output.
+ * @param {Map<string, string>} ringOf - Satellite name → ringName.
+ * @returns {Map<string, string>} link key → ring-pair key ("ringA|ringB", names sorted).
+ */
+export function interRingLinks(links, ringOf) {
+  const out = new Map();
+  for (const { fromId, toId } of links) {
+    const a = ringOf.get(fromId), b = ringOf.get(toId);
+    if (!a || !b || a === b) continue;
+    out.set(`${fromId}-${toId}`, a < b ? `${a}|${b}` : `${b}|${a}`);
+  }
+  return out;
+}
+
+/**
+ * Reduce sampled radial topologies to one row per ring pair.
+ *
+ * A link present on a date but not on the previous one was (re-)established: one
+ * pointing slew and acquisition at each end. Lifetimes count only links that both
+ * started and ended inside the window.
+ *
+ * @param {Array<Map<string, string>>} snapshots - interRingLinks output per sampled date, in order.
+ * @param {Object} rings - ringMotions output.
+ * @param {number} stepDays
+ * @returns {Array<Object>} Per pair, inner ring (smaller a) first: inner, outer,
+ *   innerSats, outerSats, driftDegPerDay, relativePeriodDays (360° of relative phase),
+ *   slotPassDays (the denser ring slips one slot), meanLinks, established,
+ *   repairsPerYear, geometricRepairsPerYear (one re-pair per link per slot pass),
+ *   churnRatio (observed / geometric), acquisitionsPerTerminalPerYear,
+ *   reacquisitionsPerYear (both ends), meanLifetimeDays, undersampled (the step is
+ *   over half a slot pass, so re-pairs are under-counted). Sorted inner to outer.
+ */
+export function phasingReport(snapshots, rings, stepDays) {
+  const spanDays = Math.max(1, snapshots.length - 1) * stepDays;
+  const pairs = new Map();
+  const pairOf = (key) => {
+    if (!pairs.has(key)) pairs.set(key, { linkSamples: 0, established: 0, lifetimes: [] });
+    return pairs.get(key);
+  };
+  const born = new Map(); // link key → index of the sample it appeared on
+  snapshots.forEach((snap, k) => {
+    for (const [link, key] of snap) {
+      const p = pairOf(key);
+      p.linkSamples++;
+      if (!born.has(link)) {
+        born.set(link, k);
+        if (k > 0) p.established++;
+      }
+    }
+    if (k === 0) return;
+    for (const [link, start] of born) {
+      if (snap.has(link)) continue;
+      if (start > 0) pairOf(snapshots[k - 1].get(link)).lifetimes.push((k - start) * stepDays);
+      born.delete(link);
+    }
+  });
+
+  const rows = [];
+  for (const [key, p] of pairs) {
+    let [inner, outer] = key.split("|");
+    const ri = rings[inner] || {}, ro = rings[outer] || {};
+    if ((ri.a ?? 0) > (ro.a ?? 0)) [inner, outer] = [outer, inner];
+    const a = rings[inner] || {}, b = rings[outer] || {};
+    const drift = Math.abs((a.meanMotionDegPerDay ?? 0) - (b.meanMotionDegPerDay ?? 0));
+    const slots = Math.max(a.count || 0, b.count || 0);
+    const slotPassDays = drift > 0 && slots > 0 ? 360 / (slots * drift) : null;
+    const meanLinks = p.linkSamples / snapshots.length;
+    const repairsPerYear = snapshots.length > 1 ? (p.established * DAYS_PER_YEAR) / spanDays : null;
+    const geometricRepairsPerYear = slotPassDays ? (meanLinks * DAYS_PER_YEAR) / slotPassDays : 0;
+    rows.push({
+      inner,
+      outer,
+      innerSats: a.count ?? null,
+      outerSats: b.count ?? null,
+      driftDegPerDay: drift,
+      relativePeriodDays: drift > 0 ? 360 / drift : null,
+      slotPassDays,
+      meanLinks,
+      established: p.established,
+      repairsPerYear,
+      geometricRepairsPerYear,
+      churnRatio: repairsPerYear != null && geometricRepairsPerYear > 0 ? repairsPerYear / geometricRepairsPerYear : null,
+      acquisitionsPerTerminalPerYear: repairsPerYear != null && meanLinks > 0 ? repairsPerYear / meanLinks : null,
+      reacquisitionsPerYear: repairsPerYear != null ? 2 * repairsPerYear : null,
+      meanLifetimeDays: p.lifetimes.length ? p.lifetimes.reduce((s, v) => s + v, 0) / p.lifetimes.length : null,
+      undersampled: slotPassDays != null && stepDays > slotPassDays / 2,
+      _a: a.a ?? 0,
+    });
+  }
+  return rows.sort((x, y) => x._a - y._a).map(({ _a, ...row }) => row);
+}
+
+// Row key → CSV header, in column order.
+const PHASING_COLUMNS = [
+  ["inner", "inner_ring"],
+  ["outer", "outer_ring"],
+  ["innerSats", "inner_sats"],
+  ["outerSats", "outer_sats"],
+  ["driftDegPerDay", "drift_deg_per_day"],
+  ["relativePeriodDays", "relative_period_days"],
+  ["slotPassDays", "slot_pass_days"],
+  ["meanLinks", "mean_links"],
+  ["established", "links_established"],
+  ["repairsPerYear", "repairs_per_year"],
+  ["geometricRepairsPerYear", "geometric_repairs_per_year"],
+  ["churnRatio", "churn_ratio"],
+  ["acquisitionsPerTerminalPerYear", "acquisitions_per_terminal_per_year"],
+  ["reacquisitionsPerYear", "reacquisitions_per_year"],
+  ["meanLifetimeDays", "mean_lifetime_days"],
+  ["undersampled", "undersampled"],
+];
+
+/**
+ * @param {Array<Object>} rows - phasingReport output.
+ * @returns {string} CSV, one row per ring pair.
+ */
+export function phasingToCsv(rows) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const lines = [PHASING_COLUMNS.map(([, h]) => h).join(",")];
+  for (const row of rows) lines.push(PHASING_COLUMNS.map(([k]) => cell(row[k])).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -0,0 +1,225 @@
+// simPresetFile.js — Versioned preset files: export, import, schema migration.
+//
+// Slider keys change as the model grows (a slider gets repurposed, a global control
+// becomes per-family), and a snapshot taken before such a change would otherwise lose
+// those values without a word, since apply() skips IDs it doesn't know. A preset file
+// records the schema version it was written with; on import every entry is migrated
+// up to PRESET_SCHEMA_VERSION and then checked against slidersData, and whatever still
+// can't be applied is reported instead of dropped silently.
+//
+// File:
+//   { "format": "marslink-preset", "schemaVersion": 1, "exportedAt": "…",
+//     "presets": [{ "name", "ts", "schemaVersion", "config": { "sliders", "curves" }, "metrics" }, …] }
+// Entries are archive entries (SimUi._injectConfigArchive). Anything without the
+// "format" marker — a bare slider map, the old marslinkPresets store, an archive entry
+// or array — is read as schema 0.
+//
+// Bumping the schema: when a key is renamed, removed or changes meaning, append a
+// migration to MIGRATIONS (it upgrades version i to i + 1) and the version follows.
+
+import { slidersData } from "./slidersData.js?v=4.42";
+
+export const PRESET_FILE_FORMAT = "marslink-preset";
+
+const RELAY_SECTIONS = ["circular_rings", "eccentric_rings", "adapted_rings", "adapted_eccentric_rings"];
+const RING_SECTIONS = ["ring_earth", "ring_mars", ...RELAY_SECTIONS];
+
+// Each migration gets mutable copies of one entry's sliders and curves, plus
+// note(from, to, detail) to record what it changed for the import report.
+const MIGRATIONS = [
+  // 0 → 1: keys from before versioned files.
+  function legacyKeys(sliders, curves, note) {
+    // The single max-flow solver radio became one "<family>.flow-solver" per relay
+    // family. Copy it to every family that offers that solver.
+    if ("simulation.flow-solver" in sliders) {
+      const value = sliders["simulation.flow-solver"];
+      delete sliders["simulation.flow-solver"];
+      const targets = RELAY_SECTIONS.filter((s) => !(`${s}.flow-solver` in sliders) && slidersData[s]?.["flow-solver"]?.options.includes(value));
+      for (const s of targets) sliders[`${s}.flow-solver`] = value;
+      note("simulation.flow-solver", targets.map((s) => `${s}.flow-solver`).join(", ") || null, targets.length ? "copied to each relay family offering it" : `no relay family offers "${value}"`);
+    }
+    // The adapted families' port slider was repurposed to EXTRA terminals on top of
+    // the fixed topology ones (simLinkBudget): 2 radial + lattice for concentric,
+    // 2 in-ring + 1 junction for eccentric.
+    const lattice = String(sliders["adapted_rings.lattice"] ?? slidersData.adapted_rings.lattice.value);
+    const base = {
+      adapted_rings: 2 + (lattice.startsWith("No") ? 0 : lattice.startsWith("Half") ? 1 : 2),
+      adapted_eccentric_rings: 3,
+    };
+    for (const [section, fixed] of Object.entries(base)) {
+      const oldKey = `${section}.laser-ports-per-satellite`;
+      if (!(oldKey in sliders)) continue;
+      const total = parseFloat(sliders[oldKey]);
+      delete sliders[oldKey];
+      const newKey = `${section}.extra-terminals`;
+      if (newKey in sliders || !Number.isFinite(total)) {
+        note(oldKey, null, newKey in sliders ? `${newKey} already set` : "not a number");
+        continue;
+      }
+      sliders[newKey] = String(Math.max(0, Math.round(total) - fixed));
+      note(oldKey, newKey, `${total} total ports − ${fixed} topology terminals`);
+    }
+    // The 10 density band sliders gave way to the anchor-curve equalizer. Turn the
+    // band weights into anchors at the band centres (ends pinned flat).
+    const bandKeys = Array.from({ length: 10 }, (_, i) => `adapted_rings.band-${i}-pct`);
+    if (bandKeys.some((k) => k in sliders) && !curves["adapted_rings.density-anchors"]) {
+      const dflt = slidersData.adapted_rings["band-0-pct"].value;
+      const ys = bandKeys.map((k) => Math.min(100, Math.max(0, parseFloat(sliders[k] ?? dflt) || 0)));
+      curves["adapted_rings.density-anchors"] = [
+        { x: 0, y: ys[0] },
+        ...ys.map((y, i) => ({ x: (i + 0.5) / 10, y })),
+        { x: 1, y: ys[9] },
+      ];
+      note("adapted_rings.band-*-pct", "adapted_rings.density-anchors", "band weights → density curve anchors");
+    }
+  },
+  // 1 → 2: the terminal re-acquisition time became one "<family>.reacquisition-time"
+  // per ring family (planet rings included).
+  function perFamilyReacquisition(sliders, curves, note) {
+    if (!("laser_technology.reacquisition-time" in sliders)) return;
+    const value = sliders["laser_technology.reacquisition-time"];
+    delete sliders["laser_technology.reacquisition-time"];
+    const targets = RING_SECTIONS.filter((s) => !(`${s}.reacquisition-time` in sliders));
+    for (const s of targets) sliders[`${s}.reacquisition-time`] = value;
+    note("laser_technology.reacquisition-time", targets.map((s) => `${s}.reacquisition-time`).join(", ") || null, "copied to each ring family");
+  },
+];
+
+export const PRESET_SCHEMA_VERSION = MIGRATIONS.length;
+
+const CHOICE_TYPES = new Set(["radio", "select", "dropdown"]);
+
+/**
+ * Why a saved value can't be applied to its slider, or null if it can. Mirrors what
+ * createSliders accepts from localStorage (numeric values outside the range are fine —
+ * the UI widens the slider for them — except where the scale forbids it).
+ */
+function rejectReason(fullId, value) {
+  const [section, sliderId] = fullId.split(".");
+  const slider = slidersData[section]?.[sliderId];
+  if (!slider) return "unknown setting";
+  if (slider.type === "header" || slider.type === "computed") return "read-only";
+  if (CHOICE_TYPES.has(slider.type)) return slider.options?.includes(String(value)) ? null : `not one of: ${slider.options.join(", ")}`;
+  if (slider.type === "checkbox") {
+    const bad = String(value ?? "").split(",").map((s) => s.trim()).filter((s) => s && !slider.options.includes(s));
+    return bad.length ? `unknown option${bad.length > 1 ? "s" : ""}: ${bad.join(", ")}` : null;
+  }
+  if (typeof slider.value === "string" || typeof slider.value === "boolean") return null;
+  const num = parseFloat(value);
+  if (!Number.isFinite(num)) return "not a number";
+  if ((slider.scale === "pow2" || slider.scale === "signedPow2" || slider.scale === "quadratic") && !Number.isInteger(num)) return `${slider.scale} slider needs an integer position`;
+  if (slider.scale === "quadratic" && num > slider.max) return `above the maximum position ${slider.max}`;
+  if (slider.scale === "pow10" && (num < slider.min || num > slider.max)) return `outside ${slider.min}…${slider.max}`;
+  return null;
+}
+
+/**
+ * Migrate one entry's config from `fromVersion` to the current schema and split off
+ * the values that still don't fit.
+ *
+ * @param {{ sliders?: Object, curves?: Object }} config
+ * @param {number} fromVersion
+ * @param {{ curveKeys?: string[] }} [opts] - Known curve keys (SimUi.ADAPTED_CURVES);
+ *   when given, other curve keys are reported as unknown.
+ * @returns {{ config: { sliders: Object, curves: Object },
+ *             migrated: Array<{ from: string, to: string|null, detail: string }>,
+ *             unapplied: Array<{ key: string, value: *, reason: string }> }}
+ */
+export function upgradePresetConfig(config, fromVersion, { curveKeys } = {}) {
+  const sliders = { ...(config?.sliders || {}) };
+  const curves = { ...(config?.curves || {}) };
+  const migrated = [];
+  const note = (from, to, detail) => migrated.push({ from, to, detail });
+  for (let v = Math.max(0, fromVersion); v < MIGRATIONS.length; v++) MIGRATIONS[v](sliders, curves, note);
+
+  const unapplied = [];
+  for (const [key, value] of Object.entries(sliders)) {
+    const reason = rejectReason(key, value);
+    if (!reason) continue;
+    unapplied.push({ key, value, reason });
+    delete sliders[key];
+  }
+  for (const [key, anchors] of Object.entries(curves)) {
+    const reason = curveKeys && !curveKeys.includes(key) ? "unknown curve" : !Array.isArray(anchors) || anchors.length < 2 ? "needs at least 2 anchors" : null;
+    if (!reason) continue;
+    unapplied.push({ key, value: anchors, reason });
+    delete curves[key];
+  }
+  return { config: { sliders, curves }, migrated, unapplied };
+}
+
+/**
+ * @param {Array<Object>} entries - Archive entries.
+ * @returns {Object} Preset file JSON at the current schema version.
+ */
+export function exportPresetFile(entries) {
+  return {
+    format: PRESET_FILE_FORMAT,
+    schemaVersion: PRESET_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    // Archive entries saved before versioning carry no schemaVersion: they are schema 0
+    // and get migrated on import like any other old preset.
+    presets: entries.map(({ name, ts, config, metrics, schemaVersion }) => ({ name, ts, schemaVersion: schemaVersion ?? 0, config, metrics })),
+  };
+}
+
+/** Every preset-like shape schema 0 had, as archive-style entries. */
+function legacyEntries(json) {
+  if (Array.isArray(json)) return json.filter((e) => e && typeof e === "object");
+  if (json.config && typeof json.config === "object") return [json];
+  if (json.sliders && typeof json.sliders === "object") return [{ name: json.name, config: { sliders: json.sliders, curves: json.curves || {} } }];
+  const keys = Object.keys(json);
+  if (keys.every((k) => k.includes(".") && (json[k] === null || typeof json[k] !== "object"))) return [{ name: null, config: { sliders: json, curves: {} } }];
+  // The { presetName: snapshot } store (marslinkPresets).
+  return keys.filter((k) => json[k] && typeof json[k] === "object").map((k) => ({ name: k, config: { sliders: json[k], curves: {} } }));
+}
+
+/**
+ * Read a preset file (or any schema-0 preset JSON) into current-schema archive entries.
+ *
+ * @param {*} json - Parsed file.
+ * @param {{ curveKeys?: string[] }} [opts] - See upgradePresetConfig.
+ * @returns {{ schemaVersion: number, entries: Array<Object>,
+ *             report: Array<{ name: string|null, migrated: Array, unapplied: Array }> }}
+ */
+export function readPresetFile(json, opts = {}) {
+  if (!json || typeof json !== "object") throw new Error("Preset file must be a JSON object or array");
+  let schemaVersion = 0;
+  let entries;
+  if (json.format === PRESET_FILE_FORMAT) {
+    schemaVersion = json.schemaVersion;
+    if (!Number.isInteger(schemaVersion) || schemaVersion < 0) throw new Error("Preset file has no valid schemaVersion");
+    if (schemaVersion > PRESET_SCHEMA_VERSION) throw new Error(`Preset file schema ${schemaVersion} is newer than this app's (${PRESET_SCHEMA_VERSION}); update Marslink to read it`);
+    if (!Array.isArray(json.presets)) throw new Error("Preset file has no presets array");
+    entries = json.presets.filter((e) => e && typeof e === "object");
+  } else {
+    entries = legacyEntries(json);
+  }
+  if (!entries.length) throw new Error("Preset file holds no entries");
+
+  const report = [];
+  const upgraded = entries.map((entry) => {
+    const { config, migrated, unapplied } = upgradePresetConfig(entry.config, entry.schemaVersion ?? schemaVersion, opts);
+    report.push({ name: entry.name ?? null, migrated, unapplied });
+    return { ...entry, config, schemaVersion: PRESET_SCHEMA_VERSION };
+  });
+  return { schemaVersion, entries: upgraded, report };
+}
+
+/**
+ * Plain-text import report, one line per migrated or unapplied value; "" when every
+ * value went through untouched.
+ *
+ * @param {Array} report - readPresetFile report.
+ * @returns {string}
+ */
+export function formatPresetReport(report) {
+  const lines = [];
+  for (const { name, migrated, unapplied } of report) {
+    if (!migrated.length && !unapplied.length) continue;
+    lines.push(`${name ?? "(unnamed)"}:`);
+    for (const m of migrated) lines.push(`  migrated ${m.from} → ${m.to ?? "(dropped)"} (${m.detail})`);
+    for (const u of unapplied) lines.push(`  not applied ${u.key} = ${JSON.stringify(u.value)}: ${u.reason}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,250 @@
+// simPropagator.js — n-body propagation of relay satellites against their ring slots.
+//
+// The sim moves every satellite on a fixed Keplerian orbit (helioCoords) forever, and
+// simStationKeeping.js sizes thrusters and propellant from the perturbing acceleration
+// at one instant. This integrates sampled satellites of each ring under Sun + Earth +
+// Mars + Jupiter gravity (heliocentric frame, so each planet's pull on the Sun enters
+// as the indirect term) over the station-keeping horizon, two ways in lockstep:
+//
+//   slot     Sun only, from the satellite's state at the start: the orbit it is meant
+//            to hold (the analytic ring position drifts off it slowly, because the
+//            rings' mean motions are not derived from GM_sun — reported separately).
+//   free     full gravity, no thrust: how far the satellite wanders from its slot.
+//
+// A held satellite thrusts against the perturbation at its slot and so rides the slot
+// exactly; the ΔV actually needed is that thrust integrated along the slot over the
+// horizon. The thrust is not capped; the share of time it exceeds what the ring's
+// thrusters deliver is reported instead.
+//
+// RK4 with a fixed step; planet positions come from the caller (so an ephemeris table
+// applies) on the half-step grid, shared by every satellite; satellite positions come
+// from the caller too (positionAt). Pure: no DOM, no sim state.
+
+import { GM } from "./simStationKeeping.js?v=4.42";
+import { helioCoords } from "./simOrbits.js?v=4.42";
+
+const AU_M = 149597870700; // 1 AU in metres
+const SECONDS_PER_DAY = 86400;
+
+// Perturbing bodies, in the order their positions are packed.
+export const PROPAGATOR_BODIES = ["Earth", "Mars", "Jupiter"];
+
+// Closest approach to a planet's centre the field is evaluated at (m): keeps a slot
+// that passes through a planet from blowing the step up.
+const MIN_BODY_DISTANCE_M = 1e7;
+
+/**
+ * Heliocentric state of a satellite at `date`, in metres and m/s (velocity by central
+ * difference of `positionAt` over ±1 minute).
+ */
+function stateFromElements(ele, date, positionAt) {
+  const t = date.getTime();
+  const p = positionAt(ele, date);
+  const a = positionAt(ele, new Date(t - 60000));
+  const b = positionAt(ele, new Date(t + 60000));
+  return [p.x * AU_M, p.y * AU_M, (p.z || 0) * AU_M, ((b.x - a.x) * AU_M) / 120, ((b.y - a.y) * AU_M) / 120, (((b.z || 0) - (a.z || 0)) * AU_M) / 120];
+}
+
+/** Perturbing acceleration (direct + indirect) at (x, y, z) into out[0..2]; bodies packed [x, y, z, GM, …]. */
+function perturbation(x, y, z, bodies, out) {
+  let ax = 0, ay = 0, az = 0;
+  for (let k = 0; k < bodies.length; k += 4) {
+    const bx = bodies[k], by = bodies[k + 1], bz = bodies[k + 2], gm = bodies[k + 3];
+    const dx = bx - x, dy = by - y, dz = bz - z;
+    const d = Math.max(MIN_BODY_DISTANCE_M, Math.sqrt(dx * dx + dy * dy + dz * dz));
+    const rb = Math.sqrt(bx * bx + by * by + bz * bz);
+    const fd = gm / (d * d * d), fi = gm / (rb * rb * rb);
+    ax += fd * dx - fi * bx;
+    ay += fd * dy - fi * by;
+    az += fd * dz - fi * bz;
+  }
+  out[0] = ax; out[1] = ay; out[2] = az;
+}
+
+/**
+ * Propagate one satellite's slot and free states over the planet grid.
+ * @returns {{holdDv: number, peakAccel: number, overShare: number, samples: Array<number[]>, slot: Float64Array}}
+ *   ΔV in m/s, peak hold thrust in m/s²; overShare = fraction of the horizon the hold
+ *   needs more than maxAccel; samples at every `every`-th step (and the last): free
+ *   deviation [along, radial, cross] (m); slot = final slot position (m).
+ */
+function propagateOne(state0, grid, h, maxAccel, every) {
+  const steps = (grid.length - 1) / 2;
+  const y = new Float64Array(12);
+  y.set(state0, 0);
+  y.set(state0, 6);
+  const GMS = GM.Sun;
+  const pert = [0, 0, 0];
+  const ks = [new Float64Array(12), new Float64Array(12), new Float64Array(12), new Float64Array(12)];
+  const tmp = new Float64Array(12);
+
+  // dy/dt of the stacked slot / free states at grid node g; returns the hold thrust
+  // (|perturbation| at the slot).
+  const deriv = (g, yy, out) => {
+    for (let o = 0; o < 12; o += 6) {
+      const x = yy[o], yv = yy[o + 1], z = yy[o + 2];
+      const r = Math.sqrt(x * x + yv * yv + z * z);
+      const fs = -GMS / (r * r * r);
+      out[o] = yy[o + 3]; out[o + 1] = yy[o + 4]; out[o + 2] = yy[o + 5];
+      out[o + 3] = fs * x; out[o + 4] = fs * yv; out[o + 5] = fs * z;
+    }
+    perturbation(yy[6], yy[7], yy[8], grid[g], pert);
+    out[9] += pert[0]; out[10] += pert[1]; out[11] += pert[2];
+    perturbation(yy[0], yy[1], yy[2], grid[g], pert);
+    return Math.sqrt(pert[0] * pert[0] + pert[1] * pert[1] + pert[2] * pert[2]);
+  };
+
+  let holdDv = 0, peakAccel = 0, overTime = 0;
+  const samples = [];
+  const sample = () => {
+    // Free deviation in the slot's along-track / radial / cross-track frame.
+    const dx = y[6] - y[0], dy = y[7] - y[1], dz = y[8] - y[2];
+    const r = Math.hypot(y[0], y[1], y[2]), v = Math.hypot(y[3], y[4], y[5]);
+    const along = (dx * y[3] + dy * y[4] + dz * y[5]) / v;
+    const radial = (dx * y[0] + dy * y[1] + dz * y[2]) / r;
+    samples.push([along, radial, Math.sqrt(Math.max(0, dx * dx + dy * dy + dz * dz - along * along - radial * radial))]);
+  };
+  sample();
+  const weights = [1, 2, 2, 1];
+  const accel = [0, 0, 0, 0];
+  for (let i = 0; i < steps; i++) {
+    const g = 2 * i;
+    accel[0] = deriv(g, y, ks[0]);
+    for (let j = 0; j < 12; j++) tmp[j] = y[j] + 0.5 * h * ks[0][j];
+    accel[1] = deriv(g + 1, tmp, ks[1]);
+    for (let j = 0; j < 12; j++) tmp[j] = y[j] + 0.5 * h * ks[1][j];
+    accel[2] = deriv(g + 1, tmp, ks[2]);
+    for (let j = 0; j < 12; j++) tmp[j] = y[j] + h * ks[2][j];
+    accel[3] = deriv(g + 2, tmp, ks[3]);
+    for (let j = 0; j < 12; j++) y[j] += (h / 6) * (ks[0][j] + 2 * ks[1][j] + 2 * ks[2][j] + ks[3][j]);
+    // Simpson over the step, with the RK4 stage weights.
+    for (let s = 0; s < 4; s++) {
+      holdDv += (h / 6) * weights[s] * accel[s];
+      if (accel[s] > maxAccel) overTime += (h / 6) * weights[s];
+      if (accel[s] > peakAccel) peakAccel = accel[s];
+    }
+    if ((i + 1) % every === 0 || i === steps - 1) sample();
+  }
+  return { holdDv, peakAccel, overShare: overTime / (steps * h), samples, slot: y.slice(0, 3) };
+}
+
+/** Evenly spaced picks of `n` items (all of them when there are fewer). */
+function spread(items, n) {
+  if (items.length <= n) return items;
+  return Array.from({ length: n }, (_, j) => items[Math.floor((j * items.length) / n)]);
+}
+
+/**
+ * Propagate sampled satellites of every ring.
+ *
+ * @param {Array<Object>} satellites - SimSatellites satellites (orbital elements + ringName).
+ * @param {Object} opts
+ * @param {Date} opts.startDate
+ * @param {number} opts.years - Horizon (the station-keeping lifetime).
+ * @param {(date: Date) => Object} opts.bodyPositions - { Earth, Mars, Jupiter: {x, y, z} } in AU.
+ * @param {(ele: Object, date: Date) => Object} [opts.positionAt=helioCoords] - Satellite
+ *   position (AU) from its elements, as the sim places it; the start state and the
+ *   slot-model drift are taken from it.
+ * @param {number} [opts.stepHours=12]
+ * @param {number} [opts.satsPerRing=6]
+ * @param {Object} [opts.rings] - ringName → { maxAccel (m/s², the ring's thrusters at
+ *   full power over its mass), thrusters, estimateAccel (simStationKeeping's ring
+ *   average, m/s²) }. Rings without an entry have no thrust limit to compare against.
+ * @param {number} [opts.samples=120] - Time-series points per ring.
+ * @param {(done: number, total: number) => void} [opts.onSatellite]
+ * @returns {{startDate: string, years: number, stepHours: number, days: number[], rings: Array<Object>}}
+ *   Per ring: sampled / total satellites, thrusters, maxAccel, estimateDvMs (the
+ *   simStationKeeping figure over the horizon), holdDvMs {mean, max}, peakAccel,
+ *   overThrustPct (share of the horizon the hold needs more than maxAccel),
+ *   freeAlongKm / freeRadialKm / freeCrossKm {mean, max} (|deviation| at the end),
+ *   freeMaxKm, slotModelDriftKm, and alongKm, the mean |free along-track| deviation
+ *   on `days`.
+ */
+export function propagateRings(satellites, { startDate, years, bodyPositions, stepHours = 12, satsPerRing = 6, rings = {}, samples = 120, positionAt = helioCoords, onSatellite = null }) {
+  const h = stepHours * 3600;
+  const steps = Math.max(1, Math.round((years * 365.25 * SECONDS_PER_DAY) / h));
+  const every = Math.max(1, Math.floor(steps / samples));
+  const t0 = startDate.getTime();
+
+  // Planet positions on the half-step grid, packed for perturbation().
+  const grid = [];
+  for (let g = 0; g <= 2 * steps; g++) {
+    const pos = bodyPositions(new Date(t0 + (g * h * 1000) / 2));
+    const packed = [];
+    for (const name of PROPAGATOR_BODIES) {
+      const p = pos[name];
+      if (p) packed.push(p.x * AU_M, p.y * AU_M, (p.z || 0) * AU_M, GM[name]);
+    }
+    grid.push(packed);
+  }
+  const days = [];
+  for (let i = 0; i <= steps; i += every) days.push((i * h) / SECONDS_PER_DAY);
+  if ((steps % every) !== 0) days.push((steps * h) / SECONDS_PER_DAY);
+
+  const byRing = new Map();
+  for (const sat of satellites) {
+    if (!sat.ringName) continue;
+    if (!byRing.has(sat.ringName)) byRing.set(sat.ringName, []);
+    byRing.get(sat.ringName).push(sat);
+  }
+  const picks = [...byRing].map(([ringName, sats]) => [ringName, sats.length, spread(sats, satsPerRing)]);
+  const total = picks.reduce((s, [, , p]) => s + p.length, 0);
+  const endDate = new Date(t0 + steps * h * 1000);
+  const horizonS = steps * h;
+  const stat = (vals) => ({ mean: vals.reduce((s, v) => s + v, 0) / vals.length, max: Math.max(...vals) });
+
+  let done = 0;
+  const out = [];
+  for (const [ringName, count, sats] of picks) {
+    const ring = rings[ringName] || {};
+    const maxAccel = ring.maxAccel > 0 ? ring.maxAccel : Infinity;
+    const runs = sats.map((sat) => {
+      const run = propagateOne(stateFromElements(sat, startDate, positionAt), grid, h, maxAccel, every);
+      // The position the sim uses at the end vs the Sun-only slot.
+      const a = positionAt(sat, endDate);
+      run.slotModelDrift = Math.hypot(a.x * AU_M - run.slot[0], a.y * AU_M - run.slot[1], (a.z || 0) * AU_M - run.slot[2]);
+      if (onSatellite) onSatellite(++done, total);
+      return run;
+    });
+    const last = runs.map((r) => r.samples[r.samples.length - 1]);
+    const km = (v) => v / 1000;
+    out.push({
+      ringName,
+      satellites: count,
+      sampled: runs.length,
+      thrusters: ring.thrusters ?? null,
+      maxAccel: Number.isFinite(maxAccel) ? maxAccel : null,
+      estimateDvMs: ring.estimateAccel != null ? ring.estimateAccel * horizonS : null,
+      holdDvMs: stat(runs.map((r) => r.holdDv)),
+      peakAccel: Math.max(...runs.map((r) => r.peakAccel)),
+      overThrustPct: 100 * stat(runs.map((r) => r.overShare)).mean,
+      freeAlongKm: stat(last.map((s) => km(Math.abs(s[0])))),
+      freeRadialKm: stat(last.map((s) => km(Math.abs(s[1])))),
+      freeCrossKm: stat(last.map((s) => km(s[2]))),
+      freeMaxKm: km(Math.max(...runs.flatMap((r) => r.samples.map((s) => Math.hypot(...s))))),
+      slotModelDriftKm: km(Math.max(...runs.map((r) => r.slotModelDrift))),
+      alongKm: days.map((_, j) => km(runs.reduce((s, r) => s + Math.abs(r.samples[j][0]), 0) / runs.length)),
+    });
+  }
+  return { startDate: startDate.toISOString(), years, stepHours, days, rings: out };
+}
+
+/**
+ * @param {Object} result - propagateRings output.
+ * @returns {string} CSV, one row per ring.
+ */
+export function propagationToCsv(result) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const cols = [
+    ["ring", (r) => r.ringName], ["satellites", (r) => r.satellites], ["sampled", (r) => r.sampled],
+    ["thrusters", (r) => r.thrusters], ["max_accel_ms2", (r) => r.maxAccel],
+    ["estimate_dv_ms", (r) => r.estimateDvMs], ["hold_dv_ms_mean", (r) => r.holdDvMs.mean], ["hold_dv_ms_max", (r) => r.holdDvMs.max],
+    ["peak_accel_ms2", (r) => r.peakAccel], ["over_thrust_pct", (r) => r.overThrustPct],
+    ["free_along_km_mean", (r) => r.freeAlongKm.mean], ["free_along_km_max", (r) => r.freeAlongKm.max],
+    ["free_radial_km_max", (r) => r.freeRadialKm.max], ["free_cross_km_max", (r) => r.freeCrossKm.max],
+    ["free_max_km", (r) => r.freeMaxKm], ["slot_model_drift_km", (r) => r.slotModelDriftKm],
+  ];
+  const lines = [cols.map(([k]) => k).join(",")];
+  for (const r of result.rings) lines.push(cols.map(([, f]) => cell(f(r))).join(","));
+  return lines.join("\n") + "\n";
+}
@@ -30,12 +30,12 @@ export class SimSatellites {
     this.eccentricRingCrossings = [];
   }
 
-  calculateGbps = (distanceKm) => {
-    return this.simLinkBudget.calculateGbps(distanceKm);
+  calculateGbps = (distanceKm, family) => {
+    return this.simLinkBudget.calculateGbps(distanceKm, family);
   };
 
-  calculateKm = (gbps) => {
-    return this.simLinkBudget.calculateKm(gbps);
+  calculateKm = (gbps, family) => {
+    return this.simLinkBudget.calculateKm(gbps, family);
   };
 
   convertAUtoKM = (distanceAU) => {
@@ -114,7 +114,7 @@ export class SimSatellites {
     const distInnerAu = uiConfig["circular_rings.distance-sun-slider-inner-au"];
     const inringIntraringBiasPct = uiConfig["circular_rings.inring-interring-bias-pct"];
     const earthMarsInclinationPct = uiConfig["circular_rings.earth-mars-orbit-inclination-pct"];
-    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000);
+    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000, "circular_rings");
     const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
     const distanceAuBetweenRings = Math.abs(distOuterAu - distInnerAu) / (ringCount - 1);
     const satellitesConfig = [];
@@ -148,7 +148,7 @@ export class SimSatellites {
     if (eccentricity >= 1) return [];
     const argPeriStart = uiConfig["eccentric_rings.argument-of-perihelion"];
     const earthMarsInclinationPct = uiConfig["eccentric_rings.earth-mars-orbit-inclination-pct"];
-    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000);
+    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000, "eccentric_rings");
     const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
     const satellitesConfig = [];
     // Worst-case (perihelion) sizing: sats are evenly spaced in mean longitude, so
@@ -204,7 +204,7 @@ export class SimSatellites {
     if (ringCount == 0 || mbpsBetweenSats == 0) return [];
     const argPeriStart = uiConfig["adapted_eccentric_rings.argument-of-perihelion"];
     const earthMarsInclinationPct = uiConfig["adapted_eccentric_rings.earth-mars-orbit-inclination-pct"];
-    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000);
+    const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000, "adapted_eccentric_rings");
     const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
 
     // Reciprocal-radius (u = 1/r) parameters of a planet's orbit: A = 1/p and the
@@ -459,7 +459,7 @@ export class SimSatellites {
         const distOuterAu = uiConfig["circular_rings.distance-sun-slider-outer-au"];
         const distInnerAu = uiConfig["circular_rings.distance-sun-slider-inner-au"];
         const inringIntraringBiasPct = uiConfig["circular_rings.inring-interring-bias-pct"];
-        const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSatsCircular / 1000);
+        const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSatsCircular / 1000, ringName);
         const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
         const distanceAuBetweenRings = Math.abs(distOuterAu - distInnerAu) / (ringCount - 1);
         gradientOneSideStartMbps = 9999999999;
@@ -474,7 +474,7 @@ export class SimSatellites {
           const satCount2 = Math.ceil(Math.PI / this.safeAsin(distanceAuBetweenSats / (2 * satDistanceSunAuBias2)));
           const distanceThisRingToNextAU = Math.abs(satDistanceSunAu1 - satDistanceSunAu2);
           const distanceThisRingToNextKm = this.simLinkBudget.convertAUtoKM(distanceThisRingToNextAU);
-          const throughputThisRingToNextMbpsOneSat = this.simLinkBudget.calculateGbps(distanceThisRingToNextKm) * 1000;
+          const throughputThisRingToNextMbpsOneSat = this.simLinkBudget.calculateGbps(distanceThisRingToNextKm, ringName) * 1000;
           const throughputThisRingToNextMbpsAllSats = throughputThisRingToNextMbpsOneSat * Math.min(satCount1, satCount2);
           const throughputOneSideOfPlanet = throughputThisRingToNextMbpsAllSats / 2;
           if (throughputOneSideOfPlanet < gradientOneSideStartMbps) gradientOneSideStartMbps = Math.ceil(throughputOneSideOfPlanet);
@@ -492,7 +492,7 @@ export class SimSatellites {
       const distOuterAu = uiConfig["circular_rings.distance-sun-slider-outer-au"];
       const distInnerAu = uiConfig["circular_rings.distance-sun-slider-inner-au"];
       const inringIntraringBiasPct = uiConfig["circular_rings.inring-interring-bias-pct"];
-      const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000);
+      const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000, ringName);
       const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
       const distanceAuBetweenRings = Math.abs(distOuterAu - distInnerAu) / (ringCount - 1);
       const ringId = 1;
@@ -513,7 +513,7 @@ export class SimSatellites {
       const e = ringType === "Mars" ? this.Mars.e : this.Earth.e;
       const periapsisFactor = Math.sqrt((1 + e) / (1 - e));
       const distAverageAu = a;
-      const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000);
+      const distanceKmBetweenSats = this.simLinkBudget.calculateKm(mbpsBetweenSats / 1000, ringName);
       const distanceAuBetweenSats = distanceKmBetweenSats / SIM_CONSTANTS.AU_IN_KM;
       const circumferenceAu = 2 * Math.PI * distAverageAu * periapsisFactor;
       const actualCircumferenceAu = (circumferenceAu * sideExtensionDeg * 2) / 360;
@@ -551,7 +551,7 @@ export class SimSatellites {
     const targetPerLinkGbps = targetMbps / 2 / 1000;
     if (targetPerLinkGbps <= 0) return 50;
 
-    const gbpsFactor = lb._gbpsFactor;
+    const gbpsFactor = lb.gbpsFactorFor(ringType === "Mars" ? "ring_mars" : "ring_earth");
     const worstDistKm = Math.sqrt(gbpsFactor / targetPerLinkGbps);
     const worstDistAu = worstDistKm / AU_IN_KM;
 
@@ -885,6 +885,7 @@ export class SimSatellites {
   }
 
   updateSatellitesPositions(simDaysSinceStart) {
+    this.positionsDate = simDaysSinceStart; // pointing-rate checks re-evaluate orbits around it
     for (const satellite of this.satellites) {
       satellite.position = helioCoords(satellite, simDaysSinceStart);
       satellite.orbitalZone = this.getRadialZone(satellite, satellite.ringName);
@@ -1224,7 +1225,7 @@ export class SimSatellites {
         const satCountIfFullRing = Math.round(360 / longIncrement);
         const orbitCircumferenceKm = 2 * Math.PI * this.convertAUtoKM(a);
         const inringAvgDistKm = gradientOneSideStartMbps ? orbitCircumferenceKm / satCountIfFullRing : null;
-        const inringAvgMbps = gradientOneSideStartMbps ? this.calculateGbps(inringAvgDistKm) * 1000 : null;
+        const inringAvgMbps = gradientOneSideStartMbps ? this.calculateGbps(inringAvgDistKm, this.simLinkBudget.familyOf(ringName)) * 1000 : null;
         let perInterringLinkMbps = gradientOneSideStartMbps ? gradientOneSideStartMbps / (satCountIfFullRing / 2) : null;
         let requiredThroughputMbps = gradientOneSideStartMbps;
 
@@ -1232,7 +1233,7 @@ export class SimSatellites {
         let longiDeg = 0;
         while (longiDeg < sideExtensionDeg - longIncrement) {
           // calculate next distance
-          const nextDistKm = this.calculateKm(requiredThroughputMbps / 1000);
+          const nextDistKm = this.calculateKm(requiredThroughputMbps / 1000, this.simLinkBudget.familyOf(ringName));
           // convert to degrees
           const longIncrementGradient = (360 * nextDistKm) / orbitCircumferenceKm;
           const selectedIncrement = Math.min(longIncrementGradient, longIncrement);
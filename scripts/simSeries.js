@@ -0,0 +1,72 @@
+// simSeries.js — Per-date time-series export for long-term runs.
+//
+// SimMain.longTermRun (UI) and simHeadless.runTimeSeries (CLI) both produce one row
+// per sampled date in the shape below; this module turns those rows into CSV / JSON
+// so a full synodic cycle, solar conjunction included, can be plotted elsewhere.
+
+import { SYNODIC_PERIOD_DAYS } from "./simTransfer.js?v=4.42";
+
+// Default export span: one mean Earth–Mars synodic period (~26 months).
+export const SERIES_DEFAULT_SPAN_DAYS = Math.ceil(SYNODIC_PERIOD_DAYS);
+export const SERIES_DEFAULT_STEP_DAYS = 7;
+
+// Row key → CSV header, in column order.
+export const SERIES_COLUMNS = [
+  ["simDate", "date"],
+  ["maxFlowGbps", "max_flow_gbps"],
+  ["bestLatencyMinutes", "best_latency_min"],
+  ["avgLatencyMinutes", "avg_latency_min"],
+  ["maxLatencyMinutes", "max_latency_min"],
+  ["possibleLinksCount", "possible_links"],
+  ["costPerMbps", "cost_per_mbps"],
+  ["solarBlindedCandidatePairs", "solar_blinded_candidate_pairs"], // rejected endpoint pairs, not links lost
+  ["pointingConeRejected", "pointing_cone_rejected"],
+  ["pointingRateRejected", "pointing_rate_rejected"],
+];
+
+/**
+ * Sampled dates from `from` to `to` inclusive, every `stepDays` days (UTC days, so a
+ * DST change never shifts the sample hour).
+ *
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @param {number} stepDays - > 0; fractional steps are sampled as given.
+ * @returns {Date[]}
+ * @throws {RangeError} when stepDays is not a positive number.
+ */
+export function seriesDates(from, to, stepDays) {
+  if (!(stepDays > 0) || !Number.isFinite(stepDays)) throw new RangeError(`stepDays must be > 0 (got ${stepDays})`);
+  const start = new Date(from).getTime();
+  const end = new Date(to).getTime();
+  const stepMs = stepDays * 86400000;
+  const dates = [];
+  for (let t = start; t <= end; t += stepMs) dates.push(new Date(t));
+  return dates;
+}
+
+/**
+ * @param {Array<Object>} rows - longTermRun-style rows.
+ * @returns {string} CSV with a header line; nulls/non-finite numbers are empty cells.
+ */
+export function seriesToCsv(rows) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const lines = [SERIES_COLUMNS.map(([, header]) => header).join(",")];
+  for (const row of rows) lines.push(SERIES_COLUMNS.map(([key]) => cell(row[key])).join(","));
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON export: the run parameters plus the rows trimmed to the exported columns
+ * (longTermRun rows also carry the per-date latency histogram, which is dropped).
+ *
+ * @param {Object} meta - e.g. { from, to, stepDays, preset }.
+ * @param {Array<Object>} rows
+ * @returns {Object}
+ */
+export function seriesToJson(meta, rows) {
+  return {
+    ...meta,
+    columns: SERIES_COLUMNS.map(([key]) => key),
+    rows: rows.map((row) => Object.fromEntries(SERIES_COLUMNS.map(([key]) => [key, row[key] ?? null]))),
+  };
+}
@@ -0,0 +1,87 @@
+// simShareLink.js — Scenario snapshot ⇄ compact URL fragment.
+//
+// A share link carries the whole scenario in the fragment (`#s=…`), so nothing is
+// uploaded anywhere and a link pasted in chat restores the exact configuration:
+//
+//   { v: 1, sliders: { "section.slider": value, ... },   // only values off their default
+//     curves: { "adapted_rings.density-anchors": [[x, y], ...], ... },  // likewise
+//     date: "2031-04-02T12:00:00.000Z" }
+//
+// Sliders and curves missing from the snapshot mean "default", so opening a link also
+// resets whatever the recipient had changed locally. The JSON is deflated
+// (CompressionStream "deflate-raw") and base64url-encoded; the one-letter prefix after
+// the version says which, so a browser without CompressionStream can still produce
+// (longer) uncompressed links.
+
+export const SHARE_PARAM = "s";
+export const SHARE_VERSION = 1;
+
+function bytesToBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const out = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(out);
+}
+
+/**
+ * @param {{ sliders?: Object<string, string>, curves?: Object<string, Array<{x: number, y: number}>>, date?: string }} scenario
+ * @returns {Promise<string>} Fragment payload (without the `s=`).
+ */
+export async function encodeScenario({ sliders = {}, curves = {}, date = null }) {
+  const packed = { v: SHARE_VERSION, sliders };
+  // Anchors as [x, y] pairs, rounded well below what the curve editors can resolve.
+  const c = {};
+  for (const [k, anchors] of Object.entries(curves)) c[k] = anchors.map((p) => [Math.round(p.x * 1e4) / 1e4, Math.round(p.y * 100) / 100]);
+  if (Object.keys(c).length) packed.curves = c;
+  if (date) packed.date = date;
+  const json = new TextEncoder().encode(JSON.stringify(packed));
+  if (typeof CompressionStream === "undefined") return `${SHARE_VERSION}j${bytesToBase64Url(json)}`;
+  return `${SHARE_VERSION}z${bytesToBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")))}`;
+}
+
+/**
+ * Inverse of encodeScenario. Throws on anything malformed or from a newer version.
+ *
+ * @param {string} payload
+ * @returns {Promise<{ sliders: Object<string, string>, curves: Object<string, Array<{x: number, y: number}>>, date: string|null }>}
+ */
+export async function decodeScenario(payload) {
+  const m = /^(\d+)([zj])([A-Za-z0-9_-]*)$/.exec(payload || "");
+  if (!m) throw new Error("Malformed share link");
+  if (+m[1] > SHARE_VERSION) throw new Error(`Share link version ${m[1]} is newer than this app (${SHARE_VERSION}); reload to update`);
+  let bytes = base64UrlToBytes(m[3]);
+  if (m[2] === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser can't decompress share links");
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  }
+  const packed = JSON.parse(new TextDecoder().decode(bytes));
+  if (!packed || typeof packed !== "object" || (packed.sliders != null && typeof packed.sliders !== "object")) throw new Error("Malformed share link");
+  const curves = {};
+  for (const [k, pairs] of Object.entries(packed.curves || {})) {
+    if (Array.isArray(pairs)) curves[k] = pairs.map(([x, y]) => ({ x, y }));
+  }
+  const date = packed.date && !isNaN(new Date(packed.date).getTime()) ? packed.date : null;
+  return { sliders: { ...(packed.sliders || {}) }, curves, date };
+}
+
+/**
+ * The share payload in a location hash ("#s=…", possibly among other `&` params), or null.
+ *
+ * @param {string} hash
+ * @returns {string|null}
+ */
+export function sharePayloadFromHash(hash) {
+  return new URLSearchParams(String(hash || "").replace(/^#/, "")).get(SHARE_PARAM);
+}
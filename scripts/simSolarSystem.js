@@ -1,6 +1,7 @@
 // simSolarSystem.js
 
 import { helioCoords, positionFromSolarAngle } from "./simOrbits.js?v=4.42";
+import { getActiveEphemeris, ephemerisPosition } from "./simEphemeris.js?v=4.42";
 
 export class SimSolarSystem {
   constructor() {
@@ -210,9 +211,23 @@ export class SimSolarSystem {
     return this.solarSystemData;
   }
 
+  /**
+   * Position every planet at `date`: the analytic elements (helioCoords), replaced by
+   * the active ephemeris table (simEphemeris.js) for the bodies and dates it covers.
+   * Table positions keep the analytic rotation / vpo; solarAngle becomes the
+   * ecliptic longitude of the table position.
+   */
   updatePlanetsPositions(simDaysSinceStart) {
-    for (const [name, object] of Object.entries(this.solarSystemData.planets))
-      this.solarSystemData.planets[name].position = helioCoords(object, simDaysSinceStart);
+    const ephemeris = getActiveEphemeris();
+    for (const [name, object] of Object.entries(this.solarSystemData.planets)) {
+      const position = helioCoords(object, simDaysSinceStart);
+      const table = ephemeris && ephemerisPosition(ephemeris, object.name, simDaysSinceStart);
+      if (table) {
+        Object.assign(position, table);
+        position.solarAngle = ((Math.atan2(table.y, table.x) * 180) / Math.PI + 360) % 360;
+      }
+      this.solarSystemData.planets[name].position = position;
+    }
     return this.solarSystemData.planets;
   }
 
@@ -1,6 +1,7 @@
 // simTopology.js — Topology building logic extracted from SimNetwork.
 
 import { SIM_CONSTANTS } from "./simConstants.js?v=4.42";
+import { helioCoords } from "./simOrbits.js?v=4.42";
 
 export class TopologyBuilder {
   constructor(simLinkBudget, simSatellites) {
@@ -8,6 +9,9 @@ export class TopologyBuilder {
     this.SPEED_OF_LIGHT_KM_S = SIM_CONSTANTS.SPEED_OF_LIGHT_KM_S;
     this.simLinkBudget = simLinkBudget;
     this.simSatellites = simSatellites;
+    // Failed laser terminals per satellite name (degraded-constellation mode), set by
+    // SimNetwork before each build. Each one pre-occupies a port in linkCounts.
+    this.failedTerminals = null;
   }
 
   // Helper Functions
@@ -53,7 +57,129 @@ export class TopologyBuilder {
       return cosAngle > threshold;
     };
 
-    return checkEndpoint(posA, posB) || checkEndpoint(posB, posA);
+    const blinded = checkEndpoint(posA, posB) || checkEndpoint(posB, posA);
+    // During a build, remember each distinct blinded endpoint pair (the matchers may
+    // test the same pair several times) — buildTopology reports the count.
+    if (blinded && this.solarBlindedPairs) {
+      const a = `${posA.x},${posA.y},${posA.z}`, b = `${posB.x},${posB.y},${posB.z}`;
+      this.solarBlindedPairs.add(a < b ? `${a}|${b}` : `${b}|${a}`);
+    }
+    return blinded;
+  }
+
+  /**
+   * Laser terminal pointing limits (SimLinkBudget.pointing*), checked at each satellite
+   * end of a link; planet ends are unconstrained.
+   *
+   *   cone — the line of sight must lie within pointingConeDeg of the pointing axis
+   *          (velocity or sun direction), either way along it: terminals look fore and
+   *          aft, or sunward and anti-sunward.
+   *   rate — the line of sight may turn at most pointingMaxRateDegPerDay between the
+   *          previous link window (pointingStepDays earlier) and this one.
+   *
+   * Endpoints are resolved from their position objects (this.pointingNodes, filled by
+   * _beginPointing), so an unknown position is never rejected.
+   *
+   * @returns {"cone"|"rate"|null} The first violated constraint.
+   */
+  violatesPointing(posA, posB) {
+    const lb = this.simLinkBudget;
+    const coneOn = lb.pointingConeDeg < 90;
+    const rateOn = lb.pointingMaxRateDegPerDay > 0;
+    if ((!coneOn && !rateOn) || !this.pointingNodes) return null;
+    const a = this.pointingNodes.get(posA), b = this.pointingNodes.get(posB);
+    if (!a || !b) return null;
+    const dx = posB.x - posA.x, dy = posB.y - posA.y, dz = posB.z - posA.z;
+    const d = Math.sqrt(dx * dx + dy * dy + dz * dz);
+    if (d === 0) return null;
+
+    if (coneOn) {
+      const cosMax = Math.cos(lb.pointingConeDeg * SIM_CONSTANTS.DEG_TO_RAD);
+      for (const node of [a, b]) {
+        if (!node.ringName) continue; // planet
+        const ax = this._pointingState(node).axis;
+        const cos = Math.abs(dx * ax.x + dy * ax.y + dz * ax.z) / d;
+        if (cos < cosMax) return "cone";
+      }
+    }
+
+    if (rateOn) {
+      const pa = this._pointingState(a).prev, pb = this._pointingState(b).prev;
+      if (pa && pb) {
+        const px = pb.x - pa.x, py = pb.y - pa.y, pz = pb.z - pa.z;
+        const pd = Math.sqrt(px * px + py * py + pz * pz);
+        if (pd > 0) {
+          const cos = Math.max(-1, Math.min(1, (dx * px + dy * py + dz * pz) / (d * pd)));
+          const rateDegPerDay = (Math.acos(cos) / SIM_CONSTANTS.DEG_TO_RAD) / lb.pointingStepDays;
+          if (rateDegPerDay > lb.pointingMaxRateDegPerDay) return "rate";
+        }
+      }
+    }
+    return null;
+  }
+
+  // Per-node pointing axis (unit vector) and position one link window earlier, from the
+  // node's orbital elements. The earlier position is the current one minus the analytic
+  // displacement, so table-driven planet positions stay consistent.
+  _pointingState(node) {
+    let st = this.pointingStates.get(node);
+    if (st) return st;
+    const pos = node.position;
+    const date = this.simSatellites?.positionsDate;
+    const at = (days) => helioCoords(node, new Date(date.getTime() + days * 86_400_000));
+    let axis = { x: pos.x, y: pos.y, z: pos.z };
+    let prev = null;
+    if (date instanceof Date) {
+      const now = at(0);
+      if (this.simLinkBudget.pointingReference === "velocity" && node.ringName) {
+        const ahead = at(1 / 24);
+        axis = { x: ahead.x - now.x, y: ahead.y - now.y, z: ahead.z - now.z };
+      }
+      const back = at(-this.simLinkBudget.pointingStepDays);
+      prev = { x: pos.x - (now.x - back.x), y: pos.y - (now.y - back.y), z: pos.z - (now.z - back.z) };
+    }
+    const n = Math.sqrt(axis.x * axis.x + axis.y * axis.y + axis.z * axis.z) || 1;
+    st = { axis: { x: axis.x / n, y: axis.y / n, z: axis.z / n }, prev };
+    this.pointingStates.set(node, st);
+    return st;
+  }
+
+  // Index this build's nodes by position object for violatesPointing.
+  _beginPointing(satellites, planets) {
+    this.pointingNodes = new Map();
+    this.pointingStates = new Map();
+    for (const node of [...satellites, ...planets]) if (node.position) this.pointingNodes.set(node.position, node);
+  }
+
+  /**
+   * Whether a candidate link is ruled out by solar blinding or a pointing limit. During
+   * a build, distinct rejected endpoint pairs are counted per pointing constraint.
+   */
+  isLinkExcluded(posA, posB) {
+    if (this.isSolarBlinded(posA, posB)) return true;
+    const violated = this.violatesPointing(posA, posB);
+    if (violated && this.pointingRejectedPairs) {
+      const a = this.pointingNodes.get(posA).name, b = this.pointingNodes.get(posB).name;
+      this.pointingRejectedPairs[violated].add(a < b ? `${a}|${b}` : `${b}|${a}`);
+    }
+    return violated !== null;
+  }
+
+  /**
+   * The matchers price candidate links with the relay family's link model
+   * (calculateGbps). When another family — typically a planet ring — uses a different
+   * model, set each link's capacity from both ends' models (SimLinkBudget.linkGbps).
+   * @param {Array} links - Mutated in place.
+   * @param {Array} satellites
+   */
+  applyLinkModels(links, satellites) {
+    const lb = this.simLinkBudget;
+    const models = lb.linkModels || {};
+    if (Object.values(models).every((m) => m === models[lb.relayFamily])) return;
+    const ringOf = new Map(satellites.map((s) => [s.name, s.ringName]));
+    for (const link of links) {
+      link.gbpsCapacity = lb.linkGbps(link.distanceKm, ringOf.get(link.fromId), ringOf.get(link.toId));
+    }
   }
 
   // Active topology methods
@@ -154,7 +280,7 @@ export class TopologyBuilder {
           // Enforce maximum distance constraint
           if (distanceAU > maxDistanceAU) continue;
           // Solar blinding check
-          if (this.isSolarBlinded(satPos, neighPos)) continue;
+          if (this.isLinkExcluded(satPos, neighPos)) continue;
 
           const distanceKm = distanceAU * AU_IN_KM;
           const gbpsCapacity = this.calculateGbps(distanceKm);
@@ -405,7 +531,7 @@ export class TopologyBuilder {
           if (!outerPos) continue;
           const dAU = this.calculateDistanceAU(innerPos, outerPos);
           if (dAU > maxDistanceAU) continue;
-          if (this.isSolarBlinded(innerPos, outerPos)) continue;
+          if (this.isLinkExcluded(innerPos, outerPos)) continue;
           if (dAU < bestDist) { bestDist = dAU; assigned = oi; }
         }
         if (assigned < 0) continue;
@@ -515,7 +641,7 @@ export class TopologyBuilder {
           if (!outerPos) continue;
           const dAU = this.calculateDistanceAU(innerPos, outerPos);
           if (dAU > maxDistanceAU) continue;
-          if (this.isSolarBlinded(innerPos, outerPos)) continue;
+          if (this.isLinkExcluded(innerPos, outerPos)) continue;
           if (dAU < bestDist) { bestDist = dAU; assigned = oi; bestStep = s; }
         }
         if (assigned < 0) continue;
@@ -631,7 +757,7 @@ export class TopologyBuilder {
           if (!outerPos) continue;
           const distanceAU = this.calculateDistanceAU(innerPos, outerPos);
           if (distanceAU > maxDistanceAU) continue;
-          if (this.isSolarBlinded(innerPos, outerPos)) continue;
+          if (this.isLinkExcluded(innerPos, outerPos)) continue;
           const distanceKm = distanceAU * AU_IN_KM;
           const gbps = this.calculateGbps(distanceKm);
           candidates.push({ from: innerSat, to: outerSat, distanceAU, distanceKm, gbps });
@@ -759,7 +885,7 @@ export class TopologyBuilder {
         let found = 0;
         for (let k = 0; k < reachable.length && found < MAX_OUTER_CANDIDATES; k++) {
           const { outerSat, distanceAU } = reachable[k];
-          if (this.isSolarBlinded(innerPos, positions[outerSat.name])) continue;
+          if (this.isLinkExcluded(innerPos, positions[outerSat.name])) continue;
           candidates.push({ fromName: innerSat.name, toName: outerSat.name, distanceAU });
           found++;
         }
@@ -907,7 +1033,7 @@ export class TopologyBuilder {
             if (!a || !b) continue;
             const d = this.calculateDistanceAU(positions[a.name], positions[b.name]);
             if (d > maxJoinAU || d >= bestCost) continue;
-            if (this.isSolarBlinded(positions[a.name], positions[b.name])) continue;
+            if (this.isLinkExcluded(positions[a.name], positions[b.name])) continue;
             bestCost = d; bestR = r; bestKm = d * AU_IN_KM;
           }
           if (bestR < 0) continue;
@@ -983,7 +1109,7 @@ export class TopologyBuilder {
               // Candidate swap a→d, c→b — only if both new links stay in range and sun-clear.
               if (this.calculateDistanceAU(positions[L1.a.name], positions[L2.b.name]) > maxDistanceAU) continue;
               if (this.calculateDistanceAU(positions[L2.a.name], positions[L1.b.name]) > maxDistanceAU) continue;
-              if (this.isSolarBlinded(positions[L1.a.name], positions[L2.b.name]) || this.isSolarBlinded(positions[L2.a.name], positions[L1.b.name])) continue;
+              if (this.isLinkExcluded(positions[L1.a.name], positions[L2.b.name]) || this.isLinkExcluded(positions[L2.a.name], positions[L1.b.name])) continue;
               L1.a.outwards = L2.b.name; L2.b.inwards = L1.a.name;
               L2.a.outwards = L1.b.name; L1.b.inwards = L2.a.name;
               const t = L1.b; L1.b = L2.b; L2.b = t; // keep local view consistent for the rest of this pass
@@ -1075,7 +1201,7 @@ export class TopologyBuilder {
       if (a.outwards !== null || b.inwards !== null) return false;
       if (linkCounts[a.name] >= ringMax[ri] || linkCounts[b.name] >= ringMax[ri + 1]) return false;
       const dAU = this.calculateDistanceAU(aPos, bPos);
-      if (dAU > maxDistanceAU || this.isSolarBlinded(aPos, bPos)) return false;
+      if (dAU > maxDistanceAU || this.isLinkExcluded(aPos, bPos)) return false;
       const [fId, tId] = a.name < b.name ? [a.name, b.name] : [b.name, a.name];
       const key = `${fId}-${tId}`;
       if (existingLinks.has(key)) return false;
@@ -1101,7 +1227,7 @@ export class TopologyBuilder {
         const sat = sats[idx];
         if (sat.inwards !== null || linkCounts[sat.name] >= ringMax[ri]) return false;
         const pos = positions[sat.name];
-        if (!pos || this.isSolarBlinded(prevPos, pos)) return false;
+        if (!pos || this.isLinkExcluded(prevPos, pos)) return false;
         return this.calculateDistanceAU(prevPos, pos) <= maxDistanceAU;
       };
       for (let step = 0; step <= n; step++) {
@@ -1218,7 +1344,7 @@ export class TopologyBuilder {
       if (a.outwards !== null || b.inwards !== null) return false;
       if (linkCounts[a.name] >= ringMax[ri] || linkCounts[b.name] >= ringMax[ri + 1]) return false;
       const dAU = this.calculateDistanceAU(aPos, bPos);
-      if (dAU > maxDistanceAU || this.isSolarBlinded(aPos, bPos)) return false;
+      if (dAU > maxDistanceAU || this.isLinkExcluded(aPos, bPos)) return false;
       const [fId, tId] = a.name < b.name ? [a.name, b.name] : [b.name, a.name];
       const key = `${fId}-${tId}`;
       if (existingLinks.has(key)) return false;
@@ -1244,7 +1370,7 @@ export class TopologyBuilder {
         const sat = sats[idx];
         if (sat.inwards !== null || linkCounts[sat.name] >= ringMax[ri]) return false;
         const pos = positions[sat.name];
-        if (!pos || this.isSolarBlinded(prevPos, pos)) return false;
+        if (!pos || this.isLinkExcluded(prevPos, pos)) return false;
         return this.calculateDistanceAU(prevPos, pos) <= maxDistanceAU;
       };
       for (let step = 0; step <= n; step++) {
@@ -1464,7 +1590,7 @@ export class TopologyBuilder {
                 if (kept.length >= K_CAND && dAU >= worst) continue; // cannot displace a kept one
                 const radialCos = (ddx * ax + ddy * ay + ddz * az) / (dAU * (aR || 1e-12));
                 if (radialCos < CONE_COS) continue; // sideways ⇒ rejected
-                if (this.isSolarBlinded(a.pos, b.pos)) continue; // expensive checks last
+                if (this.isLinkExcluded(a.pos, b.pos)) continue; // expensive checks last
                 const nm = a.sat.name < b.sat.name ? `${a.sat.name}-${b.sat.name}` : `${b.sat.name}-${a.sat.name}`;
                 if (existingLinks.has(nm)) continue;
                 const dev = Math.acos(Math.max(-1, Math.min(1, radialCos)));
@@ -1701,7 +1827,7 @@ export class TopologyBuilder {
         const dPos = positions[dest.name];
         const dist = this.calculateDistanceAU(oPos, dPos);
         if (dist > maxDistanceAU) continue;
-        if (this.isSolarBlinded(oPos, dPos)) continue;
+        if (this.isLinkExcluded(oPos, dPos)) continue;
         candidates.push({ from: origin, to: dest, distanceAU: dist });
       }
     }
@@ -1801,7 +1927,7 @@ export class TopologyBuilder {
           for (const i of step === 0 ? [up] : [up, dn]) {
             if (dlt(angles[i]) <= WIN) {
               stop = false; const c = sorted[i]; const cp = positions[c.name];
-              if (cp && !this.isSolarBlinded(rPos, cp)) { const d = this.calculateDistanceAU(rPos, cp); if (d < bestD) { bestD = d; best = c; } }
+              if (cp && !this.isLinkExcluded(rPos, cp)) { const d = this.calculateDistanceAU(rPos, cp); if (d < bestD) { bestD = d; best = c; } }
             }
           }
           if (stop) break;
@@ -2000,7 +2126,7 @@ export class TopologyBuilder {
           const pb = positions[b.name];
           const distanceAU = this.calculateDistanceAU(pa, pb);
           if (distanceAU > maxDistanceAU) continue;
-          if (this.isSolarBlinded(pa, pb)) continue;
+          if (this.isLinkExcluded(pa, pb)) continue;
           cands.push({ a, b, distanceAU, gbps: this.calculateGbps(distanceAU * AU_IN_KM) });
         }
       }
@@ -2093,7 +2219,7 @@ export class TopologyBuilder {
         const [fromId, toId] = planet.name < sat.name ? [planet.name, sat.name] : [sat.name, planet.name];
         const key = `${fromId}-${toId}`;
         if (existingLinks.has(key)) continue;
-        if (this.isSolarBlinded(planetPos, positions[sat.name])) continue;
+        if (this.isLinkExcluded(planetPos, positions[sat.name])) continue;
 
         const distanceKm = distanceAU * AU_IN_KM;
         const gbpsCapacity = this.calculateGbps(distanceKm);
@@ -2411,7 +2537,7 @@ export class TopologyBuilder {
 
             // Enforce maximum distance constraint
             if (distanceAU > this.simLinkBudget.maxDistanceAU) continue;
-            if (this.isSolarBlinded(positions[eccSatellite.name], positions[targetSatellite.name])) continue;
+            if (this.isLinkExcluded(positions[eccSatellite.name], positions[targetSatellite.name])) continue;
 
             const distanceKm = distanceAU * AU_IN_KM;
             const gbpsCapacity = this.calculateGbps(distanceKm);
@@ -2599,7 +2725,7 @@ export class TopologyBuilder {
 
           const distanceAU = this.calculateDistanceAU(positions[innerSat.name], positions[outerSat.name]);
           if (distanceAU > this.simLinkBudget.maxDistanceAU) return;
-          if (this.isSolarBlinded(positions[innerSat.name], positions[outerSat.name])) return;
+          if (this.isLinkExcluded(positions[innerSat.name], positions[outerSat.name])) return;
 
           const distanceKm = distanceAU * AU_IN_KM;
           const gbps = this.calculateGbps(distanceKm);
@@ -2714,7 +2840,7 @@ export class TopologyBuilder {
           const distanceAU = this.calculateDistanceAU(positions[eccSatellite.name], positions[circSatellite.name]);
           // Enforce maximum distance constraint
           if (distanceAU > this.simLinkBudget.maxDistanceAU) return;
-          if (this.isSolarBlinded(positions[eccSatellite.name], positions[circSatellite.name])) return;
+          if (this.isLinkExcluded(positions[eccSatellite.name], positions[circSatellite.name])) return;
 
           const distanceKm = distanceAU * this.AU_IN_KM;
           const gbpsCapacity = this.calculateGbps(distanceKm);
@@ -2820,7 +2946,7 @@ export class TopologyBuilder {
     satellites.forEach((satellite) => { positions[satellite.name] = satellite.position; });
     const linkCounts = {};
     satellites.forEach((satellite) => {
-      linkCounts[satellite.name] = 0;
+      linkCounts[satellite.name] = this.failedTerminals?.get(satellite.name) || 0;
       satellite.prograde = null;
       satellite.retrograde = null;
       satellite.outwards = null;
@@ -2840,6 +2966,9 @@ export class TopologyBuilder {
     const finalLinks = [];
     const existingLinks = new Set();
     const targetDepartureAngle = 0;
+    this.solarBlindedPairs = new Set();
+    this._beginPointing(satellites, filteredPlanets);
+    this.pointingRejectedPairs = { cone: new Set(), rate: new Set() };
     // Per-ring junction/route detail for the capacity card, populated by
     // planetToEccentricRings (one entry per eccentric relay ring).
     this.eccRingDetail = new Map();
@@ -2889,6 +3018,10 @@ export class TopologyBuilder {
     this.planetToRingSatellites(filteredPlanets, rings, positions, linkCounts, finalLinks, existingLinks);
     mark("planetLinks", t);
 
+    // Links reaching a ring family with a different link model than the relay family's
+    // get their capacity re-evaluated per end before routing (see applyLinkModels).
+    this.applyLinkModels(finalLinks, satellites);
+
     t = performance.now();
     // Concentric families (adapted / circular) route radially via the outwards chain;
     // eccentric families (adapted-eccentric / eccentric) route along each ring's
@@ -2909,6 +3042,13 @@ export class TopologyBuilder {
     this.topologyInfo = this.captureTopologyInfo(rings, finalLinks);
     mark("captureTopology", t);
 
+    // Candidate links rejected for solar blinding (distinct endpoint pairs).
+    this.solarBlindedCount = this.solarBlindedPairs.size;
+    this.solarBlindedPairs = null;
+    // Candidate links rejected per pointing constraint (distinct endpoint pairs).
+    this.pointingRejected = { cone: this.pointingRejectedPairs.cone.size, rate: this.pointingRejectedPairs.rate.size };
+    this.pointingRejectedPairs = null;
+
     timings.total = Math.round(performance.now() - t0);
     timings.links = finalLinks.length;
     this.lastTopologyTimings = timings;
@@ -2916,6 +3056,261 @@ export class TopologyBuilder {
     return finalLinks;
   }
 
+  /**
+   * Incremental repair after node loss: drops every link touching a failed node and
+   * patches the holes with the surviving sats' free ports, instead of re-running the
+   * whole buildTopology pass. Two local fixes, both gated by maxDistanceAU, solar
+   * blinding, the terminal pointing limits and the per-ring port budget:
+   *
+   *   1. Lattice bridge — a failed sat's two same-ring neighbours are joined, closing
+   *      the gap in the azimuthal chain (all families, planet rings included). A lost
+   *      Earth/Mars link moves to the next-closest sat of that planet's ring that still
+   *      has a free port.
+   *   2. Radial splice (concentric families only) — each chain broken by the loss
+   *      leaves an "inner tip" (lost its outward link) and an "outer tip" (lost its
+   *      inward link). Tips are re-paired greedily by distance: first directly (an
+   *      outer tip one or two rings out — the two-ring hop skips the dead sat's ring),
+   *      then through a spare sat of the dead ring that has both radial ports free.
+   *
+   * Radial ports (inwards/outwards) are re-derived from the links themselves, so the
+   * input need not come from the latest build. Failed terminals occupy ports as in
+   * buildTopology; a survivor left with more links than working terminals sheds its
+   * longest links first (reported in `removed`, not re-patched). Sets
+   * this.routeSummary and this.topologyInfo like buildTopology.
+   *
+   * @param {Array} planets - Planet objects with name and position.
+   * @param {Array} satellites - All satellites of the build that produced finalLinks.
+   * @param {Array} finalLinks - Links from buildTopology (not mutated).
+   * @param {Iterable<string>} failedNames - Names of the lost satellites.
+   * @param {Map<string, number>|null} [failedTerminals] - Failed terminals per satellite
+   *   name (drawFailures output).
+   * @returns {{ links: Array, added: Array, removed: Array, orphans: number, reconnected: number, unrepaired: string[] }}
+   */
+  repairTopology(planets, satellites, finalLinks, failedNames, failedTerminals = null) {
+    const failed = new Set(failedNames);
+    const AU_IN_KM = this.AU_IN_KM;
+    const maxDistanceAU = this.simLinkBudget.maxDistanceAU;
+
+    const survivors = satellites.filter((s) => !failed.has(s.name));
+    const satByName = new Map(survivors.map((s) => [s.name, s]));
+    const rings = {};
+    survivors.forEach((s) => { (rings[s.ringName] ||= []).push(s); });
+    const positions = {};
+    satellites.forEach((s) => { positions[s.name] = s.position; });
+    planets.forEach((p) => { positions[p.name] = p.position; });
+    const ringOf = new Map(satellites.map((s) => [s.name, s.ringName]));
+    this._beginPointing(survivors, planets);
+
+    const removed = [];
+    const links = [];
+    const existingLinks = new Set();
+    const linkCounts = {};
+    // Neighbours each failed node leaves behind, by name.
+    const lostNeighbours = new Map();
+    for (const link of finalLinks) {
+      const fromDead = failed.has(link.fromId), toDead = failed.has(link.toId);
+      if (!fromDead && !toDead) {
+        links.push(link);
+        existingLinks.add(`${link.fromId}-${link.toId}`);
+        linkCounts[link.fromId] = (linkCounts[link.fromId] || 0) + 1;
+        linkCounts[link.toId] = (linkCounts[link.toId] || 0) + 1;
+        continue;
+      }
+      removed.push(link);
+      if (fromDead && !toDead) (lostNeighbours.get(link.fromId) || lostNeighbours.set(link.fromId, []).get(link.fromId)).push(link.toId);
+      if (toDead && !fromDead) (lostNeighbours.get(link.toId) || lostNeighbours.set(link.toId, []).get(link.toId)).push(link.fromId);
+    }
+    const freePorts = (name) => (satByName.has(name) ? this.simLinkBudget.getMaxLinksPerRing(ringOf.get(name)) - (linkCounts[name] || 0) : 0);
+
+    // Failed terminals: occupy their ports, shedding the longest links that no longer fit.
+    for (const [name, count] of failedTerminals || []) {
+      if (!satByName.has(name) || count <= 0) continue;
+      linkCounts[name] = (linkCounts[name] || 0) + count;
+      const excess = -freePorts(name);
+      if (excess <= 0) continue;
+      const own = links.filter((l) => l.fromId === name || l.toId === name).sort((a, b) => b.distanceAU - a.distanceAU);
+      for (const link of own.slice(0, excess)) {
+        links.splice(links.indexOf(link), 1);
+        existingLinks.delete(`${link.fromId}-${link.toId}`);
+        linkCounts[link.fromId]--;
+        linkCounts[link.toId]--;
+        removed.push(link);
+      }
+    }
+
+    const added = [];
+    const tryLink = (a, b) => {
+      if (a === b || freePorts(a) < 1 || freePorts(b) < 1) return false;
+      const [fromId, toId] = a < b ? [a, b] : [b, a];
+      if (existingLinks.has(`${fromId}-${toId}`)) return false;
+      const posA = positions[a], posB = positions[b];
+      if (!posA || !posB) return false;
+      const distanceAU = this.calculateDistanceAU(posA, posB);
+      if (distanceAU > maxDistanceAU || this.isLinkExcluded(posA, posB)) return false;
+      const distanceKm = distanceAU * AU_IN_KM;
+      const link = { fromId, toId, distanceAU, distanceKm, latencySeconds: this.calculateLatency(distanceKm), gbpsCapacity: this.calculateGbps(distanceKm) };
+      links.push(link);
+      added.push(link);
+      existingLinks.add(`${fromId}-${toId}`);
+      linkCounts[a] = (linkCounts[a] || 0) + 1;
+      linkCounts[b] = (linkCounts[b] || 0) + 1;
+      return true;
+    };
+
+    // Radial order for the concentric families: ring_earth, relay rings by index, ring_mars.
+    const hasEccentric = Object.keys(rings).some((r) => r.startsWith("ring_ecce") || r.startsWith("ring_adecc"));
+    const parseIndex = (name) => { const m = name.match(/_(\d+)$/); return m ? parseInt(m[1], 10) : -1; };
+    const relayIdx = [...new Set(satellites.map((s) => s.ringName))]
+      .filter((n) => n.startsWith("ring_adapt_") || n.startsWith("ring_circ_"))
+      .map(parseIndex);
+    const radial = !hasEccentric && relayIdx.length > 0;
+    const minIdx = radial ? Math.min(...relayIdx) : 0;
+    const maxIdx = radial ? Math.max(...relayIdx) : 0;
+    const orderOf = (ringName) => {
+      if (ringName === "ring_earth") return minIdx - 1;
+      if (ringName === "ring_mars") return maxIdx + 1;
+      if (ringName && (ringName.startsWith("ring_adapt_") || ringName.startsWith("ring_circ_"))) return parseIndex(ringName);
+      return null;
+    };
+
+    // 1. Lattice bridges.
+    let orphans = 0, reconnected = 0;
+    const innerTips = [], outerTips = [];
+    const unrepaired = new Set();
+    for (const [deadName, neighbours] of lostNeighbours) {
+      const deadRing = ringOf.get(deadName);
+      const sameRing = neighbours.filter((n) => ringOf.get(n) === deadRing);
+      orphans += sameRing.length;
+      if (sameRing.length === 2 && tryLink(sameRing[0], sameRing[1])) {
+        // Hand the dead sat's azimuthal ports over so the eccentric loop walkers pass the gap.
+        const [a, b] = sameRing.map((n) => satByName.get(n));
+        for (const dir of ["prograde", "retrograde"]) {
+          if (a[dir] === deadName) a[dir] = b.name;
+          if (b[dir] === deadName) b[dir] = a.name;
+        }
+        reconnected += 2;
+      } else sameRing.forEach((n) => unrepaired.add(n));
+
+      // A lost planet hop moves to the planet ring's next-closest sat with a free port,
+      // as planetToRingSatellites would pick it (no range cap on planet links).
+      for (const planetName of neighbours.filter((n) => n === "Earth" || n === "Mars")) {
+        orphans++;
+        const planetPos = positions[planetName];
+        let best = null;
+        for (const sat of rings[deadRing] || []) {
+          const [fromId, toId] = planetName < sat.name ? [planetName, sat.name] : [sat.name, planetName];
+          if (freePorts(sat.name) < 1 || existingLinks.has(`${fromId}-${toId}`) || this.isLinkExcluded(planetPos, sat.position)) continue;
+          const d = this.calculateDistanceAU(planetPos, sat.position);
+          if (!best || d < best.d) best = { fromId, toId, d };
+        }
+        if (!best) { unrepaired.add(planetName); continue; }
+        const distanceKm = best.d * AU_IN_KM;
+        const link = { fromId: best.fromId, toId: best.toId, distanceAU: best.d, distanceKm, latencySeconds: this.calculateLatency(distanceKm), gbpsCapacity: this.calculateGbps(distanceKm) };
+        links.push(link);
+        added.push(link);
+        existingLinks.add(`${best.fromId}-${best.toId}`);
+        linkCounts[best.fromId] = (linkCounts[best.fromId] || 0) + 1;
+        linkCounts[best.toId] = (linkCounts[best.toId] || 0) + 1;
+        reconnected++;
+      }
+
+      if (!radial || orderOf(deadRing) === null) continue;
+      const deadOrder = orderOf(deadRing);
+      for (const n of neighbours) {
+        const o = orderOf(ringOf.get(n));
+        if (o === null || o === deadOrder) continue;
+        orphans++;
+        (o < deadOrder ? innerTips : outerTips).push(n);
+      }
+    }
+
+    // 2. Radial splices. Direct tip-to-tip pairs first (one ring out before two), then
+    //    a spare sat of the gap ring for whatever is left.
+    if (radial) {
+      const innerLeft = new Set(innerTips), outerLeft = new Set(outerTips);
+      const pairs = [];
+      for (const a of innerLeft) {
+        for (const b of outerLeft) {
+          const step = orderOf(ringOf.get(b)) - orderOf(ringOf.get(a));
+          if (step < 1 || step > 2) continue;
+          pairs.push({ a, b, step, d: this.calculateDistanceAU(positions[a], positions[b]) });
+        }
+      }
+      pairs.sort((p, q) => p.step - q.step || p.d - q.d);
+      for (const { a, b } of pairs) {
+        if (!innerLeft.has(a) || !outerLeft.has(b)) continue;
+        if (!tryLink(a, b)) continue;
+        innerLeft.delete(a); outerLeft.delete(b);
+        reconnected += 2;
+      }
+
+      // Sats already holding a radial link can't take a second inward/outward one.
+      const radialLinked = new Set();
+      for (const { fromId, toId } of links) {
+        const oa = orderOf(ringOf.get(fromId)), ob = orderOf(ringOf.get(toId));
+        if (oa === null || ob === null || oa === ob) continue;
+        radialLinked.add(fromId); radialLinked.add(toId);
+      }
+      const isSpare = (s) => !radialLinked.has(s.name) && freePorts(s.name) >= 2;
+      const satsByOrder = new Map();
+      for (const [ringName, ringSats] of Object.entries(rings)) {
+        const o = orderOf(ringName);
+        if (o !== null) satsByOrder.set(o, (satsByOrder.get(o) || []).concat(ringSats));
+      }
+      for (const a of [...innerLeft]) {
+        const aOrder = orderOf(ringOf.get(a));
+        const targets = [...outerLeft].filter((b) => orderOf(ringOf.get(b)) === aOrder + 2);
+        if (targets.length === 0) continue;
+        let best = null;
+        for (const r of satsByOrder.get(aOrder + 1) || []) {
+          if (!isSpare(r)) continue;
+          const dA = this.calculateDistanceAU(positions[a], positions[r.name]);
+          if (dA > maxDistanceAU) continue;
+          for (const b of targets) {
+            const dB = this.calculateDistanceAU(positions[r.name], positions[b]);
+            if (dB > maxDistanceAU) continue;
+            if (!best || dA + dB < best.d) best = { r: r.name, b, d: dA + dB };
+          }
+        }
+        if (!best || !tryLink(a, best.r)) continue;
+        if (!tryLink(best.r, best.b)) {
+          // Second hop blocked (solar blinding): undo the half splice.
+          const link = added.pop();
+          links.splice(links.indexOf(link), 1);
+          existingLinks.delete(`${link.fromId}-${link.toId}`);
+          linkCounts[a]--; linkCounts[best.r]--;
+          continue;
+        }
+        radialLinked.add(best.r);
+        innerLeft.delete(a); outerLeft.delete(best.b);
+        reconnected += 2;
+      }
+      innerLeft.forEach((n) => unrepaired.add(n));
+      outerLeft.forEach((n) => unrepaired.add(n));
+    }
+
+    // Re-derive the radial ports from the repaired link set so the route walkers see
+    // the spliced chains.
+    if (radial) {
+      survivors.forEach((s) => { s.inwards = null; s.outwards = null; });
+      for (const { fromId, toId } of links) {
+        const a = satByName.get(fromId), b = satByName.get(toId);
+        if (!a || !b) continue;
+        const oa = orderOf(a.ringName), ob = orderOf(b.ringName);
+        if (oa === null || ob === null || oa === ob) continue;
+        const [inner, outer] = oa < ob ? [a, b] : [b, a];
+        if (inner.outwards === null) inner.outwards = outer.name;
+        if (outer.inwards === null) outer.inwards = inner.name;
+      }
+    }
+
+    this.applyLinkModels(added, satellites);
+    this.routeSummary = hasEccentric ? this.calculateEccentricRoutes(links, rings) : this.calculateEarthToMarsRoutes(links, rings);
+    this.topologyInfo = this.captureTopologyInfo(rings, links);
+
+    return { links, added, removed, orphans, reconnected, unrepaired: [...unrepaired] };
+  }
+
   /**
    * Captures structured topology info for the concentric-topology-aware max-flow algorithm.
    * Returns ring chains (ordered from planet-connected sat outward), planet links,
@@ -0,0 +1,173 @@
+// simTornado.js — One-at-a-time ("tornado") sensitivity analysis.
+//
+// Every numeric input that feeds the long-term score is moved by ±pct % of its current
+// value while all the others stay at the current config. Each case is one full
+// runScenario on the worker pool (owned by the caller, SimUi.setupTornadoAnalysis);
+// this module builds the cases from slidersData + a getGroupsConfig() snapshot, ranks
+// the inputs by how far they swing a metric, and turns the table into CSV / JSON.
+
+export const TORNADO_DEFAULT_PCT = 10;
+
+// Score inputs that are not design parameters: the solver time budget (the run sets
+// its own) and the failure-injection RNG seed.
+const TORNADO_EXCLUDE = new Set(["simulation.calctimeSec", "simulation.failure-seed"]);
+
+// Ranked metrics: key → label / unit. `better` is the direction a reviewer wants.
+export const TORNADO_METRICS = [
+  { key: "costPerMbps", label: "Cost per Mbps", unit: "$/Mbps", better: "low" },
+  { key: "flowGbps", label: "Max flow", unit: "Gbps", better: "high" },
+];
+
+/** Slider position → user-facing value, unrounded (as SimUi.mapSliderValueToUserFacing). */
+function sliderToUser(sd, x) {
+  if (sd.scale === "pow2") return Math.pow(2, x);
+  if (sd.scale === "pow10") return Math.pow(10, x);
+  if (sd.scale === "signedPow2") return x === 0 ? 0 : Math.sign(x) * Math.pow(2, Math.abs(x) - 1);
+  if (sd.scale === "quadratic") return x * x;
+  return x;
+}
+
+/**
+ * getGroupsConfig value → user-facing value. The config carries every scale's
+ * user-facing value except pow2 and signedPow2, which stay raw exponents.
+ * @param {Object} sd - slidersData entry.
+ * @param {number} v
+ */
+export function userFacingFromConfig(sd, v) {
+  return sd.scale === "pow2" || sd.scale === "signedPow2" ? sliderToUser(sd, v) : v;
+}
+
+/** Inverse of userFacingFromConfig, unrounded (a fractional pow2 exponent is fine downstream). */
+export function configFromUserFacing(sd, u) {
+  if (sd.scale === "pow2") return Math.log2(u);
+  if (sd.scale === "signedPow2") return u === 0 ? 0 : Math.sign(u) * (Math.log2(Math.abs(u)) + 1);
+  return u;
+}
+
+/**
+ * One side of a perturbation, in user-facing units: base × (1 ± pct/100), clamped to
+ * the slider's range. Linear sliders with a whole-number step (port counts, ring
+ * counts, Isp…) snap to the step and always move at least one step, so a ±10 % nudge
+ * of "3 ports" still changes something.
+ *
+ * @param {Object} sd - slidersData entry.
+ * @param {number} base - Current user-facing value (non-zero).
+ * @param {number} pct
+ * @param {1|-1} sign
+ * @returns {number}
+ */
+export function perturbValue(sd, base, pct, sign) {
+  let v = base * (1 + (sign * pct) / 100);
+  if ((sd.scale || "linear") === "linear" && sd.step >= 1) {
+    v = Math.round(v / sd.step) * sd.step;
+    if (v === base) v = base + sign * Math.sign(base) * sd.step;
+  } else {
+    v = +v.toPrecision(6); // 110000.00000000001 → 110000
+  }
+  const a = sliderToUser(sd, sd.min), b = sliderToUser(sd, sd.max);
+  return Math.min(Math.max(a, b), Math.max(Math.min(a, b), v));
+}
+
+/**
+ * The inputs to perturb and their low / high values.
+ *
+ * @param {Object} slidersData
+ * @param {string[]} sections - Config sections in play (e.g. only the active relay family).
+ * @param {Object} config - getGroupsConfig() snapshot of those sections.
+ * @param {number} pct
+ * @param {{exclude?: Set<string>}} [opts] - Extra full ids to leave out (hidden rows).
+ * @returns {{inputs: Array<{fullId, label, unit, base, low, high, lowConfig, highConfig}>, skipped: string[]}}
+ *   Values are user-facing; *Config are what goes into the scenario's uiConfig.
+ *   `skipped` lists inputs at 0, where a relative nudge changes nothing.
+ */
+export function tornadoCases(slidersData, sections, config, pct, { exclude = new Set() } = {}) {
+  const inputs = [];
+  const skipped = [];
+  for (const sec of sections) {
+    for (const [id, sd] of Object.entries(slidersData[sec] || {})) {
+      const fullId = `${sec}.${id}`;
+      if (!sd.updateLongTermScore || sd.type || typeof sd.value !== "number") continue;
+      if (TORNADO_EXCLUDE.has(fullId) || exclude.has(fullId) || typeof config[fullId] !== "number") continue;
+      const base = userFacingFromConfig(sd, config[fullId]);
+      if (!base) { skipped.push(fullId); continue; }
+      const low = perturbValue(sd, base, pct, -1);
+      const high = perturbValue(sd, base, pct, 1);
+      inputs.push({
+        fullId, label: sd.label, unit: (sd.unit || "").trim(),
+        base, low, high,
+        lowConfig: configFromUserFacing(sd, low), highConfig: configFromUserFacing(sd, high),
+      });
+    }
+  }
+  return { inputs, skipped };
+}
+
+/** Spread of the finite values among baseline / low / high (0 when fewer than two). */
+function swingOf(...vals) {
+  const v = vals.filter(Number.isFinite);
+  return v.length > 1 ? Math.max(...v) - Math.min(...v) : 0;
+}
+
+/**
+ * Rows ranked by their swing on `key`: the spread of {baseline, low, high} ignoring
+ * non-finite values (a timed-out max-flow), largest first. Rows that moved the metric
+ * by nothing stay in, at the bottom.
+ *
+ * @param {Array<{lowMetrics: Object, highMetrics: Object}>} rows
+ * @param {number} baseValue - Baseline value of `key`.
+ * @param {string} key - A TORNADO_METRICS key.
+ * @returns {Array<Object>} Copies of the rows with `swing` set.
+ */
+export function rankTornado(rows, baseValue, key) {
+  return rows
+    .map((row) => ({ ...row, swing: swingOf(baseValue, row.lowMetrics?.[key], row.highMetrics?.[key]) }))
+    .sort((a, b) => b.swing - a.swing);
+}
+
+/**
+ * @param {{baseline: Object}} meta - baseline holds the baseline metrics.
+ * @param {Array<Object>} rows - tornadoCases inputs plus the case metrics as
+ *   lowMetrics / highMetrics (null for a failed case).
+ * @returns {string} CSV, one row per input, ranked by cost-per-Mbps swing.
+ */
+export function tornadoToCsv(meta, rows) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const quote = (s) => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  const header = ["input", "label", "unit", "base", "low", "high"];
+  for (const m of TORNADO_METRICS) header.push(`${m.key}_base`, `${m.key}_low`, `${m.key}_high`, `${m.key}_swing`);
+  const lines = [header.join(",")];
+  for (const row of rankTornado(rows, meta.baseline[TORNADO_METRICS[0].key], TORNADO_METRICS[0].key)) {
+    const cells = [row.fullId, quote(row.label || ""), quote(row.unit || ""), cell(row.base), cell(row.low), cell(row.high)];
+    for (const m of TORNADO_METRICS) {
+      const b = meta.baseline[m.key], lo = row.lowMetrics?.[m.key], hi = row.highMetrics?.[m.key];
+      cells.push(cell(b), cell(lo), cell(hi), cell(swingOf(b, lo, hi)));
+    }
+    lines.push(cells.join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * JSON export: the run parameters and baseline, then every input with its case
+ * metrics and its rank on each metric.
+ *
+ * @param {Object} meta - { pct, simDate, relayType, computeFlow, baseline, skipped }.
+ * @param {Array<Object>} rows - As for tornadoToCsv.
+ * @returns {Object}
+ */
+export function tornadoToJson(meta, rows) {
+  const ranks = {};
+  for (const m of TORNADO_METRICS) {
+    ranks[m.key] = new Map(rankTornado(rows, meta.baseline[m.key], m.key).map((r, i) => [r.fullId, { rank: i + 1, swing: r.swing }]));
+  }
+  return {
+    ...meta,
+    metrics: TORNADO_METRICS,
+    inputs: rows.map((row) => ({
+      fullId: row.fullId, label: row.label, unit: row.unit,
+      base: row.base, low: row.low, high: row.high,
+      lowMetrics: row.lowMetrics || null, highMetrics: row.highMetrics || null,
+      rank: Object.fromEntries(TORNADO_METRICS.map((m) => [m.key, ranks[m.key].get(row.fullId)])),
+    })),
+  };
+}
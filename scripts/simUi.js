@@ -3,14 +3,37 @@ import { slidersData } from "./slidersData.js?v=4.42";
 import { LukashianClock } from "./lukashianTime.js?v=4.42";
 import { wireAuthUi } from "./auth.js?v=4.42";
 import { SensitivityPool } from "./sensitivityPool.js?v=4.42";
-import { ensureState as ensureSimWorkerState, runScenario as runScenarioInProcess } from "./simWorker.js?v=4.42";
+import { ensureState as ensureSimWorkerState, getState as getSimWorkerState, runScenario as runScenarioInProcess } from "./simWorker.js?v=4.42";
 import { minOf } from "./simMath.js?v=4.42";
 import { EARTH_MARS_CLOSEST_APPROACH_DEG } from "./simOrbits.js?v=4.42";
+import { seriesToCsv, seriesToJson, SERIES_DEFAULT_SPAN_DAYS, SERIES_DEFAULT_STEP_DAYS } from "./simSeries.js?v=4.42";
+import { findConjunctions } from "./simConjunction.js?v=4.42";
+import { SYNODIC_PERIOD_DAYS } from "./simTransfer.js?v=4.42";
+import { SHARE_PARAM, encodeScenario, decodeScenario, sharePayloadFromHash } from "./simShareLink.js?v=4.42";
+import { PRESET_SCHEMA_VERSION, exportPresetFile, readPresetFile, upgradePresetConfig, formatPresetReport } from "./simPresetFile.js?v=4.42";
+import { uiConfigFromSnapshot, BUILD_CATS } from "./simHeadless.js?v=4.42";
+import { saveRun, latestRun, deleteRun, putRecord, getRecords, deleteRecord } from "./simCheckpoint.js?v=4.42";
+import { calculateCosts } from "./simCosts.js?v=4.42";
+import { DISTRIBUTION_TYPES, formatDistribution, parseDistributionList, drawSamples, needsPipeline, applySample, trialMetrics, summarizeTrials, uncertaintyToCsv } from "./simUncertainty.js?v=4.42";
+import { TORNADO_DEFAULT_PCT, TORNADO_METRICS, tornadoCases, rankTornado, tornadoToCsv, tornadoToJson } from "./simTornado.js?v=4.42";
+import { parseEphemeris, mergeEphemeris, ephemerisCoverage, ephemerisErrors, shareEphemeris } from "./simEphemeris.js?v=4.42";
+import { propagationToCsv } from "./simPropagator.js?v=4.42";
+import { phasingToCsv, PHASING_DEFAULT_SPAN_DAYS, PHASING_DEFAULT_STEP_DAYS } from "./simPhasing.js?v=4.42";
+import { normalizeDemand, demandToCsv, DEMAND_DIRECTIONS } from "./simDemand.js?v=4.42";
+
+/** HTML-escape user-supplied text (file names, archive labels) for innerHTML. */
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
 
 export class SimUi {
   constructor(simMain) {
     this.simMain = simMain;
     this.slidersData = slidersData;
+    // Pristine defaults: createSliders / updateValues overwrite slidersData[...].value
+    // with the live values, and share links only carry what differs from these.
+    this.sliderDefaults = {};
+    for (const section in slidersData) {
+      for (const sliderId in slidersData[section]) this.sliderDefaults[`${section}.${sliderId}`] = slidersData[section][sliderId].value;
+    }
     this.sliders = {};
     this.sliderContainers = {};
     this.dependencies = {};
@@ -32,6 +55,15 @@ export class SimUi {
     this.setupLinkLabelToggles();
     this.setupSatLabelToggle();
     this.setupSensitivity();
+    this.setupTimeSeriesExport();
+    this.setupConjunctionAnalysis();
+    this.setupTornadoAnalysis();
+    this.setupUncertaintyAnalysis();
+    this.setupEphemeris();
+    this.setupPropagation();
+    this.setupPhasingAnalysis();
+    this.setupDemandModel();
+    this.setupShareLink();
   }
 
   /**
@@ -204,6 +236,9 @@ export class SimUi {
     const timeAccelerationSlider = this.slidersData.simulation["time-acceleration-slider"];
     const timeAccelerationValue = this.mapSliderValueToUserFacing(timeAccelerationSlider, timeAccelerationSlider.value);
     this.simMain.setTimeAccelerationFactor(timeAccelerationValue);
+    for (const [family, group] of Object.entries(this.slidersData)) {
+      if (group["reacquisition-time"]) this.simMain.setReacquisitionSec(family, group["reacquisition-time"].value);
+    }
     this.simMain.setCosts(this.getGroupsConfig(["economics"]));
     this.simMain.setSatellitesConfig(
       this.getGroupsConfig([
@@ -530,6 +565,119 @@ export class SimUi {
     }
   }
 
+  /**
+   * Top-bar 🔗 button: copies a link whose `#s=` fragment (simShareLink.js) holds every
+   * slider that is off its default, the adapted-ring curves and the sim date. Opening
+   * such a link — on load, or pasted into an open tab — restores that exact scenario.
+   */
+  setupShareLink() {
+    const btn = document.getElementById("share-btn");
+    const NO_VALUE = new Set(["computed", "header"]);
+    const defaultAnchors = (d) => (Array.isArray(d) ? d : [{ x: 0, y: d }, { x: 1, y: d }]);
+    const sameAnchors = (a, b) => a.length === b.length && a.every((p, i) => Math.abs(p.x - b[i].x) < 1e-6 && Math.abs(p.y - b[i].y) < 1e-6);
+
+    // Live value of one control as the string its input holds (internal slider units).
+    const readValue = (section, sliderId) => {
+      const input = this.sliders[section]?.[sliderId];
+      if (!input) return null;
+      if (this.slidersData[section][sliderId].type === "checkbox") {
+        return Array.from(input.querySelectorAll('input[type="checkbox"]')).filter((cb) => cb.checked).map((cb) => cb.value).join(",");
+      }
+      if (input.classList && input.classList.contains("radio-container")) {
+        return input.querySelector("input[type=radio]:checked")?.value ?? null;
+      }
+      return input.value;
+    };
+    const writeValue = (section, sliderId, value) => {
+      const fullId = `${section}.${sliderId}`;
+      const input = this.sliders[section]?.[sliderId];
+      if (this.slidersData[section][sliderId].type === "checkbox") {
+        const on = new Set(value.split(",").filter(Boolean));
+        input.querySelectorAll('input[type="checkbox"]').forEach((cb) => { cb.checked = on.has(cb.value); });
+        this.updateValues(fullId, value);
+      } else if (input.classList && input.classList.contains("radio-container")) {
+        const radio = input.querySelector(`input[type=radio][value="${CSS.escape(value)}"]`);
+        if (radio) { radio.checked = true; radio.dispatchEvent(new Event("change", { bubbles: true })); }
+      } else {
+        // Values typed into the numeric box may sit outside the slider range; widen it
+        // the same way createSliders does for saved values.
+        const n = parseFloat(value);
+        if (n > parseFloat(input.max)) input.max = n;
+        if (n < parseFloat(input.min)) input.min = n;
+        input.value = value;
+        input.dispatchEvent(new Event("input", { bubbles: true }));
+        input.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    };
+
+    const snapshot = () => {
+      const sliders = {};
+      for (const section in this.slidersData) {
+        for (const sliderId in this.slidersData[section]) {
+          if (NO_VALUE.has(this.slidersData[section][sliderId].type)) continue;
+          const fullId = `${section}.${sliderId}`;
+          const value = readValue(section, sliderId);
+          if (value !== null && value !== String(this.sliderDefaults[fullId])) sliders[fullId] = value;
+        }
+      }
+      const curves = {};
+      for (const [k, dflt] of SimUi.ADAPTED_CURVES) {
+        const anchors = this._getCurve(k, dflt);
+        if (!sameAnchors(anchors, defaultAnchors(dflt))) curves[k] = anchors;
+      }
+      return { sliders, curves, date: this.simMain.simTime.getDate().toISOString() };
+    };
+
+    const restore = async () => {
+      const payload = sharePayloadFromHash(location.hash);
+      if (!payload) return;
+      let scenario;
+      try {
+        scenario = await decodeScenario(payload);
+      } catch (e) {
+        console.error("[Share] could not open share link:", e.message);
+        return;
+      }
+      // Everything not in the link goes back to its default, so the result doesn't
+      // depend on what this browser had saved.
+      for (const section in this.slidersData) {
+        for (const sliderId in this.slidersData[section]) {
+          if (NO_VALUE.has(this.slidersData[section][sliderId].type)) continue;
+          const fullId = `${section}.${sliderId}`;
+          const target = String(scenario.sliders[fullId] ?? this.sliderDefaults[fullId]);
+          const current = readValue(section, sliderId);
+          if (current !== null && current !== target) writeValue(section, sliderId, target);
+        }
+      }
+      for (const [k, dflt] of SimUi.ADAPTED_CURVES) {
+        this._setCurve(k, scenario.curves[k] || defaultAnchors(dflt));
+        this._curveRefresh?.[k]?.();
+      }
+      if (scenario.date) this.simMain.setSimDate(new Date(scenario.date));
+      // Final rebuild so the curves (read inline by getGroupsConfig) take effect.
+      try { this.simMain.setSatellitesConfig(this.getGroupsConfig(BUILD_CATS)); } catch (e) { console.error("[Share] rebuild failed", e); }
+      // The values now live in localStorage like any other edit; drop the fragment so a
+      // reload after further changes doesn't snap back to the link.
+      history.replaceState(null, "", location.pathname + location.search);
+    };
+
+    btn?.addEventListener("click", async () => {
+      const done = (ok) => { btn.textContent = ok ? "✓" : "✕"; setTimeout(() => { btn.textContent = "🔗"; }, 1500); };
+      let url;
+      try {
+        url = `${location.origin}${location.pathname}${location.search}#${SHARE_PARAM}=${await encodeScenario(snapshot())}`;
+        await navigator.clipboard.writeText(url);
+        done(true);
+      } catch (e) {
+        // Non-secure contexts have no async Clipboard API: show the link to copy by hand.
+        if (url) { prompt("Copy this share link:", url); done(true); }
+        else { console.error("[Share] link failed", e); done(false); }
+      }
+    });
+    window.addEventListener("hashchange", restore);
+    restore();
+  }
+
   /**
    * Builds the simple configuration panel with ring count + laser tech sliders.
    * Changing ring count auto-sets all other parameters to sensible defaults.
@@ -956,6 +1104,986 @@ export class SimUi {
     // 'auto' sizer refines them to half the live relay capacity (idempotent, no-op for 'off').
   }
 
+  /**
+   * Solar-conjunction scan (Sensitivity pane): finds the next conjunction after the sim
+   * date, runs simWorker's runConjunctionScan for the current config in a dedicated
+   * worker (one scan per exclusion angle), then charts flow vs the signed Sun–Earth–Mars
+   * angle and lists the blackout length per angle.
+   */
+  setupConjunctionAnalysis() {
+    const runBtn = document.getElementById("conj-run-btn");
+    if (!runBtn) return;
+    const progressWrap = document.getElementById("conj-progress-wrap");
+    const progressBar = document.getElementById("conj-progress-bar");
+    const progressText = document.getElementById("conj-progress-text");
+    const resultsEl = document.getElementById("conj-results");
+    const summaryEl = document.getElementById("conj-summary");
+    let chart = null;
+
+    const render = (res) => {
+      const palette = ["rgba(107,138,253,0.8)", "rgba(253,138,107,0.8)", "rgba(107,253,180,0.8)", "rgba(253,220,107,0.8)", "rgba(180,107,253,0.8)", "rgba(107,220,253,0.8)"];
+      const flowLabel = res.computeFlow ? "Max flow" : "Relay capacity";
+      const datasets = res.scans.map((scan, i) => ({
+        label: `${scan.solarExclusionDeg}°`,
+        data: scan.rows.map((r) => ({ x: r.semAngleDeg, y: r.flowGbps })),
+        borderColor: palette[i % palette.length],
+        backgroundColor: palette[i % palette.length].replace("0.8", "0.15"),
+        borderWidth: 1.5,
+        pointRadius: 2,
+        showLine: true,
+      }));
+      const lines = res.scans.map((scan) => {
+        const b = scan.blackout;
+        if (!b.blackoutDays) return `${scan.solarExclusionDeg}°: no blackout (min ${b.minFlowGbps != null ? b.minFlowGbps.toFixed(2) : "—"} Gbps)`;
+        const edge = b.truncated ? " (reaches the window edge — widen the scan)" : "";
+        return `${scan.solarExclusionDeg}°: ${b.blackoutDays} d blackout, SEM ${b.startSemAngleDeg.toFixed(1)}° → ${b.endSemAngleDeg.toFixed(1)}°${edge}`;
+      });
+      summaryEl.innerHTML = `Conjunction ${res.conjunctionDate.slice(0, 10)} · ${flowLabel} ≤ ${res.blackoutPct}% of edge flow counts as out<br>${lines.join("<br>")}`;
+      resultsEl.style.display = "";
+      if (chart) chart.destroy();
+      chart = new Chart(document.getElementById("conj-chart").getContext("2d"), {
+        type: "scatter",
+        data: { datasets },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { type: "linear", title: { display: true, text: "Sun–Earth–Mars angle (°, − before / + after)", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 } }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+            y: { beginAtZero: true, title: { display: true, text: `${flowLabel} (Gbps)`, color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { display: datasets.length > 1, labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+            title: { display: true, text: `${flowLabel} vs Sun–Earth–Mars angle`, color: "#7c879f", font: { size: 11, weight: "normal" } },
+          },
+        },
+      });
+    };
+
+    runBtn.addEventListener("click", () => {
+      const exclusionDegs = document.getElementById("conj-exclusions").value
+        .split(",").map((v) => parseFloat(v)).filter((v) => Number.isFinite(v) && v >= 0);
+      const halfWindowDays = Math.max(1, parseFloat(document.getElementById("conj-window").value) || 60);
+      const stepDays = parseFloat(document.getElementById("conj-step").value || "2");
+      const blackoutPct = Math.max(0, parseFloat(document.getElementById("conj-threshold").value) || 0);
+      const computeFlow = document.getElementById("conj-calc-flow").checked;
+
+      const planets = this.simMain.simSolarSystem.getSolarSystemData().planets;
+      const from = new Date(this.simMain.simTime.getDate());
+      const [conjunction] = findConjunctions(
+        planets.find((p) => p.name === "Earth"), planets.find((p) => p.name === "Mars"),
+        from, new Date(from.getTime() + Math.ceil(SYNODIC_PERIOD_DAYS + 30) * 86400000),
+      );
+      if (!conjunction) return;
+      if (!(stepDays > 0)) {
+        progressWrap.style.display = "";
+        progressBar.style.width = "0%";
+        progressText.textContent = "Step must be > 0 days";
+        return;
+      }
+
+      const uiConfig = this.getGroupsConfig([
+        "economics", "simulation", "laser_technology", "ring_mars", "circular_rings", "eccentric_rings",
+        "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ]);
+      const worker = new Worker(new URL("./simWorker.js?v=4.42", import.meta.url), { type: "module" });
+      shareEphemeris(worker);
+      runBtn.disabled = true;
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = `Conjunction ${conjunction.toISOString().slice(0, 10)} · sizing…`;
+      const done = () => { worker.terminate(); runBtn.disabled = false; progressWrap.style.display = "none"; };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "conjunction-progress") {
+          progressBar.style.width = `${Math.round((100 * msg.done) / msg.total)}%`;
+          progressText.textContent = `Conjunction ${conjunction.toISOString().slice(0, 10)} · ${msg.done}/${msg.total} dates`;
+        } else if (msg.type === "conjunction-result") {
+          done();
+          this._lastConjunction = msg;
+          render(msg);
+        } else if (msg.type === "error") {
+          done();
+          console.error("Conjunction scan error:", msg.message);
+        }
+      };
+      worker.onerror = (e) => { done(); console.error("Conjunction worker error:", e.message); };
+      worker.postMessage({
+        type: "conjunctionScan", requestId: 1, uiConfig, conjunctionDate: conjunction.toISOString(),
+        halfWindowDays, stepDays, exclusionDegs, blackoutPct, computeFlow, flowCalctimeMs: 20000,
+      });
+    });
+  }
+
+  /**
+   * One-at-a-time sensitivity (Sensitivity pane): every score input of the current
+   * config at −pct % and +pct % (simTornado.js builds the cases), each a worker-pool
+   * runScenario, ranked into one tornado chart per metric. The table is offered as
+   * CSV / JSON.
+   */
+  setupTornadoAnalysis() {
+    const runBtn = document.getElementById("tornado-run-btn");
+    if (!runBtn) return;
+    const stopBtn = document.getElementById("tornado-stop-btn");
+    const progressWrap = document.getElementById("tornado-progress-wrap");
+    const progressBar = document.getElementById("tornado-progress-bar");
+    const progressText = document.getElementById("tornado-progress-text");
+    const resultsEl = document.getElementById("tornado-results");
+    const summaryEl = document.getElementById("tornado-summary");
+    document.getElementById("tornado-pct").value = TORNADO_DEFAULT_PCT;
+    const TOP = 20; // bars per chart; the export keeps every input
+    const charts = {};
+    let pool = null;
+
+    const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? String(Math.round(v)) : String(+v.toPrecision(3))) : "—");
+    const render = ({ meta, rows }) => {
+      const flowLabel = meta.computeFlow ? "Max flow" : "Relay capacity";
+      const metricLabel = (m) => (m.key === "flowGbps" ? flowLabel : m.label);
+      summaryEl.innerHTML =
+        `Baseline ${TORNADO_METRICS.map((m) => `${metricLabel(m).toLowerCase()} ${fmt(meta.baseline[m.key])} ${m.unit}`).join(" · ")}` +
+        ` · ${rows.length} inputs at ±${meta.pct}%` +
+        (meta.skipped.length ? `<br>Skipped at 0: ${meta.skipped.join(", ")}` : "");
+      resultsEl.style.display = "";
+      for (const m of TORNADO_METRICS) {
+        const base = meta.baseline[m.key];
+        const ranked = rankTornado(rows, base, m.key).filter((r) => r.swing > 0).slice(0, TOP);
+        const canvas = document.getElementById(`tornado-chart-${m.key}`);
+        canvas.parentElement.style.height = `${Math.max(150, 50 + 16 * ranked.length)}px`;
+        // Floating bars from the baseline to each case's value, so the tornado is
+        // centred on the current design.
+        const side = (key) => ranked.map((r) => (Number.isFinite(r[key]?.[m.key]) ? [base, r[key][m.key]] : null));
+        const inputLabel = (r) => `${r.label} ${fmt(r.low)}–${fmt(r.high)}${r.unit ? " " + r.unit : ""}`;
+        if (charts[m.key]) charts[m.key].destroy();
+        charts[m.key] = new Chart(canvas.getContext("2d"), {
+          type: "bar",
+          data: {
+            labels: ranked.map(inputLabel),
+            datasets: [
+              { label: `−${meta.pct}%`, data: side("lowMetrics"), backgroundColor: "rgba(107,138,253,0.8)", barPercentage: 0.9, categoryPercentage: 0.9, grouped: false },
+              { label: `+${meta.pct}%`, data: side("highMetrics"), backgroundColor: "rgba(253,138,107,0.8)", barPercentage: 0.9, categoryPercentage: 0.9, grouped: false },
+            ],
+          },
+          options: {
+            indexAxis: "y",
+            responsive: true, maintainAspectRatio: false, animation: false,
+            scales: {
+              x: { title: { display: true, text: `${metricLabel(m)} (${m.unit})`, color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+              y: { ticks: { color: "#525c75", font: { size: 9 }, autoSkip: false }, grid: { display: false } },
+            },
+            plugins: {
+              legend: { labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+              title: { display: true, text: `${metricLabel(m)} swing${rows.length > ranked.length ? ` (top ${ranked.length} of ${rows.length})` : ""}`, color: "#7c879f", font: { size: 11, weight: "normal" } },
+              tooltip: { backgroundColor: "#1a2030", callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmt(ctx.raw?.[1])} ${m.unit}` } },
+            },
+          },
+        });
+      }
+    };
+
+    runBtn.addEventListener("click", async () => {
+      if (pool || this.simMain._sensitivityRunning) return;
+      const pct = Math.min(90, Math.max(0.1, parseFloat(document.getElementById("tornado-pct").value) || TORNADO_DEFAULT_PCT));
+      const computeFlow = document.getElementById("tornado-calc-flow").checked;
+      const threads = parseInt(document.getElementById("tornado-threads").value, 10) || undefined;
+
+      const allCats = [
+        "economics", "simulation", "laser_technology",
+        "ring_mars", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ];
+      const baseConfig = this.getGroupsConfig(allCats);
+      baseConfig["simulation.calctimeSec"] = 100;
+      // Only the active relay family is built; rows hidden in the panel (the
+      // per-family ring counts, the legacy band sliders) are superseded elsewhere.
+      const relayType = this.getSelectedRelayType();
+      const sections = [
+        "simulation", "launch_vehicle", "satellite", "laser_technology", "relay_type", "ring_earth", "ring_mars",
+        SimUi.RELAY_TYPE_SECTIONS[relayType],
+      ].filter(Boolean);
+      const exclude = new Set();
+      for (const sec of sections) {
+        for (const [id, el] of Object.entries(this.sliderContainers?.[sec] || {})) if (el?.style?.display === "none") exclude.add(`${sec}.${id}`);
+      }
+      const { inputs, skipped } = tornadoCases(this.slidersData, sections, baseConfig, pct, { exclude });
+
+      // Costs are computed here from each result, as the sensitivity sweep does.
+      this.simMain.setCosts(this.getGroupsConfig(["economics"]));
+      this.simMain.satellitePowerKw = baseConfig["satellite.satellite-power-kw"];
+      const metricsOf = (res, overrides) => {
+        if (!res || res.flowError) return null; // a timed-out solve is unknown, not zero
+        const gbps = res.maxFlowGbps == null ? (res.routeSummary?.totalThroughput || 0) / 1000 : res.maxFlowGbps;
+        const costs = this._costsWithOverrides(overrides, gbps, res.resultTreesData || []);
+        return { costPerMbps: costs.costPerMbps, flowGbps: gbps, totalCost: costs.totalCosts, satellites: res.satellitesCount };
+      };
+      const simDate = new Date(this.simMain.simTime.getDate()).toISOString();
+      const total = 1 + 2 * inputs.length;
+      let completed = 0;
+      let stopped = false;
+      let message = null; // left in the progress line when the run ends without a chart
+      pool = new SensitivityPool(threads);
+      runBtn.disabled = true;
+      stopBtn.style.display = "";
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = `0/${total}`;
+      const run = (scenarioId, overrides) => {
+        const uiConfig = { ...baseConfig, ...overrides };
+        return pool.submit({ scenarioId, uiConfig, simDate, sizingDate: simDate, flowCalctimeMs: 20000, computeFlow }, this._scenarioMB(uiConfig))
+          .then((res) => {
+            if (!res) { stopped = true; return null; }
+            completed++;
+            progressBar.style.width = `${Math.round((100 * completed) / total)}%`;
+            progressText.textContent = `${completed}/${total}`;
+            return metricsOf(res, overrides);
+          })
+          .catch((err) => {
+            console.error(`[Tornado] case ${scenarioId} failed:`, err);
+            completed++;
+            return null;
+          });
+      };
+      try {
+        const [baseline, ...cases] = await Promise.all([
+          run(0, {}),
+          ...inputs.flatMap((inp, i) => [run(1 + 2 * i, { [inp.fullId]: inp.lowConfig }), run(2 + 2 * i, { [inp.fullId]: inp.highConfig })]),
+        ]);
+        if (stopped) { message = `Stopped at ${completed}/${total}`; return; }
+        if (!baseline) { message = "Baseline scenario failed or its max-flow timed out"; return; }
+        const rows = inputs.map(({ lowConfig, highConfig, ...inp }, i) => ({ ...inp, lowMetrics: cases[2 * i], highMetrics: cases[2 * i + 1] }));
+        const meta = { pct, simDate, relayType, computeFlow, baseline, skipped };
+        this._lastTornado = { meta, rows };
+        render(this._lastTornado);
+      } finally {
+        pool.terminate();
+        pool = null;
+        runBtn.disabled = false;
+        stopBtn.style.display = "none";
+        if (message) progressText.textContent = message;
+        else progressWrap.style.display = "none";
+      }
+    });
+
+    stopBtn.addEventListener("click", () => pool?.stop());
+
+    const fileStem = () => `marslink-tornado-${this._lastTornado.meta.simDate.slice(0, 10)}-${this._lastTornado.meta.pct}pct`;
+    document.getElementById("tornado-download-csv")?.addEventListener("click", () => {
+      if (this._lastTornado) this.saveTextFile(tornadoToCsv(this._lastTornado.meta, this._lastTornado.rows), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("tornado-download-json")?.addEventListener("click", () => {
+      if (this._lastTornado) this.saveToJson(tornadoToJson(this._lastTornado.meta, this._lastTornado.rows), fileStem());
+    });
+  }
+
+  /**
+   * Monte-Carlo uncertainty (Sensitivity pane): draws the listed slider distributions
+   * (simUncertainty.js) and reports P10/P50/P90 bands with a cost-per-Mbps histogram.
+   * An economics-only list re-prices one worker run here; any other slider sends every
+   * draw through the worker pool. Draws are offered as CSV / JSON.
+   */
+  setupUncertaintyAnalysis() {
+    const runBtn = document.getElementById("mc-run-btn");
+    if (!runBtn) return;
+    const stopBtn = document.getElementById("mc-stop-btn");
+    const keySel = document.getElementById("mc-add-key");
+    const typeSel = document.getElementById("mc-add-type");
+    const distsEl = document.getElementById("mc-dists");
+    const progressWrap = document.getElementById("mc-progress-wrap");
+    const progressBar = document.getElementById("mc-progress-bar");
+    const progressText = document.getElementById("mc-progress-text");
+    const resultsEl = document.getElementById("mc-results");
+    const summaryEl = document.getElementById("mc-summary");
+    let chart = null;
+    let pool = null;
+    let stopRequested = false;
+
+    const MC_SECTIONS = ["economics", "simulation", "laser_technology", "launch_vehicle", "satellite", "relay_type", "ring_earth", "ring_mars", "circular_rings", "eccentric_rings", "adapted_rings", "adapted_eccentric_rings"];
+    for (const sec of MC_SECTIONS) {
+      const group = document.createElement("optgroup");
+      group.label = sec.replace(/_/g, " ");
+      for (const [id, sd] of Object.entries(this.slidersData[sec] || {})) {
+        if (sd.type || typeof sd.value !== "number" || `${sec}.${id}` === "simulation.calctimeSec") continue;
+        const opt = document.createElement("option");
+        opt.value = `${sec}.${id}`;
+        opt.textContent = sd.label || id;
+        group.appendChild(opt);
+      }
+      if (group.children.length) keySel.appendChild(group);
+    }
+    // A line centred on the slider's current value, ±20 % (σ = 0.2 for lognormal);
+    // an existing line for the same slider is replaced.
+    const addLine = (fullId, type) => {
+      const [sec, id] = fullId.split(".");
+      const sd = this.slidersData[sec][id];
+      const raw = parseFloat(this.sliders[sec]?.[id]?.value);
+      const v = this.mapSliderValueToUserFacing(sd, Number.isFinite(raw) ? raw : sd.value);
+      const f = (x) => +x.toPrecision(4);
+      const params = { uniform: [f(0.8 * v), f(1.2 * v)], triangular: [f(0.8 * v), f(v), f(1.2 * v)], lognormal: [f(v), 0.2] }[type];
+      const lines = distsEl.value.split("\n").filter((l) => l.trim() && l.split("=")[0].trim() !== fullId);
+      distsEl.value = [...lines, `${fullId} = ${formatDistribution({ type, ...Object.fromEntries(DISTRIBUTION_TYPES[type].map((n, i) => [n, params[i]])) })}`].join("\n");
+    };
+    document.getElementById("mc-add-btn").addEventListener("click", () => { if (keySel.value) addLine(keySel.value, typeSel.value); });
+    keySel.value = "economics.launch-cost-slider";
+    addLine("economics.launch-cost-slider", "triangular");
+
+    const fmtMoney = (v) => (Number.isFinite(v) ? `$${this.formatNumber(v)}` : "—");
+    const fmtGbps = (v) => (Number.isFinite(v) ? `${+v.toPrecision(4)} Gbps` : "—");
+    const render = ({ meta, rows, summary }) => {
+      const flowLabel = meta.computeFlow ? "Max flow" : "Relay capacity";
+      const th = (t) => `<th style="text-align:right; padding:2px 6px; font-weight:600;">${t}</th>`;
+      const td = (t) => `<td style="text-align:right; padding:2px 6px;">${t}</td>`;
+      const bandRow = (label, key, fmt) => {
+        const sm = summary[key];
+        return `<tr><td style="padding:2px 6px;">${label}</td>${[meta.baseline[key], sm.p10, sm.p50, sm.p90].map((v) => td(fmt(v))).join("")}</tr>`;
+      };
+      summaryEl.innerHTML =
+        `${rows.length} draws · ${meta.mode === "costs" ? "economics only, re-priced" : "full run per draw"} · seed ${meta.seed}` +
+        (summary.flowGbps.n < rows.length ? ` · ${rows.length - summary.flowGbps.n} max-flow timeouts left out` : "") +
+        `<table style="border-collapse:collapse; margin-top:4px;"><tr>${th("")}${th("Current")}${th("P10")}${th("P50")}${th("P90")}</tr>` +
+        bandRow("Total cost", "totalCost", fmtMoney) +
+        bandRow("Cost per Mbps", "costPerMbps", fmtMoney) +
+        bandRow(flowLabel, "flowGbps", fmtGbps) +
+        `</table>`;
+      resultsEl.style.display = "";
+
+      // Histogram of cost per Mbps; bins inside the P10–P90 band are highlighted.
+      const vals = rows.map((r) => r.costPerMbps).filter(Number.isFinite);
+      if (chart) chart.destroy();
+      chart = null;
+      if (!vals.length) return;
+      const lo = Math.min(...vals), hi = Math.max(...vals);
+      const nBins = Math.max(1, Math.min(30, Math.ceil(Math.sqrt(vals.length))));
+      const width = (hi - lo) / nBins || 1;
+      const counts = new Array(nBins).fill(0);
+      for (const v of vals) counts[Math.min(nBins - 1, Math.floor((v - lo) / width))]++;
+      const mids = counts.map((_, i) => lo + (i + 0.5) * width);
+      const { p10, p50, p90 } = summary.costPerMbps;
+      chart = new Chart(document.getElementById("mc-chart").getContext("2d"), {
+        type: "bar",
+        data: {
+          labels: mids.map((m) => `$${this.formatNumber(m)}`),
+          datasets: [{
+            label: "Draws",
+            data: counts,
+            backgroundColor: mids.map((m) => (m >= p10 && m <= p90 ? "rgba(107,138,253,0.8)" : "rgba(107,138,253,0.3)")),
+            barPercentage: 1, categoryPercentage: 1,
+          }],
+        },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { title: { display: true, text: "Cost per Mbps", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 6 }, grid: { display: false } },
+            y: { beginAtZero: true, title: { display: true, text: "Draws", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { display: false },
+            title: { display: true, text: `Cost per Mbps · P10 ${fmtMoney(p10)} · P50 ${fmtMoney(p50)} · P90 ${fmtMoney(p90)}`, color: "#7c879f", font: { size: 11, weight: "normal" } },
+            tooltip: { backgroundColor: "#1a2030" },
+          },
+        },
+      });
+    };
+
+    runBtn.addEventListener("click", async () => {
+      if (pool || this.simMain._sensitivityRunning) return;
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      let inputs;
+      try {
+        inputs = parseDistributionList(distsEl.value, this.slidersData);
+        if (!inputs.length) throw new Error("Add at least one distribution");
+      } catch (err) {
+        progressText.textContent = err.message;
+        return;
+      }
+      const trials = Math.max(1, Math.min(100000, parseInt(document.getElementById("mc-trials").value, 10) || 500));
+      const seed = parseInt(document.getElementById("mc-seed").value, 10) || 1;
+      const computeFlow = document.getElementById("mc-calc-flow").checked;
+
+      const allCats = [
+        "economics", "simulation", "laser_technology",
+        "ring_mars", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ];
+      const baseConfig = this.getGroupsConfig(allCats);
+      baseConfig["simulation.calctimeSec"] = 100;
+      const pipeline = needsPipeline(inputs);
+      const samples = drawSamples(inputs, trials, seed);
+      // Terminal counts and ring apsides come from the live constellation, as for the
+      // sensitivity sweep's costs — exact for economics draws, close for the rest.
+      const state = { simLinkBudget: this.simMain.simLinkBudget, simSatellites: this.simMain.simSatellites };
+      const simDate = new Date(this.simMain.simTime.getDate()).toISOString();
+      const job = (scenarioId, uiConfig) => pool.submit({ scenarioId, uiConfig, simDate, sizingDate: simDate, flowCalctimeMs: 20000, computeFlow }, this._scenarioMB(uiConfig));
+      const total = pipeline ? trials + 1 : trials;
+      let completed = 0;
+      const step = () => {
+        completed++;
+        progressBar.style.width = `${Math.round((100 * completed) / total)}%`;
+        progressText.textContent = `${completed}/${total}`;
+      };
+
+      stopRequested = false;
+      pool = new SensitivityPool(pipeline ? undefined : 1);
+      runBtn.disabled = true;
+      stopBtn.style.display = "";
+      progressText.textContent = pipeline ? `0/${total}` : "Baseline run…";
+      let message = null; // left in the progress line when the run ends without results
+      try {
+        const baseRes = await job(0, baseConfig);
+        if (!baseRes) { message = stopRequested ? "Stopped" : "Baseline run failed"; return; }
+        const baseline = trialMetrics(baseRes, baseConfig, state);
+        const rows = [];
+        if (pipeline) {
+          step();
+          await Promise.all(samples.map((sample, i) => {
+            const cfg = applySample(this.slidersData, baseConfig, sample);
+            return job(i + 1, cfg)
+              .then((res) => {
+                if (!res) return;
+                rows.push({ trial: i, sample, ...trialMetrics(res, cfg, state) });
+                step();
+              })
+              .catch((err) => console.error(`[Monte-Carlo] draw ${i} failed:`, err));
+          }));
+          rows.sort((a, b) => a.trial - b.trial);
+        } else {
+          for (let i = 0; i < samples.length && !stopRequested; i++) {
+            const cfg = applySample(this.slidersData, baseConfig, samples[i]);
+            rows.push({ trial: i, sample: samples[i], ...trialMetrics(baseRes, cfg, state, true) });
+            step();
+            if (i % 100 === 99) await new Promise((r) => setTimeout(r, 0)); // let the progress bar paint
+          }
+        }
+        if (!rows.length) { message = stopRequested ? "Stopped" : "Every draw failed — see the console"; return; }
+        const meta = {
+          simDate, trials, seed, computeFlow, mode: pipeline ? "pipeline" : "costs",
+          relayType: this.getSelectedRelayType(),
+          inputs: inputs.map(({ fullId, unit, dist }) => ({ fullId, unit, dist })),
+          baseline,
+        };
+        this._lastUncertainty = { meta, rows, summary: summarizeTrials(rows) };
+        render(this._lastUncertainty);
+        if (stopRequested) message = `Stopped after ${rows.length}/${trials} draws`;
+      } finally {
+        pool.terminate();
+        pool = null;
+        runBtn.disabled = false;
+        stopBtn.style.display = "none";
+        if (message) progressText.textContent = message;
+        else progressWrap.style.display = "none";
+      }
+    });
+
+    stopBtn.addEventListener("click", () => { stopRequested = true; pool?.stop(); });
+
+    const fileStem = () => `marslink-uncertainty-${this._lastUncertainty.meta.simDate.slice(0, 10)}-seed${this._lastUncertainty.meta.seed}`;
+    document.getElementById("mc-download-csv")?.addEventListener("click", () => {
+      if (this._lastUncertainty) this.saveTextFile(uncertaintyToCsv(this._lastUncertainty.meta.inputs, this._lastUncertainty.rows), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("mc-download-json")?.addEventListener("click", () => {
+      if (this._lastUncertainty) this.saveToJson(this._lastUncertainty, fileStem());
+    });
+  }
+
+  /**
+   * Planet ephemeris (Sensitivity pane): load one or more tables (simEphemeris.js),
+   * switch the sim between them and the analytic elements, and chart the analytic
+   * model's position error against the table over its coverage.
+   */
+  setupEphemeris() {
+    const fileInput = document.getElementById("eph-file");
+    if (!fileInput) return;
+    const enableEl = document.getElementById("eph-enable");
+    const clearBtn = document.getElementById("eph-clear-btn");
+    const resultsEl = document.getElementById("eph-results");
+    const summaryEl = document.getElementById("eph-summary");
+    let table = null;
+    let chart = null;
+
+    const fmtDate = (d) => d.toISOString().slice(0, 10);
+    const fmtKm = (v) => `${this.formatNumber(Math.round(v))} km`;
+    const yearOf = (d) => 1970 + d.getTime() / (365.25 * 86400000);
+    const render = () => {
+      const planets = this.simMain.simSolarSystem.getSolarSystemData().planets;
+      const errors = ephemerisErrors(table, planets);
+      const lines = ephemerisCoverage(table).map((c) => {
+        const err = errors.find((e) => e.body === c.body);
+        const rows = c.segments ? `${c.segments} segments` : `${c.states} states`;
+        const diff = err ? ` · analytic error max ${fmtKm(err.maxKm)}, RMS ${fmtKm(err.rmsKm)}` : " · no analytic body of that name";
+        return `${c.body}: ${fmtDate(c.start)} → ${fmtDate(c.end)} (${rows})${diff}`;
+      });
+      summaryEl.innerHTML = `${table.sources.map(esc).join(", ")}<br>${lines.map(esc).join("<br>")}`;
+      resultsEl.style.display = "";
+      const palette = ["rgba(107,138,253,0.8)", "rgba(253,138,107,0.8)", "rgba(107,253,180,0.8)", "rgba(253,220,107,0.8)", "rgba(180,107,253,0.8)", "rgba(107,220,253,0.8)"];
+      if (chart) chart.destroy();
+      chart = new Chart(document.getElementById("eph-chart").getContext("2d"), {
+        type: "scatter",
+        data: {
+          datasets: errors.map((e, i) => ({
+            label: e.body,
+            data: e.dates.map((d, j) => ({ x: yearOf(d), y: e.errorKm[j] })),
+            borderColor: palette[i % palette.length],
+            backgroundColor: palette[i % palette.length].replace("0.8", "0.15"),
+            borderWidth: 1.5,
+            pointRadius: 0,
+            showLine: true,
+          })),
+        },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { type: "linear", title: { display: true, text: "Year", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, callback: (v) => +v.toFixed(2) }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+            y: { beginAtZero: true, title: { display: true, text: "Position error (km)", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { display: errors.length > 1, labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+            title: { display: true, text: "Analytic elements vs ephemeris", color: "#7c879f", font: { size: 11, weight: "normal" } },
+            tooltip: { backgroundColor: "#1a2030", callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmtKm(ctx.parsed.y)}` } },
+          },
+        },
+      });
+    };
+    const apply = () => this.simMain.setEphemeris(enableEl.checked ? table : null);
+
+    fileInput.addEventListener("change", async () => {
+      const files = [...fileInput.files];
+      if (!files.length) return;
+      try {
+        const tables = [];
+        for (const file of files) {
+          try {
+            tables.push(parseEphemeris(await file.text(), file.name));
+          } catch (err) {
+            throw new Error(`${file.name}: ${err.message}`);
+          }
+        }
+        table = mergeEphemeris(...tables);
+      } catch (err) {
+        console.error("[Ephemeris]", err.message);
+        summaryEl.textContent = err.message;
+        resultsEl.style.display = "";
+        if (chart) { chart.destroy(); chart = null; }
+        return;
+      } finally {
+        fileInput.value = "";
+      }
+      enableEl.disabled = clearBtn.disabled = false;
+      enableEl.checked = true;
+      apply();
+      render();
+    });
+    enableEl.addEventListener("change", apply);
+    clearBtn.addEventListener("click", () => {
+      table = null;
+      enableEl.checked = false;
+      enableEl.disabled = clearBtn.disabled = true;
+      apply();
+      resultsEl.style.display = "none";
+      if (chart) { chart.destroy(); chart = null; }
+    });
+  }
+
+  /**
+   * n-body relay drift (Sensitivity pane): sampled satellites of every ring of the
+   * current config propagated in a dedicated worker (simPropagator.js); a per-ring
+   * table of hold ΔV against the station-keeping estimate and a chart of the untended
+   * along-track drift. The table is offered as CSV / JSON.
+   */
+  setupPropagation() {
+    const runBtn = document.getElementById("prop-run-btn");
+    if (!runBtn) return;
+    const progressWrap = document.getElementById("prop-progress-wrap");
+    const progressBar = document.getElementById("prop-progress-bar");
+    const progressText = document.getElementById("prop-progress-text");
+    const resultsEl = document.getElementById("prop-results");
+    const summaryEl = document.getElementById("prop-summary");
+    let chart = null;
+
+    const fmt = (v, digits = 3) => (Number.isFinite(v) ? (Math.abs(v) >= 1000 ? this.formatNumber(Math.round(v)) : String(+v.toPrecision(digits))) : "—");
+    const render = (res) => {
+      const palette = ["rgba(107,138,253,0.8)", "rgba(253,138,107,0.8)", "rgba(107,253,180,0.8)", "rgba(253,220,107,0.8)", "rgba(180,107,253,0.8)", "rgba(107,220,253,0.8)"];
+      const th = (t) => `<th style="text-align:right; padding:2px 6px; font-weight:600;">${t}</th>`;
+      const td = (t) => `<td style="text-align:right; padding:2px 6px;">${t}</td>`;
+      const rows = res.rings.map((r) =>
+        `<tr><td style="padding:2px 6px;">${r.ringName}</td>` +
+        td(fmt(r.estimateDvMs)) + td(`${fmt(r.holdDvMs.mean)} / ${fmt(r.holdDvMs.max)}`) +
+        td(r.maxAccel != null ? `${fmt(r.overThrustPct, 2)}%` : "—") +
+        td(fmt(r.freeAlongKm.mean)) + td(fmt(r.slotModelDriftKm)) + `</tr>`);
+      summaryEl.innerHTML =
+        `${res.years} y from ${res.startDate.slice(0, 10)} · ${res.stepHours} h step · ${res.rings.reduce((s, r) => s + r.sampled, 0)} satellites propagated` +
+        `<table style="border-collapse:collapse; margin-top:4px;"><tr>${th("Ring")}${th("Est. ΔV m/s")}${th("Hold ΔV mean / max")}${th("Over thrust")}${th("Free drift km")}${th("Model drift km")}</tr>` +
+        rows.join("") + `</table>`;
+      resultsEl.style.display = "";
+
+      const years = res.days.map((d) => d / 365.25);
+      const datasets = res.rings.map((r, i) => ({
+        label: r.ringName,
+        data: r.alongKm.map((km, j) => ({ x: years[j], y: km })),
+        borderColor: palette[i % palette.length],
+        backgroundColor: palette[i % palette.length].replace("0.8", "0.15"),
+        borderWidth: 1.5,
+        pointRadius: 0,
+        showLine: true,
+      }));
+      if (chart) chart.destroy();
+      chart = new Chart(document.getElementById("prop-chart").getContext("2d"), {
+        type: "scatter",
+        data: { datasets },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { type: "linear", title: { display: true, text: "Years", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 } }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+            y: { type: "logarithmic", title: { display: true, text: "km", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 6 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { display: datasets.length > 1, labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+            title: { display: true, text: "Untended along-track drift (ring mean)", color: "#7c879f", font: { size: 11, weight: "normal" } },
+            tooltip: { backgroundColor: "#1a2030", callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmt(ctx.raw.y)} km` } },
+          },
+        },
+      });
+    };
+
+    runBtn.addEventListener("click", () => {
+      const years = parseFloat(document.getElementById("prop-years").value);
+      const stepHours = Math.min(240, Math.max(1, parseFloat(document.getElementById("prop-step").value) || 12));
+      const satsPerRing = Math.max(1, parseInt(document.getElementById("prop-sats").value, 10) || 6);
+      const uiConfig = this.getGroupsConfig([
+        "economics", "simulation", "laser_technology", "ring_mars", "circular_rings", "eccentric_rings",
+        "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ]);
+      const simDate = new Date(this.simMain.simTime.getDate()).toISOString();
+      const worker = new Worker(new URL("./simWorker.js?v=4.42", import.meta.url), { type: "module" });
+      shareEphemeris(worker);
+      runBtn.disabled = true;
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = "Sizing…";
+      const done = () => { worker.terminate(); runBtn.disabled = false; progressWrap.style.display = "none"; };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "propagation-progress") {
+          progressBar.style.width = `${Math.round((100 * msg.done) / msg.total)}%`;
+          progressText.textContent = `${msg.done}/${msg.total} satellites`;
+        } else if (msg.type === "propagation-result") {
+          done();
+          this._lastPropagation = msg;
+          render(msg);
+        } else if (msg.type === "error") {
+          done();
+          console.error("Propagation error:", msg.message);
+        }
+      };
+      worker.onerror = (e) => { done(); console.error("Propagation worker error:", e.message); };
+      worker.postMessage({
+        type: "propagateRings", requestId: 1, uiConfig, simDate,
+        years: years > 0 ? years : null, stepHours, satsPerRing, flowCalctimeMs: 20000,
+      });
+    });
+
+    const fileStem = () => `marslink-propagation-${this._lastPropagation.startDate.slice(0, 10)}-${this._lastPropagation.years}y`;
+    document.getElementById("prop-download-csv")?.addEventListener("click", () => {
+      if (this._lastPropagation) this.saveTextFile(propagationToCsv(this._lastPropagation), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("prop-download-json")?.addEventListener("click", () => {
+      if (this._lastPropagation) this.saveToJson(this._lastPropagation, fileStem());
+    });
+  }
+
+  /**
+   * Ring phasing (Sensitivity pane): the current config's topology rebuilt every step
+   * in a dedicated worker, and the radial links of each ring pair reduced to drift,
+   * re-pairs and re-acquisitions per terminal (simPhasing.js) against the geometric
+   * minimum. The table is offered as CSV / JSON.
+   */
+  setupPhasingAnalysis() {
+    const runBtn = document.getElementById("phasing-run-btn");
+    if (!runBtn) return;
+    const progressWrap = document.getElementById("phasing-progress-wrap");
+    const progressBar = document.getElementById("phasing-progress-bar");
+    const progressText = document.getElementById("phasing-progress-text");
+    const resultsEl = document.getElementById("phasing-results");
+    const summaryEl = document.getElementById("phasing-summary");
+    let chart = null;
+
+    const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? String(Math.round(v)) : String(+v.toPrecision(3))) : "—");
+    const render = (res) => {
+      const pairLabel = (p) => `${p.inner} → ${p.outer}`;
+      const th = (t) => `<th style="text-align:right; padding:2px 6px; font-weight:600;">${t}</th>`;
+      const td = (t) => `<td style="text-align:right; padding:2px 6px;">${t}</td>`;
+      const rows = res.pairs.map((p) =>
+        `<tr><td style="padding:2px 6px;">${pairLabel(p)}${p.undersampled ? " *" : ""}</td>` +
+        td(fmt(p.driftDegPerDay)) + td(fmt(p.slotPassDays)) + td(fmt(p.meanLinks)) +
+        td(fmt(p.acquisitionsPerTerminalPerYear)) + td(fmt(p.churnRatio)) + td(fmt(p.meanLifetimeDays)) + `</tr>`);
+      summaryEl.innerHTML =
+        `${res.from.slice(0, 10)} → ${res.to.slice(0, 10)} every ${res.stepDays} d · matcher ${res.matcher}` +
+        ` · ${this.formatNumber(Math.round(res.pairs.reduce((s, p) => s + (p.reacquisitionsPerYear || 0), 0)))} re-acquisitions / year in total` +
+        `<table style="border-collapse:collapse; margin-top:4px;"><tr>${th("Pair")}${th("Drift °/d")}${th("Slot pass d")}${th("Links")}${th("Acq / terminal / yr")}${th("× geometric")}${th("Lifetime d")}</tr>` +
+        rows.join("") + `</table>` +
+        (res.pairs.some((p) => p.undersampled) ? `* step over half a slot pass: re-pairs under-counted, shorten the step` : "");
+      resultsEl.style.display = "";
+
+      if (chart) chart.destroy();
+      chart = new Chart(document.getElementById("phasing-chart").getContext("2d"), {
+        type: "bar",
+        data: {
+          labels: res.pairs.map(pairLabel),
+          datasets: [
+            { label: "Matcher", data: res.pairs.map((p) => p.acquisitionsPerTerminalPerYear), backgroundColor: "rgba(253,138,107,0.8)" },
+            { label: "Geometric", data: res.pairs.map((p) => (p.slotPassDays ? 365.25 / p.slotPassDays : null)), backgroundColor: "rgba(107,138,253,0.8)" },
+          ],
+        },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { ticks: { color: "#525c75", font: { size: 9 } }, grid: { display: false } },
+            y: { beginAtZero: true, title: { display: true, text: "Re-acquisitions / terminal / year", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+            title: { display: true, text: "Radial link re-acquisitions per terminal", color: "#7c879f", font: { size: 11, weight: "normal" } },
+            tooltip: { backgroundColor: "#1a2030", callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmt(ctx.raw)} / yr` } },
+          },
+        },
+      });
+    };
+
+    runBtn.addEventListener("click", () => {
+      const days = Math.max(2, parseFloat(document.getElementById("phasing-days").value) || PHASING_DEFAULT_SPAN_DAYS);
+      const stepInput = document.getElementById("phasing-step");
+      const stepDays = stepInput.value === "" ? PHASING_DEFAULT_STEP_DAYS : parseFloat(stepInput.value);
+      if (!(stepDays > 0)) {
+        progressWrap.style.display = "";
+        progressBar.style.width = "0%";
+        progressText.textContent = "Step must be > 0 days";
+        return;
+      }
+      const uiConfig = this.getGroupsConfig([
+        "economics", "simulation", "laser_technology", "ring_mars", "circular_rings", "eccentric_rings",
+        "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ]);
+      const from = new Date(this.simMain.simTime.getDate());
+      const to = new Date(from.getTime() + days * 86400000);
+      const worker = new Worker(new URL("./simWorker.js?v=4.42", import.meta.url), { type: "module" });
+      shareEphemeris(worker);
+      runBtn.disabled = true;
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = "Sizing…";
+      const done = () => { worker.terminate(); runBtn.disabled = false; progressWrap.style.display = "none"; };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "phasing-progress") {
+          progressBar.style.width = `${Math.round((100 * msg.done) / msg.total)}%`;
+          progressText.textContent = `${msg.done}/${msg.total} dates`;
+        } else if (msg.type === "phasing-result") {
+          done();
+          this._lastPhasing = msg;
+          render(msg);
+        } else if (msg.type === "error") {
+          done();
+          console.error("Phasing scan error:", msg.message);
+        }
+      };
+      worker.onerror = (e) => { done(); console.error("Phasing worker error:", e.message); };
+      worker.postMessage({ type: "phasingScan", requestId: 1, uiConfig, from: from.toISOString(), to: to.toISOString(), stepDays, flowCalctimeMs: 20000 });
+    });
+
+    const fileStem = () => `marslink-phasing-${this._lastPhasing.from.slice(0, 10)}-${this._lastPhasing.to.slice(0, 10)}`;
+    document.getElementById("phasing-download-csv")?.addEventListener("click", () => {
+      if (this._lastPhasing) this.saveTextFile(phasingToCsv(this._lastPhasing.pairs), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("phasing-download-json")?.addEventListener("click", () => {
+      if (this._lastPhasing) this.saveToJson(this._lastPhasing, fileStem());
+    });
+  }
+
+  /**
+   * Traffic demand (Sensitivity pane): a demand profile JSON (simDemand.js) served over
+   * the current config's Earth↔Mars capacity, sampled in a dedicated worker from the
+   * sim date. Per-direction totals, the transfers and a backlog chart; the per-date
+   * rows are offered as CSV / JSON.
+   */
+  setupDemandModel() {
+    const runBtn = document.getElementById("demand-run-btn");
+    if (!runBtn) return;
+    const fileInput = document.getElementById("demand-file");
+    const progressWrap = document.getElementById("demand-progress-wrap");
+    const progressBar = document.getElementById("demand-progress-bar");
+    const progressText = document.getElementById("demand-progress-text");
+    const resultsEl = document.getElementById("demand-results");
+    const summaryEl = document.getElementById("demand-summary");
+    let profile = null;
+    let chart = null;
+
+    const fmt = (v) => (Number.isFinite(v) ? (Math.abs(v) >= 100 ? this.formatNumber(Math.round(v)) : String(+v.toPrecision(3))) : "—");
+    const dirLabel = { "earth-to-mars": "Earth → Mars", "mars-to-earth": "Mars → Earth" };
+    const render = (res) => {
+      const th = (t) => `<th style="text-align:right; padding:2px 6px; font-weight:600;">${t}</th>`;
+      const td = (t) => `<td style="text-align:right; padding:2px 6px;">${t}</td>`;
+      const dirRows = DEMAND_DIRECTIONS.map((dir) => {
+        const d = res.directions[dir];
+        return `<tr><td style="padding:2px 6px;">${dirLabel[dir]}</td>` + td(fmt(d.share * 100)) + td(fmt(d.demandedTB)) + td(fmt(d.deliveredTB)) + td(fmt(d.finalBacklogTB)) + td(fmt(d.peakBacklogTB)) + `</tr>`;
+      });
+      const transferRows = res.transfers.map((t) =>
+        `<tr><td style="padding:2px 6px;">${esc(t.id)}</td><td style="padding:2px 6px;">${dirLabel[t.direction]}</td>` +
+        td(fmt(t.deliveredTB)) + td(fmt(t.volumeTB)) + td(t.deadline.slice(0, 10)) +
+        td(t.missed ? `missed${t.lateDays != null ? ` (+${fmt(t.lateDays)} d)` : ""}` : t.pending ? "pending" : "on time") + `</tr>`);
+      summaryEl.innerHTML =
+        `${res.from.slice(0, 10)} → ${res.to.slice(0, 10)} every ${res.stepDays} d · ${res.computeFlow ? "max-flow" : "routed relay capacity"}` +
+        ` · ${res.missedDeadlines} missed deadline${res.missedDeadlines === 1 ? "" : "s"}` +
+        (res.flowTimeouts ? ` · ${res.flowTimeouts} flow timeouts (counted as 0)` : "") +
+        `<table style="border-collapse:collapse; margin-top:4px;"><tr>${th("Direction")}${th("Share %")}${th("Demand TB")}${th("Delivered TB")}${th("Backlog TB")}${th("Peak TB")}</tr>` +
+        dirRows.join("") + `</table>` +
+        (transferRows.length
+          ? `<table style="border-collapse:collapse; margin-top:4px;"><tr>${th("Transfer")}${th("Direction")}${th("Delivered TB")}${th("Of TB")}${th("Deadline")}${th("Status")}</tr>` + transferRows.join("") + `</table>`
+          : "");
+      resultsEl.style.display = "";
+
+      if (chart) chart.destroy();
+      const palette = { "earth-to-mars": "rgba(107,138,253,0.8)", "mars-to-earth": "rgba(253,138,107,0.8)" };
+      chart = new Chart(document.getElementById("demand-chart").getContext("2d"), {
+        type: "line",
+        data: {
+          labels: res.rows.map((r) => r.simDate.slice(0, 10)),
+          datasets: DEMAND_DIRECTIONS.map((dir) => ({
+            label: dirLabel[dir],
+            data: res.rows.map((r) => r[dir].backlogTB),
+            borderColor: palette[dir],
+            backgroundColor: palette[dir].replace("0.8", "0.15"),
+            borderWidth: 1.5,
+            pointRadius: 0,
+          })),
+        },
+        options: {
+          responsive: true, maintainAspectRatio: false, animation: false,
+          scales: {
+            x: { ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 6 }, grid: { display: false } },
+            y: { beginAtZero: true, title: { display: true, text: "Backlog (TB)", color: "#7c879f", font: { size: 10 } }, ticks: { color: "#525c75", font: { size: 9 }, maxTicksLimit: 5 }, grid: { color: "rgba(255, 255, 255, 0.06)" } },
+          },
+          plugins: {
+            legend: { labels: { color: "#525c75", font: { size: 9 }, boxWidth: 10 } },
+            title: { display: true, text: "Queued traffic", color: "#7c879f", font: { size: 11, weight: "normal" } },
+            tooltip: { backgroundColor: "#1a2030", callbacks: { label: (ctx) => `${ctx.dataset.label}: ${fmt(ctx.parsed.y)} TB` } },
+          },
+        },
+      });
+    };
+
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        const json = JSON.parse(await file.text());
+        normalizeDemand(json); // reject a malformed profile here rather than after sizing
+        profile = json;
+        runBtn.disabled = false;
+      } catch (err) {
+        profile = null;
+        runBtn.disabled = true;
+        summaryEl.textContent = `${file.name}: ${err.message}`;
+        resultsEl.style.display = "";
+        if (chart) { chart.destroy(); chart = null; }
+      }
+    });
+
+    runBtn.addEventListener("click", () => {
+      if (!profile) return;
+      const days = Math.max(1, parseFloat(document.getElementById("demand-days").value) || 180);
+      const stepInput = document.getElementById("demand-step");
+      const stepDays = stepInput.value === "" ? 1 : parseFloat(stepInput.value);
+      if (!(stepDays > 0)) {
+        progressWrap.style.display = "";
+        progressBar.style.width = "0%";
+        progressText.textContent = "Step must be > 0 days";
+        return;
+      }
+      const computeFlow = document.getElementById("demand-calc-flow").checked;
+      const uiConfig = this.getGroupsConfig([
+        "economics", "simulation", "laser_technology", "ring_mars", "circular_rings", "eccentric_rings",
+        "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+      ]);
+      const from = new Date(this.simMain.simTime.getDate());
+      const to = new Date(from.getTime() + days * 86400000);
+      const worker = new Worker(new URL("./simWorker.js?v=4.42", import.meta.url), { type: "module" });
+      shareEphemeris(worker);
+      runBtn.disabled = true;
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = "Sizing…";
+      const done = () => { worker.terminate(); runBtn.disabled = false; progressWrap.style.display = "none"; };
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.type === "demand-progress") {
+          progressBar.style.width = `${Math.round((100 * msg.done) / msg.total)}%`;
+          progressText.textContent = `${msg.done}/${msg.total} dates`;
+        } else if (msg.type === "demand-result") {
+          done();
+          this._lastDemand = msg;
+          render(msg);
+        } else if (msg.type === "error") {
+          done();
+          console.error("Demand model error:", msg.message);
+        }
+      };
+      worker.onerror = (e) => { done(); console.error("Demand worker error:", e.message); };
+      worker.postMessage({
+        type: "demandModel", requestId: 1, uiConfig, demand: profile,
+        from: from.toISOString(), to: to.toISOString(), stepDays, computeFlow, flowCalctimeMs: 20000,
+      });
+    });
+
+    const fileStem = () => `marslink-demand-${this._lastDemand.from.slice(0, 10)}-${this._lastDemand.to.slice(0, 10)}`;
+    document.getElementById("demand-download-csv")?.addEventListener("click", () => {
+      if (this._lastDemand) this.saveTextFile(demandToCsv(this._lastDemand.rows), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("demand-download-json")?.addEventListener("click", () => {
+      if (this._lastDemand) this.saveToJson(this._lastDemand, fileStem());
+    });
+  }
+
+  /** Memory estimate (MB) for one pool scenario, from the satellite count its config seeds. */
+  _scenarioMB(cfg) {
+    const estSats = this.simMain.simSatellites.buildConfigFromUi(cfg).reduce((sum, c) => sum + (c.satCount || 0), 0);
+    const maxSat = cfg["simulation.maxSatCount"] || Infinity;
+    return estSats > maxSat ? 20 : Math.max(20, estSats * 0.016);
+  }
+
+  // Config inputs that calculateCosts reads off simMain rather than out of
+  // resultTreesData (launch, satellite and propellant costs arrive there, priced with
+  // each scenario's own config) → the cost-context field that carries them.
+  static COST_CTX_KEYS = {
+    "economics.launch-cost-slider": "costPerLaunch",
+    "economics.satellite-cost-slider": "costPerSatellite",
+    "economics.laser-terminal-cost-slider": "costPerLaserTerminal",
+    "economics.solar-cost-per-kw": "solarCostPerKw",
+    "economics.radiator-cost-per-kw": "radiatorCostPerKw",
+    "satellite.satellite-power-kw": "satellitePowerKw",
+  };
+
+  /**
+   * calculateCosts for a worker result whose config differs from simMain's baseline.
+   * @param {Object} overrides - fullId → config value of the scenario's changed inputs.
+   * @param {number} gbps
+   * @param {Array<Object>} trees - The result's resultTreesData.
+   */
+  _costsWithOverrides(overrides, gbps, trees) {
+    const ctx = {};
+    for (const [id, v] of Object.entries(overrides)) if (SimUi.COST_CTX_KEYS[id]) ctx[SimUi.COST_CTX_KEYS[id]] = v;
+    if (!Object.keys(ctx).length) return this.simMain.calculateCosts(gbps, trees);
+    const m = this.simMain;
+    return calculateCosts(gbps, trees, {
+      simLinkBudget: m.simLinkBudget, simSatellites: m.simSatellites,
+      costPerLaunch: m.costPerLaunch, costPerSatellite: m.costPerSatellite, costPerLaserTerminal: m.costPerLaserTerminal,
+      solarCostPerKw: m.solarCostPerKw, radiatorCostPerKw: m.radiatorCostPerKw, satellitePowerKw: m.satellitePowerKw,
+      ...ctx,
+    });
+  }
+
+  saveTextFile(text, fileName, type = "text/plain") {
+    const link = document.createElement("a");
+    link.download = fileName;
+    link.href = URL.createObjectURL(new Blob([text], { type }));
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+  }
+
   saveToJson(object, fileName) {
     // Convert the object to JSON
     const jsonString = JSON.stringify(object, null, 2);
@@ -1056,19 +2184,112 @@ export class SimUi {
       for (let r = s; r <= e; r += step) vals.push(r);
       return vals.length ? vals : [null];
     };
+    // Generic parameter axes: any numeric build slider, swept over linearly or
+    // log-spaced values or an explicit list, in the slider's user-facing units.
+    const PARAM_SECTIONS = ["economics", "simulation", "laser_technology", "launch_vehicle", "satellite", "relay_type", "ring_earth", "ring_mars", "circular_rings", "eccentric_rings", "adapted_rings", "adapted_eccentric_rings"];
+    const PARAM_EXCLUDE = new Set(["simulation.calctimeSec", "simulation.time-acceleration-slider"]); // overridden per run / view-only
+    const PARAM_AXES = [1, 2];
+    const paramSliderData = (fullId) => {
+      const [sec, id] = String(fullId || "").split(".");
+      const sd = this.slidersData[sec]?.[id];
+      return sd && !sd.type && typeof sd.value === "number" && Number.isFinite(sd.min) && Number.isFinite(sd.max) ? sd : null;
+    };
+    for (const n of PARAM_AXES) {
+      const keySel = document.getElementById(`sens-param${n}-key`);
+      if (!keySel) continue;
+      for (const sec of PARAM_SECTIONS) {
+        const group = document.createElement("optgroup");
+        group.label = sec.replace(/_/g, " ");
+        for (const [id, sd] of Object.entries(this.slidersData[sec] || {})) {
+          if (PARAM_EXCLUDE.has(`${sec}.${id}`) || !paramSliderData(`${sec}.${id}`)) continue;
+          const opt = document.createElement("option");
+          opt.value = `${sec}.${id}`;
+          opt.textContent = sd.label || id;
+          group.appendChild(opt);
+        }
+        if (group.children.length) keySel.appendChild(group);
+      }
+      const preset = n === 1 ? "economics.launch-cost-slider" : "simulation.solarExclusionDeg";
+      if (paramSliderData(preset)) keySel.value = preset;
+      // Picking a parameter resets the range to its slider's full span.
+      const fillRange = () => {
+        const sd = paramSliderData(keySel.value);
+        if (!sd) return;
+        const fmt = (v) => +this.mapSliderValueToUserFacing(sd, v).toPrecision(4);
+        document.getElementById(`sens-param${n}-start`).value = fmt(sd.min);
+        document.getElementById(`sens-param${n}-end`).value = fmt(sd.max);
+        document.getElementById(`sens-param${n}-unit`).textContent = (sd.unit || "").trim();
+      };
+      keySel.addEventListener("change", fillRange);
+      fillRange();
+      const modeSel = document.getElementById(`sens-param${n}-mode`);
+      const syncParamMode = () => {
+        const list = modeSel.value === "list";
+        for (const el of [
+          document.getElementById(`sens-param${n}-start`), document.getElementById(`sens-param${n}-end`),
+          document.getElementById(`sens-param${n}-points`), ...document.querySelectorAll(`.sens-param${n}-range`),
+        ]) el.style.display = list ? "none" : "";
+        document.getElementById(`sens-param${n}-list`).style.display = list ? "" : "none";
+      };
+      modeSel.addEventListener("change", syncParamMode);
+      syncParamMode();
+    }
+    /**
+     * One parameter axis's settings and values, or null when it is off or empty.
+     * Values are what the slider actually runs (pow2/quadratic positions round), to 4
+     * significant digits and deduplicated, so the chart labels name what was simulated.
+     * @returns {{ dim: string, fullId: string, slider: object, label: string, unit: string, values: number[] }|null}
+     */
+    const buildParamAxis = (n) => {
+      if (!document.getElementById(`sens-param${n}-enable`)?.checked) return null;
+      const fullId = document.getElementById(`sens-param${n}-key`)?.value;
+      const sd = paramSliderData(fullId);
+      if (!sd) return null;
+      const mode = document.getElementById(`sens-param${n}-mode`)?.value || "linear";
+      let raw = [];
+      if (mode === "list") {
+        raw = (document.getElementById(`sens-param${n}-list`)?.value || "").split(/[\s,;]+/).map(parseFloat).filter(Number.isFinite);
+      } else {
+        const a = parseFloat(document.getElementById(`sens-param${n}-start`)?.value);
+        const b = parseFloat(document.getElementById(`sens-param${n}-end`)?.value);
+        const count = Math.max(1, Math.min(100, parseInt(document.getElementById(`sens-param${n}-points`)?.value, 10) || 1));
+        const logOk = mode !== "log" || (a > 0 && b > 0);
+        if (Number.isFinite(a) && Number.isFinite(b) && logOk) {
+          for (let i = 0; i < count; i++) {
+            const f = count === 1 ? 0 : i / (count - 1);
+            raw.push(mode === "log" ? a * Math.pow(b / a, f) : a + (b - a) * f);
+          }
+        }
+      }
+      const values = [...new Set(raw.map((v) => +this.mapSliderValueToUserFacing(sd, this.mapUserFacingToSliderValue(sd, v)).toPrecision(4)))];
+      if (!values.length) return null;
+      return { dim: `p${n}`, fullId, slider: sd, label: sd.label || fullId, unit: (sd.unit || "").trim(), values };
+    };
+    // Both enabled axes; a second axis on the same slider as the first is ignored.
+    const buildParamAxes = () => {
+      const axes = PARAM_AXES.map(buildParamAxis);
+      if (axes[0] && axes[1] && axes[0].fullId === axes[1].fullId) axes[1] = null;
+      return axes;
+    };
     // Write a swept slider value WITHOUT the interactive slider's max clamping it. The
     // sweep legitimately explores values beyond the manual range (e.g. multi-Gbps in-ring
     // rates above the 999 Mbps slider max), but range inputs clamp .value to their `max`
-    // attribute — so lift `max` first. Originals are restored when the run finishes
-    // (this._sensWidenedMaxes, drained in the restore/finally block).
-    const setSweptSlider = (fullId, v) => {
+    // attribute — so lift `max` first. `exact` (parameter axes) also lifts `min` and
+    // the step snapping, so the slider takes the listed value as-is. Originals are
+    // restored when the run finishes (this._sensLiftedAttrs, drained in the finally block).
+    const setSweptSlider = (fullId, v, { exact = false } = {}) => {
       const [sec, id] = fullId.split(".");
       const input = this.sliders[sec]?.[id];
-      if (input && input.max !== "" && Number.isFinite(+input.max) && +v > +input.max) {
-        if (!this._sensWidenedMaxes) this._sensWidenedMaxes = new Map();
-        if (!this._sensWidenedMaxes.has(input)) this._sensWidenedMaxes.set(input, input.max);
-        input.max = String(v);
-      }
+      const lift = (attr, val) => {
+        if (!this._sensLiftedAttrs) this._sensLiftedAttrs = new Map();
+        const orig = this._sensLiftedAttrs.get(input) || {};
+        if (!(attr in orig)) orig[attr] = input[attr];
+        this._sensLiftedAttrs.set(input, orig);
+        input[attr] = val;
+      };
+      if (input && input.max !== "" && Number.isFinite(+input.max) && +v > +input.max) lift("max", String(v));
+      if (input && exact && input.min !== "" && Number.isFinite(+input.min) && +v < +input.min) lift("min", String(v));
+      if (input && exact && input.step !== "any") lift("step", "any");
       this.applySliderValues({ [fullId]: v });
     };
     // The second sweep axis means route count (concentric) or in-ring worst-case
@@ -1132,10 +2353,23 @@ export class SimUi {
     // The second sweep axis's display metadata (route count vs in-ring throughput),
     // captured at run start; used for chart labels/titles. See _sensSecondAxis.
     let secondAxisMeta = this._sensSecondAxis();
+    // The parameter axes (buildParamAxis) keyed by dim ("p1"/"p2"), captured at run start.
+    let paramMeta = {};
+    // Chart wording per swept dimension: axis title and series-label prefix.
+    const dimTitle = (dim) => {
+      if (dim === "rings") return "Relay rings";
+      if (dim === "tech") return "Laser tech";
+      if (dim === "routes") return secondAxisMeta.label;
+      if (paramMeta[dim]) return paramMeta[dim].label + (paramMeta[dim].unit ? ` (${paramMeta[dim].unit})` : "");
+      return placementAxisLabel;
+    };
+    const dimPrefix = (dim) =>
+      dim === "tech" ? "Tech " : dim === "date" ? "" : dim === "routes" ? secondAxisMeta.prefix : paramMeta[dim] ? `${paramMeta[dim].label} ` : "Rings ";
 
     // --- Estimate display (iteration count + time) ---
     const updateEstimate = () => {
-      const total = buildRingValues().length * buildTechValues().length * buildRouteValues().length * buildPlacements().length;
+      const paramPoints = buildParamAxes().reduce((n, ax) => n * (ax ? ax.values.length : 1), 1);
+      const total = buildRingValues().length * buildTechValues().length * buildRouteValues().length * paramPoints * buildPlacements().length;
       const optimized = (this._sensMode || "simple") === "optimized";
       const wt = this.simMain?.lastWorkerTimings;
       const perIterMs = wt?.totalMs || wt?.links || 0;
@@ -1186,6 +2420,10 @@ export class SimUi {
       document.getElementById("sens-tech-progression"),
       document.getElementById("sens-tech-step"),
     ]);
+    for (const n of PARAM_AXES) {
+      wireEnable(`sens-param${n}-enable`, () => ["key", "mode", "start", "end", "points", "list"]
+        .map((f) => document.getElementById(`sens-param${n}-${f}`)).filter(Boolean));
+    }
 
     // --- Simple / Optimized sub-mode toggle ---
     this._sensMode = this._sensMode || "simple";
@@ -1298,8 +2536,8 @@ export class SimUi {
 
     /**
      * Build the 3 Chart.js instances for flow / cost / cost-per-flow.
-     * @param {string[]} enabledDims - e.g. ["rings"], ["rings","tech"], ["rings","tech","date"]
-     * @param {object} dimValues - { rings: [...], tech: [...], date: [...] }
+     * @param {string[]} enabledDims - e.g. ["rings"], ["rings","tech"], ["rings","p1","date"]
+     * @param {object} dimValues - { rings: [...], tech: [...], p1: [...], date: [...] }
      */
     const createCharts = (enabledDims, dimValues) => {
       destroyCharts();
@@ -1339,8 +2577,8 @@ export class SimUi {
         for (const sv of seriesValues) {
           for (const tv of thirdValues) {
             let label = "";
-            if (sv != null) label += `${seriesDim === "tech" ? "Tech " : seriesDim === "date" ? "" : seriesDim === "routes" ? secondAxisMeta.prefix : "Rings "}${sv}`;
-            if (tv != null) label += `${label ? " / " : ""}${thirdDim === "tech" ? "Tech " : thirdDim === "date" ? "" : thirdDim === "routes" ? secondAxisMeta.prefix : "Rings "}${tv}`;
+            if (sv != null) label += `${dimPrefix(seriesDim)}${sv}`;
+            if (tv != null) label += `${label ? " / " : ""}${dimPrefix(thirdDim)}${tv}`;
             if (!label) label = titleFallback;
             ds.push({
               label,
@@ -1405,8 +2643,8 @@ export class SimUi {
         for (const sv of seriesValues) {
           for (const tv of thirdValues) {
             let label = "";
-            if (sv != null) label += `${seriesDim === "tech" ? "Tech " : seriesDim === "date" ? "" : seriesDim === "routes" ? secondAxisMeta.prefix : "Rings "}${sv}`;
-            if (tv != null) label += `${label ? " / " : ""}${thirdDim === "tech" ? "Tech " : thirdDim === "date" ? "" : thirdDim === "routes" ? secondAxisMeta.prefix : "Rings "}${tv}`;
+            if (sv != null) label += `${dimPrefix(seriesDim)}${sv}`;
+            if (tv != null) label += `${label ? " / " : ""}${dimPrefix(thirdDim)}${tv}`;
             if (!label) label = cfg.title;
             datasets.push({
               label,
@@ -1435,7 +2673,7 @@ export class SimUi {
             layout: { padding: { top: 4, right: 4, bottom: 0, left: 0 } },
             scales: {
               x: {
-                title: { display: true, text: xDim === "rings" ? "Relay rings" : xDim === "tech" ? "Laser tech" : xDim === "routes" ? secondAxisMeta.label : placementAxisLabel, color: textMuted, font: { size: 10 } },
+                title: { display: true, text: dimTitle(xDim), color: textMuted, font: { size: 10 } },
                 ticks: { color: textDim, font: { size: 9 }, maxRotation: 45, autoSkip: true, maxTicksLimit: 12 },
                 grid: { display: false },
                 border: { color: gridColor },
@@ -1456,10 +2694,7 @@ export class SimUi {
                 borderColor: "rgba(255,255,255,0.1)", borderWidth: 1, cornerRadius: 4,
                 titleFont: { size: 11 }, bodyFont: { size: 11 }, padding: 8,
                 callbacks: {
-                  title: (items) => {
-                    const xName = xDim === "rings" ? "Relay rings" : xDim === "tech" ? "Laser tech" : xDim === "routes" ? secondAxisMeta.label : placementAxisLabel;
-                    return items.length ? `${xName}: ${items[0].label}` : "";
-                  },
+                  title: (items) => (items.length ? `${dimTitle(xDim)}: ${items[0].label}` : ""),
                   label: (ctx) => {
                     const v = ctx.parsed.y;
                     if (v == null) return null; // skip series with a gap here
@@ -1485,12 +2720,13 @@ export class SimUi {
 
     /**
      * Push one scenario's metrics into every chart, matched by chart._metricKey.
-     * @param {object} scenario - { ringCount, laserTechImprovement, launchDate }
+     * @param {object} scenario - { ringCount, laserTechImprovement, routeCount, param1, param2, launchDate }
      * @param {object} metrics  - { sats, flow, earthFlow, marsFlow, relayFlow,
      *                              cost, cpf, latMin, latP50 } (raw, pre-scale)
      */
     const dimVal = (dim, scenario) =>
-      dim === "rings" ? scenario.ringCount : dim === "tech" ? scenario.laserTechImprovement : dim === "routes" ? scenario.routeCount : scenario.launchDate;
+      dim === "rings" ? scenario.ringCount : dim === "tech" ? scenario.laserTechImprovement : dim === "routes" ? scenario.routeCount
+        : dim === "p1" ? scenario.param1 : dim === "p2" ? scenario.param2 : scenario.launchDate;
     const matchesSeries = (chart, ds, scenario) =>
       (chart._seriesDim == null || String(ds._seriesVal) === String(dimVal(chart._seriesDim, scenario))) &&
       (chart._thirdDim == null || String(ds._thirdVal) === String(dimVal(chart._thirdDim, scenario)));
@@ -1530,6 +2766,85 @@ export class SimUi {
       }
     };
 
+    // --- Checkpoints: finished scenarios (and the optimizer state of the one in
+    //     progress) go to IndexedDB as they complete, so an interrupted sweep — reload,
+    //     crash, or Stop — can be resumed. One sweep is kept; starting a new one drops it.
+    const CKPT_KIND = "sensitivity";
+    const SOLVER_PREFIX = "solver:";
+    let resumeRun = null; // set by Resume for the next start
+    // Every control that shapes the sweep: the pane's own inputs plus the band-solver
+    // settings optimized mode reads. Band-solver move checkboxes have no ids.
+    const sweepInputs = () => [...document.querySelectorAll('#sensitivity-pane [id^="sens-"], #sensitivity-pane [id^="opt-"], [id^="band-solver-"]')]
+      .filter((el) => el.matches("input, select"));
+    const captureInputs = () => {
+      const out = {};
+      for (const el of sweepInputs()) out[el.id] = el.type === "checkbox" ? el.checked : el.value;
+      for (const el of document.querySelectorAll(".band-solver-move")) out[`band-solver-move:${el.value}`] = el.checked;
+      return out;
+    };
+    const restoreInputs = (saved) => {
+      const els = [...sweepInputs(), ...document.querySelectorAll(".band-solver-move")];
+      for (const el of els) {
+        const k = el.classList.contains("band-solver-move") ? `band-solver-move:${el.value}` : el.id;
+        if (!(k in saved)) continue;
+        if (el.type === "checkbox") el.checked = !!saved[k]; else el.value = saved[k];
+        el.dispatchEvent(new Event("change", { bubbles: true }));
+      }
+    };
+    const scenarioKey = (d, placement) =>
+      [d.techUserVal, d.ringCount, d.routeCount, d.p1, d.p2, placement.label].map((v) => v ?? "cur").join("|");
+    // What buildScenarioMetrics reads, minus the in-process-only payloads.
+    const checkpointRes = (res) => ({
+      satellitesCount: res.satellitesCount,
+      maxFlowGbps: res.maxFlowGbps,
+      flowError: res.flowError || null,
+      capacityInfo: res.capacityInfo || null,
+      routeSummary: res.routeSummary || null,
+      resultTreesData: res.resultTreesData || [],
+      latencyData: res.latencyData
+        ? { bestLatency: res.latencyData.bestLatency, medianLatency: res.latencyData.medianLatency, averageLatency: res.latencyData.averageLatency }
+        : null,
+    });
+
+    const resumeBox = document.createElement("div");
+    resumeBox.className = "muted";
+    resumeBox.hidden = true;
+    resumeBox.style.cssText = "margin-top:var(--s-2); padding:6px 8px; border:1px solid var(--border-2,#333); border-radius:6px; font-size:12px; display:flex; gap:6px; align-items:center; flex-wrap:wrap;";
+    startBtn.parentNode.parentNode.insertBefore(resumeBox, startBtn.parentNode);
+    const showResumeOffer = async () => {
+      const run = await latestRun(CKPT_KIND);
+      if (!run || startBtn.disabled) { resumeBox.hidden = true; return; }
+      const records = await getRecords(run.id);
+      const finished = [...records.keys()].filter((k) => !k.startsWith(SOLVER_PREFIX)).length;
+      let when = ""; try { when = new Date(run.updatedAt).toLocaleString(); } catch {}
+      resumeBox.innerHTML = `<span style="flex:1; min-width:160px;">Interrupted ${run.mode === "optimized" ? "optimized sweep" : "sweep"}: ${finished}/${run.total} scenarios done · ${when}</span>`;
+      const resumeBtn = document.createElement("button");
+      resumeBtn.type = "button"; resumeBtn.className = "btn btn-primary";
+      resumeBtn.style.cssText = "font-size:11px; padding:2px 10px;";
+      resumeBtn.textContent = "Resume";
+      resumeBtn.title = "Restore that sweep's settings and base config, replay the finished scenarios and run the rest.";
+      const discardBtn = document.createElement("button");
+      discardBtn.type = "button"; discardBtn.className = "btn";
+      discardBtn.style.cssText = "font-size:11px; padding:2px 10px;";
+      discardBtn.textContent = "Discard";
+      resumeBtn.addEventListener("click", () => {
+        restoreInputs(run.inputs || {});
+        this._sensMode = run.mode || "simple"; syncMode();
+        this._sensExec = run.exec || "worker"; syncExec();
+        // The sweep mutated the live sliders before the interruption: put its base back.
+        if (run.base?.sliders) this.applySliderValues(run.base.sliders);
+        for (const [k, anchors] of Object.entries(run.base?.curves || {})) { this._setCurve(k, anchors); this._curveRefresh?.[k]?.(); }
+        if (run.simDate) this.simMain.setSimDate(run.simDate);
+        resumeRun = run;
+        resumeBox.hidden = true;
+        startBtn.click();
+      });
+      discardBtn.addEventListener("click", async () => { await deleteRun(run.id); resumeBox.hidden = true; });
+      resumeBox.append(resumeBtn, discardBtn);
+      resumeBox.hidden = false;
+    };
+    showResumeOffer();
+
     // --- Stop flag ---
     let stopRequested = false;
 
@@ -1564,10 +2879,27 @@ export class SimUi {
         const routeValues = buildRouteValues();
         const routeEnabled = routeValues[0] != null;
         const placements = buildPlacements();
-        const totalScenarios = ringValues.length * techValues.length * routeValues.length * placements.length;
+        const [axis1, axis2] = buildParamAxes();
+        paramMeta = {};
+        for (const ax of [axis1, axis2]) if (ax) paramMeta[ax.dim] = ax;
+        // Every design point (all swept axes but the planet placement), in a stable nested
+        // order so simLinkBudget (tech) evolves deterministically and the seed requiredmbps
+        // values are reproducible.
+        const designs = [];
+        for (const techUserVal of techValues) {
+          for (const ringCount of ringValues) {
+            for (const routeCount of routeValues) {
+              for (const p1 of axis1 ? axis1.values : [null]) {
+                for (const p2 of axis2 ? axis2.values : [null]) designs.push({ techUserVal, ringCount, routeCount, p1, p2 });
+              }
+            }
+          }
+        }
+        const totalScenarios = designs.length * placements.length;
         let completed = 0;
         let flowTimeouts = 0; // scenarios whose max-flow solve exceeded the time budget (plotted as gaps)
-        console.log(`[Sensitivity] START (${this._sensMode}): ${totalScenarios} scenarios, rings=[${ringValues}], tech=[${techValues}], placements=[${placements.map((p) => p.label)}]`);
+        const paramLog = Object.values(paramMeta).map((ax) => `, ${ax.fullId}=[${ax.values}]`).join("");
+        console.log(`[Sensitivity] START (${this._sensMode}): ${totalScenarios} scenarios, rings=[${ringValues}], tech=[${techValues}]${paramLog}, placements=[${placements.map((p) => p.label)}]`);
 
         // Build chart dimension info. The placement axis ("date") carries either date
         // strings or geometry-sample labels (E…/M…), so the chart infra is unchanged.
@@ -1576,6 +2908,7 @@ export class SimUi {
         if (ringEnabled) { enabledDims.push("rings"); dimValues.rings = ringValues.filter(v => v != null); }
         if (routeEnabled) { enabledDims.push("routes"); dimValues.routes = routeValues.filter(v => v != null); }
         if (techEnabled) { enabledDims.push("tech"); dimValues.tech = techValues.filter(v => v != null); }
+        for (const ax of Object.values(paramMeta)) { enabledDims.push(ax.dim); dimValues[ax.dim] = ax.values; }
         if (placementEnabled) { enabledDims.push("date"); dimValues.date = placements.map((p) => p.label); }
         // If no dims enabled, use rings as a single-point x-axis
         if (enabledDims.length === 0) { enabledDims.push("rings"); dimValues.rings = ["(current)"]; }
@@ -1627,11 +2960,26 @@ export class SimUi {
         const baseCurves = {};
         for (const [k, d] of SimUi.ADAPTED_CURVES) baseCurves[k] = this._getCurve(k, d);
 
+        // Checkpoint this run (or pick up the one being resumed) before anything changes.
+        const resuming = resumeRun;
+        resumeRun = null;
+        resumeBox.hidden = true;
+        const runId = resuming ? resuming.id : `sens-${Date.now()}`;
+        if (!resuming) { const old = await latestRun(CKPT_KIND); if (old) await deleteRun(old.id); }
+        await saveRun({
+          id: runId, kind: CKPT_KIND, mode: this._sensMode || "simple", exec: this._sensExec, total: totalScenarios,
+          inputs: resuming ? resuming.inputs : captureInputs(),
+          base: resuming ? resuming.base : this._archiveSnapshotConfig?.() || null,
+          simDate: originalSimTime.toISOString(),
+        });
+        const done = resuming ? await getRecords(runId) : new Map();
+        if (resuming) console.log(`[Sensitivity] resuming ${runId}: ${done.size} checkpoint record(s)`);
+
         const resultArray = [];
 
         // Post-process a worker scenario result into chart metrics (shared by both
         // the parallel and serial paths). Returns { scenario, metrics }.
-        const buildScenarioMetrics = (res, ringCount, techUserVal, dateStr, routeCount) => {
+        const buildScenarioMetrics = (res, d, dateStr) => {
           const capacityInfo = res.capacityInfo;
           const rs = res.routeSummary;
           const ld = res.latencyData;
@@ -1639,7 +2987,7 @@ export class SimUi {
           // cost-per-Mbps then uses the routed relay capacity, which the relay-first design
           // process makes equivalent (planet rings are sized to match it).
           const flowSkipped = res.maxFlowGbps == null;
-          const costs = this.simMain.calculateCosts(
+          const costs = costsFor(d,
             flowSkipped ? (rs?.totalThroughput || 0) / 1000 : res.maxFlowGbps,
             res.resultTreesData || []);
           const ringMin = (name) => {
@@ -1673,9 +3021,12 @@ export class SimUi {
             latP50: ld?.medianLatency != null ? ld.medianLatency / 60 : null,
           };
           const scenario = {
-            ringCount: ringCount ?? "(current)",
-            laserTechImprovement: techUserVal ?? "(current)",
-            routeCount: routeCount ?? "(current)",
+            ringCount: d.ringCount ?? "(current)",
+            laserTechImprovement: d.techUserVal ?? "(current)",
+            routeCount: d.routeCount ?? "(current)",
+            param1: d.p1 ?? "(current)",
+            param2: d.p2 ?? "(current)",
+            params: designParams(d),
             launchDate: dateStr,
             satellites: res.satellitesCount,
           };
@@ -1686,6 +3037,37 @@ export class SimUi {
           "economics", "simulation", "laser_technology",
           "ring_mars", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
         ];
+        // The swept parameter values of a design, { "section.slider": userValue }.
+        const designParams = (d) => {
+          const out = {};
+          if (axis1 && d.p1 != null) out[axis1.fullId] = d.p1;
+          if (axis2 && d.p2 != null) out[axis2.fullId] = d.p2;
+          return out;
+        };
+        // Apply one design point to the live UI.
+        const applyDesign = (d) => {
+          // Throughput axis (eccentric): set BEFORE seeding so the Earth/Mars rings
+          // size to half this scenario's relay capacity.
+          applySecondAxisPre(d.routeCount);
+          if (d.ringCount != null) this.applySimpleDefaults(d.ringCount);
+          if (d.techUserVal != null) this.applySliderValues({ "laser_technology.improvement-factor": Math.round(Math.log2(d.techUserVal)) });
+          // Route-count axis (concentric): applySimpleDefaults reset auto_route_count.
+          applySecondAxisPost(d.routeCount);
+          // Parameter axes last, so they win over the defaults seeded above.
+          for (const ax of [axis1, axis2]) {
+            const v = ax && d[ax.dim];
+            if (v != null) setSweptSlider(ax.fullId, this.mapUserFacingToSliderValue(ax.slider, v), { exact: true });
+          }
+        };
+        // Archive-entry name fragment for a design, e.g. "12 rings · 8x · Isp 3000 s".
+        const designTag = (d) => {
+          let tag = `${d.ringCount ?? "cur"} rings`;
+          if (d.techUserVal != null) tag += ` · ${d.techUserVal}x`;
+          if (d.routeCount != null) tag += ` · ${d.routeCount} ${secondAxisMeta.unit}`;
+          for (const ax of [axis1, axis2]) if (ax && d[ax.dim] != null) tag += ` · ${ax.label} ${d[ax.dim]}${ax.unit ? " " + ax.unit : ""}`;
+          return tag;
+        };
+        const costsFor = (d, gbps, trees) => this._costsWithOverrides(designParams(d), gbps, trees);
         // Make sure simMain's cost state matches the (unswept) baseline economics
         // so calculateCosts on returned results is consistent for every scenario.
         this.simMain.setCosts(this.getGroupsConfig(["economics"]));
@@ -1711,39 +3093,28 @@ export class SimUi {
           const doArchive = document.getElementById("opt-archive")?.checked !== false;
           const scenarios = [];
           let scenarioId = 0;
-          for (const techUserVal of techValues) {
-            for (const ringCount of ringValues) {
-              for (const routeCount of routeValues) {
-                // Throughput axis (eccentric): set BEFORE seeding so the Earth/Mars rings
-                // size to half this scenario's relay capacity.
-                applySecondAxisPre(routeCount);
-                if (ringCount != null) this.applySimpleDefaults(ringCount);
-                if (techUserVal != null) {
-                  const techInternal = Math.round(Math.log2(techUserVal));
-                  this.applySliderValues({ "laser_technology.improvement-factor": techInternal });
-                }
-                // Route-count axis (concentric): applySimpleDefaults reset auto_route_count.
-                applySecondAxisPost(routeCount);
-                const scenarioConfig = this.getGroupsConfig(allCats);
-                scenarioConfig["simulation.calctimeSec"] = 100;
-                const estMB = estMBfor(scenarioConfig);
-                // Snapshot the live config (sliders + curves), relay type and resolved
-                // ring count for this (tech, ring, route) combo — shared across placements.
-                const archiveConfig = doArchive ? (this._archiveSnapshotConfig?.() || {}) : null;
-                const archiveRelayType = doArchive ? this.getSelectedRelayType() : null;
-                const resolvedRingCount = typeof ringCount === "number" ? ringCount : (parseFloat(this.sliders.relay_type?.ringcount?.value) || 0);
-                for (const placement of placements) {
-                  scenarios.push({ scenarioId: scenarioId++, ringCount, techUserVal, routeCount, placement, uiConfig: scenarioConfig, estMB, archiveConfig, archiveRelayType, resolvedRingCount });
-                }
-              }
+          for (const d of designs) {
+            applyDesign(d);
+            const scenarioConfig = this.getGroupsConfig(allCats);
+            scenarioConfig["simulation.calctimeSec"] = 100;
+            const estMB = estMBfor(scenarioConfig);
+            // Snapshot the live config (sliders + curves), relay type and resolved
+            // ring count for this design point — shared across placements.
+            const archiveConfig = doArchive ? (this._archiveSnapshotConfig?.() || {}) : null;
+            const archiveRelayType = doArchive ? this.getSelectedRelayType() : null;
+            const resolvedRingCount = typeof d.ringCount === "number" ? d.ringCount : (parseFloat(this.sliders.relay_type?.ringcount?.value) || 0);
+            for (const placement of placements) {
+              scenarios.push({ scenarioId: scenarioId++, key: scenarioKey(d, placement), design: d, placement, uiConfig: scenarioConfig, estMB, archiveConfig, archiveRelayType, resolvedRingCount });
             }
           }
 
-          // Record one finished scenario into the charts + archive. Shared by the worker
-          // pool and the in-process Main-thread path; does not touch progress counters.
-          const recordScenarioResult = (res, s) => {
+          // Record one finished scenario into the charts + archive + checkpoint. Shared by
+          // the worker pool and the in-process Main-thread path; does not touch progress
+          // counters. `replay` = restored from the checkpoint (already archived).
+          const recordScenarioResult = (res, s, replay = false) => {
+            if (!replay) putRecord(runId, s.key, { res: checkpointRes(res) });
             if (res.flowError) flowTimeouts++;
-            const { scenario, metrics, costs, capacityInfo, rs } = buildScenarioMetrics(res, s.ringCount, s.techUserVal, s.placement.label, s.routeCount);
+            const { scenario, metrics, costs, capacityInfo, rs } = buildScenarioMetrics(res, s.design, s.placement.label);
             resultArray.push({
               scenario,
               liveMetrics: {
@@ -1755,12 +3126,12 @@ export class SimUi {
               data: [{ maxFlowGbps: res.maxFlowGbps }],
             });
             pushChartPoint(scenario, metrics);
-            if (doArchive && this._archiveAppend) {
+            if (doArchive && this._archiveAppend && !replay) {
               const gbpsVal = rs && rs.totalThroughput > 0 ? rs.totalThroughput / 1000 : (res.maxFlowGbps || 0);
               const m = {
                 relayType: s.archiveRelayType,
                 ringCount: s.resolvedRingCount,
-                routeCount: s.routeCount ?? null,
+                routeCount: s.design.routeCount ?? null,
                 satCount: res.satellitesCount || 0,
                 gbps: Math.round(gbpsVal * 1000) / 1000,
                 latMinMin: metrics.latMin != null ? Math.round(metrics.latMin * 10) / 10 : null,
@@ -1774,11 +3145,18 @@ export class SimUi {
                 // around the tangent point (knee/N_max analysis).
                 junctionAngles: res.capacityInfo?.junctionAngles || null,
               };
-              const tag = `sweep: ${s.ringCount ?? "cur"} rings${s.techUserVal != null ? " · " + s.techUserVal + "x" : ""}${s.routeCount != null ? " · " + s.routeCount + " " + secondAxisMeta.unit : ""} · ${s.placement.label}`;
+              const tag = `sweep: ${designTag(s.design)} · ${s.placement.label}`;
               this._archiveAppend({ id: Date.now() + s.scenarioId, name: tag, ts: new Date().toISOString(), config: s.archiveConfig || {}, metrics: m });
             }
           };
 
+          // Resumed run: replay the checkpointed scenarios and run only the rest.
+          const pending = [];
+          for (const s of scenarios) {
+            const rec = done.get(s.key);
+            if (rec) { recordScenarioResult(rec.res, s, true); completed++; } else pending.push(s);
+          }
+
           if (this._sensExec === "main") {
             // ── Main thread: run scenarios SERIALLY in-process (no worker pool). Blocks the
             //    UI during each solve, but there is no parallel-worker memory contention —
@@ -1795,8 +3173,8 @@ export class SimUi {
               progressText.textContent = `${pct}% (${completed}/${totalScenarios}) · main thread${renderMT ? " · displaying" : " · solving…"}`;
             };
             renderProgress();
-            console.log(`[Sensitivity] main thread: ${scenarios.length} scenarios serially${renderMT ? " (displaying)" : ""}`);
-            for (const s of scenarios) {
+            console.log(`[Sensitivity] main thread: ${pending.length} scenarios serially${renderMT ? " (displaying)" : ""}`);
+            for (const s of pending) {
               if (stopRequested) break;
               // (Display build happens AFTER the solve, from the SIZED config — building
               // s.uiConfig here would show the seed-rated planet rings, which the sizing
@@ -1854,7 +3232,7 @@ export class SimUi {
           const requestedWorkers = parseInt(workerCountInput?.value, 10) || defaultWorkers;
           const pool = new SensitivityPool(requestedWorkers);
           this._sensPool = pool;
-          console.log(`[Sensitivity] parallel: ${scenarios.length} scenarios across ${pool.size} workers`);
+          console.log(`[Sensitivity] parallel: ${pending.length} scenarios across ${pool.size} workers`);
 
           // Live progress + worker utilization. onActivity fires as workers pick up
           // and finish jobs, so the readout reflects active threads in real time.
@@ -1873,7 +3251,7 @@ export class SimUi {
           renderProgress();
 
           try {
-            await Promise.all(scenarios.map((s) =>
+            await Promise.all(pending.map((s) =>
               pool.submit({
                 scenarioId: s.scenarioId,
                 uiConfig: s.uiConfig,
@@ -1911,83 +3289,103 @@ export class SimUi {
             progressBar.style.width = `${pct}%`;
             progressText.textContent = `${pct}% (${completed}/${totalScenarios}) · optimizing…`;
           };
+          // Chart one finished scenario (fresh or replayed from the checkpoint).
+          const pushOptimizedResult = (res, d, placement) => {
+            if (res.flowError) flowTimeouts++;
+            const built = buildScenarioMetrics(res, d, placement.label);
+            const { scenario, metrics, costs, capacityInfo, rs } = built;
+            resultArray.push({
+              scenario,
+              liveMetrics: {
+                satellites: res.satellitesCount,
+                costs, metrics,
+                capacityInfo: capacityInfo ? JSON.parse(JSON.stringify(capacityInfo)) : null,
+                routeSummary: rs ? { ...rs } : null,
+              },
+              data: [{ maxFlowGbps: res.maxFlowGbps }],
+            });
+            pushChartPoint(scenario, metrics);
+            return built;
+          };
           renderProgress();
 
           try {
             let scenarioId = 0;
-            for (const techUserVal of techValues) {
-              for (const ringCount of ringValues) {
-                for (const routeCount of routeValues) {
-                for (const placement of placements) {
-                  if (stopRequested) break;
-                  // 1. Apply this scenario's design live (the optimizer reads the live UI).
-                  applySecondAxisPre(routeCount);
-                  if (ringCount != null) this.applySimpleDefaults(ringCount);
-                  if (techUserVal != null) this.applySliderValues({ "laser_technology.improvement-factor": Math.round(Math.log2(techUserVal)) });
-                  applySecondAxisPost(routeCount);
-                  // 2. Reset only the SELECTED curves (any part checked) to their default shape.
-                  if (resetCurves) {
-                    for (const c of this._getOptimizeCurves()) {
-                      const def = Array.isArray(c.defaultY) ? c.defaultY : [{ x: 0, y: c.defaultY }, { x: 1, y: c.defaultY }];
-                      this._setCurve(c.key, def); this._curveRefresh?.[c.key]?.();
-                    }
-                  }
-                  // 3. Optimize headless — applies the winning curves to the live UI.
-                  const opt = await this._runBandSolver({ silent: true });
-                  if (stopRequested) break;
-                  // 4. Resize Earth/Mars from the optimized relay capacity (respect the selector).
-                  if (this._planetSizingMode() === "auto" && opt?.capacity > 0) this._writePlanetSizing(opt.capacity);
-                  // 5. Final metrics: one worker submit of the fully-optimized live config.
-                  const cfg = this.getGroupsConfig(allCats);
-                  cfg["simulation.calctimeSec"] = 100;
-                  const res = await pool.submit({
-                    scenarioId: scenarioId++, uiConfig: cfg,
-                    simDate: placement.simDate, sizingDate: placements[0].simDate,
-                    earthAngleOffset: placement.earthAngleOffset, marsAngleOffset: placement.marsAngleOffset,
-                    flowCalctimeMs: flowMs,
-                    computeFlow: calcFlow,
-                  }, estMBfor(cfg));
-                  if (stopRequested || !res) { completed++; renderProgress(); continue; }
-                  if (res.flowError) flowTimeouts++;
-                  const { scenario, metrics, costs, capacityInfo, rs } = buildScenarioMetrics(res, ringCount, techUserVal, placement.label, routeCount);
-                  resultArray.push({
-                    scenario,
-                    liveMetrics: {
-                      satellites: res.satellitesCount,
-                      costs, metrics,
-                      capacityInfo: capacityInfo ? JSON.parse(JSON.stringify(capacityInfo)) : null,
-                      routeSummary: rs ? { ...rs } : null,
-                    },
-                    data: [{ maxFlowGbps: res.maxFlowGbps }],
-                  });
-                  pushChartPoint(scenario, metrics);
-                  // 6. Archive the optimized config + its metrics.
-                  if (doArchive && this._archiveAppend) {
-                    const gbpsVal = rs && rs.totalThroughput > 0 ? rs.totalThroughput / 1000 : (res.maxFlowGbps || 0);
-                    const m = {
-                      relayType: this.getSelectedRelayType(),
-                      ringCount: typeof ringCount === "number" ? ringCount : (parseFloat(this.sliders.relay_type?.ringcount?.value) || 0),
-                      routeCount: routeCount ?? null,
-                      latticeCount: this._latticeTerminals(),
-                      satCount: res.satellitesCount || 0,
-                      gbps: Math.round(gbpsVal * 1000) / 1000,
-                      latMinMin: metrics.latMin != null ? Math.round(metrics.latMin * 10) / 10 : null,
-                      latP50Min: metrics.latP50 != null ? Math.round(metrics.latP50 * 10) / 10 : null,
-                      totalCostM: Number.isFinite(costs?.totalCosts) ? Math.round(costs.totalCosts / 1e6) : null,
-                      costPerMbps: Number.isFinite(costs?.costPerMbps) ? costs.costPerMbps : null,
-                      launches: costs?.launchCount ?? null,
-                      lasers: costs?.laserCount ?? null,
-                      junctionAngles: res.capacityInfo?.junctionAngles || null,
-                    };
-                    const tag = `opt: ${ringCount ?? "cur"} rings${techUserVal != null ? " · " + techUserVal + "x" : ""}${routeCount != null ? " · " + routeCount + " " + secondAxisMeta.unit : ""} · ${placement.label}`;
-                    this._archiveAppend({ id: Date.now() + scenarioId, name: tag, ts: new Date().toISOString(), config: this._archiveSnapshotConfig?.() || {}, metrics: m });
-                  }
+            for (const d of designs) {
+              for (const placement of placements) {
+                if (stopRequested) break;
+                const key = scenarioKey(d, placement);
+                const solverKey = SOLVER_PREFIX + key;
+                const rec = done.get(key);
+                if (rec) {
+                  // Finished before the interruption: replay it. Without the curve reset
+                  // the next scenario starts from this one's optimized curves, so restore them.
+                  if (!resetCurves) for (const [k, anchors] of Object.entries(rec.curves || {})) { this._setCurve(k, anchors); this._curveRefresh?.[k]?.(); }
+                  pushOptimizedResult(rec.res, d, placement);
+                  scenarioId++;
                   completed++;
                   renderProgress();
+                  continue;
                 }
-                if (stopRequested) break;
+                // 1. Apply this scenario's design live (the optimizer reads the live UI).
+                applyDesign(d);
+                // 2. Reset only the SELECTED curves (any part checked) to their default shape.
+                if (resetCurves) {
+                  for (const c of this._getOptimizeCurves()) {
+                    const def = Array.isArray(c.defaultY) ? c.defaultY : [{ x: 0, y: c.defaultY }, { x: 1, y: c.defaultY }];
+                    this._setCurve(c.key, def); this._curveRefresh?.[c.key]?.();
+                  }
                 }
+                // 3. Optimize headless — applies the winning curves to the live UI. The
+                //    annealing state is checkpointed every batch and resumed from there.
+                const opt = await this._runBandSolver({
+                  silent: true,
+                  resume: done.get(solverKey) || null,
+                  onCheckpoint: (state) => putRecord(runId, solverKey, state),
+                });
                 if (stopRequested) break;
+                // 4. Resize Earth/Mars from the optimized relay capacity (respect the selector).
+                if (this._planetSizingMode() === "auto" && opt?.capacity > 0) this._writePlanetSizing(opt.capacity);
+                // 5. Final metrics: one worker submit of the fully-optimized live config.
+                const cfg = this.getGroupsConfig(allCats);
+                cfg["simulation.calctimeSec"] = 100;
+                const res = await pool.submit({
+                  scenarioId: scenarioId++, uiConfig: cfg,
+                  simDate: placement.simDate, sizingDate: placements[0].simDate,
+                  earthAngleOffset: placement.earthAngleOffset, marsAngleOffset: placement.marsAngleOffset,
+                  flowCalctimeMs: flowMs,
+                  computeFlow: calcFlow,
+                }, estMBfor(cfg));
+                if (stopRequested || !res) { completed++; renderProgress(); continue; }
+                const { metrics, costs, rs } = pushOptimizedResult(res, d, placement);
+                const optimizedCurves = {};
+                for (const [k, dflt] of SimUi.ADAPTED_CURVES) optimizedCurves[k] = this._getCurve(k, dflt);
+                putRecord(runId, key, { res: checkpointRes(res), curves: optimizedCurves });
+                deleteRecord(runId, solverKey);
+                // 6. Archive the optimized config + its metrics.
+                if (doArchive && this._archiveAppend) {
+                  const gbpsVal = rs && rs.totalThroughput > 0 ? rs.totalThroughput / 1000 : (res.maxFlowGbps || 0);
+                  const m = {
+                    relayType: this.getSelectedRelayType(),
+                    ringCount: typeof d.ringCount === "number" ? d.ringCount : (parseFloat(this.sliders.relay_type?.ringcount?.value) || 0),
+                    routeCount: d.routeCount ?? null,
+                    latticeCount: this._latticeTerminals(),
+                    satCount: res.satellitesCount || 0,
+                    gbps: Math.round(gbpsVal * 1000) / 1000,
+                    latMinMin: metrics.latMin != null ? Math.round(metrics.latMin * 10) / 10 : null,
+                    latP50Min: metrics.latP50 != null ? Math.round(metrics.latP50 * 10) / 10 : null,
+                    totalCostM: Number.isFinite(costs?.totalCosts) ? Math.round(costs.totalCosts / 1e6) : null,
+                    costPerMbps: Number.isFinite(costs?.costPerMbps) ? costs.costPerMbps : null,
+                    launches: costs?.launchCount ?? null,
+                    lasers: costs?.laserCount ?? null,
+                    junctionAngles: res.capacityInfo?.junctionAngles || null,
+                    optimizer: opt?.optimizer || null, // seed + search settings, to replay the run
+                  };
+                  const tag = `opt: ${designTag(d)} · ${placement.label}`;
+                  this._archiveAppend({ id: Date.now() + scenarioId, name: tag, ts: new Date().toISOString(), config: this._archiveSnapshotConfig?.() || {}, metrics: m });
+                }
+                completed++;
+                renderProgress();
               }
               if (stopRequested) break;
             }
@@ -2036,8 +3434,12 @@ export class SimUi {
           console.warn(`[Sensitivity] ${flowTimeouts}/${totalScenarios} scenarios timed out in the max-flow solve (plotted as gaps).`);
         }
 
+        // A sweep that ran to the end needs no checkpoint; a stopped one stays resumable.
+        if (!stopRequested) await deleteRun(runId);
+
         // Offer results as a download
-        const data = { config: { type: "sensitivity" }, results: resultArray };
+        const params = Object.values(paramMeta).map(({ fullId, label, unit, values }) => ({ fullId, label, unit, values }));
+        const data = { config: { type: "sensitivity", ...(params.length ? { params } : {}) }, results: resultArray };
         this._lastSensitivityResults = data;
         this._showSensDownload(data);
 
@@ -2045,16 +3447,17 @@ export class SimUi {
         console.error("Sensitivity analysis error:", error);
       } finally {
         this.simMain._sensitivityRunning = false;
-        // Restore any slider `max` attributes lifted to allow out-of-range sweep values
+        // Restore any slider `max`/`min`/`step` attributes lifted for out-of-range sweep values
         // (the base value was already restored from baseSliderState above).
-        if (this._sensWidenedMaxes) {
-          for (const [input, origMax] of this._sensWidenedMaxes) input.max = origMax;
-          this._sensWidenedMaxes = null;
+        if (this._sensLiftedAttrs) {
+          for (const [input, orig] of this._sensLiftedAttrs) Object.assign(input, orig);
+          this._sensLiftedAttrs = null;
         }
         startBtn.disabled = false;
         startBtn.style.display = "";
         stopBtn.style.display = "none";
         updateEstimate();
+        showResumeOffer();
       }
     });
 
@@ -2086,6 +3489,89 @@ export class SimUi {
     if (wrap && data?.results?.length) wrap.style.display = "";
   }
 
+  /**
+   * Time-series export (Sensitivity pane): runs SimMain.longTermRun over
+   * [from, from + span] at the chosen step for the current constellation and offers
+   * the per-date rows as CSV / JSON.
+   */
+  setupTimeSeriesExport() {
+    const runBtn = document.getElementById("series-run-btn");
+    if (!runBtn) return;
+    const stopBtn = document.getElementById("series-stop-btn");
+    const fromInput = document.getElementById("series-from");
+    const spanInput = document.getElementById("series-span");
+    const stepInput = document.getElementById("series-step");
+    const progressWrap = document.getElementById("series-progress-wrap");
+    const progressBar = document.getElementById("series-progress-bar");
+    const progressText = document.getElementById("series-progress-text");
+    const downloadWrap = document.getElementById("series-download-wrap");
+    spanInput.value = SERIES_DEFAULT_SPAN_DAYS;
+    stepInput.value = SERIES_DEFAULT_STEP_DAYS;
+    let stopRequested = false;
+
+    runBtn.addEventListener("click", async () => {
+      if (this.simMain._sensitivityRunning) return;
+      const from = fromInput.value ? new Date(`${fromInput.value}T00:00:00Z`) : new Date(this.simMain.simTime.getDate());
+      const spanDays = Math.max(1, parseFloat(spanInput.value) || SERIES_DEFAULT_SPAN_DAYS);
+      const stepDays = stepInput.value === "" ? SERIES_DEFAULT_STEP_DAYS : parseFloat(stepInput.value);
+      if (isNaN(from.getTime())) return;
+      // longTermRun advances by calendar days: whole-day steps only.
+      if (!Number.isInteger(stepDays) || stepDays < 1) {
+        downloadWrap.style.display = "none";
+        progressWrap.style.display = "";
+        progressBar.style.width = "0%";
+        progressText.textContent = "Step must be a whole number of days ≥ 1";
+        return;
+      }
+      const to = new Date(from.getTime() + spanDays * 86400000);
+      const total = Math.floor(spanDays / stepDays) + 1;
+
+      stopRequested = false;
+      this.simMain._sensitivityRunning = true; // pause the live loop while the batch owns the sim state
+      runBtn.disabled = true;
+      stopBtn.style.display = "";
+      downloadWrap.style.display = "none";
+      progressWrap.style.display = "";
+      progressBar.style.width = "0%";
+      progressText.textContent = `0/${total}`;
+      try {
+        const result = await this.simMain.longTermRun({ from, to, stepDays }, {
+          skipDisplay: true,
+          onStep: (row, i) => {
+            progressBar.style.width = `${Math.round((100 * (i + 1)) / total)}%`;
+            progressText.textContent = `${i + 1}/${total} · ${row.simDate.slice(0, 10)}`;
+            return !stopRequested;
+          },
+        });
+        const meta = {
+          from: from.toISOString(),
+          to: to.toISOString(),
+          stepDays,
+          relayType: this.getGroupsConfig(["relay_type"])["relay_type.selected"] ?? null,
+          summary: result.dataSummary,
+        };
+        this._lastSeries = { meta, rows: result.data };
+        if (result.data.length) downloadWrap.style.display = "flex";
+      } catch (error) {
+        console.error("Time-series export error:", error);
+      } finally {
+        this.simMain._sensitivityRunning = false;
+        runBtn.disabled = false;
+        stopBtn.style.display = "none";
+      }
+    });
+
+    stopBtn.addEventListener("click", () => { stopRequested = true; });
+
+    const fileStem = () => `marslink-series-${this._lastSeries.meta.from.slice(0, 10)}-${this._lastSeries.meta.stepDays}d`;
+    document.getElementById("series-download-csv")?.addEventListener("click", () => {
+      if (this._lastSeries) this.saveTextFile(seriesToCsv(this._lastSeries.rows), `${fileStem()}.csv`, "text/csv");
+    });
+    document.getElementById("series-download-json")?.addEventListener("click", () => {
+      if (this._lastSeries) this.saveToJson(seriesToJson(this._lastSeries.meta, this._lastSeries.rows), fileStem());
+    });
+  }
+
   /**
    * Maps internal slider value to user-facing value, considering the scale (linear or pow2).
    * @param {Object} slider - The slider configuration object.
@@ -2659,6 +4145,7 @@ export class SimUi {
 
     this._updatePlanetSizingLock();
     this._injectBandSolverUI();
+    this._injectParetoUI();
     this._injectFlightUI();
     this._injectProbeUI();
     this._injectConfigArchive();
@@ -2679,14 +4166,11 @@ export class SimUi {
     const KEY = "marslinkArchive";
     const load = () => { try { const a = JSON.parse(localStorage.getItem(KEY)); return Array.isArray(a) ? a : []; } catch { return []; } };
     const save = (arr) => { try { localStorage.setItem(KEY, JSON.stringify(arr)); } catch (e) { console.error("[Archive] save failed", e); } };
-    const esc = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
     const fmtInt = (n) => (Number.isFinite(n) ? Math.round(n) : 0).toLocaleString();
 
     // --- capture: sliders + curves + live result metrics ---------------------
-    // Sections that actually affect the constellation, costs & performance (the same set
-    // sent to the worker on rebuild). Deliberately EXCLUDES "display" (pure visualization)
-    // plus a couple of playback/overlay-only controls — those are not saved.
-    const BUILD_CATS = ["economics", "simulation", "laser_technology", "ring_mars", "relay_type", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_schedule", "launch_vehicle", "satellite"];
+    // BUILD_CATS (simHeadless.js): the sections sent to the worker on rebuild. "display"
+    // and a couple of playback/overlay-only controls are not saved.
     const VIZ_SLIDERS = new Set(["simulation.time-acceleration-slider"]);
     const snapshotSliders = () => {
       const snap = {};
@@ -2749,8 +4233,14 @@ export class SimUi {
         }
       }
     };
+    const curveKeys = SimUi.ADAPTED_CURVES.map(([k]) => k);
     const loadEntry = (entry) => {
-      const cfg = entry.config || {};
+      // Entries saved under an older slider schema are migrated first (simPresetFile.js).
+      const { config: cfg, migrated, unapplied } = upgradePresetConfig(entry.config, entry.schemaVersion ?? 0, { curveKeys });
+      // Shown in the pane's report box (declared with the import panel below).
+      const report = formatPresetReport([{ name: entry.name, migrated, unapplied }]);
+      importReport.textContent = report ? `Loaded "${entry.name}" with changes.\n${report}` : "";
+      importReport.hidden = !report;
       if (cfg.sliders) applySliders(cfg.sliders);
       if (cfg.curves) for (const [k, anchors] of Object.entries(cfg.curves)) {
         if (Array.isArray(anchors)) { this._setCurve(k, anchors); this._curveRefresh?.[k]?.(); }
@@ -2940,10 +4430,185 @@ export class SimUi {
       costVsMbpsWrap.appendChild(card);
     };
 
+    // --- compare: two or more entries side by side ---------------------------
+    // Parameter diff (effective values, i.e. defaults filled in), the saved headline
+    // metrics, and each constellation rebuilt in-process and drawn in its own 2D view.
+    const compareIds = new Set();
+    const compareBtn = document.createElement("button");
+    compareBtn.type = "button"; compareBtn.className = "btn";
+    compareBtn.style.cssText = "align-self:flex-start; font-size:11px; padding:3px 12px;";
+    compareBtn.title = "Tick “Compare” on two or more saved configs, then open them side by side.";
+    const updateCompareBtn = () => {
+      compareBtn.textContent = `⇔ Compare selected (${compareIds.size})`;
+      compareBtn.disabled = compareIds.size < 2;
+    };
+
+    const COMPARE_METRICS = [
+      { key: "gbps", label: "Max flow", unit: "Gbps", better: "max", fmt: (v) => String(v) },
+      { key: "latMinMin", label: "Latency (min)", unit: "min", better: "min", fmt: (v) => v.toFixed(1) },
+      { key: "latP50Min", label: "Latency (median)", unit: "min", better: "min", fmt: (v) => v.toFixed(1) },
+      { key: "satCount", label: "Satellites", unit: "", better: "min", fmt: fmtInt },
+      { key: "launches", label: "Launches", unit: "", better: "min", fmt: fmtInt },
+      { key: "costPerMbps", label: "Cost per Mbps", unit: "$", better: "min", fmt: fmtInt },
+      { key: "totalCostM", label: "Total cost", unit: "$M", better: "min", fmt: fmtInt },
+    ];
+    const defaultSliders = () => {
+      const out = {};
+      for (const section of BUILD_CATS) {
+        for (const [sliderId, sd] of Object.entries(this.slidersData[section] || {})) {
+          const fullId = `${section}.${sliderId}`;
+          if (sd.type === "header" || sd.type === "computed" || VIZ_SLIDERS.has(fullId)) continue;
+          out[fullId] = String(this.sliderDefaults?.[fullId] ?? sd.value);
+        }
+      }
+      return out;
+    };
+    const fmtSliderValue = (fullId, value) => {
+      const [section, sliderId] = fullId.split(".");
+      const sd = this.slidersData[section]?.[sliderId];
+      const num = parseFloat(value);
+      if (!sd || typeof sd.value !== "number" || !Number.isFinite(num)) return String(value);
+      const v = this.mapSliderValueToUserFacing(sd, num);
+      return `${Number.isInteger(v) ? v.toLocaleString() : +v.toPrecision(4)}${sd.unit ? " " + sd.unit : ""}`;
+    };
+    const fmtCurve = (anchors) => {
+      const ys = anchors.map((p) => p.y);
+      return `${anchors.length} anchors · ${Math.round(Math.min(...ys))}–${Math.round(Math.max(...ys))}`;
+    };
+    const curveSig = (anchors) => anchors.map((p) => `${p.x.toFixed(4)},${p.y.toFixed(2)}`).join(";");
+
+    const openCompare = async (entries) => {
+      const configs = entries.map((e) => upgradePresetConfig(e.config, e.schemaVersion ?? 0, { curveKeys }).config);
+      const base = defaultSliders();
+      const effective = configs.map((c) => ({ ...base, ...c.sliders }));
+      const curves = configs.map((c) => Object.fromEntries(SimUi.ADAPTED_CURVES.map(([k, dflt]) => [k, c.curves[k] || (Array.isArray(dflt) ? dflt : [{ x: 0, y: dflt }, { x: 1, y: dflt }])])));
+
+      const overlay = document.createElement("div");
+      overlay.className = "archive-compare";
+      overlay.style.cssText = "position:fixed; inset:0; z-index:1000; overflow:auto; padding:16px 20px; background:var(--bg,#111); display:flex; flex-direction:column; gap:14px;";
+      const head = document.createElement("div");
+      head.style.cssText = "display:flex; justify-content:space-between; align-items:center; gap:8px;";
+      head.innerHTML = `<div style="font-size:15px; font-weight:700;">Compare ${entries.length} saved configs</div>`;
+      const closeBtn = document.createElement("button");
+      closeBtn.type = "button"; closeBtn.className = "btn";
+      closeBtn.textContent = "✕ Close";
+      head.appendChild(closeBtn);
+
+      const th = (t) => `<th style="text-align:left; padding:3px 8px; border-bottom:1px solid var(--border-2,#333); font-size:12px;">${t}</th>`;
+      const td = (t, extra = "") => `<td style="padding:3px 8px; font-size:12px; ${extra}">${t}</td>`;
+      const headRow = `<tr>${th("")}${entries.map((e) => th(esc(e.name))).join("")}</tr>`;
+
+      // Parameter diff: only settings whose effective value differs between entries.
+      const diffRows = [];
+      for (const fullId of Object.keys(base)) {
+        const values = effective.map((s) => String(s[fullId]));
+        if (values.every((v) => v === values[0])) continue;
+        const [section, sliderId] = fullId.split(".");
+        const sd = this.slidersData[section][sliderId];
+        diffRows.push(`<tr>${td(`${esc(sd.label || sliderId)} <span class="muted">· ${esc(section)}</span>`)}${values.map((v) => td(esc(fmtSliderValue(fullId, v)))).join("")}</tr>`);
+      }
+      for (const [k] of SimUi.ADAPTED_CURVES) {
+        const sigs = curves.map((c) => curveSig(c[k]));
+        if (sigs.every((sg) => sg === sigs[0])) continue;
+        diffRows.push(`<tr>${td(`${esc(k.split(".")[1])} <span class="muted">· curve</span>`)}${curves.map((c) => td(esc(fmtCurve(c[k])))).join("")}</tr>`);
+      }
+      const diffWrap = document.createElement("div");
+      diffWrap.innerHTML = `<div style="font-size:13px; font-weight:600; margin-bottom:4px;">Changed parameters</div>` +
+        (diffRows.length
+          ? `<table style="border-collapse:collapse;">${headRow}${diffRows.join("")}</table>`
+          : `<div class="muted" style="font-size:12px;">Every parameter is identical.</div>`);
+
+      // Metrics as saved with each entry; the best value per row in bold.
+      const metricRows = COMPARE_METRICS.map(({ key, label, unit, better, fmt }) => {
+        const vals = entries.map((e) => { const v = e.metrics?.[key]; return Number.isFinite(v) ? v : null; });
+        const known = vals.filter((v) => v != null);
+        const best = known.length > 1 ? (better === "max" ? Math.max(...known) : Math.min(...known)) : null;
+        const cells = vals.map((v) => td(v == null ? "—" : esc(fmt(v)), v != null && v === best ? "font-weight:700;" : ""));
+        return `<tr>${td(`${label}${unit ? ` <span class="muted">(${unit})</span>` : ""}`)}${cells.join("")}</tr>`;
+      });
+      const metricsWrap = document.createElement("div");
+      metricsWrap.innerHTML = `<div style="font-size:13px; font-weight:600; margin-bottom:4px;">Key metrics <span class="muted" style="font-weight:400; font-size:11px;">as saved</span></div>` +
+        `<table style="border-collapse:collapse;">${headRow}${metricRows.join("")}</table>`;
+
+      const viewsWrap = document.createElement("div");
+      viewsWrap.style.cssText = `display:grid; grid-template-columns:repeat(${Math.min(entries.length, 3)}, 1fr); gap:10px;`;
+      const panels = entries.map((e) => {
+        const card = document.createElement("div");
+        card.style.cssText = "border:1px solid var(--border-2,#333); border-radius:8px; overflow:hidden; display:flex; flex-direction:column;";
+        const title = document.createElement("div");
+        title.style.cssText = "font-size:12px; font-weight:600; padding:4px 8px;";
+        title.textContent = e.name;
+        const view = document.createElement("div");
+        view.style.cssText = "position:relative; height:360px;";
+        view.innerHTML = `<div class="muted" style="font-size:12px; padding:8px;">Waiting…</div>`;
+        card.append(title, view);
+        viewsWrap.appendChild(card);
+        return view;
+      });
+
+      overlay.append(head, diffWrap, metricsWrap, viewsWrap);
+      document.body.appendChild(overlay);
+
+      const displays = [];
+      let closed = false;
+      const close = () => {
+        closed = true;
+        for (const d of displays) d.dispose();
+        overlay.remove();
+        document.removeEventListener("keydown", onKey);
+      };
+      const onKey = (ev) => { if (ev.key === "Escape") close(); };
+      closeBtn.addEventListener("click", close);
+      document.addEventListener("keydown", onKey);
+
+      // Build one constellation at a time on the main thread (runScenario mutates the
+      // worker module's state), yielding between them so the overlay stays responsive.
+      let SimDisplay2D;
+      try { ({ SimDisplay: SimDisplay2D } = await import("./simDisplay-2d.js?v=4.42")); } catch (err) { console.error("[Archive] compare view unavailable", err); return; }
+      const simDate = this.simMain.simTime.getDate().toISOString();
+      for (let i = 0; i < entries.length && !closed; i++) {
+        const view = panels[i];
+        view.innerHTML = `<div class="muted" style="font-size:12px; padding:8px;">Building constellation…</div>`;
+        await new Promise((r) => setTimeout(r, 0));
+        if (closed) break;
+        let res;
+        try {
+          res = runScenarioInProcess({ uiConfig: uiConfigFromSnapshot(configs[i].sliders, configs[i].curves), simDate, computeFlow: false, includeLinks: true });
+        } catch (err) {
+          console.error("[Archive] compare build failed", err);
+          view.innerHTML = `<div class="muted" style="font-size:12px; padding:8px;">Build failed: ${esc(err.message)}</div>`;
+          continue;
+        }
+        // Copy out of the worker module's state: the next runScenario overwrites it.
+        const { simSatellites, simSolarSystem } = getSimWorkerState();
+        const satellites = simSatellites.getSatellites().map((s) => ({ name: s.name, ringName: s.ringName, orbitalZone: s.orbitalZone, suitable: s.suitable, position: { ...s.position } }));
+        const planets = simSolarSystem.getSolarSystemData().planets.map((p) => ({ name: p.name, position: { ...p.position } }));
+        view.innerHTML = "";
+        const display = new SimDisplay2D(view);
+        displays.push(display);
+        // Frame out to Mars aphelion (1.67 AU) at the display's 300 px/AU base scale.
+        display.zoom = Math.min(view.clientWidth, view.clientHeight) / 2 / (1.75 * 300);
+        display.setLinksColors("Capacity");
+        display.setSatelliteColorMode("Zone");
+        display.setSatellites(satellites);
+        display.updatePositions(planets, satellites);
+        display.updatePossibleLinks(res.possibleLinks || []);
+        display.updateActiveLinks([]);
+      }
+    };
+    compareBtn.addEventListener("click", () => {
+      const arr = load();
+      const entries = [...compareIds].map((id) => arr.find((e) => String(e.id) === id)).filter(Boolean);
+      if (entries.length >= 2) openCompare(entries);
+    });
+
     const listEl = document.createElement("div");
     listEl.style.cssText = "display:flex; flex-direction:column; gap:6px;";
     const renderList = () => {
       const arr = load();
+      // Drop selections whose entries were deleted.
+      for (const id of [...compareIds]) if (!arr.some((e) => String(e.id) === id)) compareIds.delete(id);
+      updateCompareBtn();
       const cEl = legend.querySelector("#archive-count"); if (cEl) cEl.textContent = arr.length ? `${arr.length} saved` : "";
       if (!arr.length) { listEl.innerHTML = `<div class="muted" style="font-size:12px; padding:4px 2px;">No saved configs yet — click Save.</div>`; return; }
       listEl.innerHTML = "";
@@ -2965,6 +4630,7 @@ export class SimUi {
           `<div class="muted" style="font-size:10px; opacity:0.65;">${esc(date)}</div>` +
           `</div>` +
           `<div style="display:flex; flex-direction:column; gap:4px; flex:none;">` +
+          `<label class="muted" title="Select for side-by-side comparison" style="font-size:11px; display:flex; gap:4px; align-items:center; cursor:pointer;"><input type="checkbox" class="archive-cmp" data-id="${esc(e.id)}"${compareIds.has(String(e.id)) ? " checked" : ""}>Compare</label>` +
           `<button class="btn archive-load" data-id="${esc(e.id)}" style="font-size:11px; padding:2px 8px;">Load</button>` +
           `<button class="btn archive-del" data-id="${esc(e.id)}" title="Delete" style="font-size:11px; padding:2px 8px;">✕</button>` +
           `</div></div>`;
@@ -2974,6 +4640,10 @@ export class SimUi {
         const e = load().find((x) => String(x.id) === b.dataset.id);
         if (e) loadEntry(e);
       }));
+      listEl.querySelectorAll(".archive-cmp").forEach((c) => c.addEventListener("change", () => {
+        if (c.checked) compareIds.add(c.dataset.id); else compareIds.delete(c.dataset.id);
+        updateCompareBtn();
+      }));
       listEl.querySelectorAll(".archive-del").forEach((b) => b.addEventListener("click", () => {
         if (!confirm("Delete this saved config?")) return;
         save(load().filter((x) => String(x.id) !== b.dataset.id));
@@ -2985,7 +4655,7 @@ export class SimUi {
     // Hooks so other features (the optimized sensitivity sweep) can capture the current
     // config and append archive entries without going through the Save button/prompt.
     this._archiveSnapshotConfig = () => ({ sliders: snapshotSliders(), curves: snapshotCurves() });
-    this._archiveAppend = (entry) => { const arr = load(); arr.unshift(entry); save(arr); renderAll(); };
+    this._archiveAppend = (entry) => { const arr = load(); arr.unshift({ schemaVersion: PRESET_SCHEMA_VERSION, ...entry }); save(arr); renderAll(); };
 
     saveBtn.addEventListener("click", () => {
       const m = captureMetrics();
@@ -2993,7 +4663,7 @@ export class SimUi {
       const name = prompt("Name this saved config:", def);
       if (name === null) return;
       const arr = load();
-      arr.unshift({ id: Date.now(), name: name.trim() || def, ts: new Date().toISOString(), config: { sliders: snapshotSliders(), curves: snapshotCurves() }, metrics: m });
+      arr.unshift({ id: Date.now(), name: name.trim() || def, ts: new Date().toISOString(), schemaVersion: PRESET_SCHEMA_VERSION, config: { sliders: snapshotSliders(), curves: snapshotCurves() }, metrics: m });
       save(arr);
       renderAll();
     });
@@ -3067,14 +4737,34 @@ export class SimUi {
     techRow.append(document.createTextNode("normalize to laser tech:"), techSlider, techVal);
     updTech();
 
-    // Import: paste a JSON array (or a single entry) and append it to the archive.
-    // Accepts the output of "Copy results JSON" as-is. Entries with missing or
-    // colliding ids are re-stamped so they don't overwrite existing saves.
+    // Export: every saved config as a versioned preset file (simPresetFile.js), so it can
+    // be re-imported after slider keys change.
+    const exportBtn = document.createElement("button");
+    exportBtn.type = "button"; exportBtn.className = "btn";
+    exportBtn.style.cssText = "width:100%;";
+    exportBtn.textContent = "📤 Export presets file";
+    exportBtn.title = "Download every saved config as a preset file with a schema version; importing it later migrates renamed or repurposed settings.";
+    exportBtn.addEventListener("click", () => {
+      const arr = load();
+      if (!arr.length) return;
+      const blob = new Blob([JSON.stringify(exportPresetFile(arr), null, 2)], { type: "application/json" });
+      const a = document.createElement("a");
+      a.href = URL.createObjectURL(blob);
+      a.download = `marslink-presets-${new Date().toISOString().slice(0, 10)}.json`;
+      a.click();
+      URL.revokeObjectURL(a.href);
+    });
+
+    // Import: paste a JSON array (or a single entry), or load a preset file, and append
+    // it to the archive. Accepts the output of "Copy results JSON" and any older preset
+    // shape; everything is migrated to the current schema (readPresetFile) and the values
+    // that still can't be applied are listed below. Entries with missing or colliding ids
+    // are re-stamped so they don't overwrite existing saves.
     const importBtn = document.createElement("button");
     importBtn.type = "button"; importBtn.className = "btn";
     importBtn.style.cssText = "width:100%;";
-    importBtn.textContent = "📥 Import results JSON";
-    importBtn.title = "Paste a JSON array of saved configs to add them to this archive.";
+    importBtn.textContent = "📥 Import results JSON / presets file";
+    importBtn.title = "Paste a JSON array of saved configs, or load a preset file, to add them to this archive.";
 
     const importPanel = document.createElement("div");
     importPanel.hidden = true;
@@ -3090,25 +4780,35 @@ export class SimUi {
     importDoBtn.type = "button"; importDoBtn.className = "btn btn-primary";
     importDoBtn.style.cssText = "font-size:11px; padding:3px 12px;";
     importDoBtn.textContent = "Add to archive";
+    const importFileBtn = document.createElement("button");
+    importFileBtn.type = "button"; importFileBtn.className = "btn";
+    importFileBtn.style.cssText = "font-size:11px; padding:3px 12px;";
+    importFileBtn.textContent = "Load file…";
+    const importFile = document.createElement("input");
+    importFile.type = "file"; importFile.accept = ".json,application/json"; importFile.hidden = true;
     const importCancelBtn = document.createElement("button");
     importCancelBtn.type = "button"; importCancelBtn.className = "btn";
     importCancelBtn.style.cssText = "font-size:11px; padding:3px 12px;";
     importCancelBtn.textContent = "Cancel";
-    importActions.append(importDoBtn, importCancelBtn);
+    importActions.append(importDoBtn, importFileBtn, importFile, importCancelBtn);
     importPanel.append(importTa, importActions, importMsg);
+    // Migration report of the last import or load; stays visible after the panel closes.
+    const importReport = document.createElement("pre");
+    importReport.hidden = true;
+    importReport.className = "muted";
+    importReport.style.cssText = "font-size:11px; white-space:pre-wrap; margin:0; max-height:200px; overflow:auto; border:1px solid var(--border-2,#333); border-radius:6px; padding:6px 8px;";
 
     importBtn.addEventListener("click", () => {
       importPanel.hidden = !importPanel.hidden;
       if (!importPanel.hidden) { importMsg.textContent = ""; importTa.focus(); }
     });
     importCancelBtn.addEventListener("click", () => { importPanel.hidden = true; importTa.value = ""; importMsg.textContent = ""; });
-    importDoBtn.addEventListener("click", () => {
-      const raw = importTa.value.trim();
+    const importJson = (raw) => {
       if (!raw) { importMsg.textContent = "Paste some JSON first."; return; }
       let parsed;
       try { parsed = JSON.parse(raw); } catch (err) { importMsg.textContent = "Invalid JSON: " + err.message; return; }
-      const incoming = (Array.isArray(parsed) ? parsed : [parsed]).filter((e) => e && typeof e === "object");
-      if (!incoming.length) { importMsg.textContent = "No archive entries found in that JSON."; return; }
+      let incoming, report;
+      try { ({ entries: incoming, report } = readPresetFile(parsed, { curveKeys })); } catch (err) { importMsg.textContent = err.message; return; }
       const arr = load();
       const ids = new Set(arr.map((e) => String(e.id)));
       let base = Date.now(), added = 0;
@@ -3128,6 +4828,16 @@ export class SimUi {
       importTa.value = "";
       importPanel.hidden = true;
       importMsg.textContent = `Added ${added} ${added === 1 ? "entry" : "entries"}.`;
+      const text = formatPresetReport(report);
+      importReport.textContent = `Imported ${added} ${added === 1 ? "entry" : "entries"}.` + (text ? `\n${text}` : " Every value applied as saved.");
+      importReport.hidden = false;
+    };
+    importDoBtn.addEventListener("click", () => importJson(importTa.value.trim()));
+    importFileBtn.addEventListener("click", () => importFile.click());
+    importFile.addEventListener("change", async () => {
+      const file = importFile.files?.[0];
+      importFile.value = "";
+      if (file) importJson((await file.text()).trim());
     });
 
     // --- Danger zone: wipe the entire archive --------------------------------
@@ -3154,7 +4864,7 @@ export class SimUi {
     });
     danger.append(dangerTitle, dangerDesc, deleteAllBtn);
 
-    wrap.append(saveBtn, copyBtn, importBtn, importPanel, chartsLabel, xToggle, techRow, legend, chartsWrap, mkLabel("Cost vs capacity"), costVsMbpsWrap, mkLabel("Saved configs"), listEl, danger);
+    wrap.append(saveBtn, copyBtn, exportBtn, importBtn, importPanel, importReport, chartsLabel, xToggle, techRow, legend, chartsWrap, mkLabel("Cost vs capacity"), costVsMbpsWrap, mkLabel("Saved configs"), compareBtn, listEl, danger);
     host.appendChild(wrap);
     setXMode(xMode);
     renderAll();
@@ -3274,6 +4984,7 @@ export class SimUi {
         <label title="Parallel worker threads. Capped at the logical core count; the renderer needs some headroom, so ~two-thirds of the cores is a good default.">threads <input type="number" id="band-solver-threads" value="${defThreads}" min="1" max="${cores}" step="1" style="width:48px;">/${cores}</label>
         <label title="Hard memory cap, as a % of this tab's JS heap limit. Workers share one ~4GB V8 cage with the main thread, so their heaps add up — the optimizer only starts a job while the running total stays under this cap, so a sweep won't crash the tab ('Aw, Snap! Out of Memory'). Lower it if you hit crashes; raise it to admit more jobs at once. Default 75%.">mem <input type="number" id="band-solver-mem" value="75" min="10" max="95" step="5" style="width:48px;">%</label>
         <label title="Scale factor on the size of each proposed change (the Gaussian step). 1× = unscaled; below 1 = smaller, smoother moves (less abrupt); above 1 = bolder jumps. Applies to the annealing perturbations, not the random restarts.">step <input type="number" id="band-solver-step" value="0.3" min="0.05" max="2" step="0.05" style="width:52px;">×</label>
+        <label title="Random seed for the search. Blank = a fresh seed each run (reported when it finishes and saved with archived sweep results). The same seed with the same settings, threads/mem (they set the batch size) and sim date replays a run exactly.">seed <input type="number" id="band-solver-seed" placeholder="random" min="0" max="4294967295" step="1" style="width:84px;"></label>
       </div>
       <div class="muted" style="display:flex; gap:10px; align-items:center; margin-top:6px; font-size:12px; flex-wrap:wrap;">
         <span title="Each generation picks ONE of the checked move types at random and applies it to the whole batch. 'all charts' touches every checked chart; '1 chart' picks one random chart for the batch. 'all dims' jitters every value in scope; '1 dim' jitters one random value of the chosen chart. Check several to mix strategies.">moves <span class="muted" style="font-weight:400;">(random each step):</span></span>
@@ -3923,16 +5634,60 @@ export class SimUi {
     return svg + legend;
   }
 
+  /**
+   * The curve search space shared by the band solver and the Pareto optimizer. Every
+   * checked part of every curve is searched at once: each curve is sampled at
+   * bandCount evenly-spaced points, and only the indices whose part (left endpoint /
+   * middle / right endpoint) is checked are free — the rest stay fixed at the curve's
+   * current value. The flat search vector concatenates the free values.
+   * @returns {{ plan: Array<{key, seed, free, start}>, initialWeights: number[],
+   *             anchorsFor: (p: object, weights: number[]) => Array<{x, y}> }}
+   */
+  _buildOptimizePlan(bandCount) {
+    const ds = this.simMain.simSatellites;
+    const denom = Math.max(1, bandCount - 1);
+    const segToAnchors = (seg) => seg.map((y, i) => ({ x: i / denom, y }));
+    const plan = [];
+    for (const c of this._getOptimizeCurves()) {
+      const cur = this._getCurve(c.key, c.defaultY);
+      const seed = [];
+      for (let i = 0; i < bandCount; i++) seed.push(ds.densityFromAnchors(cur, i / denom));
+      const free = [];
+      for (let i = 0; i < bandCount; i++) {
+        const isLeft = i === 0, isRight = i === bandCount - 1;
+        if ((isLeft && c.parts.left) || (isRight && c.parts.right) || (!isLeft && !isRight && c.parts.middle)) free.push(i);
+      }
+      if (free.length) plan.push({ key: c.key, seed, free });
+    }
+    let off = 0;
+    for (const p of plan) { p.start = off; off += p.free.length; } // offset in the search vector
+    // Seed the search vector from the free values of each curve.
+    const initialWeights = [];
+    for (const p of plan) for (const idx of p.free) initialWeights.push(p.seed[idx]);
+    // Reconstruct a curve's full anchor set from the search vector: start from its
+    // fixed seed and overwrite only the free indices.
+    const anchorsFor = (p, weights) => {
+      const full = p.seed.slice();
+      p.free.forEach((idx, j) => { full[idx] = weights[p.start + j]; });
+      return segToAnchors(full);
+    };
+    return { plan, initialWeights, anchorsFor };
+  }
+
   /**
    * Run the adapted-ring density optimizer. Builds the current full config, fans
    * candidate band-weight vectors out across a fresh worker pool (objective-only fast
    * path), and applies the best distribution found to the curve(s).
    * opts.silent: run headless (no band-solver button/progress/revert UI) and return
-   *   { applied, capacity } — used by the optimized sensitivity sweep.
+   *   { applied, capacity, optimizer } — used by the optimized sensitivity sweep.
+   *   `optimizer` holds the seed and every setting that steers the search, so an
+   *   archived result can be replayed exactly.
+   * opts.onCheckpoint / opts.resume: passed through to solveBandDistribution so the
+   *   sweep can persist the annealing state and continue it after a reload.
    */
   async _runBandSolver(opts = {}) {
     const silent = !!opts.silent;
-    if (this._bandSolverRunning) return null;
+    if (this._bandSolverRunning || this._paretoRunning) return null;
     const btn = document.getElementById("band-solver-btn");
     const stopBtn = document.getElementById("band-solver-stop");
     const prog = document.getElementById("band-solver-progress");
@@ -3947,32 +5702,14 @@ export class SimUi {
     const moveModes = [...document.querySelectorAll(".band-solver-move:checked")].map((c) => c.value);
     if (!moveModes.length) moveModes.push("single-1chart"); // fall back if the user unchecked all
     const stepScale = Math.max(0.05, Math.min(2, parseFloat(document.getElementById("band-solver-step")?.value) || 1)); // scales proposed move size
+    const seedVal = parseInt(document.getElementById("band-solver-seed")?.value, 10);
+    const seed = Number.isFinite(seedVal) && seedVal >= 0 ? seedVal : null; // blank → the solver draws one
 
-    // The optimizer searches every checked part of every curve at once. Each curve is
-    // sampled at bandCount evenly-spaced points; only the indices whose part (left
-    // endpoint / middle / right endpoint) is checked are free — the rest stay fixed at
-    // the curve's current value. The flat search vector concatenates the free values.
-    const ds = this.simMain.simSatellites;
-    const denom = Math.max(1, bandCount - 1);
-    const segToAnchors = (seg) => seg.map((y, i) => ({ x: i / denom, y }));
-    const plan = [];
-    for (const c of this._getOptimizeCurves()) {
-      const cur = this._getCurve(c.key, c.defaultY);
-      const seed = [];
-      for (let i = 0; i < bandCount; i++) seed.push(ds.densityFromAnchors(cur, i / denom));
-      const free = [];
-      for (let i = 0; i < bandCount; i++) {
-        const isLeft = i === 0, isRight = i === bandCount - 1;
-        if ((isLeft && c.parts.left) || (isRight && c.parts.right) || (!isLeft && !isRight && c.parts.middle)) free.push(i);
-      }
-      if (free.length) plan.push({ key: c.key, seed, free });
-    }
+    const { plan, initialWeights, anchorsFor } = this._buildOptimizePlan(bandCount);
     if (plan.length === 0) {
       if (prog) { prog.style.display = ""; prog.textContent = "Nothing to optimize — check a part (‘middle’ needs ≥3 points)."; }
-      return silent ? { applied: false, capacity: 0 } : undefined;
+      return silent ? { applied: false, capacity: 0, optimizer: null } : undefined;
     }
-    let _off = 0;
-    for (const p of plan) { p.start = _off; _off += p.free.length; } // offset in the search vector
 
     // Snapshot the optimized curves so the run can be reverted afterwards; clear any
     // stale revert button from a previous run.
@@ -3991,16 +5728,6 @@ export class SimUi {
       "ring_mars", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
     ];
     const baseConfig = this.getGroupsConfig(allCats);
-    // Seed the search vector from the free values of each curve.
-    const initialWeights = [];
-    for (const p of plan) for (const idx of p.free) initialWeights.push(p.seed[idx]);
-    // Reconstruct a curve's full anchor set from the search vector: start from its
-    // fixed seed and overwrite only the free indices.
-    const anchorsFor = (p, weights) => {
-      const full = p.seed.slice();
-      p.free.forEach((idx, j) => { full[idx] = weights[p.start + j]; });
-      return segToAnchors(full);
-    };
 
     // Geometry samples (shared with the sensitivity sweep via _buildGeometries):
     // 'current' scores the live layout at the current sim date; 4/16 place Earth & Mars
@@ -4131,7 +5858,10 @@ export class SimUi {
         batchSize,
         moveModes,
         stepScale,
+        seed,
         segments: plan.map((p) => ({ start: p.start, length: p.free.length, free: p.free })), // per-chart ranges (+ x-indices for same-x moves)
+        onCheckpoint: opts.onCheckpoint,
+        resume: opts.resume,
         onBatch: (ws) => {
           // Live "what's cooking" cloud: map each candidate's weight vector to per-curve
           // anchors and push it as the faded batch overlay on every optimized chart.
@@ -4188,7 +5918,7 @@ export class SimUi {
       const latChange = baseFeasible && isFinite(b.latency) && b.latency > 0 && isFinite(m.latency) ? ((m.latency - b.latency) / b.latency) * 100 : null;
       const capStr = capGain != null ? `${fmtCap(m.capacity || 0)} (${capGain >= 0 ? "+" : ""}${capGain.toFixed(1)}%)` : `${fmtCap(m.capacity || 0)} (from infeasible start)`;
       const latStr = latChange != null ? ` · lat ${fmtLat(m.latency)} (${latChange >= 0 ? "+" : ""}${latChange.toFixed(1)}%)` : ` · lat ${fmtLat(m.latency)}`;
-      if (prog) prog.textContent = `Applied · cap ${capStr}${latStr} · ${result.evals} evals.`;
+      if (prog) prog.textContent = `Applied · cap ${capStr}${latStr} · ${result.evals} evals · seed ${result.seed}.`;
       // Offer a one-click revert to the pre-run curves (interactive mode only).
       if (!silent && prog) {
         const revertBtn = document.createElement("button");
@@ -4212,7 +5942,7 @@ export class SimUi {
     } else if (infeasible) {
       if (prog) prog.textContent = `Couldn't keep all rings between the orbits (best layout still had ${result.metrics.violation} inside-Earth/outside-Mars sats) · kept current. Loosen the curves or uncheck the constraint.`;
     } else if (result) {
-      if (prog) prog.textContent = `No improvement after ${result.evals} evals · kept current.`;
+      if (prog) prog.textContent = `No improvement after ${result.evals} evals (seed ${result.seed}) · kept current.`;
     }
     // The live preview may have left the display on the last accepted (non-winning) state;
     // when we didn't commit a winner, rebuild from the unchanged stored curves to restore it.
@@ -4221,7 +5951,218 @@ export class SimUi {
     // Headless callers (the optimized sweep) get the converged relay capacity so they
     // can size Earth/Mars and capture metrics; falls back to the baseline if the search
     // didn't improve (curves unchanged but capacity is still meaningful).
-    return { applied, capacity: result?.metrics?.capacity ?? result?.baseline?.capacity ?? 0 };
+    const optimizer = result
+      ? { seed: result.seed, batchSize, maxEvals, bandCount, alpha, wFast, geomCount, aggregation, keepBetween, moveModes, stepScale }
+      : null;
+    return { applied, capacity: result?.metrics?.capacity ?? result?.baseline?.capacity ?? 0, optimizer };
+  }
+
+  /**
+   * Pareto optimizer controls, below the band solver: searches the same checked curves
+   * (plus, optionally, the relay ring count) for the trade-off between total cost,
+   * max-flow and average latency, and plots the front. Clicking a point applies it.
+   */
+  _injectParetoUI() {
+    const solver = document.getElementById("band-solver-wrap");
+    if (!solver || document.getElementById("pareto-wrap")) return;
+    const rc = this.slidersData.relay_type.ringcount;
+    const wrap = document.createElement("div");
+    wrap.id = "pareto-wrap";
+    wrap.className = "slider-container";
+    wrap.style.cssText = "margin-top:8px; padding-top:8px; border-top:1px solid var(--border, #333);";
+    wrap.innerHTML = `
+      <div style="display:flex; gap:6px; align-items:center;">
+        <button id="pareto-btn" class="btn btn-primary" type="button" style="flex:1;" title="Multi-objective search (NSGA-II) over the checked curves: finds the layouts no other layout beats on cost, max-flow AND latency at once. Every candidate is a full run (sizing + max-flow) at the current sim date, so budget a few seconds per evaluation. Uses the points, threads, mem and keep-between settings above.">⚖ Pareto front: cost · flow · latency</button>
+        <button id="pareto-stop" class="btn" type="button" style="display:none;">Stop</button>
+      </div>
+      <div class="muted" style="display:flex; gap:10px; align-items:center; margin-top:6px; font-size:12px; flex-wrap:wrap;">
+        <label title="Candidates per generation.">population <input type="number" id="pareto-pop" value="16" min="4" max="200" step="2" style="width:52px;"></label>
+        <label title="Generations after the initial population. Evaluations = population × (generations + 1).">generations <input type="number" id="pareto-gens" value="8" min="1" max="200" step="1" style="width:48px;"></label>
+        <label title="Also search the relay ring count within this range — the main cost driver, so the front spans cheap-and-slow to costly-and-fast designs." style="display:inline-flex; align-items:center; gap:3px;">
+          <input type="checkbox" id="pareto-rings" checked> rings
+          <input type="number" id="pareto-rings-min" value="${Math.max(1, rc.min)}" min="${rc.min}" max="${rc.max}" step="1" style="width:44px;">–<input type="number" id="pareto-rings-max" value="${Math.min(rc.max, 2 * rc.value)}" min="${rc.min}" max="${rc.max}" step="1" style="width:44px;"></label>
+      </div>
+      <div id="pareto-progress" class="muted" style="margin-top:6px; font-size:12px; display:none;"></div>
+      <div id="pareto-chart" style="margin-top:6px;"></div>`;
+    solver.parentNode.insertBefore(wrap, solver.nextSibling);
+    wrap.querySelector("#pareto-btn").addEventListener("click", () => this._runParetoSolver());
+    wrap.querySelector("#pareto-stop").addEventListener("click", () => { this._paretoStop = true; });
+  }
+
+  /**
+   * Run the Pareto optimizer (paretoSolver.js) on a fresh worker pool and plot the
+   * front: x = total cost, y = max-flow, colour = average latency. Clicking a point
+   * applies its curves and ring count and rebuilds.
+   */
+  async _runParetoSolver() {
+    if (this._paretoRunning || this._bandSolverRunning) return;
+    const btn = document.getElementById("pareto-btn");
+    const stopBtn = document.getElementById("pareto-stop");
+    const prog = document.getElementById("pareto-progress");
+    const chartEl = document.getElementById("pareto-chart");
+    const intOf = (id, dflt, lo, hi) => Math.max(lo, Math.min(hi, parseInt(document.getElementById(id)?.value, 10) || dflt));
+    const populationSize = intOf("pareto-pop", 16, 4, 200);
+    const generations = intOf("pareto-gens", 8, 1, 200);
+    const bandCount = intOf("band-solver-bands", 10, 2, 40);
+    const keepBetween = document.getElementById("band-solver-keep-between")?.checked !== false;
+    const rc = this.slidersData.relay_type.ringcount;
+    const searchRings = document.getElementById("pareto-rings")?.checked;
+    const ringLo = intOf("pareto-rings-min", 1, rc.min, rc.max);
+    const ringHi = Math.max(ringLo, intOf("pareto-rings-max", rc.max, rc.min, rc.max));
+
+    const { plan, initialWeights, anchorsFor } = this._buildOptimizePlan(bandCount);
+    if (plan.length === 0 && !(searchRings && ringHi > ringLo)) {
+      if (prog) { prog.style.display = ""; prog.textContent = "Nothing to optimize — check a curve part or widen the ring range."; }
+      return;
+    }
+    // Decision vector: the free curve values (as the band solver), then the ring count.
+    const bounds = initialWeights.map(() => ({ min: 0, max: 100 }));
+    const initialVector = initialWeights.slice();
+    if (searchRings) {
+      bounds.push({ min: ringLo, max: ringHi, integer: true });
+      initialVector.push(parseFloat(this.sliders.relay_type?.ringcount?.value ?? rc.value));
+    }
+    const ringsOf = (v) => (searchRings ? v[v.length - 1] : null);
+
+    const allCats = [
+      "economics", "simulation", "laser_technology",
+      "ring_mars", "circular_rings", "eccentric_rings", "ring_earth", "adapted_rings", "adapted_eccentric_rings", "launch_vehicle", "satellite",
+    ];
+    const baseConfig = this.getGroupsConfig(allCats);
+    const configFor = (v) => {
+      const cfg = { ...baseConfig };
+      for (const p of plan) cfg[p.key] = anchorsFor(p, v);
+      if (searchRings) cfg["relay_type.ringcount"] = ringsOf(v);
+      return cfg;
+    };
+    // Costs are computed here from each result, as the sensitivity sweep does.
+    this.simMain.setCosts(this.getGroupsConfig(["economics"]));
+    this.simMain.satellitePowerKw = baseConfig["satellite.satellite-power-kw"];
+    const estMBfor = (cfg) => {
+      const estSats = this.simMain.simSatellites.buildConfigFromUi(cfg).reduce((sum, c) => sum + (c.satCount || 0), 0);
+      return Math.max(20, estSats * 0.016);
+    };
+
+    const requestedWorkers = parseInt(document.getElementById("band-solver-threads")?.value, 10) || 0;
+    const memPct = Math.max(10, Math.min(95, parseInt(document.getElementById("band-solver-mem")?.value, 10) || 60));
+    const pool = new SensitivityPool(requestedWorkers || undefined, { memBudgetPct: memPct });
+    this._paretoRunning = true;
+    this._paretoStop = false;
+    if (btn) btn.disabled = true;
+    if (stopBtn) stopBtn.style.display = "";
+    if (prog) { prog.style.display = ""; prog.textContent = "Starting…"; }
+
+    const simDate = (this.simMain?.simTime?.getDate?.() || new Date()).toISOString();
+    let scenarioId = 0;
+    let baseline = null; // the seed (current config) is the first evaluation
+    const evaluate = async (v) => {
+      const cfg = configFor(v);
+      const isSeed = scenarioId === 0;
+      const res = await pool.submit({ scenarioId: scenarioId++, uiConfig: cfg, simDate }, estMBfor(cfg));
+      if (!res) return null;
+      const zc = res.zoneCounts || {};
+      const rs = res.routeSummary;
+      const costs = this.simMain.calculateCosts(res.maxFlowGbps || 0, res.resultTreesData || []);
+      const m = {
+        // A timed-out solve is unknown, not zero: NaN makes the point infeasible.
+        capacity: res.flowError ? NaN : res.maxFlowGbps,
+        cost: costs.totalCosts,
+        latency: res.latencyData?.averageLatency ?? rs?.avgLatency ?? NaN,
+        satellites: res.satellitesCount,
+        violation: keepBetween ? (zc.insideEarth || 0) + (zc.outsideMars || 0) : 0,
+      };
+      if (isSeed) baseline = m;
+      return m;
+    };
+
+    const render = (front) => {
+      if (chartEl) this._renderParetoChart(chartEl, front.map((pt) => ({ ...pt, rings: ringsOf(pt.vector) })), baseline, (pt) => applyPoint(pt));
+    };
+    const applyPoint = ({ vector }) => {
+      for (const p of plan) {
+        this._setCurve(p.key, anchorsFor(p, vector).map((a) => ({ x: a.x, y: Math.round(a.y * 100) / 100 })));
+        this._curveRefresh?.[p.key]?.();
+      }
+      if (searchRings) this.applySliderValues({ "relay_type.ringcount": ringsOf(vector) });
+      this._planetSizeArmed = true;
+      this.simMain.setSatellitesConfig(this.getGroupsConfig(allCats));
+    };
+
+    const { solveParetoFront } = await import("./paretoSolver.js?v=4.42");
+    let result = null;
+    try {
+      result = await solveParetoFront({
+        initialVector,
+        bounds,
+        objectives: [{ key: "cost", sense: "min" }, { key: "capacity", sense: "max" }, { key: "latency", sense: "min" }],
+        evaluate,
+        populationSize,
+        generations,
+        shouldStop: () => this._paretoStop,
+        onBatch: (vs) => { for (const p of plan) this._curveSetOverlay?.[p.key]?.({ batch: vs.map((v) => anchorsFor(p, v)) }); },
+        onProgress: ({ generation, evals, front }) => {
+          if (prog) prog.textContent = `Generation ${generation}/${generations} · ${evals} evals · ${front.length} on the front`;
+          render(front);
+        },
+      });
+    } catch (err) {
+      console.error("[Pareto] failed:", err);
+      if (prog) prog.textContent = "Failed: " + (err?.message || err);
+    } finally {
+      pool.terminate();
+      this._paretoRunning = false;
+      if (btn) btn.disabled = false;
+      if (stopBtn) stopBtn.style.display = "none";
+      for (const p of plan) this._curveSetOverlay?.[p.key]?.(null);
+    }
+    if (result && prog) {
+      prog.textContent = result.front.length
+        ? `${result.front.length} Pareto-optimal layouts · ${result.evals} evals · click a point to apply it.`
+        : `No feasible layout in ${result.evals} evals.`;
+      render(result.front);
+    }
+  }
+
+  /**
+   * Pareto scatter: x = total cost ($B), y = max-flow (Gbps), colour = average latency
+   * (green = fastest on the front, red = slowest). The current config is a hollow ring.
+   * Points are paretoSolver front entries, plus `rings` when the ring count was searched.
+   */
+  _renderParetoChart(el, front, baseline, onPick) {
+    const pts = front.map((p) => ({ ...p, x: p.metrics.cost / 1e9, y: p.metrics.capacity, lat: p.metrics.latency / 60 }));
+    if (!pts.length) { el.innerHTML = `<div class="muted" style="font-size:11px;">No feasible layouts yet.</div>`; return; }
+    const base = baseline && Number.isFinite(baseline.cost) && Number.isFinite(baseline.capacity) ? { x: baseline.cost / 1e9, y: baseline.capacity } : null;
+    const W = 300, H = 190, padL = 40, padR = 8, padT = 10, padB = 26;
+    const plotW = W - padL - padR, plotH = H - padT - padB;
+    const xs = pts.map((p) => p.x).concat(base ? [base.x] : []), ys = pts.map((p) => p.y).concat(base ? [base.y] : []);
+    const pad = (lo, hi) => { const d = (hi - lo) || Math.abs(hi) || 1; return [lo - 0.05 * d, hi + 0.05 * d]; };
+    const [x0, x1] = pad(Math.min(...xs), Math.max(...xs));
+    const [y0, y1] = pad(Math.min(...ys), Math.max(...ys));
+    const X = (x) => padL + ((x - x0) / (x1 - x0)) * plotW;
+    const Y = (y) => padT + (1 - (y - y0) / (y1 - y0)) * plotH;
+    const lats = pts.map((p) => p.lat).filter(Number.isFinite);
+    const lMin = Math.min(...lats), lMax = Math.max(...lats);
+    const latColor = (l) => {
+      const t = lMax > lMin && Number.isFinite(l) ? (l - lMin) / (lMax - lMin) : 0;
+      return `hsl(${Math.round(120 * (1 - t))}, 70%, 50%)`;
+    };
+    const lab = (v) => (Math.abs(v) >= 100 ? String(Math.round(v)) : String(+v.toFixed(1)));
+    let s = `<rect x="${padL}" y="${padT}" width="${plotW}" height="${plotH}" fill="var(--accent-dim,rgba(255,255,255,0.02))" stroke="var(--border-2,#333)" stroke-width="0.6"/>`;
+    for (const f of [0, 0.5, 1]) {
+      s += `<text x="${padL + f * plotW}" y="${padT + plotH + 11}" font-size="8" text-anchor="middle" fill="var(--text-2,#aaa)">${lab(x0 + f * (x1 - x0))}</text>`;
+      s += `<text x="${padL - 4}" y="${padT + (1 - f) * plotH + 3}" font-size="8" text-anchor="end" fill="var(--text-2,#aaa)">${lab(y0 + f * (y1 - y0))}</text>`;
+    }
+    s += `<text x="${padL + plotW / 2}" y="${H - 2}" font-size="8" text-anchor="middle" fill="var(--text-2,#aaa)">total cost ($B)</text>`;
+    s += `<text x="9" y="${padT + plotH / 2}" font-size="8" text-anchor="middle" fill="var(--text-2,#aaa)" transform="rotate(-90 9 ${padT + plotH / 2})">max-flow (Gbps)</text>`;
+    if (base) s += `<circle cx="${X(base.x).toFixed(1)}" cy="${Y(base.y).toFixed(1)}" r="5" fill="none" stroke="var(--text-2,#aaa)" stroke-width="1.2"><title>Current config — $${base.x.toFixed(2)}B · ${lab(base.y)} Gbps</title></circle>`;
+    pts.forEach((p, i) => {
+      const rings = p.rings != null ? ` · ${p.rings} rings` : "";
+      s += `<circle data-idx="${i}" cx="${X(p.x).toFixed(1)}" cy="${Y(p.y).toFixed(1)}" r="3.5" fill="${latColor(p.lat)}" fill-opacity="0.9" stroke="rgba(0,0,0,0.45)" stroke-width="0.5" style="cursor:pointer;"><title>$${p.x.toFixed(2)}B · ${lab(p.y)} Gbps · ${Number.isFinite(p.lat) ? p.lat.toFixed(1) : "—"} min avg · ${Math.round(p.metrics.satellites || 0).toLocaleString()} sats${rings} — click to apply</title></circle>`;
+    });
+    el.innerHTML =
+      `<svg viewBox="0 0 ${W} ${H}" style="width:100%; height:auto; display:block; font-family:ui-monospace,monospace;">${s}</svg>` +
+      `<div class="muted" style="font-size:11px; display:flex; align-items:center; gap:5px;">avg latency ${lab(lMin)}<span style="width:42px;height:9px;border-radius:5px;background:linear-gradient(90deg,hsl(120,70%,50%),hsl(60,70%,50%),hsl(0,70%,50%));display:inline-block;"></span>${lab(lMax)} min</div>`;
+    el.querySelectorAll("circle[data-idx]").forEach((c) => c.addEventListener("click", () => onPick(pts[+c.dataset.idx])));
   }
 
   /**
@@ -4314,6 +6255,14 @@ export class SimUi {
         case "simulation.time-acceleration-slider":
           this.simMain.setTimeAccelerationFactor(newValue);
           break;
+        case "ring_earth.reacquisition-time":
+        case "ring_mars.reacquisition-time":
+        case "circular_rings.reacquisition-time":
+        case "eccentric_rings.reacquisition-time":
+        case "adapted_rings.reacquisition-time":
+        case "adapted_eccentric_rings.reacquisition-time":
+          this.simMain.setReacquisitionSec(section, newValue);
+          break;
         case "display.sun-size-factor":
           this.simMain.setSunSizeFactor(newValue);
           break;
@@ -4336,6 +6285,22 @@ export class SimUi {
         case "eccentric_rings.laser-ports-per-satellite":
         case "satellite.satellite-empty-mass":
         case "laser_technology.laser-terminal-mass":
+        case "laser_technology.tx-aperture-cm":
+        case "laser_technology.rx-aperture-cm":
+        case "laser_technology.tx-power-w":
+        case "laser_technology.wavelength-nm":
+        case "laser_technology.pointing-loss-db":
+        case "laser_technology.detector-efficiency-pct":
+        case "laser_technology.photons-per-bit":
+        case "ring_earth.link-model":
+        case "ring_mars.link-model":
+        case "circular_rings.link-model":
+        case "eccentric_rings.link-model":
+        case "adapted_rings.link-model":
+        case "adapted_eccentric_rings.link-model":
+        case "laser_technology.pointing-reference":
+        case "laser_technology.pointing-cone-deg":
+        case "laser_technology.pointing-max-rate":
         case "simulation.maxDistanceAU":
         case "simulation.maxSatCount":
         case "simulation.calctimeSec":
@@ -4349,6 +6314,10 @@ export class SimUi {
         case "adapted_eccentric_rings.flow-solver":
         case "simulation.linkUpdateIntervalHours":
         case "simulation.failed-satellites-slider":
+        case "simulation.failed-terminals-slider":
+        case "simulation.failure-seed":
+        case "simulation.return-traffic-share":
+        case "simulation.flow-warm-start":
         case "relay_type.ringcount":
         case "relay_type.selected":
           // Show only the selected relay family's config section, then rebuild (the
@@ -4693,7 +6662,7 @@ export class SimUi {
 
   updateInfoAreaCosts(html) {
     const STORAGE_KEY = "marslink-panel-states";
-    const sections = ["satellites", "capacity", "ringdetail", "flow", "cost", "latency"];
+    const sections = ["satellites", "capacity", "ringdetail", "flow", "cost", "latency", "churn"];
 
     // Read live DOM state into _arrowStates before innerHTML wipe
     if (!this._arrowStates) {
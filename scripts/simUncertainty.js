@@ -0,0 +1,202 @@
+// simUncertainty.js — Monte-Carlo uncertainty propagation over slider inputs.
+//
+// Any numeric slider can carry a distribution instead of its point value. Each trial
+// draws every distribution (seeded, so a study replays exactly), runs the config and
+// costs the result; the spread comes out as P10 / P50 / P90 bands for total cost,
+// cost per Mbps and flow.
+//
+// When every uncertain input is an "economics" slider the constellation cannot
+// change, so the pipeline runs once and each trial only re-prices its result trees
+// (SimMissionValidator, Wright's law included) — thousands of trials in seconds.
+// Any other input makes every trial a full runScenario. The callers (SimUi on the
+// worker pool, simHeadless in-process) own the runs; this module draws the samples
+// and turns results into metrics, summaries and exports. No DOM here.
+
+import { makeRng } from "./simFleet.js?v=4.42";
+import { distributionSummary } from "./simMath.js?v=4.42";
+import { calculateCosts, costConfigFromUi } from "./simCosts.js?v=4.42";
+import { SimMissionValidator } from "./simMissionValidator.js?v=4.42";
+import { configFromUserFacing } from "./simTornado.js?v=4.42";
+
+// Distribution type → parameter names, in spec order. Values are user-facing units.
+//   uniform     min, max
+//   triangular  min, mode, max
+//   lognormal   median, sigma (standard deviation of ln x)
+export const DISTRIBUTION_TYPES = {
+  uniform: ["min", "max"],
+  triangular: ["min", "mode", "max"],
+  lognormal: ["median", "sigma"],
+};
+
+// The section whose sliders only reach the cost roll-up, never the constellation.
+const COST_ONLY_SECTION = "economics";
+
+export const UNCERTAINTY_METRICS = ["totalCost", "costPerMbps", "flowGbps"];
+
+/**
+ * Parse "type:a,b[,c]", e.g. "triangular:10,20,40" or "lognormal:20,0.3".
+ * @param {string} spec
+ * @returns {{type: string, min?, mode?, max?, median?, sigma?}}
+ * @throws {Error} on an unknown type, a wrong parameter count or inconsistent values.
+ */
+export function parseDistribution(spec) {
+  const m = /^\s*([a-z]+)\s*:\s*(.+?)\s*$/i.exec(String(spec || ""));
+  if (!m) throw new Error(`Expected type:a,b[,c], got "${spec}"`);
+  const type = m[1].toLowerCase();
+  const names = DISTRIBUTION_TYPES[type];
+  if (!names) throw new Error(`Unknown distribution "${m[1]}" (${Object.keys(DISTRIBUTION_TYPES).join(", ")})`);
+  const vals = m[2].split(",").map((v) => parseFloat(v));
+  if (vals.length !== names.length || vals.some((v) => !Number.isFinite(v))) {
+    throw new Error(`${type} needs ${names.join(", ")}, got "${m[2]}"`);
+  }
+  const dist = { type, ...Object.fromEntries(names.map((n, i) => [n, vals[i]])) };
+  if (type === "uniform" && !(dist.min <= dist.max)) throw new Error(`uniform: min must be ≤ max`);
+  if (type === "triangular" && !(dist.min <= dist.mode && dist.mode <= dist.max)) throw new Error(`triangular: need min ≤ mode ≤ max`);
+  if (type === "lognormal" && !(dist.median > 0 && dist.sigma >= 0)) throw new Error(`lognormal: need median > 0 and sigma ≥ 0`);
+  return dist;
+}
+
+/** The spec string parseDistribution reads back. */
+export function formatDistribution(dist) {
+  return `${dist.type}:${DISTRIBUTION_TYPES[dist.type].map((n) => dist[n]).join(",")}`;
+}
+
+/**
+ * Parse a block of "section.slider = type:a,b[,c]" lines (blank lines and # comments
+ * skipped) against slidersData.
+ *
+ * @param {string} text
+ * @param {Object} slidersData
+ * @returns {Array<{fullId: string, label: string, unit: string, step: number|null, dist: Object}>}
+ *   step: the whole-number step draws snap to (ring / port counts…), else null.
+ *   Prices stay continuous: their slider step is a UI granularity, not a unit.
+ * @throws {Error} "Line n: …" for the first bad line.
+ */
+export function parseDistributionList(text, slidersData) {
+  const out = [];
+  String(text || "").split("\n").forEach((raw, i) => {
+    const line = raw.replace(/#.*/, "").trim();
+    if (!line) return;
+    try {
+      const eq = line.indexOf("=");
+      if (eq <= 0) throw new Error(`expected section.slider = type:a,b[,c]`);
+      const fullId = line.slice(0, eq).trim();
+      const [sec, id] = fullId.split(".");
+      const sd = slidersData[sec]?.[id];
+      if (!sd || sd.type || typeof sd.value !== "number") throw new Error(`"${fullId}" is not a numeric slider`);
+      if (out.some((d) => d.fullId === fullId)) throw new Error(`"${fullId}" is listed twice`);
+      const step = sec !== COST_ONLY_SECTION && (sd.scale || "linear") === "linear" && sd.step >= 1 ? sd.step : null;
+      out.push({ fullId, label: sd.label || id, unit: (sd.unit || "").trim(), step, dist: parseDistribution(line.slice(eq + 1)) });
+    } catch (err) {
+      throw new Error(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+  return out;
+}
+
+/** One draw of `dist` from `rng` (a makeRng generator). */
+export function sampleDistribution(dist, rng) {
+  if (dist.type === "uniform") return dist.min + rng() * (dist.max - dist.min);
+  if (dist.type === "triangular") {
+    const { min, mode, max } = dist;
+    const span = max - min;
+    if (!(span > 0)) return min;
+    const u = rng();
+    // Inverse CDF: the left leg up to the mode's share of the area, the right leg after.
+    return u < (mode - min) / span ? min + Math.sqrt(u * span * (mode - min)) : max - Math.sqrt((1 - u) * span * (max - mode));
+  }
+  if (dist.type === "lognormal") return dist.median * Math.exp(dist.sigma * rng.gaussian());
+  throw new Error(`Unknown distribution type: ${dist.type}`);
+}
+
+/**
+ * The trial samples: trial i → { fullId: user-facing value }. Every trial draws the
+ * inputs in list order from one seeded stream, so (inputs, trials, seed) replays.
+ *
+ * @param {Array<{fullId: string, step?: number|null, dist: Object}>} inputs
+ * @param {number} trials
+ * @param {number} seed
+ * @returns {Array<Object>}
+ */
+export function drawSamples(inputs, trials, seed) {
+  const rng = makeRng(seed);
+  const samples = [];
+  for (let i = 0; i < trials; i++) {
+    samples.push(Object.fromEntries(inputs.map(({ fullId, step, dist }) => {
+      const v = sampleDistribution(dist, rng);
+      return [fullId, step ? Math.round(v / step) * step : v];
+    })));
+  }
+  return samples;
+}
+
+/** Does any input reach past the cost roll-up (so every trial needs its own run)? */
+export function needsPipeline(inputs) {
+  return inputs.some(({ fullId }) => fullId.split(".")[0] !== COST_ONLY_SECTION);
+}
+
+/**
+ * `config` with a sample's user-facing values written in as config values.
+ * @param {Object} slidersData
+ * @param {Object} config - getGroupsConfig / uiConfigFromSnapshot output.
+ * @param {Object} sample - One drawSamples entry.
+ * @returns {Object}
+ */
+export function applySample(slidersData, config, sample) {
+  const out = { ...config };
+  for (const [fullId, v] of Object.entries(sample)) {
+    const [sec, id] = fullId.split(".");
+    out[fullId] = configFromUserFacing(slidersData[sec][id], v);
+  }
+  return out;
+}
+
+/**
+ * Cost and flow metrics of one trial.
+ *
+ * @param {Object} res - runScenario result.
+ * @param {Object} config - The trial's uiConfig (its economics price the trial).
+ * @param {{simLinkBudget: Object, simSatellites: Object}} state - Terminal counts and
+ *   ring apsides for calculateCosts.
+ * @param {boolean} [reprice=false] - Re-price res.resultTreesData with `config`'s
+ *   economics (cost-only trials re-use one run priced at the baseline).
+ * @returns {{totalCost: number, costPerMbps: number|null, flowGbps: number|null, satellitesCount: number}}
+ *   flowGbps / costPerMbps are null when the max-flow solve timed out; with the solve
+ *   skipped, flow is the routed relay capacity (as in the sensitivity sweep).
+ */
+export function trialMetrics(res, config, { simLinkBudget, simSatellites }, reprice = false) {
+  const gbps = res.flowError ? null : res.maxFlowGbps == null ? (res.routeSummary?.totalThroughput || 0) / 1000 : res.maxFlowGbps;
+  const costCtx = { ...costConfigFromUi(config), simLinkBudget, simSatellites };
+  let trees = res.resultTreesData || [];
+  // resultTreesData orbits carry every mission-profile field the validator reads.
+  if (reprice) trees = new SimMissionValidator({ byOrbit: trees }, { ...costCtx, laserPortsPerRing: simLinkBudget.maxLinksPerRing });
+  const costs = calculateCosts(gbps || 0, trees, costCtx);
+  return {
+    totalCost: costs.totalCosts,
+    costPerMbps: gbps > 0 && Number.isFinite(costs.costPerMbps) ? costs.costPerMbps : null,
+    flowGbps: gbps,
+    satellitesCount: res.satellitesCount,
+  };
+}
+
+/**
+ * { metric: distributionSummary } over the trial rows (nulls left out).
+ * @param {Array<Object>} rows - trialMetrics outputs.
+ */
+export function summarizeTrials(rows) {
+  return Object.fromEntries(UNCERTAINTY_METRICS.map((k) => [k, distributionSummary(rows.map((r) => r[k]))]));
+}
+
+/**
+ * @param {Array<{fullId: string}>} inputs
+ * @param {Array<Object>} rows - { trial, sample, ...trialMetrics }.
+ * @returns {string} CSV: one row per trial, the drawn inputs then the metrics.
+ */
+export function uncertaintyToCsv(inputs, rows) {
+  const cell = (v) => (v === null || v === undefined || (typeof v === "number" && !Number.isFinite(v)) ? "" : String(v));
+  const lines = [["trial", ...inputs.map((d) => d.fullId), ...UNCERTAINTY_METRICS].join(",")];
+  for (const row of rows) {
+    lines.push([row.trial, ...inputs.map((d) => cell(row.sample[d.fullId])), ...UNCERTAINTY_METRICS.map((k) => cell(row[k]))].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
@@ -15,8 +15,15 @@ import { SimLinkBudget } from "./simLinkBudget.js?v=4.42";
 import { SimNetwork } from "./simNetwork.js?v=4.42";
 import { SimDeployment } from "./simDeployment.js?v=4.42";
 import { SimMissionValidator } from "./simMissionValidator.js?v=4.42";
-import { minOf } from "./simMath.js?v=4.42";
+import { minOf, distributionSummary } from "./simMath.js?v=4.42";
 import { EARTH_MARS_CLOSEST_APPROACH_DEG } from "./simOrbits.js?v=4.42";
+import { SIM_CONSTANTS } from "./simConstants.js?v=4.42";
+import { sunEarthMarsAngleDeg, blackoutWindow } from "./simConjunction.js?v=4.42";
+import { normalizeDemand, simulateDemand } from "./simDemand.js?v=4.42";
+import { seriesDates } from "./simSeries.js?v=4.42";
+import { setActiveEphemeris, helioPosition } from "./simEphemeris.js?v=4.42";
+import { propagateRings, PROPAGATOR_BODIES } from "./simPropagator.js?v=4.42";
+import { ringMotions, interRingLinks, phasingReport } from "./simPhasing.js?v=4.42";
 
 // --- State (initialized lazily on the first compute) ---
 let simLinkBudget = null;
@@ -34,6 +41,18 @@ function ensureState() {
   simNetwork = new SimNetwork(simLinkBudget, simSatellites);
 }
 
+/** Station-keeping model config (simStationKeeping.js) from the satellite sliders. */
+function skConfigFromUi(uiConfig) {
+  return {
+    F: (uiConfig["satellite.satellite-thrust"] || 170) / 1000,
+    tm: uiConfig["satellite.thruster-system-mass"] >= 0 ? uiConfig["satellite.thruster-system-mass"] : 15,
+    maxN: uiConfig["satellite.max-thrusters"] >= 1 ? uiConfig["satellite.max-thrusters"] : 64,
+    n: uiConfig["satellite.sk-years"] >= 1 ? uiConfig["satellite.sk-years"] : 5,
+    isp: uiConfig["satellite.satellite-isp"] || 2500,
+    capacity: uiConfig["satellite.satellite-propellant-capacity"] || 1500,
+  };
+}
+
 /**
  * Pure derivation of ringCapacities/interCap from a possibleLinks array.
  * Mirrors SimMain.calculateCapacityInfo exactly.
@@ -159,15 +178,7 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
   {
     const bodyPos = {};
     for (const p of planets) if (p && p.position) bodyPos[p.name] = p.position;
-    const skCfg = {
-      F: (uiConfig["satellite.satellite-thrust"] || 170) / 1000,
-      tm: uiConfig["satellite.thruster-system-mass"] >= 0 ? uiConfig["satellite.thruster-system-mass"] : 15,
-      maxN: uiConfig["satellite.max-thrusters"] >= 1 ? uiConfig["satellite.max-thrusters"] : 64,
-      n: uiConfig["satellite.sk-years"] >= 1 ? uiConfig["satellite.sk-years"] : 5,
-      isp: uiConfig["satellite.satellite-isp"] || 2500,
-      capacity: uiConfig["satellite.satellite-propellant-capacity"] || 1500,
-    };
-    simDeployment.computeStationKeeping(satellites, simSatellites.getOrbitalElements(), bodyPos, skCfg);
+    simDeployment.computeStationKeeping(satellites, simSatellites.getOrbitalElements(), bodyPos, skConfigFromUi(uiConfig));
   }
 
   // 4. Mission profile + cost trees
@@ -196,6 +207,7 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
   mark("getPossibleLinks", t);
   // Capture per-phase topology breakdown from the builder
   const topologyTimings = simNetwork.topology?.lastTopologyTimings || null;
+  const pointingRejected = simNetwork.pointingRejected || null;
 
   // 6. Capacity info
   t = performance.now();
@@ -239,6 +251,7 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
     missionProfilesData,
     resultTreesData,
     topologyTimings,
+    pointingRejected,
     linksMs,
   });
 
@@ -247,7 +260,10 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
   let latencyData = null;
   if (computeFlow) {
     t = performance.now();
-    const fullNetworkData = simNetwork.getNetworkData(planets, satellites, possibleLinks, simLinkBudget.calctimeMs);
+    // Adjacent windows of the same config are consecutive dates of one constellation:
+    // the only solves that may warm-start from each other.
+    const warm = { scope: `${configEpoch}|${JSON.stringify(uiConfig)}`, step: windowIdx };
+    const fullNetworkData = simNetwork.getNetworkData(planets, satellites, possibleLinks, simLinkBudget.calctimeMs, warm);
     mark("getNetworkData", t);
     if (!fullNetworkData.error) {
       t = performance.now();
@@ -257,6 +273,7 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
     networkData = {
       links: fullNetworkData.links,
       maxFlowGbps: fullNetworkData.maxFlowGbps,
+      directions: fullNetworkData.directions || null,
       error: fullNetworkData.error || null,
     };
   }
@@ -275,6 +292,7 @@ function runPipeline({ requestId, windowIdx, configEpoch, uiConfig, satellitesCo
     networkData,
     latencyData,
     topologyTimings,
+    pointingRejected,
     timings,
     totalMs: Math.round(performance.now() - t0),
   };
@@ -461,6 +479,12 @@ function runScenario({ requestId, scenarioId, uiConfig, simDate, sizingDate, flo
   const routeSummary = simNetwork.routeSummary;
   const capacityInfo = calculateCapacityInfo(possibleLinks);
   capacityInfo.junctionAngles = collectJunctionAngles(possibleLinks, satellites, planets);
+  // Same between-the-orbits constraint counts as the objective-only path.
+  let insideEarth = 0, outsideMars = 0;
+  for (const s of satellites) {
+    if (s.orbitalZone === "INSIDE_EARTH") insideEarth++;
+    else if (s.orbitalZone === "OUTSIDE_MARS") outsideMars++;
+  }
 
   // Max-flow is optional: once the design process is relay-network-first (planet rings
   // sized to match the relay capacity), the solve just re-derives routeSummary's
@@ -500,7 +524,10 @@ function runScenario({ requestId, scenarioId, uiConfig, simDate, sizingDate, flo
     requestId,
     scenarioId,
     satellitesCount,
+    zoneCounts: { insideEarth, outsideMars },
     maxFlowGbps,
+    // Bidirectional mode: maxFlowGbps split per direction (null when not solved).
+    directions: fullNetworkData && !flowError ? fullNetworkData.directions : null,
     // Solved links (flow-annotated when the flow finished) — opt-in ONLY: the in-process
     // main-thread sensitivity path uses them to display each scenario's routes during the
     // dwell. The worker/pool path never sets includeLinks (postMessage clone weight).
@@ -521,15 +548,404 @@ function runScenario({ requestId, scenarioId, uiConfig, simDate, sizingDate, flo
       "ring_earth.requiredmbpsbetweensats": uiConfig["ring_earth.requiredmbpsbetweensats"],
       "ring_mars.requiredmbpsbetweensats": uiConfig["ring_mars.requiredmbpsbetweensats"],
     },
+    failures: simNetwork.lastFailures, // degraded-constellation mode: what the final build lost (null = intact)
     iterations,
     totalMs: Math.round(performance.now() - t0),
   };
 }
 
+/**
+ * Degraded-constellation Monte-Carlo for ONE config. The constellation is sized and
+ * solved intact first (runScenario with both failure probabilities forced to 0 — the
+ * baseline), then the topology + flow are rebuilt `trials` times at `simDate`, each
+ * with a fresh seeded failure draw (seed, seed+1, …), and the spread is summarized.
+ * Planet/satellite positions are computed once: only the failed hardware varies.
+ *
+ * A timed-out max-flow solve is recorded as null (unknown), not 0, and left out of
+ * the distributions — flowTimeouts counts them.
+ *
+ * With `repair`, each trial also patches the intact link set in place of the rebuild
+ * (SimNetwork.repairLinks, with the same lost satellites and failed terminals) and
+ * reports its flow as a percentage of the rebuild's, plus both wall times.
+ *
+ * Every solve is cold (no warm-start context): a trial must not depend on the one
+ * before it, and the repair-vs-rebuild ratio must compare the two topologies, not a
+ * flow carried over from one solve to the other.
+ *
+ * @param {object} msg.uiConfig            scenario config
+ * @param {string} msg.simDate             ISO date string
+ * @param {number} msg.trials              number of failure draws
+ * @param {number} msg.satFailurePct       per-satellite failure probability (0–100)
+ * @param {number} msg.terminalFailurePct  per-terminal failure probability (0–100)
+ * @param {number} msg.seed                seed of the first trial
+ * @param {boolean} msg.repair             also compare incremental repair vs rebuild
+ */
+function runFailureTrials({ requestId, uiConfig, simDate, trials = 20, satFailurePct = 0, terminalFailurePct = 0, seed = 1, flowCalctimeMs = 20000, computeFlow = true, repair = false }) {
+  const t0 = performance.now();
+  ensureState();
+  // The failure settings in effect before this request; restored when it ends.
+  const previous = { satFailurePct: simLinkBudget.satFailurePct, terminalFailurePct: simLinkBudget.terminalFailurePct, failureSeed: simLinkBudget.failureSeed };
+  const intactConfig = { ...uiConfig, "simulation.failed-satellites-slider": 0, "simulation.failed-terminals-slider": 0 };
+  const intact = runScenario({ requestId, scenarioId: 0, uiConfig: intactConfig, simDate, flowCalctimeMs, computeFlow });
+  const baseline = {
+    satellitesCount: intact.satellitesCount,
+    maxFlowGbps: intact.maxFlowGbps,
+    relayThroughputGbps: intact.routeSummary ? (intact.routeSummary.totalThroughput || 0) / 1000 : 0,
+    bestLatency: intact.latencyData?.bestLatency ?? intact.routeSummary?.minLatency ?? null,
+    medianLatency: intact.latencyData?.medianLatency ?? null,
+  };
+
+  // runScenario left simSatellites holding the sized constellation.
+  const date = new Date(simDate);
+  const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+  const satellites = simSatellites.updateSatellitesPositions(date);
+  // Intact links + the ports that produced them: every repair starts from these.
+  const intactLinks = repair ? simNetwork.getPossibleLinks(planets, satellites) : null;
+  const intactPorts = repair ? satellites.map((s) => [s.prograde, s.retrograde, s.inwards, s.outwards]) : null;
+  simLinkBudget.satFailurePct = satFailurePct;
+  simLinkBudget.terminalFailurePct = terminalFailurePct;
+
+  const rows = [];
+  try {
+    for (let i = 0; i < trials; i++) {
+      simLinkBudget.failureSeed = seed + i;
+      const tBuild = performance.now();
+      const links = simNetwork.getPossibleLinks(planets, satellites);
+      const rebuildMs = performance.now() - tBuild;
+      const failedNames = simNetwork.lastFailedNames;
+      const failedTerminals = simNetwork.topology.failedTerminals;
+      const rs = simNetwork.routeSummary;
+      const row = {
+        seed: seed + i,
+        failedSatellites: simNetwork.lastFailures?.failedSatellites || 0,
+        failedTerminals: simNetwork.lastFailures?.failedTerminals || 0,
+        links: links.length,
+        relayThroughputGbps: rs ? (rs.totalThroughput || 0) / 1000 : 0,
+        maxFlowGbps: null,
+        flowError: null,
+        bestLatency: rs?.minLatency ?? null,
+        medianLatency: null,
+      };
+      if (computeFlow) {
+        const nd = simNetwork.getNetworkData(planets, satellites, links, flowCalctimeMs, null);
+        row.flowError = nd.error || null;
+        if (!nd.error) {
+          row.maxFlowGbps = nd.maxFlowGbps || 0;
+          const ld = simNetwork.calculateLatencies(nd);
+          row.bestLatency = ld?.bestLatency ?? null;
+          row.medianLatency = ld?.medianLatency ?? null;
+        }
+      }
+      if (repair) {
+        satellites.forEach((s, k) => { [s.prograde, s.retrograde, s.inwards, s.outwards] = intactPorts[k]; });
+        const tRepair = performance.now();
+        const rep = simNetwork.repairLinks(planets, satellites, intactLinks, failedNames || [], failedTerminals);
+        row.rebuildMs = Math.round(rebuildMs);
+        row.repairMs = Math.round(performance.now() - tRepair);
+        row.repairAdded = rep.added.length;
+        row.repairRemoved = rep.removed.length;
+        row.repairOrphans = rep.orphans;
+        row.repairUnrepaired = rep.unrepaired.length;
+        row.repairedLinks = rep.links.length;
+        row.repairedRelayThroughputGbps = simNetwork.routeSummary ? (simNetwork.routeSummary.totalThroughput || 0) / 1000 : 0;
+        row.repairedMaxFlowGbps = null;
+        if (computeFlow) {
+          const nd = simNetwork.getNetworkData(planets, satellites, rep.links, flowCalctimeMs, null);
+          if (!nd.error) row.repairedMaxFlowGbps = nd.maxFlowGbps || 0;
+        }
+        row.repairVsRebuildPct = row.repairedMaxFlowGbps != null && row.maxFlowGbps > 0 ? (100 * row.repairedMaxFlowGbps) / row.maxFlowGbps : null;
+      }
+      rows.push(row);
+    }
+  } finally {
+    // Leave the shared state as the request found it.
+    Object.assign(simLinkBudget, previous);
+  }
+
+  const pick = (key) => rows.map((r) => r[key]);
+  const retained = (key) => rows.map((r) => (baseline[key] > 0 && r[key] != null ? (100 * r[key]) / baseline[key] : null));
+  return {
+    type: "failure-trials-result",
+    requestId,
+    satFailurePct,
+    terminalFailurePct,
+    baseline,
+    trials: rows,
+    summary: {
+      maxFlowGbps: distributionSummary(pick("maxFlowGbps")),
+      maxFlowRetainedPct: distributionSummary(retained("maxFlowGbps")),
+      relayThroughputGbps: distributionSummary(pick("relayThroughputGbps")),
+      relayThroughputRetainedPct: distributionSummary(retained("relayThroughputGbps")),
+      bestLatency: distributionSummary(pick("bestLatency")),
+      medianLatency: distributionSummary(pick("medianLatency")),
+      failedSatellites: distributionSummary(pick("failedSatellites")),
+      failedTerminals: distributionSummary(pick("failedTerminals")),
+      flowTimeouts: rows.filter((r) => r.flowError).length,
+      ...(repair && {
+        repairedMaxFlowGbps: distributionSummary(pick("repairedMaxFlowGbps")),
+        repairVsRebuildPct: distributionSummary(pick("repairVsRebuildPct")),
+        repairUnrepaired: distributionSummary(pick("repairUnrepaired")),
+        rebuildMs: distributionSummary(pick("rebuildMs")),
+        repairMs: distributionSummary(pick("repairMs")),
+      }),
+    },
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * Solar-conjunction outage scan for ONE config. The constellation is sized once at
+ * the window start (conjunctionDate − halfWindowDays, clear of the Sun), then topology
+ * + flow are recomputed every `stepDays` across ±halfWindowDays for each solar
+ * exclusion angle in `exclusionDegs`. Positions are computed once per date.
+ *
+ * Each scan's reference is the better of its two window-edge flows; the blackout is
+ * the run of dates around the conjunction whose flow is ≤ blackoutPct % of it
+ * (blackoutWindow). Without computeFlow the routed relay capacity stands in for flow.
+ *
+ * @param {object} msg.uiConfig            scenario config
+ * @param {string} msg.conjunctionDate     ISO date of the conjunction (findConjunctions)
+ * @param {number} msg.halfWindowDays      scan half-width
+ * @param {number} msg.stepDays            sampling step
+ * @param {number[]} msg.exclusionDegs     solar exclusion angles (default: the config's)
+ * @param {number} msg.blackoutPct         outage threshold, % of the reference flow
+ * @param {function} [onStep]              (done, total) progress callback
+ */
+function runConjunctionScan({ requestId, uiConfig, conjunctionDate, halfWindowDays = 60, stepDays = 2, exclusionDegs = null, blackoutPct = 1, flowCalctimeMs = 20000, computeFlow = true }, onStep = null) {
+  const t0 = performance.now();
+  const conj = new Date(conjunctionDate);
+  const sizingDate = new Date(conj.getTime() - halfWindowDays * 86400000);
+  const configDeg = uiConfig["simulation.solarExclusionDeg"] || 0;
+  const angles = exclusionDegs && exclusionDegs.length ? exclusionDegs : [configDeg];
+  const sized = runScenario({ requestId, scenarioId: 0, uiConfig, simDate: sizingDate.toISOString(), flowCalctimeMs, computeFlow: false });
+
+  const offsets = [];
+  for (let d = -halfWindowDays; d <= halfWindowDays + 1e-9; d += stepDays) offsets.push(d);
+  const rowsByAngle = angles.map(() => []);
+  const setExclusion = (deg) => {
+    simLinkBudget.solarExclusionDeg = deg;
+    simLinkBudget.solarExclusionRad = deg * SIM_CONSTANTS.DEG_TO_RAD;
+  };
+  try {
+    offsets.forEach((dayOffset, k) => {
+      const date = new Date(conj.getTime() + dayOffset * 86400000);
+      const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+      const satellites = simSatellites.updateSatellitesPositions(date);
+      const earth = planets.find((p) => p.name === "Earth");
+      const mars = planets.find((p) => p.name === "Mars");
+      // Signed: negative before the conjunction, positive after.
+      const semAngleDeg = Math.sign(dayOffset || 1) * sunEarthMarsAngleDeg(earth.position, mars.position);
+      angles.forEach((deg, a) => {
+        setExclusion(deg);
+        const links = simNetwork.getPossibleLinks(planets, satellites);
+        const rs = simNetwork.routeSummary;
+        const relayThroughputGbps = rs ? (rs.totalThroughput || 0) / 1000 : 0;
+        let flowGbps = relayThroughputGbps;
+        if (computeFlow) {
+          const nd = simNetwork.getNetworkData(planets, satellites, links, flowCalctimeMs);
+          flowGbps = nd.error ? null : nd.maxFlowGbps || 0;
+        }
+        rowsByAngle[a].push({
+          simDate: date.toISOString(),
+          dayOffset,
+          semAngleDeg,
+          flowGbps,
+          relayThroughputGbps,
+          links: links.length,
+          solarBlindedCandidatePairs: simNetwork.solarBlindedCount ?? null,
+        });
+      });
+      if (onStep) onStep(k + 1, offsets.length);
+    });
+  } finally {
+    setExclusion(configDeg);
+  }
+
+  const scans = angles.map((deg, a) => {
+    const rows = rowsByAngle[a];
+    const edges = [rows[0], rows[rows.length - 1]].map((r) => r?.flowGbps).filter((v) => v != null);
+    const referenceGbps = edges.length ? Math.max(...edges) : null;
+    const thresholdGbps = referenceGbps != null ? (referenceGbps * blackoutPct) / 100 : 0;
+    return { solarExclusionDeg: deg, referenceGbps, thresholdGbps, blackout: blackoutWindow(rows, thresholdGbps, stepDays), rows };
+  });
+
+  return {
+    type: "conjunction-result",
+    requestId,
+    conjunctionDate: conj.toISOString(),
+    sizingDate: sizingDate.toISOString(),
+    satellitesCount: sized.satellitesCount,
+    halfWindowDays,
+    stepDays,
+    blackoutPct,
+    computeFlow,
+    scans,
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * Traffic demand over a date range for ONE config: the constellation is sized once at
+ * `from`, the Earth↔Mars capacity is sampled every `stepDays` from the same per-date
+ * graph the live pipeline builds (max-flow, or the routed relay capacity without
+ * computeFlow), and the demand profile is served over it (simDemand.simulateDemand).
+ *
+ * @param {object} msg.uiConfig       scenario config
+ * @param {object} msg.demand         demand profile JSON (see simDemand.js)
+ * @param {string} msg.from           ISO start date (also the sizing date)
+ * @param {string} msg.to             ISO end date (inclusive)
+ * @param {number} msg.stepDays       sampling step
+ * @param {function} [onStep]         (done, total) progress callback
+ */
+function runDemandModel({ requestId, uiConfig, demand, from, to, stepDays = 1, flowCalctimeMs = 20000, computeFlow = true }, onStep = null) {
+  const t0 = performance.now();
+  const profile = normalizeDemand(demand); // throws on a malformed profile before any heavy work
+  const sized = runScenario({ requestId, scenarioId: 0, uiConfig, simDate: from, flowCalctimeMs, computeFlow: false });
+
+  const dates = seriesDates(from, to, stepDays);
+  // Each sample holds for the step actually sampled.
+  const sampledStepDays = dates.length > 1 ? (dates[1] - dates[0]) / 86400000 : stepDays;
+  const samples = dates.map((date, k) => {
+    const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+    const satellites = simSatellites.updateSatellitesPositions(date);
+    const links = simNetwork.getPossibleLinks(planets, satellites);
+    const rs = simNetwork.routeSummary;
+    let capacityGbps = rs ? (rs.totalThroughput || 0) / 1000 : 0;
+    if (computeFlow) {
+      const nd = simNetwork.getNetworkData(planets, satellites, links, flowCalctimeMs);
+      capacityGbps = nd.error ? null : nd.maxFlowGbps || 0;
+    }
+    if (onStep) onStep(k + 1, dates.length);
+    return { simDate: date.toISOString(), capacityGbps };
+  });
+
+  return {
+    type: "demand-result",
+    requestId,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    stepDays: sampledStepDays,
+    computeFlow,
+    satellitesCount: sized.satellitesCount,
+    flowTimeouts: samples.filter((s) => s.capacityGbps == null).length,
+    ...simulateDemand(samples, profile, sampledStepDays),
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * n-body drift of the relay rings for ONE config (simPropagator.propagateRings): the
+ * constellation is sized at `simDate`, the station-keeping model sizes each ring's
+ * thrusters there, and sampled satellites of every ring are propagated over `years`
+ * (default: the config's station-keeping lifetime); the hold thrust they need is
+ * compared with what those thrusters deliver.
+ *
+ * @param {object} msg.uiConfig       scenario config
+ * @param {string} msg.simDate        ISO start (and sizing) date
+ * @param {number} [msg.years]        horizon, years
+ * @param {number} [msg.stepHours]    integration step
+ * @param {number} [msg.satsPerRing]  satellites propagated per ring
+ * @param {function} [onSat]          (done, total) progress callback
+ */
+function runPropagation({ requestId, uiConfig, simDate, years = null, stepHours = 12, satsPerRing = 6, flowCalctimeMs = 20000 }, onSat = null) {
+  const t0 = performance.now();
+  const date = new Date(simDate);
+  const sized = runScenario({ requestId, scenarioId: 0, uiConfig, simDate, flowCalctimeMs, computeFlow: false });
+  const skCfg = skConfigFromUi(uiConfig);
+
+  // runScenario left every body and satellite at `date`.
+  const planets = simSolarSystem.getSolarSystemData().planets;
+  const bodyPos = {};
+  for (const p of planets) if (p.position) bodyPos[p.name] = p.position;
+  const satellites = simSatellites.getSatellites();
+  const ringData = simDeployment.computeStationKeeping(satellites, simSatellites.getOrbitalElements(), bodyPos, skCfg);
+  // Thrust available: the ring's baseline thrusters at full power over the satellite's
+  // loaded mass (dry + thrusters + station-keeping propellant).
+  const rings = {};
+  for (const [rn, rd] of Object.entries(ringData)) {
+    const mass = rd.dryMass + rd.nRing * skCfg.tm + rd.skPropRing;
+    rings[rn] = { thrusters: rd.nRing, maxAccel: mass > 0 ? (rd.nRing * skCfg.F) / mass : null, estimateAccel: rd.aAvg };
+  }
+
+  const result = propagateRings(satellites, {
+    startDate: date,
+    years: years > 0 ? years : skCfg.n,
+    stepHours,
+    satsPerRing,
+    rings,
+    bodyPositions: (d) => {
+      const at = {};
+      for (const p of simSolarSystem.updatePlanetsPositions(d)) if (PROPAGATOR_BODIES.includes(p.name)) at[p.name] = p.position;
+      return at;
+    },
+    positionAt: helioPosition,
+    onSatellite: onSat,
+  });
+  return {
+    type: "propagation-result",
+    requestId,
+    satellitesCount: sized.satellitesCount,
+    ...result,
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * Radial link churn between rings for ONE config: the constellation is sized once at
+ * `from`, the topology is rebuilt every `stepDays` up to `to` as the live pipeline
+ * does, and the inter-ring links of each date are reduced per ring pair
+ * (simPhasing.phasingReport).
+ *
+ * @param {object} msg.uiConfig       scenario config
+ * @param {string} msg.from           ISO start date (also the sizing date)
+ * @param {string} msg.to             ISO end date (inclusive)
+ * @param {number} msg.stepDays       sampling step
+ * @param {function} [onStep]         (done, total) progress callback
+ */
+function runPhasingScan({ requestId, uiConfig, from, to, stepDays = 1, flowCalctimeMs = 20000 }, onStep = null) {
+  const t0 = performance.now();
+  const sized = runScenario({ requestId, scenarioId: 0, uiConfig, simDate: from, flowCalctimeMs, computeFlow: false });
+  const ringOf = new Map(simSatellites.getSatellites().map((s) => [s.name, s.ringName]));
+  const rings = ringMotions(simSatellites.getSatellites());
+
+  const dates = seriesDates(from, to, stepDays);
+  // Lifetimes and spans are measured on the dates actually sampled.
+  const sampledStepDays = dates.length > 1 ? (dates[1] - dates[0]) / 86400000 : stepDays;
+  const snapshots = dates.map((date, k) => {
+    const planets = Object.values(simSolarSystem.updatePlanetsPositions(date));
+    const satellites = simSatellites.updateSatellitesPositions(date);
+    const links = interRingLinks(simNetwork.getPossibleLinks(planets, satellites), ringOf);
+    if (onStep) onStep(k + 1, dates.length);
+    return links;
+  });
+
+  return {
+    type: "phasing-result",
+    requestId,
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    stepDays: sampledStepDays,
+    matcher: simLinkBudget.interRingMatcher || "linear-merge",
+    satellitesCount: sized.satellitesCount,
+    pairs: phasingReport(snapshots, rings, sampledStepDays),
+    totalMs: Math.round(performance.now() - t0),
+  };
+}
+
+/**
+ * This module's sim-state singletons (created on first use), for in-process callers
+ * that post-process a scenario with the same instances that produced it — e.g. costing
+ * its result trees against the per-ring terminal counts in simLinkBudget.
+ */
+function getState() {
+  ensureState();
+  return { simLinkBudget, simSolarSystem, simSatellites, simNetwork, simDeployment };
+}
+
 // Exported so the main thread can run the IDENTICAL scenario pipeline in-process
 // (sensitivity "Main thread" mode) instead of dispatching to a worker. These use this
 // module's own sim-state singletons, independent of SimMain's display instances.
-export { ensureState, runScenario };
+export { ensureState, getState, runScenario, runFailureTrials, runConjunctionScan, runDemandModel, runPropagation, runPhasingScan };
 
 // Only wire the worker message handler in a real Worker context — when this module is
 // imported on the main thread (for "Main thread" sweeps) `self` is `window`, and we must
@@ -545,6 +961,12 @@ if (inWorker) self.onmessage = (event) => {
     return;
   }
 
+  // Planet ephemeris table (or null: back to the analytic elements) for every later run.
+  if (msg.type === "setEphemeris") {
+    setActiveEphemeris(msg.ephemeris);
+    return;
+  }
+
   if (msg.type === "computeScenario") {
     try {
       self.postMessage(runScenario(msg));
@@ -560,6 +982,66 @@ if (inWorker) self.onmessage = (event) => {
     return;
   }
 
+  if (msg.type === "conjunctionScan") {
+    try {
+      const progress = (done, total) => self.postMessage({ type: "conjunction-progress", requestId: msg.requestId, done, total });
+      self.postMessage(runConjunctionScan(msg, progress));
+    } catch (err) {
+      self.postMessage({
+        type: "error",
+        requestId: msg.requestId,
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack ? err.stack : null,
+      });
+    }
+    return;
+  }
+
+  if (msg.type === "demandModel") {
+    try {
+      const progress = (done, total) => self.postMessage({ type: "demand-progress", requestId: msg.requestId, done, total });
+      self.postMessage(runDemandModel(msg, progress));
+    } catch (err) {
+      self.postMessage({
+        type: "error",
+        requestId: msg.requestId,
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack ? err.stack : null,
+      });
+    }
+    return;
+  }
+
+  if (msg.type === "phasingScan") {
+    try {
+      const progress = (done, total) => self.postMessage({ type: "phasing-progress", requestId: msg.requestId, done, total });
+      self.postMessage(runPhasingScan(msg, progress));
+    } catch (err) {
+      self.postMessage({
+        type: "error",
+        requestId: msg.requestId,
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack ? err.stack : null,
+      });
+    }
+    return;
+  }
+
+  if (msg.type === "propagateRings") {
+    try {
+      const progress = (done, total) => self.postMessage({ type: "propagation-progress", requestId: msg.requestId, done, total });
+      self.postMessage(runPropagation(msg, progress));
+    } catch (err) {
+      self.postMessage({
+        type: "error",
+        requestId: msg.requestId,
+        message: err && err.message ? err.message : String(err),
+        stack: err && err.stack ? err.stack : null,
+      });
+    }
+    return;
+  }
+
   if (msg.type === "compute") {
     try {
       const result = runPipeline(msg);
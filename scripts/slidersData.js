@@ -2,6 +2,33 @@
 
 import { SIM_CONSTANTS } from "./simConstants.js?v=4.42";
 
+// The "link-model" selector every ring-family section carries (a fresh object per
+// section: the UI writes the current value back into it). Only the model choice is
+// per family; the Physical hardware is the one set under laser_technology.
+const linkModelSlider = () => ({
+  type: "radio",
+  label: "Link model",
+  description: "Capacity model for this ring family's links. Scaled: the baseline throughput at the baseline distance, scaled by 1/d² and the improvement factor. Physical: an optical link budget from the terminal hardware under Laser technology, shared by every family set to Physical. A link between two families takes the weaker model's capacity.",
+  options: ["Scaled", "Physical"],
+  value: "Scaled",
+  unit: "",
+  updateLongTermScore: true,
+});
+
+// Per-family terminal re-acquisition time, next to the link model (display-only: it
+// prices the Link churn card and never reaches the worker).
+const reacquisitionSlider = () => ({
+  label: "Re-acquisition time",
+  description: "Time this family's laser terminals need to slew, acquire and lock onto a new partner. A link that appears between successive link windows carries nothing until both ends have locked (the slower family's time); the Link churn card totals the capacity lost.",
+  min: 0,
+  max: 600,
+  value: 60,
+  step: 1,
+  unit: " s",
+  scale: "linear",
+  updateLongTermScore: false,
+});
+
 export const slidersData = {
   display: {
     "display-type": {
@@ -143,16 +170,50 @@ export const slidersData = {
       scale: "signedPow2",
       updateLongTermScore: false,
     },
-    // "failed-satellites-slider": {
-    //   label: "Satellite failure probability",
-    //   min: 0,
-    //   max: 100,
-    //   value: 0,
-    //   step: 1,
-    //   unit: "%",
-    //   scale: "linear",
-    //   updateLongTermScore: true,
-    // },
+    "failed-satellites-slider": {
+      label: "Satellite failure probability",
+      description: "Degraded-constellation mode: each satellite fails outright with this probability before the topology is built (seeded, so the same satellites stay failed across dates). 0 = intact constellation.",
+      min: 0,
+      max: 100,
+      value: 0,
+      step: 1,
+      unit: "%",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "failed-terminals-slider": {
+      label: "Laser terminal failure probability",
+      description: "Each laser terminal on a surviving satellite fails independently with this probability; a failed terminal is lost from that satellite's port budget before links are paired.",
+      min: 0,
+      max: 100,
+      value: 0,
+      step: 1,
+      unit: "%",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "failure-seed": {
+      label: "Failure seed",
+      description: "Seed of the failure draw. Change it to fail a different random set of satellites/terminals at the same probabilities.",
+      min: 1,
+      max: 1000,
+      value: 1,
+      step: 1,
+      unit: "",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "return-traffic-share": {
+      label: "Mars→Earth traffic share",
+      description: "Bidirectional mode: share of every link's capacity reserved for Mars→Earth return traffic (time-split, so the two directions never exceed the link together). The flow card, cost and latency chart report both directions; 0 = Earth→Mars only.",
+      min: 0,
+      max: 90,
+      value: 0,
+      step: 5,
+      unit: "%",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
     maxDistanceAU: {
       label: "Maximum link range AU",
       min: 0,
@@ -183,6 +244,15 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "flow-warm-start": {
+      type: "radio",
+      label: "Flow warm start",
+      description: "Start each max-flow solve from the previous date's flow, repaired to the new link capacities, instead of from zero. Only consecutive dates of the same constellation carry flow over (the displayed window buffer and long-term runs); any config change, failure draw or repaired topology starts cold. edmonds-karp and push-relabel then only augment the difference and reach the same max-flow either way; concentric-topology-aware and min-cost-latency always start cold. Which routes carry the flow depends on the setting, so latency and route statistics differ between on and off. off = cold solve every time (reproducible per date, and for timing comparisons).",
+      options: ["on", "off"],
+      value: "off",
+      unit: "",
+      updateLongTermScore: false,
+    },
     solarExclusionDeg: {
       label: "Solar exclusion angle",
       min: 0,
@@ -452,6 +522,115 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "physical-header": {
+      type: "header",
+      label: "Physical link budget",
+      description:
+        "Terminal hardware shared by every ring family whose Link model is Physical (the model is chosen per family, the hardware is not): received power from the transmit power, both aperture gains, the free-space loss and the pointing loss; capacity = detected photons per second / photons per bit, capped at the terminal line rate.",
+    },
+    "tx-aperture-cm": {
+      label: "Transmit aperture",
+      min: 1,
+      max: 200,
+      value: 22,
+      step: 1,
+      unit: " cm",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "rx-aperture-cm": {
+      label: "Receive aperture",
+      min: 1,
+      max: 200,
+      value: 22,
+      step: 1,
+      unit: " cm",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "tx-power-w": {
+      label: "Transmit power",
+      min: 0.1,
+      max: 100,
+      value: 2,
+      step: 0.1,
+      unit: " W",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "wavelength-nm": {
+      label: "Wavelength",
+      min: 400,
+      max: 2000,
+      value: 1550,
+      step: 1,
+      unit: " nm",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "pointing-loss-db": {
+      label: "Pointing loss",
+      min: 0,
+      max: 10,
+      value: 3,
+      step: 0.1,
+      unit: " dB",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "detector-efficiency-pct": {
+      label: "Detector efficiency",
+      description: "Detector sensitivity: the share of received photons that are detected.",
+      min: 1,
+      max: 100,
+      value: 50,
+      step: 1,
+      unit: "%",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "photons-per-bit": {
+      label: "Photons per bit",
+      description: "Detected photons the modulation and coding need per delivered bit (PPM with strong codes reaches ~1–2; coherent schemes need more).",
+      min: 0.5,
+      max: 100,
+      value: 8,
+      step: 0.1,
+      unit: "",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "pointing-reference": {
+      type: "radio",
+      label: "Terminal pointing axis",
+      description: "Axis the laser terminals' field of regard is centred on, fore and aft along it: Velocity = along-track (suits in-ring links), Sun = sunward / anti-sunward (suits radial links).",
+      options: ["Velocity", "Sun"],
+      value: "Velocity",
+      unit: "",
+      updateLongTermScore: true,
+    },
+    "pointing-cone-deg": {
+      label: "Terminal field of regard",
+      description: "Gimbal cone half-angle around the pointing axis. A link whose line of sight falls outside the cone at either satellite is rejected. 90° = unconstrained.",
+      min: 5,
+      max: 90,
+      value: 90,
+      step: 1,
+      unit: "° half-angle",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
+    "pointing-max-rate": {
+      label: "Max pointing rate",
+      description: "Fastest line-of-sight rotation a terminal tracks, measured between one link window and the next (the Link update interval). Faster-turning links are rejected. 0 = unconstrained.",
+      min: 0,
+      max: 20,
+      value: 0,
+      step: 0.1,
+      unit: "°/day",
+      scale: "linear",
+      updateLongTermScore: true,
+    },
   },
   relay_type: {
     selected: {
@@ -500,6 +679,8 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "side-extension-degrees-slider": {
       label: "Side extension",
       min: 0,
@@ -542,6 +723,8 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "side-extension-degrees-slider": {
       label: "Side extension",
       min: 0,
@@ -584,12 +767,14 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "flow-solver": {
       type: "radio",
       label: "Max-flow solver",
       description:
-        "Algorithm that computes Earth↔Mars throughput. The 'concentric-topology-aware' fast path is specific to the Adapted-concentric family, so circular rings use a general solver.",
-      options: ["push-relabel", "edmonds-karp"],
+        "Algorithm that computes Earth↔Mars throughput. The 'concentric-topology-aware' fast path is specific to the Adapted-concentric family, so circular rings use a general solver. 'min-cost-latency' returns the same max flow routed on the lowest-latency paths (a few times slower than push-relabel).",
+      options: ["push-relabel", "edmonds-karp", "min-cost-latency"],
       value: "push-relabel",
       unit: "",
     },
@@ -665,12 +850,14 @@ export const slidersData = {
       scale: "linear",
       updateLongTermScore: true,
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "flow-solver": {
       type: "radio",
       label: "Max-flow solver",
       description:
-        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' only understands concentric radial chains, so eccentric rings use a general solver.",
-      options: ["push-relabel", "edmonds-karp"],
+        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' only understands concentric radial chains, so eccentric rings use a general solver. 'min-cost-latency' returns the same max flow routed on the lowest-latency paths (a few times slower than push-relabel).",
+      options: ["push-relabel", "edmonds-karp", "min-cost-latency"],
       value: "push-relabel",
       unit: "",
     },
@@ -776,12 +963,14 @@ export const slidersData = {
       label: "Total laser terminals",
       compute: (ui) => String(ui._adaptedTerminalTotal("adapted_rings")),
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "flow-solver": {
       type: "radio",
       label: "Max-flow solver",
       description:
-        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' exploits this family's radial ring chains for speed; the general solvers work on any graph.",
-      options: ["concentric-topology-aware", "push-relabel", "edmonds-karp"],
+        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' exploits this family's radial ring chains for speed; the general solvers work on any graph. 'min-cost-latency' returns the same max flow routed on the lowest-latency paths (a few times slower than push-relabel).",
+      options: ["concentric-topology-aware", "push-relabel", "edmonds-karp", "min-cost-latency"],
       value: "concentric-topology-aware",
       unit: "",
     },
@@ -1068,12 +1257,14 @@ export const slidersData = {
       label: "Total laser terminals",
       compute: (ui) => String(ui._adaptedTerminalTotal("adapted_eccentric_rings")),
     },
+    "link-model": linkModelSlider(),
+    "reacquisition-time": reacquisitionSlider(),
     "flow-solver": {
       type: "radio",
       label: "Max-flow solver",
       description:
-        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' only understands concentric radial chains, so adapted-eccentric rings use a general solver.",
-      options: ["push-relabel", "edmonds-karp"],
+        "Algorithm that computes Earth↔Mars throughput. 'concentric-topology-aware' only understands concentric radial chains, so adapted-eccentric rings use a general solver. 'min-cost-latency' returns the same max flow routed on the lowest-latency paths (a few times slower than push-relabel).",
+      options: ["push-relabel", "edmonds-karp", "min-cost-latency"],
       value: "push-relabel",
       unit: "",
     },
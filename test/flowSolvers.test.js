@@ -0,0 +1,182 @@
+// flowSolvers.test.js — Every registered max-flow solver on the same seeded inputs.
+//
+// Random graphs exercise the general solvers; generated ring-chain topologies carry
+// the topologyInfo concentric-topology-aware needs, so it runs without a preset.
+// `marslink validate-flow --preset` covers the real constellations, which are too
+// slow for this suite.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FLOW_ALGORITHMS, WARM_START_ALGORITHMS } from "../scripts/simFlowAlgorithms/interface.js?v=4.42";
+import { checkFlowInvariants, crossValidate, randomFlowGraph, ringChainFlowGraph, REFERENCE_ALGORITHM } from "../scripts/simFlowAlgorithms/validate.js?v=4.42";
+import { computeMaxFlow } from "../scripts/simMaxFlow.js?v=4.42";
+import { makeRng } from "../scripts/simFleet.js?v=4.42";
+import { TopologyBuilder } from "../scripts/simTopology.js?v=4.42";
+
+const TOPOLOGY_AWARE = "concentric-topology-aware";
+const CALCTIME_MS = 10000;
+
+const randomCase = (seed) => {
+  const rng = makeRng(seed);
+  return randomFlowGraph(rng, { nodes: 10 + Math.round(rng() * (seed % 5 === 0 ? 200 : 50)), edgesPerNode: 1.2 + rng() * 3 });
+};
+
+// The failure draw comes last, so ringCase(seed, n) is ringCase(seed) minus n ring sats.
+const ringCase = (seed, failed = 0) => {
+  const rng = makeRng(seed);
+  return ringChainFlowGraph(rng, {
+    ringSats: 2 + Math.floor(rng() * 12),
+    routes: 1 + Math.floor(rng() * 8),
+    hops: 1 + Math.floor(rng() * 5),
+    closed: rng() < 0.75,
+    crossLinks: seed % 2 ? Math.floor(rng() * 6) : 0,
+    failed,
+  });
+};
+
+/** Σ flow · latency over the edges' positive directions. */
+const totalLatency = (input, flows) => {
+  let sum = 0;
+  for (const key in flows) if (flows[key] > 0) sum += flows[key] * input.latencies[key];
+  return sum;
+};
+
+/**
+ * The same links at the next date: every capacity drifts by up to ±50 %. Ring chains
+ * get their topologyInfo rebuilt too, as SimNetwork does for every date —
+ * topology-aware reads segment capacities from it.
+ */
+const nextDate = (input, rng) => {
+  const capacities = {};
+  for (const key in input.capacities) {
+    const [u, v] = key.split("_");
+    if (!(`${v}_${u}` in capacities)) capacities[key] = capacities[`${v}_${u}`] = input.capacities[key] * (0.5 + rng());
+  }
+  if (!input.topology) return { ...input, capacities };
+  const { allLinks, earthChains, marsChains, routes } = input.topology;
+  const links = allLinks.map((l) => ({ ...l, gbpsCapacity: capacities[`${input.nodeIds.get(l.fromId)}_${input.nodeIds.get(l.toId)}`] }));
+  const ring = (chains) => [...chains.positive, ...chains.negative].map((name) => ({ name }));
+  const builder = new TopologyBuilder(null, null);
+  builder.routeSummary = { routes };
+  const topology = builder.captureTopologyInfo({ ring_earth: ring(earthChains), ring_mars: ring(marsChains) }, links);
+  return { ...input, capacities, topology };
+};
+
+/** Assert one crossValidate report: no invariant violation, no error, every solver agrees. */
+const assertClean = (label, report) => {
+  for (const [name, r] of Object.entries(report.results)) {
+    assert.equal(r.error, null, `${label}: ${name} failed: ${r.error}`);
+    assert.deepEqual(r.violations, [], `${label}: ${name} broke an invariant`);
+  }
+  assert.deepEqual(report.disagreements, [], `${label}: maxFlow differs from ${REFERENCE_ALGORITHM} (${report.referenceFlow})`);
+  assert.ok(report.ok, label);
+};
+
+test("every general solver keeps the invariants and agrees on random graphs", () => {
+  for (let seed = 1; seed <= 40; seed++) {
+    const report = crossValidate(randomCase(seed), { calctimeMs: CALCTIME_MS });
+    for (const name of Object.keys(FLOW_ALGORITHMS)) {
+      if (name !== TOPOLOGY_AWARE) assert.ok(name in report.results, `random-${seed}: ${name} did not run`);
+    }
+    assertClean(`random-${seed}`, report);
+  }
+});
+
+test("every solver, topology-aware included, keeps the invariants on ring chains", () => {
+  let underReports = 0;
+  for (let seed = 1; seed <= 40; seed++) {
+    const input = ringCase(seed);
+    assert.ok(input.topology, `ring-${seed}: no topologyInfo captured`);
+    const report = crossValidate(input, { calctimeMs: CALCTIME_MS });
+    for (const name of Object.keys(FLOW_ALGORITHMS)) assert.ok(name in report.results, `ring-${seed}: ${name} did not run`);
+    assertClean(`ring-${seed}`, report);
+    // crossValidate only lets topology-aware differ downwards; it must still find flow.
+    const ta = report.results[TOPOLOGY_AWARE].maxFlow;
+    if (report.referenceFlow > 0) assert.ok(ta > 0, `ring-${seed}: topology-aware found no flow of ${report.referenceFlow}`);
+    underReports += report.underReports.length;
+  }
+  assert.ok(underReports < 20, `topology-aware under-reports on ${underReports} of 40 ring chains`);
+});
+
+test("topology-aware matches the max flow on a single route without cross links", () => {
+  for (let seed = 1; seed <= 20; seed++) {
+    const input = ringChainFlowGraph(makeRng(seed), { routes: 1, closed: false });
+    const report = crossValidate(input, { calctimeMs: CALCTIME_MS });
+    assertClean(`single-route-${seed}`, report);
+    assert.deepEqual(report.underReports, [], `single-route-${seed}`);
+  }
+});
+
+test("topology-aware keeps the invariants when ring sats have failed", () => {
+  for (let seed = 1; seed <= 30; seed++) {
+    const input = ringChainFlowGraph(makeRng(seed), { ringSats: 3 + (seed % 8), routes: 1 + (seed % 5), failed: 1 + (seed % 3) });
+    assertClean(`failed-${seed}`, crossValidate(input, { calctimeMs: CALCTIME_MS }));
+  }
+});
+
+test("min-cost-latency routes the max flow with the least total latency", () => {
+  for (let seed = 1; seed <= 30; seed++) {
+    const input = seed % 2 ? randomCase(seed) : ringCase(seed);
+    const solve = (name) => FLOW_ALGORITHMS[name]({ ...input, perfStart: performance.now(), calctimeMs: CALCTIME_MS });
+    const best = solve("min-cost-latency");
+    for (const name of ["edmonds-karp", "push-relabel"]) {
+      const other = solve(name);
+      assert.ok(Math.abs(best.maxFlow - other.maxFlow) <= 1e-6 * Math.max(1, other.maxFlow), `case ${seed}: ${name} flow differs`);
+      const [a, b] = [totalLatency(input, best.flows), totalLatency(input, other.flows)];
+      assert.ok(a <= b + 1e-6 * Math.max(1, b), `case ${seed}: min-cost-latency ${a} s·Gbps > ${name} ${b}`);
+    }
+  }
+});
+
+test("a warm start reaches each solver's cold max flow, whatever flow it starts from", () => {
+  const solve = (name, input, previousFlows) =>
+    computeMaxFlow({ ...input, algorithm: name, perfStart: performance.now(), calctimeMs: CALCTIME_MS, previousFlows });
+  for (let seed = 1; seed <= 24; seed++) {
+    const ring = seed % 2 === 0;
+    const input = ring ? ringCase(seed) : randomCase(seed);
+    // The previous flow comes from the same links a date earlier, from the intact
+    // constellation before ring sats failed, or from another graph altogether.
+    const nexts = [
+      ["next date", nextDate(input, makeRng(1000 + seed))],
+      ["other graph", ring ? ringCase(seed + 100) : randomCase(seed + 100)],
+    ];
+    if (ring) nexts.push(["failed sats", ringCase(seed, 1 + (seed % 3))]);
+    for (const [name, algo] of Object.entries(FLOW_ALGORITHMS)) {
+      if (name === TOPOLOGY_AWARE && !input.topology) continue;
+      const previous = algo({ ...input, perfStart: performance.now(), calctimeMs: CALCTIME_MS }).flows;
+      for (const [label, next] of nexts) {
+        const at = `case ${seed}, ${label}: ${name}`;
+        const cold = solve(name, next).maxFlow;
+        const warm = solve(name, next, previous);
+        assert.ok(warm, `${at} timed out warm`);
+        assert.deepEqual(checkFlowInvariants(next, warm), [], at);
+        assert.ok(Math.abs(warm.maxFlow - cold) <= 1e-6 * Math.max(1, cold), `${at} warm ${warm.maxFlow} vs cold ${cold}`);
+        if (WARM_START_ALGORITHMS.has(name)) {
+          assert.ok(warm.warmStartGbps >= 0 && warm.warmStartGbps <= warm.maxFlow + 1e-9, `${at} carried over ${warm.warmStartGbps}`);
+        }
+      }
+    }
+  }
+});
+
+test("every solver gives up on an expired budget", () => {
+  // Inputs that reach every solver's first clock check: edmonds-karp checks before
+  // its first BFS, min-cost-latency before its first phase when Earth reaches Mars,
+  // topology-aware before its first route, and push-relabel after 1024 discharges —
+  // on a path every node is discharged at least once.
+  const nodes = 3000;
+  const path = { graph: {}, capacities: {}, latencies: {}, source: 0, sink: 1 };
+  for (let u = 0; u < nodes; u++) path.graph[u] = [];
+  for (let i = 0; i < nodes - 1; i++) {
+    const u = i === 0 ? 0 : i + 1, v = i === nodes - 2 ? 1 : i + 2;
+    path.graph[u].push(v);
+    path.graph[v].push(u);
+    path.capacities[`${u}_${v}`] = path.capacities[`${v}_${u}`] = 1 + (i % 7);
+    path.latencies[`${u}_${v}`] = path.latencies[`${v}_${u}`] = 60;
+  }
+  const ring = ringChainFlowGraph(makeRng(7));
+  for (const [name, algo] of Object.entries(FLOW_ALGORITHMS)) {
+    const input = name === TOPOLOGY_AWARE ? ring : path;
+    assert.equal(algo({ ...input, perfStart: performance.now() - 1, calctimeMs: 0 }), null, `${name} ignored an expired budget`);
+  }
+});